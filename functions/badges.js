@@ -0,0 +1,104 @@
+/**
+ * BADGES
+ *
+ * Badge definitions live in `badgeDefinitions/{badgeId}`. `unlockType` picks the requirement:
+ *
+ *   xp           { requiredXP }                      XP balance
+ *   level        { requiredLevel }                   level
+ *   milestone    { milestoneType, requiredCount }    spotsDiscovered or challengesCompleted counter
+ *   category     { category, requiredCount }         approved spots submitted in a category
+ *   streak       { requiredDays }                    longest daily login streak
+ *   challenges   { requiredCount } or { challengeId } challenges completed, or one specific challenge
+ *   followers    { requiredCount }                   followers
+ *   redemptions  { requiredCount }                   rewards redeemed
+ *   ratings      { requiredCount }                   spot ratings given
+ *
+ * Definitions with `isActive: false` are never granted. Badges are not revoked once earned.
+ */
+
+const BADGE_UNLOCK_TYPES = [
+  'xp',
+  'level',
+  'milestone',
+  'category',
+  'streak',
+  'challenges',
+  'followers',
+  'redemptions',
+  'ratings'
+];
+
+// Unlock types worth re-checking after an XP ledger entry with this action
+const LEDGER_ACTION_BADGE_TYPES = {
+  SPOT_APPROVED: ['milestone', 'category'],
+  CHALLENGE_COMPLETED: ['milestone', 'challenges'],
+  REWARD_REDEMPTION: ['redemptions']
+};
+
+/**
+ * Work out which stats a set of badge definitions needs, so only those are loaded
+ */
+function getBadgeStatRequirements(badges) {
+  const requirements = {
+    categories: new Set(),
+    challengeIds: new Set(),
+    challengeCount: false,
+    redemptions: false
+  };
+
+  for (const badge of badges) {
+    if (badge.unlockType === 'category' && badge.category) {
+      requirements.categories.add(badge.category);
+    } else if (badge.unlockType === 'challenges') {
+      if (badge.challengeId) {
+        requirements.challengeIds.add(badge.challengeId);
+      } else {
+        requirements.challengeCount = true;
+      }
+    } else if (badge.unlockType === 'redemptions') {
+      requirements.redemptions = true;
+    }
+  }
+
+  return requirements;
+}
+
+/**
+ * Check one badge definition against a user's stats
+ */
+function meetsBadgeRequirement(badge, stats) {
+  const requiredCount = badge.requiredCount || 0;
+
+  switch (badge.unlockType) {
+    case 'xp':
+      return stats.xp >= (badge.requiredXP || 0);
+    case 'level':
+      return stats.level >= (badge.requiredLevel || 0);
+    case 'milestone':
+      if (badge.milestoneType === 'spotsDiscovered') return stats.spotsDiscovered >= requiredCount;
+      if (badge.milestoneType === 'challengesCompleted') return stats.challengesCompleted >= requiredCount;
+      return false;
+    case 'category':
+      return (stats.categorySpots[badge.category] || 0) >= requiredCount;
+    case 'streak':
+      return stats.longestStreak >= (badge.requiredDays || 0);
+    case 'challenges':
+      if (badge.challengeId) return stats.completedChallengeIds.has(badge.challengeId);
+      return stats.challengesCompleted >= requiredCount;
+    case 'followers':
+      return stats.followers >= requiredCount;
+    case 'redemptions':
+      return stats.redemptions >= requiredCount;
+    case 'ratings':
+      return stats.ratingsGiven >= requiredCount;
+    default:
+      return false;
+  }
+}
+
+module.exports = {
+  BADGE_UNLOCK_TYPES,
+  LEDGER_ACTION_BADGE_TYPES,
+  getBadgeStatRequirements,
+  meetsBadgeRequirement
+};
@@ -0,0 +1,123 @@
+/**
+ * CHALLENGE PROGRESS
+ *
+ * Challenge progress is counted on the server from activity events. Each challenge declares
+ * what counts towards it in `progressRules`:
+ *
+ *   progressRules: [
+ *     { activity: 'SPOT_DISCOVERED', categories: ['CAFE', 'BAKERY'], weight: 2 },
+ *     { activity: 'SPOT_RATED', weight: 1 },
+ *     { activity: 'DAILY_LOGIN', mode: 'streak' }
+ *   ]
+ *
+ *   activity     one of CHALLENGE_ACTIVITIES
+ *   categories   only spots in these categories count (any category when omitted)
+ *   weight       progress added per event, default 1
+ *   mode         'streak' (DAILY_LOGIN only): progress follows the current login streak
+ *
+ * When several rules match one event the largest weight counts, once. Challenges without
+ * progressRules get rules derived from their type (LEGACY_TYPE_PROGRESS_RULES) and
+ * requiredCategories.
+ */
+
+const CHALLENGE_ACTIVITIES = [
+  'SPOT_DISCOVERED', // user_spots document created
+  'SPOT_VISITED',    // user_visits document created
+  'SPOT_LIKED',      // spots/{spotId}/likes document created
+  'SPOT_SHARED',     // SHARE_SPOT XP ledger entry
+  'SPOT_RATED',      // spots/{spotId}/ratings document created
+  'DAILY_LOGIN'      // first login of a local day (updateUserLoginSource)
+];
+
+// Activities whose events carry a spot category that progressRules can filter on
+const SPOT_ACTIVITIES = ['SPOT_DISCOVERED', 'SPOT_VISITED', 'SPOT_LIKED', 'SPOT_SHARED', 'SPOT_RATED'];
+
+// Rules for challenges created before progressRules, keyed by a word of the challenge type
+const LEGACY_TYPE_PROGRESS_RULES = {
+  DISCOVERY: [{ activity: 'SPOT_DISCOVERED' }],
+  EXPLORATION: [{ activity: 'SPOT_DISCOVERED' }],
+  ACHIEVEMENT: [{ activity: 'SPOT_DISCOVERED' }],
+  COLLECTION: [{ activity: 'SPOT_DISCOVERED' }],
+  CATEGORY: [{ activity: 'SPOT_DISCOVERED' }],
+  SOCIAL: [{ activity: 'SPOT_SHARED' }],
+  STREAK: [{ activity: 'DAILY_LOGIN', mode: 'streak' }]
+};
+
+/**
+ * Normalize one progress rule, returning null when it is unusable
+ */
+function normalizeProgressRule(rule) {
+  if (!rule || !CHALLENGE_ACTIVITIES.includes(rule.activity)) {
+    return null;
+  }
+
+  if (rule.mode === 'streak') {
+    return rule.activity === 'DAILY_LOGIN' ? { activity: rule.activity, mode: 'streak', weight: 1, categories: [] } : null;
+  }
+
+  const weight = rule.weight === undefined ? 1 : rule.weight;
+  if (!Number.isFinite(weight) || weight <= 0) {
+    return null;
+  }
+
+  const categories = Array.isArray(rule.categories)
+    ? rule.categories.filter(category => typeof category === 'string' && category)
+    : [];
+
+  if (categories.length > 0 && !SPOT_ACTIVITIES.includes(rule.activity)) {
+    return null;
+  }
+
+  return { activity: rule.activity, mode: 'count', weight, categories };
+}
+
+/**
+ * Progress rules of a challenge, derived from its type when it declares none
+ */
+function getChallengeProgressRules(challenge) {
+  if (Array.isArray(challenge.progressRules)) {
+    return challenge.progressRules.map(normalizeProgressRule).filter(Boolean);
+  }
+
+  const typeWords = typeof challenge.type === 'string' ? challenge.type.toUpperCase().split('_') : [];
+  const categories = Array.isArray(challenge.requiredCategories) ? challenge.requiredCategories : [];
+  const rules = [];
+
+  for (const word of new Set(typeWords)) {
+    for (const rule of LEGACY_TYPE_PROGRESS_RULES[word] || []) {
+      if (rules.some(existing => existing.activity === rule.activity)) continue;
+      rules.push(normalizeProgressRule(SPOT_ACTIVITIES.includes(rule.activity) ? { ...rule, categories } : rule));
+    }
+  }
+
+  return rules.filter(Boolean);
+}
+
+/**
+ * Progress an activity event earns on a challenge
+ * Returns null when the event does not count, otherwise { amount, absolute }
+ * (absolute progress replaces the current value instead of adding to it)
+ */
+function getChallengeProgressForEvent(challenge, activity, data = {}) {
+  const matching = getChallengeProgressRules(challenge).filter(rule =>
+    rule.activity === activity &&
+    (rule.categories.length === 0 || rule.categories.includes(data.category))
+  );
+
+  if (matching.length === 0) {
+    return null;
+  }
+
+  if (matching.some(rule => rule.mode === 'streak')) {
+    return Number.isInteger(data.streak) && data.streak > 0 ? { amount: data.streak, absolute: true } : null;
+  }
+
+  return { amount: Math.max(...matching.map(rule => rule.weight)), absolute: false };
+}
+
+module.exports = {
+  CHALLENGE_ACTIVITIES,
+  SPOT_ACTIVITIES,
+  getChallengeProgressRules,
+  getChallengeProgressForEvent
+};
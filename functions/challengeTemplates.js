@@ -0,0 +1,145 @@
+/**
+ * RECURRING CHALLENGES
+ *
+ * Templates in `challengeTemplates/{templateId}` generate one challenge per day or week:
+ *
+ *   {
+ *     title: 'Discover {target} {category} spots',  // {target} and {category} are filled in
+ *     description: 'Find {target} new {category} spots this week',
+ *     recurrence: 'weekly',                        // 'daily' or 'weekly'
+ *     difficulty: 'MEDIUM',                        // scales target and XP (DIFFICULTY_MULTIPLIERS)
+ *     baseTarget: 2,
+ *     baseXPReward: 100,
+ *     progressRules: [{ activity: 'SPOT_DISCOVERED' }],
+ *     categories: ['CAFE', 'PARK', 'MUSEUM'],      // optional, one per instance in rotation
+ *     requiresClaim: false,
+ *     isActive: true
+ *   }
+ *
+ * Instances are `challenges/{templateId}_{periodKey}` (e.g. `cafe-hunt_2026-W43`), so generating
+ * the same period twice is a no-op. The rotated category is added to every spot rule that
+ * does not name its own categories.
+ */
+
+const { getISOWeekKey } = require('./leaderboards');
+const { SPOT_ACTIVITIES, getChallengeProgressRules } = require('./challengeProgress');
+
+const CHALLENGE_RECURRENCES = ['daily', 'weekly'];
+
+const DIFFICULTY_MULTIPLIERS = {
+  EASY: 1,
+  MEDIUM: 2,
+  HARD: 3,
+  EXPERT: 5
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// The first Monday after the epoch, so week indexes count whole ISO weeks
+const FIRST_MONDAY_MS = Date.UTC(1970, 0, 5);
+
+/**
+ * The day or week (UTC) containing a date
+ * Returns { periodKey, index, startDate, endDate }; index counts periods since the epoch
+ */
+function getRecurrencePeriod(recurrence, date = new Date()) {
+  const dayStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+  if (recurrence === 'weekly') {
+    const weekStart = dayStart - ((new Date(dayStart).getUTCDay() + 6) % 7) * DAY_MS;
+    return {
+      periodKey: getISOWeekKey(date),
+      index: Math.round((weekStart - FIRST_MONDAY_MS) / WEEK_MS),
+      startDate: new Date(weekStart),
+      endDate: new Date(weekStart + WEEK_MS)
+    };
+  }
+
+  return {
+    periodKey: new Date(dayStart).toISOString().slice(0, 10),
+    index: Math.round(dayStart / DAY_MS),
+    startDate: new Date(dayStart),
+    endDate: new Date(dayStart + DAY_MS)
+  };
+}
+
+/**
+ * "COFFEE_SHOP" -> "Coffee Shop"
+ */
+function formatCategory(category) {
+  return category
+    .toLowerCase()
+    .split(/[_\s]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Build the challenge a template generates for a period
+ * Returns { id, data } or null when the template is unusable
+ */
+function buildChallengeInstance(templateId, template, period) {
+  if (!template || !CHALLENGE_RECURRENCES.includes(template.recurrence)) {
+    return null;
+  }
+
+  const multiplier = DIFFICULTY_MULTIPLIERS[template.difficulty];
+  if (!multiplier || !(template.baseTarget > 0) || !(template.baseXPReward >= 0)) {
+    return null;
+  }
+
+  const categories = Array.isArray(template.categories)
+    ? template.categories.filter(category => typeof category === 'string' && category)
+    : [];
+  const category = categories.length > 0 ? categories[period.index % categories.length] : null;
+
+  const progressRules = (Array.isArray(template.progressRules) ? template.progressRules : []).map(rule =>
+    category && SPOT_ACTIVITIES.includes(rule.activity) && !(Array.isArray(rule.categories) && rule.categories.length)
+      ? { ...rule, categories: [category] }
+      : { ...rule }
+  );
+
+  if (getChallengeProgressRules({ progressRules }).length === 0) {
+    return null;
+  }
+
+  const targetValue = Math.ceil(template.baseTarget * multiplier);
+  const fill = text => (text || '')
+    .replace(/\{target\}/g, String(targetValue))
+    .replace(/\{category\}/g, category ? formatCategory(category) : '');
+
+  return {
+    id: `${templateId}_${period.periodKey}`,
+    data: {
+      title: fill(template.title).replace(/\s{2,}/g, ' ').trim(),
+      description: fill(template.description).replace(/\s{2,}/g, ' ').trim(),
+      type: template.type || 'RECURRING',
+      difficulty: template.difficulty,
+      targetValue,
+      xpReward: Math.round(template.baseXPReward * multiplier),
+      progressRules,
+      category,
+      requiresClaim: template.requiresClaim === true,
+      templateId,
+      recurrence: template.recurrence,
+      periodKey: period.periodKey,
+      isDailyChallenge: template.recurrence === 'daily',
+      isTimeLimited: true,
+      startDate: period.startDate,
+      endDate: period.endDate,
+      isActive: true,
+      generated: true,
+      archived: false,
+      completionCount: 0
+    }
+  };
+}
+
+module.exports = {
+  CHALLENGE_RECURRENCES,
+  DIFFICULTY_MULTIPLIERS,
+  getRecurrencePeriod,
+  buildChallengeInstance
+};
@@ -0,0 +1,238 @@
+const functions = require('firebase-functions');
+
+/**
+ * SPONSOR PLAN ENTITLEMENTS
+ *
+ * Single source of truth for what each subscription plan allows.
+ * Callables consult these helpers and reject over-limit requests with a structured
+ * HttpsError so the sponsor dashboard can render an upgrade prompt:
+ *
+ *   error.details = {
+ *     reason: 'PLAN_LIMIT',
+ *     entitlement: 'maxActiveRewards',
+ *     plan: 'basic',
+ *     allowed: 1,
+ *     current: 1,
+ *     upgradeTo: 'pro'
+ *   }
+ */
+
+// Plans in upgrade order (trial is granted internally and never offered as an upgrade)
+const PLAN_ORDER = ['free', 'basic', 'pro', 'premium'];
+
+const PLAN_ENTITLEMENTS = {
+  free: {
+    features: ['basic_analytics', 'limited_rewards'],
+    maxActiveRewards: 1,
+    qrRedemption: false,
+    analyticsLevel: 'basic',
+    analyticsHistoryDays: 7
+  },
+  trial: {
+    features: ['basic_analytics', '1_reward', 'email_support'],
+    maxActiveRewards: 1,
+    qrRedemption: true,
+    analyticsLevel: 'basic',
+    analyticsHistoryDays: 7
+  },
+  basic: {
+    features: ['basic_analytics', '1_reward', 'email_support'],
+    maxActiveRewards: 1,
+    qrRedemption: true,
+    analyticsLevel: 'basic',
+    analyticsHistoryDays: 30
+  },
+  pro: {
+    features: ['detailed_analytics', '3_rewards', 'priority_listing', 'custom_branding', 'priority_support'],
+    maxActiveRewards: 3,
+    qrRedemption: true,
+    analyticsLevel: 'detailed',
+    analyticsHistoryDays: 90
+  },
+  premium: {
+    features: ['full_analytics', 'unlimited_rewards', 'top_featured', '24_7_support', 'advanced_targeting'],
+    maxActiveRewards: Infinity,
+    qrRedemption: true,
+    analyticsLevel: 'full',
+    analyticsHistoryDays: 365
+  }
+};
+
+const ANALYTICS_LEVELS = ['basic', 'detailed', 'full'];
+
+/**
+ * Get the entitlements for a plan (unknown plans fall back to free)
+ */
+function getPlanEntitlements(plan) {
+  return PLAN_ENTITLEMENTS[plan] || PLAN_ENTITLEMENTS.free;
+}
+
+// Subscription statuses that keep a paid plan's entitlements (past_due is the payment grace period)
+const ENTITLED_STATUSES = ['active', 'trial', 'past_due'];
+
+/**
+ * Resolve the plan a sponsor is currently entitled to
+ * Only ENTITLED_STATUSES keep their plan; anything else (canceled, inactive, an unpaid first
+ * invoice) and ended trials fall back to free
+ */
+function getEffectivePlan(sponsorData) {
+  const plan = (sponsorData && sponsorData.subscriptionPlan) || 'free';
+
+  if (!PLAN_ENTITLEMENTS[plan] || !ENTITLED_STATUSES.includes(sponsorData && sponsorData.subscriptionStatus)) {
+    return 'free';
+  }
+
+  // Trials that ended but haven't been processed by processTrialExpirations yet
+  const trialEndsAt = sponsorData.trialEndsAt;
+  if (plan === 'trial' && trialEndsAt && typeof trialEndsAt.toMillis === 'function' &&
+      trialEndsAt.toMillis() < Date.now()) {
+    return 'free';
+  }
+
+  return plan;
+}
+
+/**
+ * Find the cheapest plan that satisfies a predicate on its entitlements
+ */
+function getUpgradePlan(currentPlan, predicate) {
+  const currentIndex = PLAN_ORDER.indexOf(currentPlan === 'trial' ? 'basic' : currentPlan);
+
+  const upgrade = PLAN_ORDER
+    .slice(currentIndex + 1)
+    .find(plan => predicate(PLAN_ENTITLEMENTS[plan]));
+
+  return upgrade || null;
+}
+
+/**
+ * Build a structured plan limit error for the sponsor dashboard
+ */
+function planLimitError(code, message, details) {
+  return new functions.https.HttpsError(code, message, {
+    reason: 'PLAN_LIMIT',
+    ...details
+  });
+}
+
+/**
+ * Count rewards that occupy a plan slot (active and not expired)
+ */
+function countActiveRewards(rewardDocs) {
+  const now = Date.now();
+
+  return rewardDocs.filter(doc => {
+    const reward = doc.data();
+
+    if (reward.isActive === false || reward.active === false) return false;
+    if (reward.verificationStatus === 'REJECTED') return false;
+
+    const expiry = reward.expiryDate || reward.expiresAt;
+    if (expiry && typeof expiry.toMillis === 'function' && expiry.toMillis() < now) return false;
+
+    return true;
+  }).length;
+}
+
+/**
+ * Reject reward creation when the sponsor has used all reward slots of its plan
+ */
+function assertRewardCapacity(plan, activeRewardCount) {
+  const { maxActiveRewards } = getPlanEntitlements(plan);
+
+  if (activeRewardCount < maxActiveRewards) {
+    return;
+  }
+
+  throw planLimitError(
+    'resource-exhausted',
+    `Your ${plan} plan allows ${maxActiveRewards} active reward${maxActiveRewards === 1 ? '' : 's'}. Upgrade to add more.`,
+    {
+      entitlement: 'maxActiveRewards',
+      plan,
+      allowed: maxActiveRewards,
+      current: activeRewardCount,
+      upgradeTo: getUpgradePlan(plan, entitlements => entitlements.maxActiveRewards > maxActiveRewards)
+    }
+  );
+}
+
+/**
+ * Reject QR code generation on plans without QR redemption
+ */
+function assertQRRedemption(plan) {
+  if (getPlanEntitlements(plan).qrRedemption) {
+    return;
+  }
+
+  throw planLimitError(
+    'permission-denied',
+    `QR redemptions are not included in the ${plan} plan. Upgrade to accept in-store QR redemptions.`,
+    {
+      entitlement: 'qrRedemption',
+      plan,
+      allowed: false,
+      upgradeTo: getUpgradePlan(plan, entitlements => entitlements.qrRedemption)
+    }
+  );
+}
+
+/**
+ * Reject analytics requests above the plan's analytics level or history window
+ */
+function assertAnalyticsAccess(plan, { level = 'basic', days = 0 } = {}) {
+  const entitlements = getPlanEntitlements(plan);
+
+  if (ANALYTICS_LEVELS.indexOf(level) > ANALYTICS_LEVELS.indexOf(entitlements.analyticsLevel)) {
+    throw planLimitError(
+      'permission-denied',
+      `${level} analytics are not included in the ${plan} plan.`,
+      {
+        entitlement: 'analyticsLevel',
+        plan,
+        allowed: entitlements.analyticsLevel,
+        requested: level,
+        upgradeTo: getUpgradePlan(plan, candidate =>
+          ANALYTICS_LEVELS.indexOf(candidate.analyticsLevel) >= ANALYTICS_LEVELS.indexOf(level))
+      }
+    );
+  }
+
+  if (days > entitlements.analyticsHistoryDays) {
+    throw planLimitError(
+      'permission-denied',
+      `Your ${plan} plan includes ${entitlements.analyticsHistoryDays} days of analytics history.`,
+      {
+        entitlement: 'analyticsHistoryDays',
+        plan,
+        allowed: entitlements.analyticsHistoryDays,
+        requested: days,
+        upgradeTo: getUpgradePlan(plan, candidate => candidate.analyticsHistoryDays >= days)
+      }
+    );
+  }
+}
+
+/**
+ * Serializable plan limits for API responses (Infinity becomes null)
+ */
+function describePlanLimits(plan) {
+  const entitlements = getPlanEntitlements(plan);
+
+  return {
+    maxActiveRewards: Number.isFinite(entitlements.maxActiveRewards) ? entitlements.maxActiveRewards : null,
+    qrRedemption: entitlements.qrRedemption,
+    analyticsLevel: entitlements.analyticsLevel,
+    analyticsHistoryDays: entitlements.analyticsHistoryDays
+  };
+}
+
+module.exports = {
+  getPlanEntitlements,
+  getEffectivePlan,
+  countActiveRewards,
+  assertRewardCapacity,
+  assertQRRedemption,
+  assertAnalyticsAccess,
+  describePlanLimits
+};
@@ -0,0 +1,212 @@
+const admin = require('firebase-admin');
+const sharp = require('sharp');
+
+/**
+ * PERCEPTUAL IMAGE HASHING
+ *
+ * Spot photos are hashed on the server when they land in Storage (`spots/{spotId}/...`):
+ *
+ *   dHash   brightness gradients of a 9x8 thumbnail
+ *   pHash   low frequencies of a 32x32 thumbnail's DCT
+ *
+ * Both are 64-bit hashes written as 16 hex characters. Similar images have hashes a small
+ * Hamming distance apart, so re-encoded, resized or slightly cropped copies still match.
+ *
+ * Each photo gets a `spotPhotoHashes/{id}` document. To find near duplicates without scanning
+ * every photo, each hash is cut into 8 bands of 8 bits stored in `buckets` ('p0:1f', 'd7:...').
+ * Two hashes at most 7 bits apart differ in at most 7 bands, so they always share one; every
+ * candidate sharing a band is then compared on its full Hamming distance.
+ */
+
+const SPOT_PHOTO_HASHES_COLLECTION = 'spotPhotoHashes';
+
+// Largest Hamming distance (of 64 bits) at which two photos count as the same picture.
+// Must stay below HASH_BANDS, or matches can be missed by the bucket lookup.
+const PHASH_MAX_DISTANCE = 7;
+const DHASH_MAX_DISTANCE = 7;
+
+const HASH_BANDS = 8;
+const NEAR_DUPLICATE_PAGE_SIZE = 200;
+
+/**
+ * 64 bits -> 16 hex characters
+ */
+function bitsToHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+/**
+ * Grayscale pixels of an image squashed to width x height (EXIF orientation applied)
+ */
+function toGrayscalePixels(buffer, width, height) {
+  return sharp(buffer)
+    .rotate()
+    .grayscale()
+    .resize(width, height, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * Difference hash: is each pixel brighter than its right neighbour?
+ */
+async function computeDHash(buffer) {
+  const pixels = await toGrayscalePixels(buffer, 9, 8);
+  const bits = [];
+
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1 : 0);
+    }
+  }
+
+  return bitsToHex(bits);
+}
+
+/**
+ * Perceptual hash: is each of the 8x8 lowest DCT frequencies above their median?
+ */
+async function computePHash(buffer) {
+  const size = 32;
+  const pixels = await toGrayscalePixels(buffer, size, size);
+
+  // Separable DCT-II, only the 8 lowest frequencies are needed in each direction
+  const cosines = [];
+  for (let u = 0; u < 8; u++) {
+    cosines.push(Array.from({ length: size }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size))));
+  }
+
+  const rows = [];
+  for (let y = 0; y < size; y++) {
+    rows.push(cosines.map(cos => cos.reduce((sum, c, x) => sum + c * pixels[y * size + x], 0)));
+  }
+
+  const coefficients = [];
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      coefficients.push(cosines[v].reduce((sum, c, y) => sum + c * rows[y][u], 0));
+    }
+  }
+
+  const sorted = [...coefficients].sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+
+  return bitsToHex(coefficients.map(value => (value > median ? 1 : 0)));
+}
+
+/**
+ * Both hashes of an image buffer
+ */
+async function computeImageHashes(buffer) {
+  const [pHash, dHash] = await Promise.all([computePHash(buffer), computeDHash(buffer)]);
+  return { pHash, dHash };
+}
+
+/**
+ * Number of differing bits between two hex hashes
+ */
+function hammingDistance(hashA, hashB) {
+  let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+  let distance = 0;
+
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+
+  return distance;
+}
+
+/**
+ * Bucket keys of a photo's hashes ('p0:1f' ... 'd7:b1')
+ */
+function getHashBuckets({ pHash, dHash }) {
+  const bandLength = 16 / HASH_BANDS;
+  const buckets = [];
+
+  for (const [prefix, hash] of [['p', pHash], ['d', dHash]]) {
+    for (let band = 0; band < HASH_BANDS; band++) {
+      buckets.push(`${prefix}${band}:${hash.slice(band * bandLength, (band + 1) * bandLength)}`);
+    }
+  }
+
+  return buckets;
+}
+
+/**
+ * Hashed photos of a spot, optionally only those uploaded by one user (the spot's creator)
+ */
+async function getSpotPhotoHashes(spotId, { uploadedBy = null } = {}) {
+  const snapshot = await admin.firestore().collection(SPOT_PHOTO_HASHES_COLLECTION)
+    .where('spotId', '==', spotId)
+    .get();
+
+  return snapshot.docs
+    .map(doc => doc.data())
+    .filter(photo => !uploadedBy || photo.uploadedBy === uploadedBy);
+}
+
+/**
+ * Photos of other spots that look like any of the given photos
+ * Returns [{ spotId, path, pHashDistance, dHashDistance }], closest first, one per spot.
+ * `before` (ms) ignores photos uploaded at or after that time.
+ */
+async function findNearDuplicatePhotos(spotId, photos, { before = null } = {}) {
+  const buckets = [...new Set(photos.flatMap(photo => getHashBuckets(photo)))];
+  if (buckets.length === 0) {
+    return [];
+  }
+
+  const matches = new Map();
+
+  // array-contains-any takes at most 30 values; every page is read so busy buckets aren't cut off
+  for (let i = 0; i < buckets.length; i += 30) {
+    const query = admin.firestore().collection(SPOT_PHOTO_HASHES_COLLECTION)
+      .where('buckets', 'array-contains-any', buckets.slice(i, i + 30))
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(NEAR_DUPLICATE_PAGE_SIZE);
+    let snapshot = null;
+
+    do {
+      snapshot = await (snapshot ? query.startAfter(snapshot.docs[snapshot.docs.length - 1]) : query).get();
+
+      for (const doc of snapshot.docs) {
+        const candidate = doc.data();
+        if (candidate.spotId === spotId) continue;
+
+        const uploadedAt = candidate.uploadedAt && candidate.uploadedAt.toMillis ? candidate.uploadedAt.toMillis() : null;
+        if (before && !(uploadedAt < before)) continue;
+
+        for (const photo of photos) {
+          const pHashDistance = hammingDistance(photo.pHash, candidate.pHash);
+          const dHashDistance = hammingDistance(photo.dHash, candidate.dHash);
+          if (pHashDistance > PHASH_MAX_DISTANCE && dHashDistance > DHASH_MAX_DISTANCE) continue;
+
+          const previous = matches.get(candidate.spotId);
+          if (!previous || pHashDistance + dHashDistance < previous.pHashDistance + previous.dHashDistance) {
+            matches.set(candidate.spotId, { spotId: candidate.spotId, path: candidate.path, pHashDistance, dHashDistance });
+          }
+        }
+      }
+    } while (snapshot.size === NEAR_DUPLICATE_PAGE_SIZE);
+  }
+
+  return [...matches.values()].sort((a, b) =>
+    (a.pHashDistance + a.dHashDistance) - (b.pHashDistance + b.dHashDistance)
+  );
+}
+
+module.exports = {
+  SPOT_PHOTO_HASHES_COLLECTION,
+  PHASH_MAX_DISTANCE,
+  DHASH_MAX_DISTANCE,
+  computeImageHashes,
+  hammingDistance,
+  getHashBuckets,
+  getSpotPhotoHashes,
+  findNearDuplicatePhotos
+};
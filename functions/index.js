@@ -1,10 +1,107 @@
 const functions = require('firebase-functions');
 const { firestore, pubsub } = require('firebase-functions/v1');
 const { onDocumentCreated, onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { onObjectFinalized } = require('firebase-functions/v2/storage');
 const admin = require('firebase-admin');
 const geohash = require('ngeohash');
 const express = require('express');
 const cors = require('cors');
+const {
+  getStripe,
+  getPriceIdForPlan,
+  getPlanForPriceId,
+  isPurchasablePlan,
+  mapStripeSubscriptionStatus,
+  constructWebhookEvent
+} = require('./stripeClient');
+const {
+  getPlanEntitlements,
+  getEffectivePlan,
+  countActiveRewards,
+  assertRewardCapacity,
+  assertQRRedemption,
+  assertAnalyticsAccess,
+  describePlanLimits
+} = require('./entitlements');
+const {
+  XP_LEDGER_COLLECTION,
+  getXPBalance,
+  getLedgerEntryRef,
+  recordXPChange,
+  applyXPChange,
+  reconcileUserXP
+} = require('./xpLedger');
+const {
+  LEVEL_CURVE_DOC_PATH,
+  validateLevelCurve,
+  calculateLevelForCurve,
+  getLevelCurve
+} = require('./levelCurve');
+const {
+  VERIFICATION_POLICY_DOC_PATH,
+  DEFAULT_VERIFICATION_POLICY,
+  validateVerificationPolicy,
+  mergeVerificationPolicy,
+  getVerificationPolicy
+} = require('./verificationPolicy');
+const {
+  SPOT_PHOTO_HASHES_COLLECTION,
+  computeImageHashes,
+  getHashBuckets,
+  findNearDuplicatePhotos
+} = require('./imageHash');
+const {
+  PROCESSED_METADATA_KEY,
+  readPhotoExif,
+  stripPhotoMetadata,
+  createThumbnails,
+  getThumbnailPath,
+  getPhotoUploader,
+  isProcessedPhoto
+} = require('./photoMetadata');
+const { getSpotGeohash } = require('./spotDuplicates');
+const { getXPRule } = require('./xpRules');
+const {
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_SCOPES,
+  getPeriodId,
+  getPastPeriodId,
+  getCityKey,
+  getLeaderboardDocId,
+  aggregateLedgerEntries,
+  rankEntries
+} = require('./leaderboards');
+const {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getLocalDateKey,
+  getLocalHour,
+  addDays,
+  getZonedInstant,
+  applyLoginToStreak
+} = require('./streaks');
+const {
+  BADGE_UNLOCK_TYPES,
+  LEDGER_ACTION_BADGE_TYPES,
+  getBadgeStatRequirements,
+  meetsBadgeRequirement
+} = require('./badges');
+const { getChallengeProgressForEvent } = require('./challengeProgress');
+const { getRecurrencePeriod, buildChallengeInstance } = require('./challengeTemplates');
+const {
+  TEAM_TYPES,
+  TEAM_PAYOUT_SPLITS,
+  MIN_TEAM_MEMBERS,
+  MAX_TEAM_MEMBERS,
+  MAX_TEAMS_PER_USER,
+  getTeamChallengeShareKey,
+  splitTeamPayout
+} = require('./teams');
+const {
+  verifySpotSubmission: scoreSpotSubmission,
+  updateUserTrustScore,
+  performSpotVerification
+} = require('./spotVerification');
 
 // Import social functions
 const socialFunctions = require("./social");
@@ -95,8 +192,6 @@ app.post('/billing/get-subscription-status', verifyAuthToken, async (req, res) =
 
     const sponsorData = sponsorDoc.data();
 
-    // For now, return a basic response structure
-    // This can be enhanced with actual Stripe integration later
     const subscriptionStatus = {
       plan: sponsorData.subscriptionPlan || 'free',
       status: sponsorData.subscriptionStatus || 'inactive',
@@ -104,6 +199,8 @@ app.post('/billing/get-subscription-status', verifyAuthToken, async (req, res) =
       trialEndsAt: sponsorData.trialEndsAt || null,
       hasUsedTrial: sponsorData.hasUsedTrial || false,
       features: getFeaturesByPlan(sponsorData.subscriptionPlan || 'free'),
+      effectivePlan: getEffectivePlan(sponsorData),
+      limits: describePlanLimits(getEffectivePlan(sponsorData)),
       canUpgrade: true,
       canDowngrade: (sponsorData.subscriptionPlan || 'free') !== 'free'
     };
@@ -115,20 +212,137 @@ app.post('/billing/get-subscription-status', verifyAuthToken, async (req, res) =
   }
 });
 
-// Helper function to get features by plan
+// Helper function to get features by plan (defined in entitlements.js)
 function getFeaturesByPlan(plan) {
-  const features = {
-    free: ['basic_analytics', 'limited_rewards'],
-    trial: ['basic_analytics', '1_reward', 'email_support'],
-    basic: ['basic_analytics', '1_reward', 'email_support'],
-    pro: ['detailed_analytics', '3_rewards', 'priority_listing', 'custom_branding', 'priority_support'],
-    premium: ['full_analytics', 'unlimited_rewards', 'top_featured', '24_7_support', 'advanced_targeting']
+  return getPlanEntitlements(plan).features;
+}
+
+// Helper function to load a sponsor and verify the caller can manage its billing
+async function getSponsorForBilling(sponsorId, uid) {
+  const sponsorRef = db.collection('sponsors').doc(sponsorId);
+  const sponsorDoc = await sponsorRef.get();
+
+  if (!sponsorDoc.exists) {
+    return { error: { status: 404, message: 'Sponsor not found' } };
+  }
+
+  const sponsorData = sponsorDoc.data();
+  const sponsorOwnerId = sponsorData.ownerUserId || sponsorData.userId;
+
+  if (sponsorOwnerId !== uid && !(await checkAdminPermissions(uid))) {
+    return { error: { status: 403, message: 'Not authorized to manage billing for this sponsor' } };
+  }
+
+  return { sponsorRef, sponsorData };
+}
+
+// Helper function to get or create the Stripe customer for a sponsor
+async function ensureStripeCustomer(sponsorRef, sponsorData) {
+  if (sponsorData.stripeCustomerId) {
+    return sponsorData.stripeCustomerId;
+  }
+
+  const customer = await getStripe().customers.create({
+    email: sponsorData.email || sponsorData.contactEmail || undefined,
+    name: sponsorData.name || undefined,
+    metadata: { sponsorId: sponsorRef.id }
+  }, {
+    // Prevent duplicate customers when the dashboard retries
+    idempotencyKey: `create-customer-${sponsorRef.id}`
+  });
+
+  await sponsorRef.update({
+    stripeCustomerId: customer.id,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  console.log(`Created Stripe customer ${customer.id} for sponsor ${sponsorRef.id}`);
+  return customer.id;
+}
+
+// Helper function to record a sponsor plan/status transition in subscriptionChangeLogs
+// Accepts a transaction or a write batch
+function logSubscriptionChange(writer, change) {
+  writer.create(db.collection('subscriptionChangeLogs').doc(), {
+    sponsorId: change.sponsorId,
+    previousPlan: change.previousPlan || 'free',
+    newPlan: change.newPlan,
+    previousStatus: change.previousStatus || 'inactive',
+    newStatus: change.newStatus,
+    source: change.source,
+    reason: change.reason || null,
+    stripeEventId: change.stripeEventId || null,
+    stripeSubscriptionId: change.stripeSubscriptionId || null,
+    changedBy: change.changedBy || 'system',
+    timestamp: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+// Helper function to persist a Stripe subscription onto the sponsor document
+async function applyStripeSubscriptionToSponsor(sponsorId, subscription, context = {}) {
+  const firstItem = subscription.items && subscription.items.data && subscription.items.data[0];
+  const priceId = firstItem && firstItem.price ? firstItem.price.id : null;
+  const status = mapStripeSubscriptionStatus(subscription.status);
+  const plan = status === 'canceled'
+    ? 'free'
+    : getPlanForPriceId(priceId) || (subscription.metadata && subscription.metadata.plan) || 'free';
+
+  // current_period_end moved onto subscription items in newer Stripe API versions
+  const periodEnd = subscription.current_period_end || (firstItem && firstItem.current_period_end);
+
+  const updates = {
+    stripeSubscriptionId: subscription.id,
+    stripePriceId: priceId,
+    subscriptionPlan: plan,
+    subscriptionStatus: status,
+    subscriptionRenewalDate: periodEnd ? admin.firestore.Timestamp.fromMillis(periodEnd * 1000) : null,
+    cancelAtPeriodEnd: subscription.cancel_at_period_end === true,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
   };
 
-  return features[plan] || features.free;
+  const sponsorRef = db.collection('sponsors').doc(sponsorId);
+
+  await db.runTransaction(async (transaction) => {
+    const sponsorDoc = await transaction.get(sponsorRef);
+
+    if (!sponsorDoc.exists) {
+      throw new Error(`Sponsor ${sponsorId} not found`);
+    }
+
+    const previous = sponsorDoc.data();
+    transaction.update(sponsorRef, updates);
+
+    if (previous.subscriptionPlan !== plan || previous.subscriptionStatus !== status) {
+      logSubscriptionChange(transaction, {
+        sponsorId,
+        previousPlan: previous.subscriptionPlan,
+        newPlan: plan,
+        previousStatus: previous.subscriptionStatus,
+        newStatus: status,
+        source: context.source || 'stripe',
+        stripeEventId: context.stripeEventId,
+        stripeSubscriptionId: subscription.id,
+        changedBy: context.changedBy
+      });
+    }
+  });
+
+  return { plan, status };
+}
+
+// Helper function to send a billing error response
+function sendBillingError(res, label, error) {
+  console.error(`${label} failed:`, error);
+
+  // Stripe API errors are surfaced as a bad gateway so the dashboard can retry
+  if (error.type && error.type.startsWith('Stripe')) {
+    return res.status(502).json({ error: 'Billing provider error', message: error.message });
+  }
+
+  return res.status(500).json({ error: 'Internal server error' });
 }
 
-// Create Stripe customer (placeholder for future implementation)
+// Create Stripe customer
 app.post('/billing/create-customer', verifyAuthToken, async (req, res) => {
   try {
     const { sponsorId } = req.body;
@@ -137,62 +351,164 @@ app.post('/billing/create-customer', verifyAuthToken, async (req, res) => {
       return res.status(400).json({ error: 'sponsorId is required' });
     }
 
-    // TODO: Implement Stripe customer creation
-    // For now, return a placeholder
-    res.json({
-      customerId: `cus_placeholder_${sponsorId}`,
-      message: 'Customer creation endpoint - Stripe integration pending'
-    });
+    const { sponsorRef, sponsorData, error } = await getSponsorForBilling(sponsorId, req.user.uid);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const customerId = await ensureStripeCustomer(sponsorRef, sponsorData);
+
+    res.json({ customerId });
   } catch (error) {
-    console.error('Create customer failed:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendBillingError(res, 'Create customer', error);
   }
 });
 
-// Create checkout session (placeholder for future implementation)
+// Create checkout session for a paid plan
 app.post('/billing/create-checkout-session', verifyAuthToken, async (req, res) => {
   try {
     const { plan, successUrl, cancelUrl } = req.body;
+    // Self-registered sponsors use their uid as the sponsor document ID
+    const sponsorId = req.body.sponsorId || req.user.uid;
 
     if (!plan) {
       return res.status(400).json({ error: 'plan is required' });
     }
 
-    // TODO: Implement Stripe checkout session creation
-    // For now, return a placeholder
+    if (!isPurchasablePlan(plan)) {
+      return res.status(400).json({ error: `Plan '${plan}' cannot be purchased` });
+    }
+
+    if (!successUrl || !cancelUrl) {
+      return res.status(400).json({ error: 'successUrl and cancelUrl are required' });
+    }
+
+    const priceId = getPriceIdForPlan(plan);
+    if (!priceId) {
+      console.error(`No Stripe price configured for plan ${plan}`);
+      return res.status(500).json({ error: 'Plan pricing is not configured' });
+    }
+
+    const { sponsorRef, sponsorData, error } = await getSponsorForBilling(sponsorId, req.user.uid);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const customerId = await ensureStripeCustomer(sponsorRef, sponsorData);
+
+    const session = await getStripe().checkout.sessions.create({
+      mode: 'subscription',
+      customer: customerId,
+      line_items: [{ price: priceId, quantity: 1 }],
+      client_reference_id: sponsorId,
+      metadata: { sponsorId, plan },
+      subscription_data: { metadata: { sponsorId, plan } },
+      success_url: successUrl,
+      cancel_url: cancelUrl
+    });
+
+    console.log(`Created checkout session ${session.id} for sponsor ${sponsorId} (plan: ${plan})`);
+
     res.json({
-      sessionId: `cs_placeholder_${plan}_${Date.now()}`,
-      url: successUrl || 'https://placeholder-checkout.com',
-      message: 'Checkout session endpoint - Stripe integration pending'
+      sessionId: session.id,
+      url: session.url
     });
   } catch (error) {
-    console.error('Create checkout session failed:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendBillingError(res, 'Create checkout session', error);
   }
 });
 
-// Create portal session (placeholder for future implementation)
-app.post('/billing/create-portal-session', verifyAuthToken, async (req, res) => {
+// Sync a completed checkout session onto the sponsor (called after the success redirect)
+app.post('/billing/sync-checkout-session', verifyAuthToken, async (req, res) => {
   try {
-    const { customerId, returnUrl } = req.body;
+    const { sessionId } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId is required' });
+    }
+
+    const session = await getStripe().checkout.sessions.retrieve(sessionId, {
+      expand: ['subscription']
+    });
+
+    const sponsorId = session.client_reference_id || (session.metadata && session.metadata.sponsorId);
+    if (!sponsorId) {
+      return res.status(400).json({ error: 'Checkout session is not linked to a sponsor' });
+    }
+
+    const { error } = await getSponsorForBilling(sponsorId, req.user.uid);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
 
-    if (!customerId) {
-      return res.status(400).json({ error: 'customerId is required' });
+    if (!session.subscription || typeof session.subscription === 'string') {
+      return res.status(409).json({ error: 'Checkout session has not completed yet' });
     }
 
-    // TODO: Implement Stripe customer portal session
-    // For now, return a placeholder
+    const result = await applyStripeSubscriptionToSponsor(sponsorId, session.subscription, {
+      source: 'checkout_sync',
+      changedBy: req.user.uid
+    });
+
     res.json({
-      url: returnUrl || 'https://placeholder-portal.com',
-      message: 'Portal session endpoint - Stripe integration pending'
+      success: true,
+      subscriptionId: session.subscription.id,
+      plan: result.plan,
+      status: result.status
     });
   } catch (error) {
-    console.error('Create portal session failed:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendBillingError(res, 'Sync checkout session', error);
+  }
+});
+
+// Create customer portal session
+app.post('/billing/create-portal-session', verifyAuthToken, async (req, res) => {
+  try {
+    const { sponsorId, customerId, returnUrl } = req.body;
+
+    if (!sponsorId && !customerId) {
+      return res.status(400).json({ error: 'sponsorId or customerId is required' });
+    }
+
+    if (!returnUrl) {
+      return res.status(400).json({ error: 'returnUrl is required' });
+    }
+
+    // Resolve the sponsor so the caller can only open portals for sponsors they manage
+    let resolvedSponsorId = sponsorId;
+    if (!resolvedSponsorId) {
+      const sponsorsQuery = await db.collection('sponsors')
+        .where('stripeCustomerId', '==', customerId)
+        .limit(1)
+        .get();
+
+      if (sponsorsQuery.empty) {
+        return res.status(404).json({ error: 'Sponsor not found for customer' });
+      }
+      resolvedSponsorId = sponsorsQuery.docs[0].id;
+    }
+
+    const { sponsorData, error } = await getSponsorForBilling(resolvedSponsorId, req.user.uid);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    if (!sponsorData.stripeCustomerId) {
+      return res.status(400).json({ error: 'Sponsor has no billing account yet' });
+    }
+
+    const session = await getStripe().billingPortal.sessions.create({
+      customer: sponsorData.stripeCustomerId,
+      return_url: returnUrl
+    });
+
+    res.json({ url: session.url });
+  } catch (error) {
+    sendBillingError(res, 'Create portal session', error);
   }
 });
 
-// Start trial (placeholder for future implementation)
+// Start trial
 app.post('/billing/start-trial', verifyAuthToken, async (req, res) => {
   try {
     const { sponsorId } = req.body;
@@ -218,7 +534,9 @@ app.post('/billing/start-trial', verifyAuthToken, async (req, res) => {
     const trialEndDate = new Date();
     trialEndDate.setDate(trialEndDate.getDate() + 14);
 
-    await db.collection('sponsors').doc(sponsorId).update({
+    const batch = db.batch();
+
+    batch.update(db.collection('sponsors').doc(sponsorId), {
       subscriptionPlan: 'trial',
       subscriptionStatus: 'trial',
       trialEndsAt: admin.firestore.Timestamp.fromDate(trialEndDate),
@@ -226,6 +544,18 @@ app.post('/billing/start-trial', verifyAuthToken, async (req, res) => {
       trialStartedAt: admin.firestore.FieldValue.serverTimestamp()
     });
 
+    logSubscriptionChange(batch, {
+      sponsorId,
+      previousPlan: sponsorData.subscriptionPlan,
+      newPlan: 'trial',
+      previousStatus: sponsorData.subscriptionStatus,
+      newStatus: 'trial',
+      source: 'start_trial',
+      changedBy: req.user.uid
+    });
+
+    await batch.commit();
+
     res.json({
       success: true,
       plan: 'trial',
@@ -238,2051 +568,5913 @@ app.post('/billing/start-trial', verifyAuthToken, async (req, res) => {
   }
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: Date.now() });
-});
+// Helper function to find the sponsor linked to a Stripe object
+async function findSponsorIdForStripeObject(stripeObject) {
+  const metadataSponsorId = stripeObject.metadata && stripeObject.metadata.sponsorId;
+  if (metadataSponsorId) {
+    return metadataSponsorId;
+  }
 
-// Export the API as a Cloud Function
-const api = functions.https.onRequest(app);
+  if (stripeObject.client_reference_id) {
+    return stripeObject.client_reference_id;
+  }
 
-// ================================
-// HELPER FUNCTIONS
-// ================================
+  const customerId = typeof stripeObject.customer === 'string'
+    ? stripeObject.customer
+    : stripeObject.customer && stripeObject.customer.id;
 
-/**
- * Update user challenge progress for a specific activity
- * This is the server-side equivalent of the Android app's updateProgressByActivity
- */
-async function updateUserChallengeProgress(userId, activity, data = {}) {
-  try {
-    console.log(`=== CHALLENGE PROGRESS UPDATE (SERVER) ===`);
-    console.log(`Activity: ${activity}, Data: ${JSON.stringify(data)}, UserId: ${userId}`);
+  if (!customerId) {
+    return null;
+  }
 
-    // Get all active challenges for user
-    const userChallengesSnapshot = await db
-      .collection('user_challenges')
-      .where('userId', '==', userId)
-      .where('started', '==', true)
-      .where('completed', '==', false)
-      .get();
+  const sponsorsQuery = await db.collection('sponsors')
+    .where('stripeCustomerId', '==', customerId)
+    .limit(1)
+    .get();
 
-    console.log(`Found ${userChallengesSnapshot.docs.length} user challenge progress documents`);
+  return sponsorsQuery.empty ? null : sponsorsQuery.docs[0].id;
+}
 
-    const challengeIds = userChallengesSnapshot.docs.map(doc => {
-      const progress = doc.data();
-      console.log(`User progress doc: ${doc.id} -> challengeId: ${progress.challengeId}, started: ${progress.started}, completed: ${progress.completed}`);
-      return progress.challengeId;
-    });
+// Helper function to record a failed invoice payment on the sponsor
+async function recordPaymentFailure(sponsorId, invoice, eventId) {
+  const sponsorRef = db.collection('sponsors').doc(sponsorId);
 
-    console.log(`Challenge IDs to check: ${challengeIds}`);
+  await db.runTransaction(async (transaction) => {
+    const sponsorDoc = await transaction.get(sponsorRef);
 
-    if (challengeIds.length === 0) {
-      console.log('No active challenges found for user');
-      return true;
+    if (!sponsorDoc.exists) {
+      throw new Error(`Sponsor ${sponsorId} not found`);
     }
 
-    // Get challenge details for active challenges (handle batch limits)
-    const allChallenges = [];
+    const previous = sponsorDoc.data();
 
-    // Process in batches of 10 (Firestore 'in' query limit)
-    for (let i = 0; i < challengeIds.length; i += 10) {
-      const batch = challengeIds.slice(i, i + 10);
-      const challengesSnapshot = await db
-        .collection('challenges')
-        .where(admin.firestore.FieldPath.documentId(), 'in', batch)
-        .get();
+    transaction.update(sponsorRef, {
+      subscriptionStatus: 'past_due',
+      paymentFailureCount: admin.firestore.FieldValue.increment(1),
+      lastPaymentFailureAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastFailedInvoiceId: invoice.id,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
 
-      challengesSnapshot.docs.forEach(doc => {
-        const challenge = doc.data();
-        challenge.id = doc.id;
-        allChallenges.push(challenge);
+    if (previous.subscriptionStatus !== 'past_due') {
+      logSubscriptionChange(transaction, {
+        sponsorId,
+        previousPlan: previous.subscriptionPlan,
+        newPlan: previous.subscriptionPlan || 'free',
+        previousStatus: previous.subscriptionStatus,
+        newStatus: 'past_due',
+        source: 'stripe_webhook',
+        reason: 'invoice_payment_failed',
+        stripeEventId: eventId,
+        stripeSubscriptionId: previous.stripeSubscriptionId
       });
     }
+  });
+}
 
-    console.log(`Found ${allChallenges.length} challenge documents`);
+// Helper function to clear payment failures after a successful invoice payment
+async function recordPaymentSuccess(sponsorId, invoice, eventId) {
+  const sponsorRef = db.collection('sponsors').doc(sponsorId);
 
-    const relevantChallenges = allChallenges.filter(challenge => {
-      const isRelevant = isActivityRelevantToServerChallenge(activity, challenge, data);
-      console.log(`Challenge ${challenge.title} (type: ${challenge.type}) relevant to ${activity}: ${isRelevant}`);
-      return isRelevant;
-    });
+  await db.runTransaction(async (transaction) => {
+    const sponsorDoc = await transaction.get(sponsorRef);
 
-    console.log(`Relevant challenges: ${relevantChallenges.length}`);
+    if (!sponsorDoc.exists) {
+      throw new Error(`Sponsor ${sponsorId} not found`);
+    }
 
-    // Update progress for relevant challenges
-    for (const challenge of relevantChallenges) {
-      const progressValue = calculateServerProgressForActivity(activity, challenge, data);
-      console.log(`Progress value for ${challenge.title}: ${progressValue}`);
+    const previous = sponsorDoc.data();
+    const updates = {
+      paymentFailureCount: 0,
+      lastPaymentAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
 
-      if (progressValue > 0) {
-        const success = await updateServerChallengeProgress(userId, challenge.id, progressValue);
-        console.log(`Update challenge ${challenge.title} progress: ${success}`);
-      }
+    // Only a past_due subscription is recovered by a payment; canceled stays canceled
+    if (previous.subscriptionStatus === 'past_due') {
+      updates.subscriptionStatus = 'active';
+
+      logSubscriptionChange(transaction, {
+        sponsorId,
+        previousPlan: previous.subscriptionPlan,
+        newPlan: previous.subscriptionPlan || 'free',
+        previousStatus: 'past_due',
+        newStatus: 'active',
+        source: 'stripe_webhook',
+        reason: 'invoice_paid',
+        stripeEventId: eventId,
+        stripeSubscriptionId: previous.stripeSubscriptionId
+      });
     }
 
-    console.log(`=== CHALLENGE PROGRESS UPDATE COMPLETE (SERVER) ===`);
-    return true;
-  } catch (error) {
-    console.error('Failed to update user challenge progress (server):', error);
-    return false;
-  }
+    transaction.update(sponsorRef, updates);
+  });
 }
 
-/**
- * Check if activity is relevant to challenge (server-side)
- */
-function isActivityRelevantToServerChallenge(activity, challenge, data) {
-  console.log(`Checking if activity '${activity}' is relevant to challenge '${challenge.title}' (type: '${challenge.type}')`);
+// Helper function to apply a verified Stripe event to Firestore
+async function handleStripeEvent(event) {
+  const stripeObject = event.data.object;
+  const context = { source: 'stripe_webhook', stripeEventId: event.id };
 
-  const isRelevant = (() => {
-    switch (activity) {
-      case 'SPOT_DISCOVERED':
-        return challenge.type?.includes('DISCOVERY') ||
-               challenge.type?.includes('EXPLORATION') ||
-               challenge.type?.includes('ACHIEVEMENT') ||
-               challenge.type?.includes('COLLECTION') ||
-               challenge.type?.includes('STREAK');
-
-      case 'SOCIAL_SHARE':
-        return challenge.type?.includes('SOCIAL');
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      if (stripeObject.mode !== 'subscription' || !stripeObject.subscription) {
+        return 'ignored';
+      }
 
-      case 'DAILY_LOGIN':
-        return challenge.isDailyChallenge || challenge.type?.includes('STREAK');
+      const sponsorId = await findSponsorIdForStripeObject(stripeObject);
+      if (!sponsorId) {
+        return 'unmatched';
+      }
 
-      case 'CATEGORY_COMPLETION':
-        const category = data.category;
-        return category && challenge.requiredCategories?.includes(category);
+      const subscriptionId = typeof stripeObject.subscription === 'string'
+        ? stripeObject.subscription
+        : stripeObject.subscription.id;
+      const subscription = await getStripe().subscriptions.retrieve(subscriptionId);
 
-      default:
-        return false;
+      await applyStripeSubscriptionToSponsor(sponsorId, subscription, context);
+      return 'processed';
     }
-  })();
 
-  console.log(`Activity '${activity}' relevant to challenge '${challenge.title}': ${isRelevant}`);
-  return isRelevant;
-}
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted': {
+      const sponsorId = await findSponsorIdForStripeObject(stripeObject);
+      if (!sponsorId) {
+        return 'unmatched';
+      }
 
-/**
- * Calculate progress value for activity (server-side)
- */
-function calculateServerProgressForActivity(activity, challenge, data) {
-  // Simple implementation - could be enhanced based on challenge difficulty, etc.
-  switch (activity) {
-    case 'SPOT_DISCOVERED':
-      return 1;
-    case 'SOCIAL_SHARE':
-      return 1;
-    case 'DAILY_LOGIN':
-      return 1;
-    case 'CATEGORY_COMPLETION':
-      return 1;
-    default:
-      return 0;
-  }
-}
+      // Events can arrive out of order, so apply the subscription as it is now rather than
+      // the snapshot in the event; a late older event then can't undo a newer one
+      const subscription = await getStripe().subscriptions.retrieve(stripeObject.id);
 
-/**
- * Update specific challenge progress (server-side)
- */
-async function updateServerChallengeProgress(userId, challengeId, progress) {
-  try {
-    const progressDocId = `${userId}_${challengeId}`;
+      await applyStripeSubscriptionToSponsor(sponsorId, subscription, context);
+      return 'processed';
+    }
 
-    // Get current challenge info
-    const challengeDoc = await db.collection('challenges').doc(challengeId).get();
-    if (!challengeDoc.exists) {
-      console.error(`Challenge ${challengeId} not found`);
-      return false;
+    case 'invoice.payment_failed': {
+      const sponsorId = await findSponsorIdForStripeObject(stripeObject);
+      if (!sponsorId) {
+        return 'unmatched';
+      }
+
+      await recordPaymentFailure(sponsorId, stripeObject, event.id);
+      return 'processed';
     }
 
-    const challenge = challengeDoc.data();
-    if (!challenge) {
-      console.error(`Challenge ${challengeId} has no data`);
-      return false;
+    case 'invoice.paid': {
+      const sponsorId = await findSponsorIdForStripeObject(stripeObject);
+      if (!sponsorId) {
+        return 'unmatched';
+      }
+
+      await recordPaymentSuccess(sponsorId, stripeObject, event.id);
+      return 'processed';
     }
-    challenge.id = challengeDoc.id;
 
-    // Get or create user progress document
-    const progressRef = db.collection('user_challenges').doc(progressDocId);
-    const currentProgressDoc = await progressRef.get();
+    default:
+      return 'ignored';
+  }
+}
 
-    const currentProgress = currentProgressDoc.exists
-      ? currentProgressDoc.data() || {}
-      : {
-          id: progressDocId,
-          userId: userId,
-          challengeId: challengeId,
-          currentProgress: 0,
-          targetValue: challenge.targetValue,
-          started: true,
-          completed: false,
-          startedAt: admin.firestore.FieldValue.serverTimestamp(),
-          difficulty: challenge.difficulty
-        };
+// How long a 'processing' ledger entry blocks redelivery before another attempt may take over
+const WEBHOOK_PROCESSING_LEASE_MS = 5 * 60 * 1000;
 
-    // Update progress
-    const newProgress = Math.min((currentProgress.currentProgress || 0) + progress, challenge.targetValue);
-    const isCompleted = newProgress >= challenge.targetValue;
+// Stripe webhook (raw body, signature verified)
+app.post('/billing/webhook', async (req, res) => {
+  const signature = req.headers['stripe-signature'];
 
-    const updatedProgress = {
-      ...currentProgress,
-      currentProgress: newProgress,
-      progressPercentage: Math.min((newProgress / challenge.targetValue) * 100, 100),
-      completed: isCompleted,
-      lastProgressAt: admin.firestore.FieldValue.serverTimestamp(),
-      ...(isCompleted && !(currentProgress.completed) && {
-        completedAt: admin.firestore.FieldValue.serverTimestamp(),
-        xpEarned: challenge.xpReward
-      })
-    };
+  if (!signature) {
+    return res.status(400).json({ error: 'Missing Stripe signature' });
+  }
 
-    await progressRef.set(updatedProgress);
+  let event;
+  try {
+    // Cloud Functions pre-parses JSON bodies; rawBody holds the exact bytes Stripe signed
+    event = constructWebhookEvent(req.rawBody || req.body, signature);
+  } catch (error) {
+    console.error('Stripe webhook signature verification failed:', error.message);
+    return res.status(400).json({ error: 'Invalid Stripe signature' });
+  }
 
-    // If challenge was just completed, send completion notification and award XP
-    if (isCompleted && !(currentProgress.completed)) {
-      console.log(`🏆 CHALLENGE COMPLETED! Awarding ${challenge.xpReward} XP for: ${challenge.title}`);
+  const eventRef = db.collection('stripe_webhook_events').doc(event.id);
 
-      // Award XP to user
-      const userRef = db.collection('users').doc(userId);
-      const userDoc = await userRef.get();
+  try {
+    // Claim the event in the ledger so each event is applied exactly once
+    const claim = await db.runTransaction(async (transaction) => {
+      const eventDoc = await transaction.get(eventRef);
 
-      if (userDoc.exists) {
-        const userData = userDoc.data();
-        const currentXp = userData?.xpPoints || userData?.xp || 0;
-        const newXp = currentXp + challenge.xpReward;
+      if (eventDoc.exists) {
+        const existing = eventDoc.data();
 
-        await userRef.update({
-          xpPoints: newXp,
-          xp: newXp,
-          lastXpUpdate: admin.firestore.FieldValue.serverTimestamp()
-        });
+        if (existing.status === 'processed' || existing.status === 'ignored' || existing.status === 'unmatched') {
+          return { duplicate: true };
+        }
 
-        console.log(`Awarded ${challenge.xpReward} XP to user ${userId} for challenge completion. New XP: ${newXp}`);
+        const startedAt = existing.processingStartedAt ? existing.processingStartedAt.toMillis() : 0;
+        if (existing.status === 'processing' && Date.now() - startedAt < WEBHOOK_PROCESSING_LEASE_MS) {
+          return { inFlight: true };
+        }
       }
 
-      // Send challenge completion notification
-      await sendChallengeCompletionNotification(userId, challenge.title, challenge.xpReward);
+      transaction.set(eventRef, {
+        type: event.type,
+        livemode: event.livemode === true,
+        stripeCreatedAt: admin.firestore.Timestamp.fromMillis(event.created * 1000),
+        status: 'processing',
+        attempts: admin.firestore.FieldValue.increment(1),
+        processingStartedAt: admin.firestore.Timestamp.now(),
+        receivedAt: eventDoc.exists ? eventDoc.data().receivedAt : admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      return { claimed: true };
+    });
 
-      // Update challenge completion stats
-      await updateChallengeCompletionStats(challengeId);
+    if (claim.duplicate) {
+      console.log(`Stripe event ${event.id} already handled, skipping`);
+      return res.json({ received: true, duplicate: true });
     }
 
-    console.log(`Updated challenge progress: ${challengeId}, progress: ${newProgress}/${challenge.targetValue}, completed: ${isCompleted}`);
-    return true;
-  } catch (error) {
-    console.error(`Failed to update server challenge progress for ${challengeId}:`, error);
-    return false;
-  }
-}
+    if (claim.inFlight) {
+      // Ask Stripe to retry later in case the in-flight attempt fails
+      return res.status(409).json({ error: 'Event is already being processed' });
+    }
 
-/**
- * Send challenge completion notification
- */
-async function sendChallengeCompletionNotification(userId, challengeTitle, xpReward) {
-  try {
-    const payload = {
-      title: 'Challenge Complete! 🏆',
-      body: `You completed "${challengeTitle}" and earned ${xpReward} XP!`,
-      data: {
-        type: 'challenge_completed',
-        challengeTitle: challengeTitle,
-        xpReward: xpReward.toString()
-      }
-    };
+    const outcome = await handleStripeEvent(event);
 
-    // Create notification record
-    const notificationRef = await db.collection('notifications').add({
-      title: payload.title,
-      body: payload.body,
-      type: 'single',
-      targetUserId: userId,
-      city: null,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      sent: false
+    await eventRef.update({
+      status: outcome,
+      processedAt: admin.firestore.FieldValue.serverTimestamp(),
+      error: admin.firestore.FieldValue.delete()
     });
 
-    // Send the notification
-    const result = await sendSingleNotificationInternal(notificationRef.id, userId, payload);
-
-    // Mark as sent if successful
-    if (result.success) {
-      await notificationRef.update({ sent: true });
-      console.log(`✓ Challenge completion notification sent successfully to user ${userId}`);
-    } else {
-      console.error(`✗ Challenge completion notification failed to send to user ${userId}: ${result.error}`);
-      await notificationRef.update({
-        sent: false,
-        error: result.error
-      });
+    if (outcome === 'unmatched') {
+      console.warn(`Stripe event ${event.id} (${event.type}) did not match any sponsor`);
     }
 
-    console.log(`Challenge completion notification triggered for user: ${userId}, challenge: ${challengeTitle}`);
+    res.json({ received: true });
   } catch (error) {
-    console.error('Error sending challenge completion notification:', error);
-  }
-}
-
-/**
- * Update challenge completion statistics
- */
-async function updateChallengeCompletionStats(challengeId) {
-  try {
-    console.log(`📊 UPDATING CHALLENGE COMPLETION STATS: challengeId=${challengeId}`);
+    console.error(`Stripe webhook ${event.id} (${event.type}) failed:`, error);
 
-    await db.collection('challenges').doc(challengeId).update({
-      completionCount: admin.firestore.FieldValue.increment(1)
-    });
+    await eventRef.set({
+      status: 'failed',
+      error: error.message,
+      failedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true }).catch(() => {});
 
-    console.log(`📊 CHALLENGE COMPLETION STATS UPDATED: challengeId=${challengeId}`);
-  } catch (error) {
-    console.error('Failed to update challenge completion stats:', error);
+    // Non-2xx makes Stripe redeliver the event
+    res.status(500).json({ error: 'Webhook processing failed' });
   }
-}
+});
 
-/**
- * Create user notification document
- */
-async function createUserNotification(userId, notificationId, payload) {
-  const userNotificationData = {
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: Date.now() });
+});
+
+// Export the API as a Cloud Function
+const api = functions.https.onRequest(app);
+
+// ================================
+// BILLING SCHEDULED JOBS
+// ================================
+
+// Trial warning windows, most urgent first
+const TRIAL_WARNING_WINDOWS = [
+  { key: '1_hour', msBefore: 60 * 60 * 1000, label: '1 hour', resultKey: 'warnings1Hour' },
+  { key: '1_day', msBefore: 24 * 60 * 60 * 1000, label: '1 day', resultKey: 'warnings1Day' },
+  { key: '3_days', msBefore: 3 * 24 * 60 * 60 * 1000, label: '3 days', resultKey: 'warnings3Days' }
+];
+
+/**
+ * Record a single-user notification and deliver it (FCM + user inbox)
+ */
+async function sendUserNotificationInternal(userId, payload, metadata = {}) {
+  const notificationRef = await db.collection('notifications').add({
     title: payload.title,
     body: payload.body,
-    read: false,
+    type: 'single',
+    targetUserId: userId,
+    ...metadata,
     timestamp: admin.firestore.FieldValue.serverTimestamp(),
-    notificationId,
-    ...(payload.imageUrl && { imageUrl: payload.imageUrl })
-  };
+    sent: false
+  });
 
-  await db
-    .collection('users')
-    .doc(userId)
-    .collection('notifications')
-    .add(userNotificationData);
-}
+  const result = await sendSingleNotificationInternal(notificationRef.id, userId, payload);
 
-/**
- * Send FCM message to a single token
- */
-async function sendToToken(token, payload) {
-  try {
-    const message = {
-      notification: {
-        title: payload.title,
-        body: payload.body,
-        ...(payload.imageUrl && { imageUrl: payload.imageUrl })
-      },
-      data: payload.data || {},
-      token
-    };
+  await notificationRef.update({
+    sent: result.success,
+    ...(result.error && { error: result.error })
+  });
 
-    await messaging.send(message);
-    return { success: true };
-  } catch (error) {
-    console.error(`Error sending to token ${token}:`, error);
-    return { success: false, error: error.message };
-  }
+  return { ...result, notificationId: notificationRef.id };
 }
 
 /**
- * Send FCM messages to multiple tokens
+ * Send a notification to the user account that owns a sponsor
  */
-async function sendToMultipleTokens(tokens, payload) {
-  if (tokens.length === 0) {
-    return { successCount: 0, failureCount: 0, responses: [] };
-  }
+async function sendSponsorNotificationInternal(sponsorId, sponsorData, payload) {
+  const ownerUserId = sponsorData.ownerUserId || sponsorData.userId;
 
-  const message = {
-    notification: {
-      title: payload.title,
-      body: payload.body,
-      ...(payload.imageUrl && { imageUrl: payload.imageUrl })
-    },
-    data: payload.data || {},
-    tokens
-  };
+  if (!ownerUserId) {
+    console.warn(`Sponsor ${sponsorId} has no owner user, skipping notification`);
+    return { success: false, error: 'Sponsor has no owner user' };
+  }
 
-  const response = await messaging.sendEachForMulticast(message);
-  return response;
+  return sendUserNotificationInternal(ownerUserId, payload, { sponsorId });
 }
 
 /**
- * Get active users with FCM tokens
+ * Revert sponsors whose trial has ended to the free plan
  */
-async function getActiveUsers() {
-  const usersQuery = await db
-    .collection('users')
-    .where('active', '==', true)
+async function processExpiredTrials() {
+  const result = { processed: 0, expired: 0, errors: [] };
+
+  const expiredTrialsSnapshot = await db.collection('sponsors')
+    .where('subscriptionStatus', '==', 'trial')
+    .where('trialEndsAt', '<=', admin.firestore.Timestamp.now())
     .get();
 
-  const users = [];
+  for (const sponsorDoc of expiredTrialsSnapshot.docs) {
+    result.processed++;
 
-  usersQuery.docs.forEach(doc => {
-    const data = doc.data();
-    if (data.fcmToken) {
-      users.push({
-        id: doc.id,
-        fcmToken: data.fcmToken
-      });
-    }
-  });
+    try {
+      const expiredSponsor = await db.runTransaction(async (transaction) => {
+        const latestDoc = await transaction.get(sponsorDoc.ref);
+        const sponsor = latestDoc.data();
+
+        // Skip sponsors that upgraded or were already expired since the query ran
+        if (!latestDoc.exists || sponsor.subscriptionStatus !== 'trial' ||
+            !sponsor.trialEndsAt || sponsor.trialEndsAt.toMillis() > Date.now()) {
+          return null;
+        }
 
-  return users;
-}
+        transaction.update(sponsorDoc.ref, {
+          subscriptionPlan: 'free',
+          subscriptionStatus: 'inactive',
+          trialExpiredAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
 
-/**
- * Get users by city with FCM tokens
- */
-async function getUsersByCity(city) {
-  const usersQuery = await db
-    .collection('users')
-    .where('city', '==', city)
-    .where('active', '==', true)
-    .get();
+        logSubscriptionChange(transaction, {
+          sponsorId: sponsorDoc.id,
+          previousPlan: sponsor.subscriptionPlan,
+          newPlan: 'free',
+          previousStatus: sponsor.subscriptionStatus,
+          newStatus: 'inactive',
+          source: 'trial_expiration',
+          reason: 'trial_ended'
+        });
 
-  const users = [];
+        return sponsor;
+      });
 
-  usersQuery.docs.forEach(doc => {
-    const data = doc.data();
-    if (data.fcmToken) {
-      users.push({
-        id: doc.id,
-        fcmToken: data.fcmToken
+      if (!expiredSponsor) {
+        continue;
+      }
+
+      result.expired++;
+      console.log(`Trial expired for sponsor ${sponsorDoc.id}, reverted to free plan`);
+
+      await sendSponsorNotificationInternal(sponsorDoc.id, expiredSponsor, {
+        title: 'Your free trial has ended',
+        body: `Your ${expiredSponsor.name || 'sponsor'} trial has ended and your account is now on the Free plan. Upgrade to keep your rewards live.`,
+        data: {
+          type: 'trial_expired',
+          sponsorId: sponsorDoc.id
+        }
       });
+    } catch (error) {
+      console.error(`Failed to expire trial for sponsor ${sponsorDoc.id}:`, error);
+      result.errors.push({ sponsorId: sponsorDoc.id, error: error.message });
     }
-  });
+  }
 
-  return users;
+  return result;
 }
 
 /**
- * Internal function to send single notification (for use within other functions)
+ * Warn sponsors 3 days, 1 day and 1 hour before their trial ends
+ * Each window is sent at most once (tracked in trialWarningsSent)
  */
-async function sendSingleNotificationInternal(notificationId, targetUserId, payload) {
-  try {
-    // Get the target user
-    const userDoc = await db.collection('users').doc(targetUserId).get();
+async function sendTrialExpirationWarnings() {
+  const result = { warnings3Days: 0, warnings1Day: 0, warnings1Hour: 0, errors: [] };
+  const now = Date.now();
+  const widestWindowMs = TRIAL_WARNING_WINDOWS[TRIAL_WARNING_WINDOWS.length - 1].msBefore;
+
+  const endingTrialsSnapshot = await db.collection('sponsors')
+    .where('subscriptionStatus', '==', 'trial')
+    .where('trialEndsAt', '>', admin.firestore.Timestamp.fromMillis(now))
+    .where('trialEndsAt', '<=', admin.firestore.Timestamp.fromMillis(now + widestWindowMs))
+    .get();
 
-    if (!userDoc.exists) {
-      return {
-        success: false,
-        error: 'User not found'
-      };
-    }
+  for (const sponsorDoc of endingTrialsSnapshot.docs) {
+    try {
+      const sponsor = sponsorDoc.data();
+      const remainingMs = sponsor.trialEndsAt.toMillis() - now;
+      const windowIndex = TRIAL_WARNING_WINDOWS.findIndex(window => remainingMs <= window.msBefore);
+      const warningWindow = TRIAL_WARNING_WINDOWS[windowIndex];
 
-    const userData = userDoc.data();
+      if (!warningWindow || (sponsor.trialWarningsSent || []).includes(warningWindow.key)) {
+        continue;
+      }
 
-    if (!userData || !userData.active) {
-      return {
-        success: false,
-        error: 'User is not active'
-      };
-    }
+      // Claim this window (and any wider ones it supersedes) so overlapping runs don't double-send
+      const windowKeys = TRIAL_WARNING_WINDOWS.slice(windowIndex).map(window => window.key);
+      const claimed = await db.runTransaction(async (transaction) => {
+        const latestDoc = await transaction.get(sponsorDoc.ref);
+        const alreadySent = latestDoc.data().trialWarningsSent || [];
 
-    if (!userData.fcmToken) {
-      return {
-        success: false,
-        error: 'User has no FCM token'
-      };
-    }
+        if (alreadySent.includes(warningWindow.key)) {
+          return false;
+        }
 
-    // Send FCM message
-    const fcmResult = await sendToToken(userData.fcmToken, payload);
+        transaction.update(sponsorDoc.ref, {
+          trialWarningsSent: admin.firestore.FieldValue.arrayUnion(...windowKeys),
+          lastTrialWarningAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return true;
+      });
 
-    // Create user notification document
-    await createUserNotification(targetUserId, notificationId, payload);
+      if (!claimed) {
+        continue;
+      }
 
-    return {
-      success: fcmResult.success,
-      error: fcmResult.error,
-      deliveredCount: fcmResult.success ? 1 : 0,
-      failedCount: fcmResult.success ? 0 : 1
-    };
+      await sendSponsorNotificationInternal(sponsorDoc.id, sponsor, {
+        title: 'Your free trial is ending soon ⏰',
+        body: `Your trial ends in ${warningWindow.label}. Choose a plan to keep your rewards and analytics active.`,
+        data: {
+          type: 'trial_warning',
+          sponsorId: sponsorDoc.id,
+          warning: warningWindow.key,
+          trialEndsAt: sponsor.trialEndsAt.toMillis().toString()
+        }
+      });
 
-  } catch (error) {
-    console.error('Error sending single notification:', error);
-    return {
-      success: false,
-      error: error.message
-    };
+      result[warningWindow.resultKey]++;
+    } catch (error) {
+      console.error(`Failed to send trial warning to sponsor ${sponsorDoc.id}:`, error);
+      result.errors.push({ sponsorId: sponsorDoc.id, error: error.message });
+    }
   }
+
+  return result;
 }
 
 /**
- * Get specific users by IDs with FCM tokens
+ * SCHEDULED FUNCTION: Process expired trials
+ * Runs hourly so trials end close to trialEndsAt
  */
-async function getUsersByIds(userIds) {
-  const users = [];
+const processTrialExpirations = pubsub.schedule('0 * * * *').onRun(async (context) => {
+  try {
+    console.log('Starting scheduled trial expiration job...');
 
-  // Firestore 'in' queries are limited to 10 items, so we batch them
-  const chunks = [];
-  for (let i = 0; i < userIds.length; i += 10) {
-    chunks.push(userIds.slice(i, i + 10));
-  }
+    const result = await processExpiredTrials();
 
-  for (const chunk of chunks) {
-    const usersQuery = await db
-      .collection('users')
-      .where(admin.firestore.FieldPath.documentId(), 'in', chunk)
-      .where('active', '==', true)
-      .get();
+    console.log(`Trial expiration job completed: processed ${result.processed}, expired ${result.expired}, errors ${result.errors.length}`);
+    if (result.errors.length > 0) {
+      console.error('Errors during trial expiration:', result.errors);
+    }
 
-    usersQuery.docs.forEach(doc => {
-      const data = doc.data();
-      if (data.fcmToken) {
-        users.push({
-          id: doc.id,
-          fcmToken: data.fcmToken
-        });
-      }
-    });
+    return null;
+  } catch (error) {
+    console.error('Fatal error in trial expiration job:', error);
+    return null;
   }
+});
 
-  return users;
-}
+/**
+ * SCHEDULED FUNCTION: Send trial expiration warnings
+ * Runs hourly so the 1-hour warning can be delivered on time
+ */
+const sendTrialWarnings = pubsub.schedule('30 * * * *').onRun(async (context) => {
+  try {
+    console.log('Starting scheduled trial warning job...');
 
-// ================================
-// CLOUD FUNCTIONS
-// ================================
+    const result = await sendTrialExpirationWarnings();
 
+    console.log(`Trial warning job completed: 3 days ${result.warnings3Days}, 1 day ${result.warnings1Day}, 1 hour ${result.warnings1Hour}, errors ${result.errors.length}`);
+    if (result.errors.length > 0) {
+      console.error('Errors during trial warnings:', result.errors);
+    }
 
+    return null;
+  } catch (error) {
+    console.error('Fatal error in trial warning job:', error);
+    return null;
+  }
+});
 
 // ================================
-// GEOHASH COMPUTATION FUNCTIONS
+// HELPER FUNCTIONS
 // ================================
 
 /**
- * Award XP for various user actions
+ * Count an activity event towards the user's started challenges and their teams' challenges
+ * eventId identifies the event (e.g. `like:{spotId}`), so it counts at most once per challenge
+ * What counts, and by how much, is declared by each challenge (see challengeProgress.js)
  */
-async function awardUserXP(userId, action, amount, metadata = {}) {
-  return await db.runTransaction(async (transaction) => {
-    const userRef = db.collection('users').doc(userId);
-    const userDoc = await transaction.get(userRef);
+async function updateUserChallengeProgress(userId, activity, eventId, data = {}) {
+  try {
+    const userChallengesSnapshot = await db
+      .collection('user_challenges')
+      .where('userId', '==', userId)
+      .where('started', '==', true)
+      .where('completed', '==', false)
+      .get();
 
-    if (!userDoc.exists) {
-      throw new Error(`User ${userId} not found`);
-    }
+    const challengeIds = userChallengesSnapshot.docs
+      .map(doc => doc.data().challengeId)
+      .filter(Boolean);
 
-    const userData = userDoc.data();
-    const currentXP = userData.xpPoints || 0;
-    const newTotalXP = currentXP + amount;
+    await updateTeamChallengeProgress(userId, activity, eventId, data)
+      .catch(error => console.error(`Failed to update team challenge progress for ${userId}:`, error));
 
-    // Calculate level progression
-    const currentLevel = calculateLevel(currentXP);
-    const newLevel = calculateLevel(newTotalXP);
-    const leveledUp = newLevel > currentLevel;
+    if (challengeIds.length === 0) {
+      return true;
+    }
 
-    // Update user document
-    const updates = {
-      xpPoints: newTotalXP,
-      level: newLevel,
-      lastActiveAt: admin.firestore.FieldValue.serverTimestamp()
-    };
+    // Get challenge details for active challenges (handle batch limits)
+    const allChallenges = [];
 
-    // Update relevant counters
-    if (action === 'VISIT_SPOT') {
-      updates.spotsDiscovered = (userData.spotsDiscovered || 0) + 1;
-    } else if (action === 'COMPLETE_CHALLENGE') {
-      updates.challengesCompleted = (userData.challengesCompleted || 0) + 1;
-    }
+    // Process in batches of 10 (Firestore 'in' query limit)
+    for (let i = 0; i < challengeIds.length; i += 10) {
+      const batch = challengeIds.slice(i, i + 10);
+      const challengesSnapshot = await db
+        .collection('challenges')
+        .where(admin.firestore.FieldPath.documentId(), 'in', batch)
+        .get();
 
-    transaction.update(userRef, updates);
+      challengesSnapshot.docs.forEach(doc => {
+        const challenge = doc.data();
+        challenge.id = doc.id;
+        allChallenges.push(challenge);
+      });
+    }
 
-    // Log the XP transaction
-    transaction.create(db.collection('xpTransactions').doc(), {
-      userId,
-      action,
-      amount,
-      description: metadata.description || `XP for ${action}`,
-      previousXP: currentXP,
-      newXP: newTotalXP,
-      previousLevel: currentLevel,
-      newLevel: newLevel,
-      leveledUp,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      type: 'AWARD',
-      ...metadata
-    });
+    for (const challenge of allChallenges) {
+      if (!isChallengeOpen(challenge) || challenge.teamChallenge) continue;
 
-    return { newTotalXP, newLevel, leveledUp };
-  });
-}
+      const progress = getChallengeProgressForEvent(challenge, activity, data);
+      if (!progress) continue;
 
-/**
- * Check for duplicate XP awards to prevent cheating
- */
-async function checkForDuplicateAward(userId, action, resourceId) {
-  const existingAward = await db.collection('xpTransactions')
-    .where('userId', '==', userId)
-    .where('action', '==', action)
-    .where('spotId', '==', resourceId)
-    .where('type', '==', 'AWARD')
-    .limit(1)
-    .get();
+      await updateServerChallengeProgress(userId, challenge, progress.amount, {
+        absolute: progress.absolute,
+        activity,
+        eventId
+      });
+    }
 
-  if (!existingAward.empty) {
-    const doc = existingAward.docs[0].data();
-    return { exists: true, amount: doc.amount };
+    return true;
+  } catch (error) {
+    console.error(`Failed to update challenge progress for ${userId} (${activity}):`, error);
+    return false;
   }
-
-  return { exists: false };
-}
-
-/**
- * Calculate user level based on XP using a progression formula
- */
-function calculateLevel(xp) {
-  if (xp < 0) return 1;
-
-  // Level progression: Level = floor(sqrt(XP / 100)) + 1
-  // This means: Level 1: 0-99 XP, Level 2: 100-399 XP, Level 3: 400-899 XP, etc.
-  return Math.floor(Math.sqrt(xp / 100)) + 1;
-}
-
-/**
- * Calculate user level from total XP (from TypeScript backup)
- * Formula: Level = floor(XP / 500) + 1
- */
-function calculateXPLevel(xp) {
-  return Math.floor(xp / 500) + 1;
-}
-
-/**
- * Create idempotency key to prevent duplicate XP awards
- */
-function createIdempotencyKey(userId, action, entityId, timestamp) {
-  const entity = entityId || 'global';
-  // Round timestamp to nearest second to allow some tolerance
-  const roundedTime = Math.floor(timestamp / 1000);
-  return `${userId}_${action}_${entity}_${roundedTime}`;
 }
 
 /**
- * Check if user is on cooldown for this action
+ * Whether a challenge still accepts progress
  */
-async function checkCooldown(transaction, userId, action, entityId, rule) {
-  const cooldownMs = rule.cooldown * 60 * 1000;
-  const cutoffTime = admin.firestore.Timestamp.fromMillis(Date.now() - cooldownMs);
-
-  let query = db.collection('users').doc(userId).collection('xpHistory')
-    .where('action', '==', action)
-    .where('awardedAt', '>', cutoffTime)
-    .orderBy('awardedAt', 'desc')
-    .limit(1);
-
-  // If entityId provided, check per-entity cooldown
-  if (entityId) {
-    query = query.where('entityId', '==', entityId);
-  }
-
-  const recentHistory = await transaction.get(query);
-
-  if (!recentHistory.empty) {
-    const lastAward = recentHistory.docs[0].data();
-    const lastAwardTime = lastAward.awardedAt.toMillis();
-    const remainingMs = cooldownMs - (Date.now() - lastAwardTime);
-    const remainingSeconds = Math.ceil(remainingMs / 1000);
-
-    const minutes = Math.floor(remainingSeconds / 60);
-    const seconds = remainingSeconds % 60;
-    const timeStr = minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
-
-    return {
-      allowed: false,
-      reason: `Please wait ${timeStr} before earning XP from this action again`,
-      remainingSeconds
-    };
+function isChallengeOpen(challenge, now = Date.now()) {
+  if (challenge.isActive === false || !(challenge.targetValue > 0)) {
+    return false;
   }
 
-  return { allowed: true };
-}
-
-/**
- * Check if user has reached daily limit for this action
- */
-async function checkDailyLimit(transaction, userId, action, rule) {
-  // Get start of today (midnight in server timezone)
-  const now = new Date();
-  const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const cutoffTime = admin.firestore.Timestamp.fromDate(startOfDay);
-
-  const todayQuery = db.collection('users').doc(userId).collection('xpHistory')
-    .where('action', '==', action)
-    .where('awardedAt', '>', cutoffTime);
-
-  const todayHistory = await transaction.get(todayQuery);
-  const currentCount = todayHistory.size;
-
-  if (currentCount >= rule.maxDaily) {
-    return {
-      allowed: false,
-      reason: `Daily limit reached (${rule.maxDaily} times per day)`,
-      currentCount
-    };
-  }
+  const endDate = challenge.endDate && typeof challenge.endDate.toMillis === 'function'
+    ? challenge.endDate.toMillis()
+    : null;
 
-  return { allowed: true };
+  return !(challenge.isTimeLimited && endDate !== null && endDate < now);
 }
 
 /**
- * Check and unlock badges for a user based on XP and level
- * Runs asynchronously after XP award to avoid blocking
+ * Add progress to one challenge for an event (server-side)
+ * The event is recorded under user_challenges/{id}/countedEvents in the same transaction,
+ * so a repeated event is ignored. With absolute, progress replaces the current value.
  */
-async function checkAndUnlockBadges(userId, xp, level) {
+async function updateServerChallengeProgress(userId, challenge, progress, { absolute = false, activity, eventId }) {
   try {
-    // Get all badge definitions
-    const badgeDefsSnapshot = await db.collection('badgeDefinitions').get();
-
-    if (badgeDefsSnapshot.empty) {
-      console.log('No badge definitions found');
-      return;
-    }
+    const progressRef = db.collection('user_challenges').doc(`${userId}_${challenge.id}`);
+    const eventRef = progressRef.collection('countedEvents').doc(eventId);
 
-    // Get user's existing badges
-    const userBadgesSnapshot = await db.collection('users')
-      .doc(userId)
-      .collection('badges')
-      .get();
+    const result = await db.runTransaction(async (transaction) => {
+      const [progressDoc, eventDoc] = await Promise.all([
+        transaction.get(progressRef),
+        transaction.get(eventRef)
+      ]);
 
-    const existingBadgeIds = new Set(
-      userBadgesSnapshot.docs.map(doc => doc.data().badgeId)
-    );
+      if (!progressDoc.exists || eventDoc.exists) {
+        return { counted: false };
+      }
 
-    // Check each badge definition
-    const unlockPromises = [];
+      const currentProgress = progressDoc.data();
+      if (currentProgress.completed) {
+        return { counted: false };
+      }
 
-    for (const badgeDoc of badgeDefsSnapshot.docs) {
-      const badge = badgeDoc.data();
-      const badgeId = badgeDoc.id;
+      const previousProgress = currentProgress.currentProgress || 0;
+      const newProgress = Math.min(absolute ? progress : previousProgress + progress, challenge.targetValue);
+      const isCompleted = newProgress >= challenge.targetValue;
+
+      transaction.update(progressRef, {
+        currentProgress: newProgress,
+        targetValue: challenge.targetValue,
+        progressPercentage: Math.min((newProgress / challenge.targetValue) * 100, 100),
+        completed: isCompleted,
+        lastProgressAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...(isCompleted && {
+          completedAt: admin.firestore.FieldValue.serverTimestamp(),
+          rewardStatus: challenge.requiresClaim ? 'CLAIMABLE' : 'PENDING'
+        })
+      });
 
-      // Skip if already unlocked
-      if (existingBadgeIds.has(badgeId)) {
-        continue;
+      if (isCompleted) {
+        addChallengeAuditEntry(transaction, progressRef, 'COMPLETED', { type: 'system' }, {
+          eventId,
+          requiresClaim: challenge.requiresClaim === true
+        });
       }
 
-      // Check unlock conditions
-      let shouldUnlock = false;
+      transaction.set(eventRef, {
+        eventId,
+        activity,
+        progressBefore: previousProgress,
+        progressAfter: newProgress,
+        countedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
 
-      if (badge.unlockType === 'xp' && xp >= (badge.requiredXP || 0)) {
-        shouldUnlock = true;
-      } else if (badge.unlockType === 'level' && level >= (badge.requiredLevel || 0)) {
-        shouldUnlock = true;
-      } else if (badge.unlockType === 'milestone') {
-        // Check milestone conditions
-        const userDoc = await db.collection('users').doc(userId).get();
-        const userData = userDoc.data();
+      return { counted: true, newProgress, isCompleted };
+    });
 
-        if (badge.milestoneType === 'spotsDiscovered' &&
-            (userData?.spotsDiscovered || 0) >= (badge.requiredCount || 0)) {
-          shouldUnlock = true;
-        } else if (badge.milestoneType === 'challengesCompleted' &&
-                   (userData?.challengesCompleted || 0) >= (badge.requiredCount || 0)) {
-          shouldUnlock = true;
-        }
-      }
+    if (!result.counted) {
+      return false;
+    }
 
-      if (shouldUnlock) {
-        unlockPromises.push(unlockBadge(userId, badgeId, badge));
+    if (result.isCompleted) {
+      if (challenge.requiresClaim) {
+        await sendChallengeCompletionNotification(userId, challenge, { claimable: true });
+      } else {
+        await payoutChallengeReward(userId, challenge, { type: 'system' });
       }
     }
 
-    await Promise.all(unlockPromises);
-
+    console.log(`Updated challenge progress: ${challenge.id}, progress: ${result.newProgress}/${challenge.targetValue}, completed: ${result.isCompleted}`);
+    return true;
   } catch (error) {
-    console.error('Error checking badges:', error);
-    // Don't throw - badge unlocking is non-critical
+    console.error(`Failed to update server challenge progress for ${challenge.id}:`, error);
+    return false;
   }
 }
 
 /**
- * Unlock a specific badge for a user
+ * Record a step of a user challenge (completion, claim, payout, rewards) in its audit trail
  */
-async function unlockBadge(userId, badgeId, badgeData) {
-  try {
-    const badgeRef = db.collection('users').doc(userId).collection('badges').doc(badgeId);
-
-    await badgeRef.set({
-      badgeId,
-      badgeTitle: badgeData.title || '',
-      badgeDescription: badgeData.description || '',
-      badgeType: badgeData.type || 'achievement',
-      badgeLevel: badgeData.level || 1,
-      badgeImageUrl: badgeData.imageUrl || '',
-      earnedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
-
-    console.log(`🏆 Badge Unlocked: ${badgeData.title} for user ${userId}`);
-
-    // TODO: Send push notification about badge unlock
-
-  } catch (error) {
-    console.error(`Failed to unlock badge ${badgeId} for user ${userId}:`, error);
-  }
+function addChallengeAuditEntry(writer, progressRef, event, actor, details = {}) {
+  writer.set(progressRef.collection('audit').doc(), {
+    event,
+    actor,
+    ...details,
+    at: admin.firestore.FieldValue.serverTimestamp()
+  });
 }
 
 /**
- * Check if user is an admin
+ * Whether a sponsor reward can still be handed out
  */
-async function checkIsAdmin(uid) {
-  try {
-    // Check adminUsers collection
-    const adminDoc = await db.collection('adminUsers').doc(uid).get();
-    if (adminDoc.exists) {
-      const adminData = adminDoc.data();
-      return ['SUPER_ADMIN', 'ADMIN'].includes(adminData.role) && adminData.isActive === true;
-    }
-
-    // Check users collection
-    const userDoc = await db.collection('users').doc(uid).get();
-    if (userDoc.exists) {
-      const userData = userDoc.data();
-      return ['superadmin', 'admin'].includes(userData.role);
-    }
-
+function isSponsorRewardAvailable(reward) {
+  if (!reward.active) {
     return false;
-  } catch (error) {
-    console.error('Error checking admin status:', error);
+  }
+
+  if (reward.expiresAt && typeof reward.expiresAt.toDate === 'function' && reward.expiresAt.toDate() < new Date()) {
     return false;
   }
+
+  return !(reward.maxRedemptions && reward.currentRedemptions >= reward.maxRedemptions);
 }
 
 /**
- * Admin function to grant XP (CRITICAL FUNCTION)
+ * Pay out a completed challenge exactly once
+ * XP goes through the ledger together with the challengesCompleted counter, the challenge's
+ * completionCount and the optional sponsor reward (rewardSponsorRewardId), which lands in the
+ * user's redemptions like a redeemed reward. The optional badge (rewardBadgeId) is granted
+ * afterwards; unlocking is idempotent. Returns { paid, xpAwarded, sponsorRedemptionId, badgeId }.
  */
-const adminGrantXP = functions.https.onCall(async (request) => {
-  const data = request.data;
-  const auth = request.auth;
-
-  try {
-    console.log('adminGrantXP called with data:', data);
+async function payoutChallengeReward(userId, challenge, actor) {
+  const progressRef = db.collection('user_challenges').doc(`${userId}_${challenge.id}`);
+  const sponsorRewardId = challenge.rewardSponsorRewardId || null;
+  const rewardRef = sponsorRewardId ? db.collection('rewards').doc(sponsorRewardId) : null;
+  const redemptionRef = sponsorRewardId
+    ? db.collection('users').doc(userId).collection('redemptions').doc(`challenge_${challenge.id}`)
+    : null;
+  const xpReward = Number.isFinite(challenge.xpReward) && challenge.xpReward > 0 ? challenge.xpReward : 0;
+
+  const result = await db.runTransaction(async (transaction) => {
+    const [progressDoc, rewardDoc] = await Promise.all([
+      transaction.get(progressRef),
+      rewardRef ? transaction.get(rewardRef) : Promise.resolve(null)
+    ]);
+
+    if (!progressDoc.exists || !progressDoc.data().completed) {
+      throw new functions.https.HttpsError('failed-precondition', 'Challenge is not completed');
+    }
 
-    if (!auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    if (progressDoc.data().rewardStatus === 'PAID') {
+      return { paid: false };
     }
 
-    const { userId, xpAmount, reason } = data;
+    // Reads above, writes below: applyXPChange reads before it writes
+    const xpChange = await applyXPChange(transaction, {
+      userId,
+      delta: xpReward,
+      action: 'CHALLENGE_COMPLETED',
+      actor: { type: 'system' },
+      reason: `Completed challenge: ${challenge.title}`,
+      entityId: challenge.id,
+      idempotencyKey: `challenge-completed:${challenge.id}:${userId}`,
+      userUpdates: { challengesCompleted: admin.firestore.FieldValue.increment(1) }
+    });
 
-    if (!userId || !xpAmount || !reason) {
-      throw new functions.https.HttpsError('invalid-argument', 'Missing required fields: userId, xpAmount, reason');
-    }
+    // A ledger entry without rewardStatus PAID predates this pipeline; the XP was paid back then
+    const sponsorReward = rewardDoc && rewardDoc.exists ? rewardDoc.data() : null;
+    const grantSponsorReward = !xpChange.duplicate && sponsorReward !== null && isSponsorRewardAvailable(sponsorReward);
 
-    if (typeof xpAmount !== 'number' || xpAmount <= 0) {
-      throw new functions.https.HttpsError('invalid-argument', 'xpAmount must be a positive number');
+    if (!xpChange.duplicate) {
+      transaction.update(db.collection('challenges').doc(challenge.id), {
+        completionCount: admin.firestore.FieldValue.increment(1)
+      });
     }
 
-    // Update user XP
-    const userRef = db.collection('users').doc(userId);
-    const userDoc = await userRef.get();
-
-    if (!userDoc.exists) {
-      throw new functions.https.HttpsError('not-found', 'User not found');
+    if (grantSponsorReward) {
+      transaction.set(redemptionRef, {
+        rewardId: sponsorRewardId,
+        rewardTitle: sponsorReward.title,
+        sponsorId: sponsorReward.sponsorId,
+        sponsorName: sponsorReward.sponsorName || '',
+        xpUsed: 0,
+        source: 'CHALLENGE',
+        challengeId: challenge.id,
+        redeemedAt: admin.firestore.FieldValue.serverTimestamp(),
+        pendingApproval: false,
+        approved: true,
+        used: false,
+        usedAt: null,
+        redemptionQRCode: `mysteriSpots://redemption/${userId}/${redemptionRef.id}`,
+        userId
+      });
+      transaction.update(rewardRef, {
+        currentRedemptions: admin.firestore.FieldValue.increment(1)
+      });
     }
 
-    const userData = userDoc.data();
-    const currentXP = userData.xpPoints || userData.xp || 0;
-    const newXP = currentXP + xpAmount;
+    transaction.update(progressRef, {
+      rewardStatus: 'PAID',
+      rewardPaidAt: admin.firestore.FieldValue.serverTimestamp(),
+      xpEarned: xpChange.delta,
+      ...(grantSponsorReward && { sponsorRedemptionId: redemptionRef.id })
+    });
 
-    await userRef.update({
-      xpPoints: newXP,
-      xp: newXP,
-      lastXpUpdate: admin.firestore.FieldValue.serverTimestamp()
+    addChallengeAuditEntry(transaction, progressRef, 'PAID', actor, {
+      xpAwarded: xpChange.duplicate ? 0 : xpChange.delta,
+      ledgerEntryId: xpChange.entryId,
+      alreadyInLedger: xpChange.duplicate
     });
 
-    console.log(`Granted ${xpAmount} XP to user ${userId}. New total: ${newXP}`);
+    if (sponsorRewardId && !xpChange.duplicate) {
+      addChallengeAuditEntry(transaction, progressRef,
+        grantSponsorReward ? 'SPONSOR_REWARD_GRANTED' : 'SPONSOR_REWARD_UNAVAILABLE', actor, {
+          rewardId: sponsorRewardId,
+          ...(grantSponsorReward && { redemptionId: redemptionRef.id })
+        });
+    }
 
     return {
-      success: true,
-      previousXP: currentXP,
-      newXP: newXP,
-      xpGranted: xpAmount
+      paid: true,
+      xpAwarded: xpChange.duplicate ? 0 : xpChange.delta,
+      sponsorRedemptionId: grantSponsorReward ? redemptionRef.id : null,
+      sponsorReward: grantSponsorReward ? sponsorReward : null
     };
+  });
 
-  } catch (error) {
-    console.error('Error in adminGrantXP:', error);
-    if (error.code) {
-      throw error;
-    }
-    throw new functions.https.HttpsError('internal', 'Failed to grant XP');
+  if (!result.paid) {
+    return { paid: false, xpAwarded: 0, sponsorRedemptionId: null, badgeId: null };
   }
-});
-
-// Helper function to generate search tokens for efficient prefix searching
-function generateSearchTokens(fields) {
-  const tokens = new Set();
-
-  for (const field of fields) {
-    if (!field || typeof field !== 'string') continue;
 
-    const cleanField = field.trim().toLowerCase();
-    if (cleanField.length === 0) continue;
+  console.log(`🏆 Challenge ${challenge.id} paid out to ${userId}: ${result.xpAwarded} XP`);
 
-    // Generate prefixes for the whole field
-    for (let i = 1; i <= Math.min(cleanField.length, 20); i++) {
-      tokens.add(cleanField.substring(0, i));
-    }
+  let badgeId = null;
+  if (challenge.rewardBadgeId) {
+    const badgeDoc = await db.collection('badgeDefinitions').doc(challenge.rewardBadgeId).get();
 
-    // Generate prefixes for each word in the field
-    const words = cleanField.split(/\s+/);
-    for (const word of words) {
-      if (word.length > 0) {
-        for (let i = 1; i <= Math.min(word.length, 20); i++) {
-          tokens.add(word.substring(0, i));
-        }
-      }
+    if (badgeDoc.exists && await unlockBadge(userId, badgeDoc.id, badgeDoc.data())) {
+      badgeId = badgeDoc.id;
+      const batch = db.batch();
+      addChallengeAuditEntry(batch, progressRef, 'BADGE_GRANTED', actor, { badgeId });
+      await batch.commit();
     }
   }
 
-  return Array.from(tokens);
-}
-
-const generateSearchTokensOnUserUpdate = onDocumentWritten('users/{userId}', (event) => {
-  const change = event.data;
-  const data = change.after.exists ? change.after.data() : null;
+  await sendChallengeCompletionNotification(userId, challenge, {
+    xpAwarded: result.xpAwarded,
+    sponsorReward: result.sponsorReward
+  });
 
-  if (!data) {
-    // Document was deleted, nothing to do
-    return null;
-  }
+  return {
+    paid: true,
+    xpAwarded: result.xpAwarded,
+    sponsorRedemptionId: result.sponsorRedemptionId,
+    badgeId
+  };
+}
 
-  const displayName = data.displayName || '';
-  const username = data.username || '';
-  const email = data.email || '';
+/**
+ * Send challenge completion notification
+ * With claimable the user is asked to claim the reward; otherwise it reports what was paid
+ */
+async function sendChallengeCompletionNotification(userId, challenge, { claimable = false, xpAwarded = 0, sponsorReward = null } = {}) {
+  try {
+    const rewardText = sponsorReward ? ` and "${sponsorReward.title}"` : '';
 
-  // Generate search tokens
-  const searchTokens = generateSearchTokens([displayName, username, email]);
+    const payload = {
+      title: 'Challenge Complete! 🏆',
+      body: claimable
+        ? `You completed "${challenge.title}"! Claim your reward in the app.`
+        : `You completed "${challenge.title}" and earned ${xpAwarded} XP${rewardText}!`,
+      data: {
+        type: claimable ? 'challenge_claimable' : 'challenge_completed',
+        challengeId: challenge.id,
+        challengeTitle: challenge.title,
+        xpReward: String(claimable ? challenge.xpReward || 0 : xpAwarded)
+      }
+    };
 
-  // Only update if tokens changed
-  const existingTokens = data.searchTokens || [];
-  if (JSON.stringify(searchTokens.sort()) === JSON.stringify(existingTokens.sort())) {
-    return null; // No change needed
-  }
+    // Create notification record
+    const notificationRef = await db.collection('notifications').add({
+      title: payload.title,
+      body: payload.body,
+      type: 'single',
+      targetUserId: userId,
+      city: null,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      sent: false
+    });
 
-  console.log(`[generateSearchTokensOnUserUpdate] Updating search tokens for user ${event.params.userId}`);
+    // Send the notification
+    const result = await sendSingleNotificationInternal(notificationRef.id, userId, payload);
 
-  // Update the document with search tokens
+    // Mark as sent if successful
+    if (result.success) {
+      await notificationRef.update({ sent: true });
+      console.log(`✓ Challenge completion notification sent successfully to user ${userId}`);
+    } else {
+      console.error(`✗ Challenge completion notification failed to send to user ${userId}: ${result.error}`);
+      await notificationRef.update({
+        sent: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error sending challenge completion notification:', error);
+  }
+}
+
+/**
+ * Create user notification document
+ */
+async function createUserNotification(userId, notificationId, payload) {
+  const userNotificationData = {
+    title: payload.title,
+    body: payload.body,
+    read: false,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    notificationId,
+    ...(payload.imageUrl && { imageUrl: payload.imageUrl })
+  };
+
+  await db
+    .collection('users')
+    .doc(userId)
+    .collection('notifications')
+    .add(userNotificationData);
+}
+
+/**
+ * Send FCM message to a single token
+ */
+async function sendToToken(token, payload) {
+  try {
+    const message = {
+      notification: {
+        title: payload.title,
+        body: payload.body,
+        ...(payload.imageUrl && { imageUrl: payload.imageUrl })
+      },
+      data: payload.data || {},
+      token
+    };
+
+    await messaging.send(message);
+    return { success: true };
+  } catch (error) {
+    console.error(`Error sending to token ${token}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Send FCM messages to multiple tokens
+ */
+async function sendToMultipleTokens(tokens, payload) {
+  if (tokens.length === 0) {
+    return { successCount: 0, failureCount: 0, responses: [] };
+  }
+
+  const message = {
+    notification: {
+      title: payload.title,
+      body: payload.body,
+      ...(payload.imageUrl && { imageUrl: payload.imageUrl })
+    },
+    data: payload.data || {},
+    tokens
+  };
+
+  const response = await messaging.sendEachForMulticast(message);
+  return response;
+}
+
+/**
+ * Get active users with FCM tokens
+ */
+async function getActiveUsers() {
+  const usersQuery = await db
+    .collection('users')
+    .where('active', '==', true)
+    .get();
+
+  const users = [];
+
+  usersQuery.docs.forEach(doc => {
+    const data = doc.data();
+    if (data.fcmToken) {
+      users.push({
+        id: doc.id,
+        fcmToken: data.fcmToken
+      });
+    }
+  });
+
+  return users;
+}
+
+/**
+ * Get users by city with FCM tokens
+ */
+async function getUsersByCity(city) {
+  const usersQuery = await db
+    .collection('users')
+    .where('city', '==', city)
+    .where('active', '==', true)
+    .get();
+
+  const users = [];
+
+  usersQuery.docs.forEach(doc => {
+    const data = doc.data();
+    if (data.fcmToken) {
+      users.push({
+        id: doc.id,
+        fcmToken: data.fcmToken
+      });
+    }
+  });
+
+  return users;
+}
+
+/**
+ * Internal function to send single notification (for use within other functions)
+ */
+async function sendSingleNotificationInternal(notificationId, targetUserId, payload) {
+  try {
+    // Get the target user
+    const userDoc = await db.collection('users').doc(targetUserId).get();
+
+    if (!userDoc.exists) {
+      return {
+        success: false,
+        error: 'User not found'
+      };
+    }
+
+    const userData = userDoc.data();
+
+    if (!userData || !userData.active) {
+      return {
+        success: false,
+        error: 'User is not active'
+      };
+    }
+
+    if (!userData.fcmToken) {
+      return {
+        success: false,
+        error: 'User has no FCM token'
+      };
+    }
+
+    // Send FCM message
+    const fcmResult = await sendToToken(userData.fcmToken, payload);
+
+    // Create user notification document
+    await createUserNotification(targetUserId, notificationId, payload);
+
+    return {
+      inboxCreated: true,
+      success: fcmResult.success,
+      error: fcmResult.error,
+      deliveredCount: fcmResult.success ? 1 : 0,
+      failedCount: fcmResult.success ? 0 : 1
+    };
+
+  } catch (error) {
+    console.error('Error sending single notification:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Get specific users by IDs with FCM tokens
+ */
+async function getUsersByIds(userIds) {
+  const users = [];
+
+  // Firestore 'in' queries are limited to 10 items, so we batch them
+  const chunks = [];
+  for (let i = 0; i < userIds.length; i += 10) {
+    chunks.push(userIds.slice(i, i + 10));
+  }
+
+  for (const chunk of chunks) {
+    const usersQuery = await db
+      .collection('users')
+      .where(admin.firestore.FieldPath.documentId(), 'in', chunk)
+      .where('active', '==', true)
+      .get();
+
+    usersQuery.docs.forEach(doc => {
+      const data = doc.data();
+      if (data.fcmToken) {
+        users.push({
+          id: doc.id,
+          fcmToken: data.fcmToken
+        });
+      }
+    });
+  }
+
+  return users;
+}
+
+// ================================
+// CLOUD FUNCTIONS
+// ================================
+
+
+
+// ================================
+// GEOHASH COMPUTATION FUNCTIONS
+// ================================
+
+/**
+ * Award XP for various user actions (system actor, via the XP ledger)
+ */
+async function awardUserXP(userId, action, amount, metadata = {}) {
+  const userUpdates = {
+    lastActiveAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  // Update relevant counters
+  if (action === 'VISIT_SPOT') {
+    userUpdates.spotsDiscovered = admin.firestore.FieldValue.increment(1);
+  } else if (action === 'COMPLETE_CHALLENGE') {
+    userUpdates.challengesCompleted = admin.firestore.FieldValue.increment(1);
+  }
+
+  const { idempotencyKey = null, entityId = null, description, ...details } = metadata;
+
+  const result = await recordXPChange({
+    userId,
+    delta: amount,
+    action,
+    actor: { type: 'system' },
+    reason: description || `XP for ${action}`,
+    entityId,
+    idempotencyKey,
+    metadata: details,
+    userUpdates
+  });
+
+  return { newTotalXP: result.xpAfter, newLevel: result.levelAfter, leveledUp: result.leveledUp };
+}
+
+/**
+ * Create idempotency key to prevent duplicate XP awards
+ */
+function createIdempotencyKey(userId, action, entityId, timestamp) {
+  const entity = entityId || 'global';
+  // Round timestamp to nearest second to allow some tolerance
+  const roundedTime = Math.floor(timestamp / 1000);
+  return `${userId}_${action}_${entity}_${roundedTime}`;
+}
+
+/**
+ * Check if user is on cooldown for this action (based on the XP ledger)
+ */
+async function checkCooldown(transaction, userId, action, entityId, rule) {
+  if (!rule.cooldown) {
+    return { allowed: true, remainingSeconds: 0 };
+  }
+
+  const cooldownMs = rule.cooldown * 60 * 1000;
+  const cutoffTime = admin.firestore.Timestamp.fromMillis(Date.now() - cooldownMs);
+
+  let query = db.collection(XP_LEDGER_COLLECTION)
+    .where('userId', '==', userId)
+    .where('action', '==', action)
+    .where('timestamp', '>', cutoffTime)
+    .orderBy('timestamp', 'desc')
+    .limit(1);
+
+  // If entityId provided, check per-entity cooldown
+  if (entityId) {
+    query = query.where('entityId', '==', entityId);
+  }
+
+  const recentHistory = await transaction.get(query);
+
+  if (!recentHistory.empty) {
+    const lastAward = recentHistory.docs[0].data();
+    const lastAwardTime = lastAward.timestamp.toMillis();
+    const remainingMs = cooldownMs - (Date.now() - lastAwardTime);
+    const remainingSeconds = Math.max(1, Math.ceil(remainingMs / 1000));
+
+    const minutes = Math.floor(remainingSeconds / 60);
+    const seconds = remainingSeconds % 60;
+    const timeStr = minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+
+    return {
+      allowed: false,
+      reason: `Please wait ${timeStr} before earning XP from this action again`,
+      remainingSeconds
+    };
+  }
+
+  return { allowed: true, remainingSeconds: 0 };
+}
+
+/**
+ * Check if user has reached daily limit for this action (based on the XP ledger)
+ */
+async function checkDailyLimit(transaction, userId, action, rule) {
+  if (!rule.maxDaily) {
+    return { allowed: true, currentCount: null };
+  }
+
+  // Get start of today (midnight in server timezone)
+  const now = new Date();
+  const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const cutoffTime = admin.firestore.Timestamp.fromDate(startOfDay);
+
+  const todayQuery = db.collection(XP_LEDGER_COLLECTION)
+    .where('userId', '==', userId)
+    .where('action', '==', action)
+    .where('timestamp', '>', cutoffTime)
+    .orderBy('timestamp', 'desc')
+    .limit(rule.maxDaily);
+
+  const todayHistory = await transaction.get(todayQuery);
+  const currentCount = todayHistory.size;
+
+  if (currentCount >= rule.maxDaily) {
+    return {
+      allowed: false,
+      reason: `Daily limit reached (${rule.maxDaily} times per day)`,
+      currentCount
+    };
+  }
+
+  return { allowed: true, currentCount };
+}
+
+/**
+ * Award the XP an xpRules rule defines for an action
+ *
+ * Cooldown, daily cap and the ledger write run in one transaction. Actions that are
+ * unique per entity use a per-entity idempotency key, so each entity pays out once;
+ * their cooldown applies across entities. Returns { awarded: false, code, ... } when
+ * a limit blocks the award instead of throwing.
+ */
+async function awardXPForRule(userId, action, {
+  entityId = null,
+  actor = { type: 'system' },
+  reason,
+  idempotencyKey = null,
+  metadata = {}
+} = {}) {
+  const rule = await getXPRule(action);
+
+  if (!rule || !rule.enabled) {
+    throw new functions.https.HttpsError('failed-precondition', `No active XP rule for ${action}`);
+  }
+
+  if (rule.uniquePerEntity && !entityId) {
+    throw new functions.https.HttpsError('invalid-argument', `${action} requires an entityId`);
+  }
+
+  const ledgerKey = rule.uniquePerEntity
+    ? `xp-rule:${action}:${userId}:${entityId}`
+    : idempotencyKey;
+
+  return db.runTransaction(async (transaction) => {
+    const [cooldown, dailyLimit] = await Promise.all([
+      checkCooldown(transaction, userId, action, rule.uniquePerEntity ? null : entityId, rule),
+      checkDailyLimit(transaction, userId, action, rule)
+    ]);
+
+    if (!cooldown.allowed) {
+      return {
+        awarded: false,
+        code: 'COOLDOWN',
+        message: cooldown.reason,
+        cooldownRemainingSeconds: cooldown.remainingSeconds
+      };
+    }
+
+    if (!dailyLimit.allowed) {
+      return {
+        awarded: false,
+        code: 'DAILY_LIMIT',
+        message: dailyLimit.reason,
+        cooldownRemainingSeconds: 0,
+        dailyRemaining: 0
+      };
+    }
+
+    const xpChange = await applyXPChange(transaction, {
+      userId,
+      delta: rule.amount,
+      action,
+      actor,
+      reason: reason || `XP for ${action}`,
+      entityId,
+      idempotencyKey: ledgerKey,
+      metadata,
+      userUpdates: {
+        lastActiveAt: admin.firestore.FieldValue.serverTimestamp()
+      }
+    });
+
+    if (xpChange.duplicate && rule.uniquePerEntity) {
+      return {
+        awarded: false,
+        code: 'ALREADY_AWARDED',
+        message: 'XP for this action was already awarded',
+        cooldownRemainingSeconds: 0
+      };
+    }
+
+    return {
+      awarded: true,
+      duplicate: xpChange.duplicate,
+      amount: xpChange.delta,
+      previousXP: xpChange.xpBefore,
+      newXP: xpChange.xpAfter,
+      newLevel: xpChange.levelAfter,
+      leveledUp: xpChange.leveledUp,
+      cooldownRemainingSeconds: rule.cooldown * 60,
+      dailyRemaining: rule.maxDaily ? rule.maxDaily - dailyLimit.currentCount - 1 : null
+    };
+  });
+}
+
+/**
+ * Load the user stats badge requirements are checked against
+ * Counts that are not kept on the user document are only queried when a definition needs them
+ */
+async function loadBadgeStats(userId, userData, badges) {
+  const requirements = getBadgeStatRequirements(badges);
+
+  const stats = {
+    xp: getXPBalance(userData),
+    level: userData.level || 1,
+    spotsDiscovered: userData.spotsDiscovered || 0,
+    challengesCompleted: userData.challengesCompleted || 0,
+    followers: (userData.stats && userData.stats.followersCount) || 0,
+    ratingsGiven: userData.ratingsGiven || 0,
+    longestStreak: Math.max(userData.longestStreak || 0, userData.currentStreak || 0),
+    redemptions: 0,
+    categorySpots: {},
+    completedChallengeIds: new Set()
+  };
+
+  const lookups = [];
+
+  for (const category of requirements.categories) {
+    lookups.push(db.collection('spots')
+      .where('createdBy', '==', userId)
+      .where('category', '==', category)
+      .where('xpReleased', '==', true)
+      .count()
+      .get()
+      .then(snapshot => { stats.categorySpots[category] = snapshot.data().count; }));
+  }
+
+  if (requirements.challengeIds.size > 0) {
+    const progressRefs = [...requirements.challengeIds]
+      .map(challengeId => db.collection('user_challenges').doc(`${userId}_${challengeId}`));
+
+    lookups.push(db.getAll(...progressRefs).then(docs => docs.forEach(doc => {
+      if (doc.exists && doc.data().completed) {
+        stats.completedChallengeIds.add(doc.data().challengeId);
+      }
+    })));
+  }
+
+  if (requirements.challengeCount) {
+    lookups.push(db.collection('user_challenges')
+      .where('userId', '==', userId)
+      .where('completed', '==', true)
+      .count()
+      .get()
+      .then(snapshot => {
+        stats.challengesCompleted = Math.max(stats.challengesCompleted, snapshot.data().count);
+      }));
+  }
+
+  if (requirements.redemptions) {
+    lookups.push(db.collection(XP_LEDGER_COLLECTION)
+      .where('userId', '==', userId)
+      .where('action', '==', 'REWARD_REDEMPTION')
+      .count()
+      .get()
+      .then(snapshot => { stats.redemptions = snapshot.data().count; }));
+  }
+
+  await Promise.all(lookups);
+  return stats;
+}
+
+/**
+ * Check and unlock badges for a user
+ * unlockTypes limits the check to definitions an event can affect (all types when omitted).
+ * Runs after the triggering write and never throws - badge unlocking is non-critical.
+ * Returns the IDs of newly unlocked badges.
+ */
+async function checkAndUnlockBadges(userId, {
+  unlockTypes = BADGE_UNLOCK_TYPES,
+  notify = true,
+  definitions = null,
+  userData = null
+} = {}) {
+  try {
+    const badgeDefs = definitions || (await db.collection('badgeDefinitions').get()).docs
+      .map(doc => ({ id: doc.id, ...doc.data() }));
+
+    const candidates = badgeDefs.filter(badge =>
+      badge.isActive !== false && unlockTypes.includes(badge.unlockType));
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const userRef = db.collection('users').doc(userId);
+    const [userDoc, userBadgesSnapshot] = await Promise.all([
+      userData ? Promise.resolve(null) : userRef.get(),
+      userRef.collection('badges').get()
+    ]);
+
+    const user = userData || (userDoc.exists ? userDoc.data() : null);
+    if (!user) {
+      return [];
+    }
+
+    const existingBadgeIds = new Set(userBadgesSnapshot.docs.map(doc => doc.id));
+    const locked = candidates.filter(badge => !existingBadgeIds.has(badge.id));
+
+    if (locked.length === 0) {
+      return [];
+    }
+
+    const stats = await loadBadgeStats(userId, user, locked);
+    const unlocked = [];
+
+    for (const badge of locked) {
+      if (meetsBadgeRequirement(badge, stats) && await unlockBadge(userId, badge.id, badge, { notify })) {
+        unlocked.push(badge.id);
+      }
+    }
+
+    return unlocked;
+  } catch (error) {
+    console.error(`Error checking badges for user ${userId}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Unlock a specific badge for a user
+ * Returns false when the user already had it, so concurrent checks notify only once
+ */
+async function unlockBadge(userId, badgeId, badgeData, { notify = true } = {}) {
+  try {
+    const badgeRef = db.collection('users').doc(userId).collection('badges').doc(badgeId);
+
+    await badgeRef.create({
+      badgeId,
+      badgeTitle: badgeData.title || '',
+      badgeDescription: badgeData.description || '',
+      badgeType: badgeData.type || 'achievement',
+      badgeLevel: badgeData.level || 1,
+      badgeImageUrl: badgeData.imageUrl || '',
+      unlockType: badgeData.unlockType,
+      earnedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    console.log(`🏆 Badge Unlocked: ${badgeData.title} for user ${userId}`);
+
+    if (notify) {
+      await sendBadgeUnlockNotification(userId, badgeId, badgeData);
+    }
+
+    return true;
+  } catch (error) {
+    // ALREADY_EXISTS: unlocked by another check
+    if (error.code === 6) {
+      return false;
+    }
+    console.error(`Failed to unlock badge ${badgeId} for user ${userId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Tell a user about a new badge (push and inbox entry)
+ */
+async function sendBadgeUnlockNotification(userId, badgeId, badgeData) {
+  const payload = {
+    title: 'Badge Unlocked! 🏅',
+    body: `You earned the "${badgeData.title || 'new'}" badge${badgeData.description ? `: ${badgeData.description}` : '!'}`,
+    data: {
+      type: 'badge_unlocked',
+      badgeId
+    },
+    ...(badgeData.imageUrl && { imageUrl: badgeData.imageUrl })
+  };
+
+  try {
+    const result = await sendUserNotificationInternal(userId, payload, { badgeId });
+
+    // No push (no token, inactive user, send error) means no inbox entry either; badges always get one
+    if (!result.inboxCreated) {
+      await createUserNotification(userId, result.notificationId, payload);
+    }
+  } catch (error) {
+    console.error(`Error sending badge notification to user ${userId}:`, error);
+  }
+}
+
+/**
+ * Check if user is an admin
+ */
+async function checkIsAdmin(uid) {
+  try {
+    // Check adminUsers collection
+    const adminDoc = await db.collection('adminUsers').doc(uid).get();
+    if (adminDoc.exists) {
+      const adminData = adminDoc.data();
+      return ['SUPER_ADMIN', 'ADMIN'].includes(adminData.role) && adminData.isActive === true;
+    }
+
+    // Check users collection
+    const userDoc = await db.collection('users').doc(uid).get();
+    if (userDoc.exists) {
+      const userData = userDoc.data();
+      return ['superadmin', 'admin'].includes(userData.role);
+    }
+
+    return false;
+  } catch (error) {
+    console.error('Error checking admin status:', error);
+    return false;
+  }
+}
+
+/**
+ * Admin function to grant XP (CRITICAL FUNCTION)
+ */
+const adminGrantXP = functions.https.onCall(async (request) => {
+  const data = request.data;
+  const auth = request.auth;
+
+  try {
+    console.log('adminGrantXP called with data:', data);
+
+    if (!auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const { userId, xpAmount, reason } = data;
+
+    if (!userId || !xpAmount || !reason) {
+      throw new functions.https.HttpsError('invalid-argument', 'Missing required fields: userId, xpAmount, reason');
+    }
+
+    if (typeof xpAmount !== 'number' || xpAmount <= 0) {
+      throw new functions.https.HttpsError('invalid-argument', 'xpAmount must be a positive number');
+    }
+
+    const isAdmin = await checkIsAdmin(auth.uid);
+    if (!isAdmin) {
+      throw new functions.https.HttpsError('permission-denied', 'Admin access required');
+    }
+
+    // Optional client request ID makes retried grants idempotent
+    const result = await recordXPChange({
+      userId,
+      delta: xpAmount,
+      action: 'ADMIN_GRANT',
+      actor: { type: 'admin', id: auth.uid },
+      reason,
+      idempotencyKey: data.requestId ? `admin-grant:${auth.uid}:${data.requestId}` : null
+    });
+
+    console.log(`Granted ${xpAmount} XP to user ${userId}. New total: ${result.xpAfter}`);
+
+    return {
+      success: true,
+      previousXP: result.xpBefore,
+      newXP: result.xpAfter,
+      xpGranted: result.delta,
+      duplicate: result.duplicate
+    };
+
+  } catch (error) {
+    console.error('Error in adminGrantXP:', error);
+    if (error.code) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', 'Failed to grant XP');
+  }
+});
+
+// Helper function to generate search tokens for efficient prefix searching
+function generateSearchTokens(fields) {
+  const tokens = new Set();
+
+  for (const field of fields) {
+    if (!field || typeof field !== 'string') continue;
+
+    const cleanField = field.trim().toLowerCase();
+    if (cleanField.length === 0) continue;
+
+    // Generate prefixes for the whole field
+    for (let i = 1; i <= Math.min(cleanField.length, 20); i++) {
+      tokens.add(cleanField.substring(0, i));
+    }
+
+    // Generate prefixes for each word in the field
+    const words = cleanField.split(/\s+/);
+    for (const word of words) {
+      if (word.length > 0) {
+        for (let i = 1; i <= Math.min(word.length, 20); i++) {
+          tokens.add(word.substring(0, i));
+        }
+      }
+    }
+  }
+
+  return Array.from(tokens);
+}
+
+const generateSearchTokensOnUserUpdate = onDocumentWritten('users/{userId}', (event) => {
+  const change = event.data;
+  const data = change.after.exists ? change.after.data() : null;
+
+  if (!data) {
+    // Document was deleted, nothing to do
+    return null;
+  }
+
+  const displayName = data.displayName || '';
+  const username = data.username || '';
+  const email = data.email || '';
+
+  // Generate search tokens
+  const searchTokens = generateSearchTokens([displayName, username, email]);
+
+  // Only update if tokens changed
+  const existingTokens = data.searchTokens || [];
+  if (JSON.stringify(searchTokens.sort()) === JSON.stringify(existingTokens.sort())) {
+    return null; // No change needed
+  }
+
+  console.log(`[generateSearchTokensOnUserUpdate] Updating search tokens for user ${event.params.userId}`);
+
+  // Update the document with search tokens
   return change.after.ref.update({ searchTokens });
 });
 
-// ================================
-// TIER 1: CRITICAL MISSING FUNCTIONS
-// ================================
-
+// ================================
+// TIER 1: CRITICAL MISSING FUNCTIONS
+// ================================
+
+/**
+ * SPOT VERIFICATION SYSTEM
+ * Purpose: Verify spot submissions with anti-cheat and scoring
+ * Triggers: Called by admin dashboard or automated systems
+ * Collections: spots, verificationLogs, adminActions
+ * Transactions: Used for atomic spot status updates
+ * Edge cases: Duplicate verification, missing spot, invalid status
+ */
+const verifySpotSubmission = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { spotId, approved, reason, score } = data;
+
+  if (!spotId || typeof approved !== 'boolean') {
+    throw new functions.https.HttpsError('invalid-argument', 'spotId and approved status are required');
+  }
+
+  try {
+    // Check admin permissions
+    const isAdmin = await checkIsAdmin(auth.uid);
+    if (!isAdmin) {
+      throw new functions.https.HttpsError('permission-denied', 'Admin access required');
+    }
+
+    const result = await db.runTransaction(async (transaction) => {
+      const spotRef = db.collection('spots').doc(spotId);
+      const spotDoc = await transaction.get(spotRef);
+
+      if (!spotDoc.exists) {
+        throw new functions.https.HttpsError('not-found', 'Spot not found');
+      }
+
+      const spotData = spotDoc.data();
+
+      // Prevent duplicate verification
+      if (spotData.verificationStatus === 'APPROVED' || spotData.verificationStatus === 'REJECTED') {
+        throw new functions.https.HttpsError('already-exists', 'Spot already verified');
+      }
+
+      const updateData = {
+        verificationStatus: approved ? 'APPROVED' : 'REJECTED',
+        verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+        verifiedBy: auth.uid,
+        verificationReason: reason || '',
+        verificationScore: score || null,
+        isActive: approved
+      };
+
+      transaction.update(spotRef, updateData);
+
+      // Log verification action
+      const logRef = db.collection('verificationLogs').doc();
+      transaction.set(logRef, {
+        spotId,
+        action: approved ? 'APPROVE' : 'REJECT',
+        adminId: auth.uid,
+        reason: reason || '',
+        score: score || null,
+        policyVersion: spotData.verificationPolicyVersion ?? null,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return { spotId, approved, userId: spotData.createdBy };
+    });
+
+    console.log(`Spot ${spotId} ${result.approved ? 'approved' : 'rejected'} by admin ${auth.uid}`);
+
+    // Send notification to spot creator
+    if (result.approved) {
+      await sendSpotApprovalNotificationInternal(result.userId, spotData.title);
+    } else {
+      await sendSpotRejectionNotificationInternal(result.userId, spotData.title, reason);
+    }
+
+    return { success: true, approved: result.approved };
+
+  } catch (error) {
+    console.error('Spot verification failed:', error);
+    if (error.code) throw error;
+    throw new functions.https.HttpsError('internal', 'Verification failed');
+  }
+});
+
+// Verification statuses that pay out a spot's held XP
+const SPOT_APPROVED_STATUSES = ['APPROVED', 'AUTO_APPROVED'];
+const SPOT_VERIFIED_STATUSES = [...SPOT_APPROVED_STATUSES, 'REJECTED'];
+
+/**
+ * XP a spot pays out on approval: its xpReward, capped by the SPOT_APPROVED rule
+ */
+async function getSpotXPAmount(spotData) {
+  const rule = await getXPRule('SPOT_APPROVED');
+  const maxAmount = rule ? rule.amount : 100;
+  const requested = spotData.xpReward;
+
+  return Number.isFinite(requested) && requested > 0 ? Math.min(requested, maxAmount) : maxAmount;
+}
+
+/**
+ * Hold a new spot's XP as pending until it is verified
+ */
+async function holdSpotXP(spotId) {
+  const spotRef = db.collection('spots').doc(spotId);
+
+  return db.runTransaction(async (transaction) => {
+    const spotDoc = await transaction.get(spotRef);
+    if (!spotDoc.exists) return null;
+
+    const spotData = spotDoc.data();
+
+    // Already held, or verified before this trigger ran
+    if (!spotData.createdBy || spotData.xpEscrow || SPOT_VERIFIED_STATUSES.includes(spotData.verificationStatus)) {
+      return null;
+    }
+
+    const amount = await getSpotXPAmount(spotData);
+
+    await applyXPChange(transaction, {
+      userId: spotData.createdBy,
+      delta: 0,
+      pendingDelta: amount,
+      action: 'SPOT_XP_HELD',
+      actor: { type: 'system' },
+      reason: 'XP held until the spot is verified',
+      entityId: spotId,
+      idempotencyKey: `spot-xp-held:${spotId}`
+    });
+
+    transaction.update(spotRef, {
+      xpEscrow: {
+        amount,
+        status: 'HELD',
+        heldAt: admin.firestore.FieldValue.serverTimestamp()
+      }
+    });
+
+    return amount;
+  });
+}
+
+/**
+ * Pay out an approved spot's XP, moving a held amount from pending into the balance
+ */
+async function paySpotXP(spotId) {
+  const spotRef = db.collection('spots').doc(spotId);
+
+  return db.runTransaction(async (transaction) => {
+    const spotDoc = await transaction.get(spotRef);
+    if (!spotDoc.exists) return null;
+
+    const spotData = spotDoc.data();
+    const escrow = spotData.xpEscrow || null;
+
+    // Paid already (legacy spots were paid before the escrow existed)
+    if (!spotData.createdBy || (escrow && escrow.status === 'PAID') || (!escrow && spotData.xpReleased)) {
+      return null;
+    }
+
+    const held = escrow && escrow.status === 'HELD';
+    const amount = held ? escrow.amount : await getSpotXPAmount(spotData);
+
+    // Once per spot even if it is re-approved
+    await applyXPChange(transaction, {
+      userId: spotData.createdBy,
+      delta: amount,
+      pendingDelta: held ? -amount : 0,
+      action: 'SPOT_APPROVED',
+      actor: { type: 'system' },
+      reason: 'XP for approved spot submission',
+      entityId: spotId,
+      idempotencyKey: `spot-approved:${spotId}`,
+      userUpdates: {
+        spotsDiscovered: admin.firestore.FieldValue.increment(1)
+      }
+    });
+
+    transaction.update(spotRef, {
+      'xpEscrow.amount': amount,
+      'xpEscrow.status': 'PAID',
+      'xpEscrow.paidAt': admin.firestore.FieldValue.serverTimestamp(),
+      xpReleased: true,
+      xpReleasedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return amount;
+  });
+}
+
+/**
+ * Release the hold on a rejected or removed spot's XP without paying it out
+ * Deleted spots pass their last data, since there is no document left to update
+ */
+async function releaseSpotXPHold(spotId, reason, deletedSpotData = null) {
+  const spotRef = db.collection('spots').doc(spotId);
+
+  return db.runTransaction(async (transaction) => {
+    let spotData = deletedSpotData;
+
+    if (!spotData) {
+      const spotDoc = await transaction.get(spotRef);
+      if (!spotDoc.exists) return null;
+      spotData = spotDoc.data();
+    }
+
+    const escrow = spotData.xpEscrow;
+    if (!spotData.createdBy || !escrow || escrow.status !== 'HELD') {
+      return null;
+    }
+
+    await applyXPChange(transaction, {
+      userId: spotData.createdBy,
+      delta: 0,
+      pendingDelta: -escrow.amount,
+      action: 'SPOT_XP_RELEASED',
+      actor: { type: 'system' },
+      reason,
+      entityId: spotId,
+      idempotencyKey: `spot-xp-released:${spotId}`
+    });
+
+    if (!deletedSpotData) {
+      transaction.update(spotRef, {
+        'xpEscrow.status': 'RELEASED',
+        'xpEscrow.releasedAt': admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    return escrow.amount;
+  });
+}
+
+/**
+ * Reverse the XP and counters an approved spot earned its creator when it is removed
+ * The reversal is capped so the balance never goes negative; deleted spots pass their last data
+ */
+async function clawBackSpotXP(spotId, reason, deletedSpotData = null) {
+  const spotRef = db.collection('spots').doc(spotId);
+
+  return db.runTransaction(async (transaction) => {
+    let spotData = deletedSpotData;
+
+    if (!spotData) {
+      const spotDoc = await transaction.get(spotRef);
+      if (!spotDoc.exists) return null;
+      spotData = spotDoc.data();
+    }
+
+    const userId = spotData.createdBy;
+    const escrow = spotData.xpEscrow || null;
+    if (!userId || (escrow && escrow.status !== 'PAID') || (!escrow && !spotData.xpReleased)) {
+      return null;
+    }
+
+    const [approvalEntry, userDoc] = await Promise.all([
+      transaction.get(getLedgerEntryRef(`spot-approved:${spotId}`)),
+      transaction.get(db.collection('users').doc(userId))
+    ]);
+
+    if (!userDoc.exists) return null;
+
+    // Reverse what the approval paid; spots paid before the ledger fall back to their reward
+    let amount;
+    if (escrow) {
+      amount = escrow.amount;
+    } else if (approvalEntry.exists) {
+      amount = approvalEntry.data().delta;
+    } else {
+      amount = await getSpotXPAmount(spotData);
+    }
+
+    const xpChange = await applyXPChange(transaction, {
+      userId,
+      delta: -amount,
+      action: 'SPOT_REMOVED',
+      actor: { type: 'system' },
+      reason,
+      entityId: spotId,
+      idempotencyKey: `spot-removed:${spotId}`,
+      insufficientBalance: 'clamp',
+      metadata: { spotTitle: spotData.title || null, originalAmount: amount },
+      userUpdates: {
+        spotsDiscovered: Math.max(0, (userDoc.data().spotsDiscovered || 0) - 1)
+      }
+    });
+
+    if (!deletedSpotData && !xpChange.duplicate) {
+      transaction.update(spotRef, {
+        'xpEscrow.amount': amount,
+        'xpEscrow.status': 'CLAWED_BACK',
+        'xpEscrow.clawedBackAmount': -xpChange.delta,
+        'xpEscrow.clawedBackAt': admin.firestore.FieldValue.serverTimestamp(),
+        xpReleased: false
+      });
+    }
+
+    return { userId, duplicate: xpChange.duplicate, amount: -xpChange.delta };
+  });
+}
+
+/**
+ * Settle XP for a removed spot: release a pending hold or claw back paid XP,
+ * then tell the creator and count the removal against their trust score
+ */
+async function handleSpotRemoval(spotId, spotData, deleted) {
+  const reason = spotData.removalReason || 'Spot removed';
+  const escrow = spotData.xpEscrow;
+
+  if (escrow && escrow.status === 'HELD') {
+    await releaseSpotXPHold(spotId, reason, deleted ? spotData : null);
+    return;
+  }
+
+  const clawback = await clawBackSpotXP(spotId, reason, deleted ? spotData : null);
+  if (!clawback || clawback.duplicate) {
+    return;
+  }
+
+  console.log(`Clawed back ${clawback.amount} XP from ${clawback.userId} for removed spot ${spotId}`);
+
+  await updateUserTrustScore(db, clawback.userId, { status: 'REMOVED' });
+
+  try {
+    const spotTitle = spotData.title || 'Your spot';
+    await sendUserNotificationInternal(clawback.userId, {
+      title: 'Spot Removed 📍',
+      body: `"${spotTitle}" was removed${spotData.removalReason ? `: ${spotData.removalReason}` : ''}.` +
+        (clawback.amount > 0 ? ` ${clawback.amount} XP was deducted.` : ''),
+      data: {
+        type: 'spot_removed',
+        spotId,
+        xpDeducted: clawback.amount.toString()
+      }
+    }, { spotId });
+  } catch (error) {
+    console.error(`Failed to notify creator of removed spot ${spotId}:`, error);
+  }
+}
+
+/**
+ * SPOT VERIFICATION UPDATE HANDLER
+ * Purpose: Escrow a spot's XP from submission until verification, and reverse it on removal
+ * Triggers: Firestore trigger on spots/{spotId} writes
+ * Collections: spots, users, xpTransactions
+ * Transactions: Used for every escrow step (hold, payout, release)
+ */
+const handleSpotVerificationUpdate = onDocumentWritten('spots/{spotId}', async (event) => {
+  const change = event.data;
+  const spotId = event.params.spotId;
+
+  const before = change.before.exists ? change.before.data() : null;
+  const after = change.after.exists ? change.after.data() : null;
+
+  try {
+    // Deleted spot: release its hold or claw back its XP
+    if (!after) {
+      if (before) {
+        await handleSpotRemoval(spotId, before, true);
+      }
+      return null;
+    }
+
+    // New, moved, or the geohash was edited: recompute it from the coordinates
+    const geohashUpdate = getSpotGeohashUpdate(after);
+    if (geohashUpdate) {
+      await change.after.ref.update(geohashUpdate);
+    }
+
+    // New submission: hold its XP until it is verified (possible duplicates are linked when it is scored)
+    if (!before) {
+      const heldAmount = await holdSpotXP(spotId);
+      if (heldAmount) {
+        console.log(`Holding ${heldAmount} XP for spot ${spotId} by ${after.createdBy}`);
+      }
+      return null;
+    }
+
+    // Removed by an admin or after reports
+    if (after.removedAt && !before.removedAt) {
+      await handleSpotRemoval(spotId, after, false);
+      return null;
+    }
+
+    // Only process verification status changes
+    if (before.verificationStatus === after.verificationStatus) {
+      return null;
+    }
+
+    if (SPOT_APPROVED_STATUSES.includes(after.verificationStatus)) {
+      const paidAmount = await paySpotXP(spotId);
+      if (paidAmount) {
+        console.log(`Spot ${spotId} approved - awarded ${paidAmount} XP to creator ${after.createdBy}`);
+      }
+    } else if (after.verificationStatus === 'REJECTED') {
+      await releaseSpotXPHold(spotId, 'Spot rejected during verification');
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Error handling spot verification update:', error);
+    return null;
+  }
+});
+
+/**
+ * Geohash update for a spot whose stored geohash doesn't match its coordinates; null when it does
+ * The client's value is never trusted, since a wrong one hides the spot from nearby lookups
+ */
+function getSpotGeohashUpdate(spotData) {
+  const spotGeohash = getSpotGeohash(spotData);
+  if ((spotData.geohash || null) === spotGeohash) {
+    return null;
+  }
+
+  return { geohash: spotGeohash || admin.firestore.FieldValue.delete() };
+}
+
+/**
+ * XP ADJUSTMENT SYSTEM
+ * Purpose: Adjust user XP for corrections, refunds, or penalties
+ * Triggers: Called by admin functions
+ * Collections: users, xpTransactions, adminActions
+ * Transactions: Used for atomic XP updates
+ * Edge cases: Negative XP, missing user, duplicate adjustments
+ */
+const adjustUserXP = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { userId, xpAmount, reason, type = 'ADJUSTMENT' } = data;
+
+  if (!userId || typeof xpAmount !== 'number' || !reason) {
+    throw new functions.https.HttpsError('invalid-argument', 'userId, xpAmount, and reason are required');
+  }
+
+  try {
+    // Check admin permissions
+    const isAdmin = await checkIsAdmin(auth.uid);
+    if (!isAdmin) {
+      throw new functions.https.HttpsError('permission-denied', 'Admin access required');
+    }
+
+    const result = await recordXPChange({
+      userId,
+      delta: xpAmount,
+      action: 'ADMIN_ADJUSTMENT',
+      actor: { type: 'admin', id: auth.uid },
+      reason,
+      metadata: { type },
+      idempotencyKey: data.requestId ? `admin-adjustment:${auth.uid}:${data.requestId}` : null,
+      insufficientBalance: 'clamp' // Prevent negative XP
+    });
+
+    console.log(`Admin ${auth.uid} adjusted XP for user ${userId}: ${result.delta} (${result.xpBefore} -> ${result.xpAfter})`);
+
+    return {
+      success: true,
+      previousXP: result.xpBefore,
+      newXP: result.xpAfter,
+      adjustment: result.delta
+    };
+
+  } catch (error) {
+    console.error('XP adjustment failed:', error);
+    if (error.code) throw error;
+    throw new functions.https.HttpsError('internal', 'XP adjustment failed');
+  }
+});
+
+// ================================
+// XP LEDGER RECONCILIATION
+// ================================
+
+const XP_RECONCILIATION_BATCH_SIZE = 300;
+const XP_RECONCILIATION_CONCURRENCY = 10;
+const XP_RECONCILIATION_MAX_REPORTED = 100;
+
+/**
+ * Reconcile the next batch of users against the XP ledger
+ * Resumes from the cursor saved by the previous run and wraps around after the last user
+ */
+async function runXPReconciliationBatch({ repair, trigger, actorId = null }) {
+  const stateRef = db.collection('jobState').doc('xpReconciliation');
+  const stateDoc = await stateRef.get();
+  const cursor = stateDoc.exists ? stateDoc.data().cursor || null : null;
+
+  let usersQuery = db.collection('users')
+    .orderBy(admin.firestore.FieldPath.documentId())
+    .limit(XP_RECONCILIATION_BATCH_SIZE);
+
+  if (cursor) {
+    usersQuery = usersQuery.startAfter(cursor);
+  }
+
+  const usersSnapshot = await usersQuery.get();
+  const report = {
+    trigger,
+    repair,
+    actorId,
+    cursorStart: cursor,
+    cursorEnd: null,
+    usersChecked: 0,
+    opened: 0,
+    drifted: 0,
+    repaired: 0,
+    totalAbsoluteDrift: 0,
+    drift: [],
+    errors: []
+  };
+
+  for (let i = 0; i < usersSnapshot.docs.length; i += XP_RECONCILIATION_CONCURRENCY) {
+    const chunk = usersSnapshot.docs.slice(i, i + XP_RECONCILIATION_CONCURRENCY);
+
+    const results = await Promise.all(chunk.map(doc =>
+      reconcileUserXP(doc.id, { repair }).catch(error => ({ userId: doc.id, error: error.message }))
+    ));
+
+    for (const result of results) {
+      report.usersChecked++;
+
+      if (result.error) {
+        report.errors.push(result);
+        continue;
+      }
+
+      if (result.opened) report.opened++;
+
+      if (result.drift) {
+        report.drifted++;
+        report.totalAbsoluteDrift += Math.abs(result.drift);
+        if (result.repaired) report.repaired++;
+        if (report.drift.length < XP_RECONCILIATION_MAX_REPORTED) {
+          report.drift.push({
+            userId: result.userId,
+            balance: result.balance,
+            ledgerTotal: result.ledgerTotal,
+            drift: result.drift
+          });
+        }
+      }
+    }
+  }
+
+  const lastDoc = usersSnapshot.docs[usersSnapshot.docs.length - 1];
+  report.cursorEnd = usersSnapshot.size < XP_RECONCILIATION_BATCH_SIZE ? null : lastDoc.id;
+
+  await stateRef.set({
+    cursor: report.cursorEnd,
+    lastRunAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  const runRef = await db.collection('xpReconciliationRuns').add({
+    ...report,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  if (report.drifted > 0) {
+    console.warn(`XP reconciliation ${runRef.id}: ${report.drifted} users drifted (${report.totalAbsoluteDrift} XP total)`);
+  }
+
+  return { runId: runRef.id, ...report };
+}
+
+/**
+ * Scheduled job: rebuild user XP balances from the ledger and report drift
+ */
+const reconcileXPLedger = pubsub.schedule('15 * * * *').onRun(async () => {
+  try {
+    const report = await runXPReconciliationBatch({ repair: true, trigger: 'schedule' });
+    console.log(`XP reconciliation ${report.runId}: checked ${report.usersChecked}, opened ${report.opened}, repaired ${report.repaired}`);
+    return null;
+  } catch (error) {
+    console.error('XP reconciliation failed:', error);
+    return null;
+  }
+});
+
+/**
+ * Admin: reconcile one user (userId) or the next batch of users
+ * Defaults to a dry run; pass repair: true to reset drifted balances to the ledger total
+ */
+const reconcileXPBalances = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const isAdmin = await checkIsAdmin(auth.uid);
+  if (!isAdmin) {
+    throw new functions.https.HttpsError('permission-denied', 'Admin access required');
+  }
+
+  const { userId, repair = false } = data || {};
+
+  try {
+    if (userId) {
+      const result = await reconcileUserXP(userId, { repair: repair === true });
+
+      if (result.skipped) {
+        throw new functions.https.HttpsError('not-found', 'User not found');
+      }
+
+      return { success: true, result };
+    }
+
+    const report = await runXPReconciliationBatch({
+      repair: repair === true,
+      trigger: 'manual',
+      actorId: auth.uid
+    });
+
+    return { success: true, report };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('XP reconciliation failed:', error);
+    throw new functions.https.HttpsError('internal', 'XP reconciliation failed');
+  }
+});
+
+// ================================
+// VERIFICATION POLICY
+// ================================
+
+/**
+ * Admin: current spot verification policy (config/verificationPolicy)
+ */
+const getVerificationPolicyConfig = functions.https.onCall(async (request) => {
+  const { auth } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const isAdmin = await checkIsAdmin(auth.uid);
+  if (!isAdmin) {
+    throw new functions.https.HttpsError('permission-denied', 'Admin access required');
+  }
+
+  const policy = await getVerificationPolicy({ fresh: true });
+
+  return { success: true, policy, isDefault: policy === DEFAULT_VERIFICATION_POLICY };
+});
+
+/**
+ * Admin: change the spot verification policy
+ * Takes a partial policy merged over the current one; weights must still total 100.
+ * Each change gets a new version, kept in config/verificationPolicy/versions/{version}
+ */
+const updateVerificationPolicy = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const isAdmin = await checkIsAdmin(auth.uid);
+  if (!isAdmin) {
+    throw new functions.https.HttpsError('permission-denied', 'Admin access required');
+  }
+
+  if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
+    throw new functions.https.HttpsError('invalid-argument', 'No policy changes given');
+  }
+
+  const policyRef = db.doc(VERIFICATION_POLICY_DOC_PATH);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const currentDoc = await transaction.get(policyRef);
+    const currentVersion = (currentDoc.exists && currentDoc.data().version) || 0;
+
+    // An invalid stored policy is replaced on top of the default, like getVerificationPolicy reads it
+    const stored = currentDoc.exists ? validateVerificationPolicy(currentDoc.data()).policy : null;
+    const { policy, errors } = validateVerificationPolicy(
+      mergeVerificationPolicy(stored || DEFAULT_VERIFICATION_POLICY, data)
+    );
+
+    if (errors) {
+      throw new functions.https.HttpsError('invalid-argument', errors.join('; '), { errors });
+    }
+
+    const version = currentVersion + 1;
+    const policyDoc = {
+      ...policy,
+      version,
+      updatedBy: auth.uid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    transaction.set(policyRef, policyDoc);
+    transaction.set(policyRef.collection('versions').doc(String(version)), policyDoc);
+
+    return { version, policy };
+  });
+
+  console.log(`Admin ${auth.uid} updated the verification policy to version ${result.version}`);
+
+  return { success: true, version: result.version, policy: { ...result.policy, version: result.version } };
+});
+
+const VERIFICATION_SIMULATION_DEFAULT_LIMIT = 50;
+const VERIFICATION_SIMULATION_MAX_LIMIT = 100;
+const VERIFICATION_SIMULATION_TIME_BUDGET_MS = 40 * 1000; // well inside the default 60s function timeout
+const VERIFICATION_SIMULATION_EXAMPLES = 25;
+
+/**
+ * Latest human decision (APPROVE or REJECT) per spot from verificationLogs
+ * Samples the most recent decisions unless spotIds are given
+ */
+async function getHumanVerificationDecisions(spotIds, limit) {
+  const decisions = new Map();
+  const logTime = log => (log.timestamp && log.timestamp.toMillis ? log.timestamp.toMillis() : 0);
+
+  if (spotIds) {
+    const latest = new Map();
+
+    for (let i = 0; i < spotIds.length; i += 10) {
+      const logsSnapshot = await db.collection('verificationLogs')
+        .where('spotId', 'in', spotIds.slice(i, i + 10))
+        .get();
+
+      for (const logDoc of logsSnapshot.docs) {
+        const log = logDoc.data();
+        if (!['APPROVE', 'REJECT'].includes(log.action)) continue;
+
+        const previous = latest.get(log.spotId);
+        if (!previous || logTime(log) > logTime(previous)) {
+          latest.set(log.spotId, log);
+        }
+      }
+    }
+
+    for (const spotId of spotIds) {
+      decisions.set(spotId, latest.has(spotId) ? latest.get(spotId).action : null);
+    }
+    return decisions;
+  }
+
+  const logsSnapshot = await db.collection('verificationLogs')
+    .where('action', 'in', ['APPROVE', 'REJECT'])
+    .orderBy('timestamp', 'desc')
+    .limit(limit * 2)
+    .get();
+
+  for (const logDoc of logsSnapshot.docs) {
+    const log = logDoc.data();
+    if (decisions.size >= limit) break;
+    if (!decisions.has(log.spotId)) {
+      decisions.set(log.spotId, log.action);
+    }
+  }
+
+  return decisions;
+}
+
+/**
+ * Admin: dry-run a candidate verification policy against historical spots
+ * Replays performSpotVerification with the current and the candidate policy, each spot as of
+ * its creation time, and compares both with the human decisions in verificationLogs.
+ * Nothing is written. User trust signals use the users' current stats.
+ */
+const simulateVerificationPolicy = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const isAdmin = await checkIsAdmin(auth.uid);
+  if (!isAdmin) {
+    throw new functions.https.HttpsError('permission-denied', 'Admin access required');
+  }
+
+  const { policy: changes, spotIds } = data || {};
+  const limit = Math.min(
+    Math.max(parseInt((data || {}).limit, 10) || VERIFICATION_SIMULATION_DEFAULT_LIMIT, 1),
+    VERIFICATION_SIMULATION_MAX_LIMIT
+  );
+
+  if (spotIds !== undefined && (!Array.isArray(spotIds) || spotIds.length === 0 ||
+      spotIds.length > VERIFICATION_SIMULATION_MAX_LIMIT || spotIds.some(id => typeof id !== 'string' || !id))) {
+    throw new functions.https.HttpsError('invalid-argument',
+      `spotIds must be a list of 1 to ${VERIFICATION_SIMULATION_MAX_LIMIT} spot ids`);
+  }
+
+  const currentPolicy = await getVerificationPolicy({ fresh: true });
+  const { policy: candidate, errors } = validateVerificationPolicy(mergeVerificationPolicy(currentPolicy, changes));
+  if (errors) {
+    throw new functions.https.HttpsError('invalid-argument', errors.join('; '), { errors });
+  }
+  const candidatePolicy = { ...candidate, version: null };
+
+  try {
+    const startedAt = Date.now();
+    const decisions = await getHumanVerificationDecisions(spotIds ? [...new Set(spotIds)] : null, limit);
+    const sampleIds = [...decisions.keys()];
+
+    const emptyTally = () => ({
+      AUTO_APPROVED: 0,
+      PENDING: 0,
+      FLAGGED: 0,
+      agreedWithHumans: 0,
+      autoApprovedButRejected: 0, // would have let a rejected spot through
+      reviewedButApproved: 0      // sent to review a spot humans approved
+    });
+    const tallies = { current: emptyTally(), candidate: emptyTally() };
+    const transitions = {};
+    const examples = [];
+    let replayed = 0;
+    let unchanged = 0;
+    let skipped = 0;
+    let truncated = false;
+
+    const tally = (counts, status, decision) => {
+      counts[status] = (counts[status] || 0) + 1;
+      if (!decision) return;
+
+      const autoApproved = status === 'AUTO_APPROVED';
+      if (autoApproved === (decision === 'APPROVE')) {
+        counts.agreedWithHumans++;
+      } else if (autoApproved) {
+        counts.autoApprovedButRejected++;
+      } else {
+        counts.reviewedButApproved++;
+      }
+    };
+
+    for (let i = 0; i < sampleIds.length; i += 10) {
+      if (Date.now() - startedAt > VERIFICATION_SIMULATION_TIME_BUDGET_MS) {
+        truncated = true;
+        break;
+      }
+
+      const chunk = sampleIds.slice(i, i + 10);
+      const spotDocs = await db.getAll(...chunk.map(spotId => db.collection('spots').doc(spotId)));
+
+      await Promise.all(spotDocs.map(async (spotDoc) => {
+        const spotData = spotDoc.exists ? { ...spotDoc.data(), id: spotDoc.id } : null;
+        const createdAt = spotData && spotData.createdAt;
+        const asOf = createdAt && createdAt.toMillis ? createdAt.toMillis() : createdAt;
+
+        if (!spotData || !Number.isFinite(asOf)) {
+          skipped++;
+          return;
+        }
+
+        const [current, next] = await Promise.all([
+          performSpotVerification(db, spotDoc.id, spotData, currentPolicy, { asOf }),
+          performSpotVerification(db, spotDoc.id, spotData, candidatePolicy, { asOf })
+        ]);
+        const decision = decisions.get(spotDoc.id);
+
+        replayed++;
+        tally(tallies.current, current.status, decision);
+        tally(tallies.candidate, next.status, decision);
+
+        if (current.status === next.status) {
+          unchanged++;
+          return;
+        }
+
+        const transition = `${current.status}->${next.status}`;
+        transitions[transition] = (transitions[transition] || 0) + 1;
+
+        if (examples.length < VERIFICATION_SIMULATION_EXAMPLES) {
+          examples.push({
+            spotId: spotDoc.id,
+            title: spotData.title || '',
+            humanDecision: decision,
+            current: { status: current.status, score: current.score },
+            candidate: { status: next.status, score: next.score, flags: next.flags }
+          });
+        }
+      }));
+    }
+
+    console.log(`Admin ${auth.uid} simulated a verification policy against ${replayed} spots ` +
+      `(${replayed - unchanged} would change)`);
+
+    return {
+      success: true,
+      currentVersion: currentPolicy.version,
+      candidatePolicy: candidate,
+      sampled: sampleIds.length,
+      replayed,
+      skipped,
+      truncated,
+      unchanged,
+      changed: replayed - unchanged,
+      transitions,
+      current: tallies.current,
+      candidate: tallies.candidate,
+      examples
+    };
+  } catch (error) {
+    console.error('Verification policy simulation failed:', error);
+    throw new functions.https.HttpsError('internal', 'Verification policy simulation failed');
+  }
+});
+
+// ================================
+// SPOT PHOTO PIPELINE
+// ================================
+
+/**
+ * Process every image uploaded under spots/{spotId}/:
+ * - perceptual hashes for near-duplicate detection (imageHash.js)
+ * - trusted EXIF (capture time, GPS, camera) read from the file (photoMetadata.js)
+ * - the upload is replaced by a copy without EXIF, and thumbnails are written under thumbs/
+ * Results go to spotPhotoHashes (admin only, includes the photo's GPS) and onto the spot,
+ * which is flagged when a photo looks like another spot's. Photos of an existing spot that
+ * weren't uploaded by its creator, and photos that fail before their EXIF is stripped, are deleted.
+ */
+const onSpotPhotoUploaded = onObjectFinalized({ memory: '1GiB' }, async (event) => {
+  const object = event.data;
+  const match = /^spots\/([^/]+)\/.+/.exec(object.name || '');
+
+  if (!match || !(object.contentType || '').startsWith('image/') || isProcessedPhoto(object)) {
+    return null;
+  }
+
+  const spotId = match[1];
+  const uploadedBy = getPhotoUploader(object);
+  const spotRef = db.collection('spots').doc(spotId);
+  const bucket = admin.storage().bucket(object.bucket);
+  const file = bucket.file(object.name);
+  let stripped = false;
+
+  try {
+    // storage.rules only let the creator add photos to an existing spot; photos uploaded before
+    // the spot existed are matched against its creator by verification
+    const spotDoc = await spotRef.get();
+    if (spotDoc.exists && spotDoc.data().createdBy !== uploadedBy) {
+      console.warn(`Deleting photo ${object.name}: not uploaded by the creator of spot ${spotId}`);
+      await file.delete({ ignoreNotFound: true });
+      return null;
+    }
+
+    const [buffer] = await file.download();
+
+    const [hashes, exif] = await Promise.all([computeImageHashes(buffer), readPhotoExif(buffer)]);
+
+    // Overwrite the public copy; keeping the custom metadata keeps its download token valid
+    await file.save(await stripPhotoMetadata(buffer), {
+      resumable: false,
+      metadata: {
+        contentType: object.contentType,
+        cacheControl: object.cacheControl,
+        metadata: { ...(object.metadata || {}), [PROCESSED_METADATA_KEY]: 'true' }
+      }
+    });
+    stripped = true;
+
+    const thumbnails = {};
+    for (const thumbnail of await createThumbnails(buffer)) {
+      const thumbnailPath = getThumbnailPath(object.name, thumbnail.name);
+      await bucket.file(thumbnailPath).save(thumbnail.buffer, {
+        resumable: false,
+        metadata: { contentType: 'image/jpeg', metadata: { [PROCESSED_METADATA_KEY]: 'true' } }
+      });
+      thumbnails[thumbnail.name] = thumbnailPath;
+    }
+
+    const crypto = require('crypto');
+    const hashId = crypto.createHash('sha1').update(`${object.bucket}/${object.name}`).digest('hex');
+
+    await db.collection(SPOT_PHOTO_HASHES_COLLECTION).doc(hashId).set({
+      spotId,
+      bucket: object.bucket,
+      path: object.name,
+      uploadedBy,
+      ...hashes,
+      buckets: getHashBuckets(hashes),
+      exif,
+      thumbnails,
+      uploadedAt: admin.firestore.Timestamp.fromDate(new Date(object.timeCreated || Date.now()))
+    });
+
+    const duplicates = await findNearDuplicatePhotos(spotId, [hashes]);
+
+    // The spot may not exist yet; verification picks the photo up from spotPhotoHashes
+    await db.runTransaction(async (transaction) => {
+      const spotDoc = await transaction.get(spotRef);
+      if (!spotDoc.exists || spotDoc.data().createdBy !== uploadedBy) return;
+
+      const spotData = spotDoc.data();
+      const updates = {
+        processedPhotos: [
+          ...(spotData.processedPhotos || []).filter(photo => photo.path !== object.name),
+          {
+            path: object.name,
+            ...hashes,
+            thumbnails,
+            capturedAt: exif ? exif.capturedAt : null,
+            cameraMake: exif ? exif.cameraMake : null,
+            cameraModel: exif ? exif.cameraModel : null,
+            hasExifLocation: Boolean(exif && exif.gpsLatitude !== null)
+          }
+        ],
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      if (duplicates.length > 0) {
+        updates.possibleDuplicateImageOf = [...new Set([
+          ...(spotData.possibleDuplicateImageOf || []),
+          ...duplicates.map(duplicate => duplicate.spotId)
+        ])];
+        updates.verificationFlags = [...new Set([...(spotData.verificationFlags || []), 'duplicate_image'])];
+
+        // Send a pending spot to review; an auto-approved spot has been paid already, so it keeps
+        // its status and only carries the flag for reviewers
+        if (spotData.verificationStatus === 'PENDING') {
+          updates.verificationStatus = 'FLAGGED';
+        }
+      }
+
+      transaction.update(spotRef, updates);
+    });
+
+    if (duplicates.length > 0) {
+      console.log(`Photo ${object.name} looks like photos of spots ${duplicates.map(d => d.spotId).join(', ')}`);
+    }
+
+    return null;
+  } catch (error) {
+    console.error(`Error processing spot photo ${object.name}:`, error);
+
+    // Never leave a photo public with its EXIF (GPS, serial numbers) still in it
+    if (!stripped) {
+      try {
+        await file.delete({ ignoreNotFound: true });
+        console.warn(`Deleted spot photo ${object.name} because its metadata could not be stripped`);
+      } catch (deleteError) {
+        console.error(`Failed to delete unprocessed spot photo ${object.name}:`, deleteError);
+      }
+    }
+
+    return null;
+  }
+});
+
+// ================================
+// LEVEL CURVE & LEVEL-UP EVENTS
+// ================================
+
+/**
+ * Admin: replace the level curve (config/levelCurve)
+ * Run backfillUserLevels afterwards (until it reports done) to move existing users onto the new curve
+ */
+const updateLevelCurve = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const isAdmin = await checkIsAdmin(auth.uid);
+  if (!isAdmin) {
+    throw new functions.https.HttpsError('permission-denied', 'Admin access required');
+  }
+
+  const { curve, errors } = validateLevelCurve(data || {});
+  if (errors) {
+    throw new functions.https.HttpsError('invalid-argument', errors.join('; '), { errors });
+  }
+
+  const curveRef = db.doc(LEVEL_CURVE_DOC_PATH);
+
+  const version = await db.runTransaction(async (transaction) => {
+    const currentDoc = await transaction.get(curveRef);
+    const nextVersion = ((currentDoc.exists && currentDoc.data().version) || 0) + 1;
+
+    transaction.set(curveRef, {
+      ...curve,
+      version: nextVersion,
+      updatedBy: auth.uid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return nextVersion;
+  });
+
+  console.log(`Admin ${auth.uid} updated the level curve to version ${version} (${curve.type})`);
+
+  return { success: true, version, curve };
+});
+
+const LEVEL_BACKFILL_PAGE_SIZE = 400;
+const LEVEL_BACKFILL_TIME_BUDGET_MS = 40 * 1000; // well inside the default 60s function timeout
+
+/**
+ * Admin: recompute `level` for every user from the current level curve
+ * Pages through users in document ID order until the time budget runs out; the cursor in
+ * jobState/levelBackfill lets the next call continue, so call again until `done` is true.
+ * A pass started on an older curve version starts over. Backfilled level changes don't emit
+ * level-up events.
+ */
+const backfillUserLevels = functions.https.onCall(async (request) => {
+  const { auth } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const isAdmin = await checkIsAdmin(auth.uid);
+  if (!isAdmin) {
+    throw new functions.https.HttpsError('permission-denied', 'Admin access required');
+  }
+
+  try {
+    const startedAt = Date.now();
+    const levelCurve = await getLevelCurve({ fresh: true });
+    const stateRef = db.collection('jobState').doc('levelBackfill');
+    const stateDoc = await stateRef.get();
+    const state = stateDoc.exists ? stateDoc.data() : {};
+
+    let cursor = state.levelCurveVersion === levelCurve.version ? state.cursor || null : null;
+    let processed = 0;
+    let updated = 0;
+    let done = false;
+
+    while (!done && Date.now() - startedAt < LEVEL_BACKFILL_TIME_BUDGET_MS) {
+      let query = db.collection('users')
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(LEVEL_BACKFILL_PAGE_SIZE);
+
+      if (cursor) {
+        query = query.startAfter(cursor);
+      }
+
+      const usersSnapshot = await query.get();
+      done = usersSnapshot.size < LEVEL_BACKFILL_PAGE_SIZE;
+
+      const batch = db.batch();
+      let hasUpdates = false;
+
+      for (const userDoc of usersSnapshot.docs) {
+        const userData = userDoc.data();
+        const level = calculateLevelForCurve(getXPBalance(userData), levelCurve);
+        processed++;
+
+        if (userData.level !== level || userData.levelCurveVersion !== levelCurve.version) {
+          batch.update(userDoc.ref, { level, levelCurveVersion: levelCurve.version });
+          updated++;
+          hasUpdates = true;
+        }
+      }
+
+      if (hasUpdates) {
+        await batch.commit();
+      }
+
+      if (!usersSnapshot.empty) {
+        cursor = usersSnapshot.docs[usersSnapshot.docs.length - 1].id;
+      }
+    }
+
+    await stateRef.set(done
+      ? { cursor: null, levelCurveVersion: levelCurve.version, lastPassCompletedAt: admin.firestore.FieldValue.serverTimestamp() }
+      : { cursor, levelCurveVersion: levelCurve.version, updatedAt: admin.firestore.FieldValue.serverTimestamp() },
+    { merge: true });
+
+    console.log(`Level backfill (curve v${levelCurve.version}): processed ${processed}, updated ${updated}` +
+      (done ? '' : ' (call again to continue)'));
+
+    return {
+      success: true,
+      levelCurveVersion: levelCurve.version,
+      processed,
+      updated,
+      done
+    };
+  } catch (error) {
+    console.error('Level backfill failed:', error);
+    throw new functions.https.HttpsError('internal', 'Level backfill failed');
+  }
+});
+
+/**
+ * Trigger: a user reached a new level (event written by the XP ledger)
+ * Sends the level-up notification (level badges are checked by onXPLedgerEntry)
+ */
+const onLevelUp = onDocumentCreated('levelUpEvents/{eventId}', async (event) => {
+  const levelUp = event.data.data();
+  const { userId, toLevel } = levelUp;
+
+  try {
+    await sendUserNotificationInternal(userId, {
+      title: 'Level Up! ⭐',
+      body: `You reached level ${toLevel}! Keep exploring to unlock more rewards.`,
+      data: {
+        type: 'level_up',
+        level: String(toLevel),
+        previousLevel: String(levelUp.fromLevel)
+      }
+    });
+
+    await event.data.ref.update({
+      processedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    console.log(`User ${userId} leveled up ${levelUp.fromLevel} -> ${toLevel}`);
+  } catch (error) {
+    console.error(`Failed to process level-up event ${event.params.eventId}:`, error);
+  }
+
+  return null;
+});
+
+// ================================
+// LEADERBOARDS
+// ================================
+
+const LEADERBOARD_ROLLUP_PAGE_SIZE = 150; // 3 period entries per ledger entry stay under the 500-write batch limit
+const LEADERBOARD_ROLLUP_MAX_PAGES = 20;
+const LEADERBOARD_ROLLUP_LAG_MS = 60 * 1000; // leave time for in-flight ledger writes to commit
+const LEADERBOARD_SNAPSHOT_SIZE = 100;
+const LEADERBOARD_MAX_FRIENDS = 500;
+const LEADERBOARD_RETAINED_PERIODS = { weekly: 8, monthly: 12 };
+
+/**
+ * Public profile fields copied onto leaderboard entries
+ */
+function getLeaderboardProfile(userData = {}) {
+  return {
+    displayName: userData.displayName || userData.username || 'Explorer',
+    profilePicture: userData.profilePicture || null,
+    level: userData.level || 1,
+    city: userData.city || null,
+    cityKey: getCityKey(userData.city)
+  };
+}
+
+/**
+ * Roll new XP ledger entries up into per-period leaderboard entries
+ * Each page of ledger entries and the cursor advance commit in one batch, so a failed
+ * run never counts an entry twice. Returns the boards touched, for snapshot refresh.
+ */
+async function rollUpLeaderboardEntries() {
+  const stateRef = db.collection('jobState').doc('leaderboardRollup');
+  const stateDoc = await stateRef.get();
+  let cursor = stateDoc.exists ? stateDoc.data() : {};
+
+  const lagCutoff = admin.firestore.Timestamp.fromMillis(Date.now() - LEADERBOARD_ROLLUP_LAG_MS);
+  const touchedBoards = new Map();
+  let processed = 0;
+
+  for (let page = 0; page < LEADERBOARD_ROLLUP_MAX_PAGES; page++) {
+    let ledgerQuery = db.collection(XP_LEDGER_COLLECTION)
+      .where('timestamp', '<=', lagCutoff)
+      .orderBy('timestamp')
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(LEADERBOARD_ROLLUP_PAGE_SIZE);
+
+    if (cursor.lastTimestamp) {
+      ledgerQuery = ledgerQuery.startAfter(cursor.lastTimestamp, cursor.lastEntryId);
+    }
+
+    const ledgerSnapshot = await ledgerQuery.get();
+    if (ledgerSnapshot.empty) break;
+
+    const totals = aggregateLedgerEntries(ledgerSnapshot.docs.map(doc => doc.data()));
+    const userIds = [...new Set([...totals.values()].map(total => total.userId))];
+    const userDocs = userIds.length > 0
+      ? await db.getAll(...userIds.map(userId => db.collection('users').doc(userId)))
+      : [];
+    const profiles = new Map(userDocs.map(doc => [doc.id, getLeaderboardProfile(doc.exists ? doc.data() : {})]));
+
+    const batch = db.batch();
+
+    for (const [entryId, total] of totals) {
+      const profile = profiles.get(total.userId);
+
+      batch.set(db.collection('leaderboardEntries').doc(entryId), {
+        userId: total.userId,
+        periodType: total.periodType,
+        periodId: total.periodId,
+        ...profile,
+        xp: admin.firestore.FieldValue.increment(total.delta),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      touchedBoards.set(getLeaderboardDocId(total.periodId), { periodId: total.periodId, cityKey: null });
+      if (profile.cityKey) {
+        touchedBoards.set(getLeaderboardDocId(total.periodId, profile.cityKey), {
+          periodId: total.periodId,
+          cityKey: profile.cityKey,
+          city: profile.city
+        });
+      }
+    }
+
+    const lastDoc = ledgerSnapshot.docs[ledgerSnapshot.docs.length - 1];
+    cursor = { lastTimestamp: lastDoc.data().timestamp, lastEntryId: lastDoc.id };
+
+    batch.set(stateRef, {
+      ...cursor,
+      lastRunAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    await batch.commit();
+    processed += ledgerSnapshot.size;
+
+    if (ledgerSnapshot.size < LEADERBOARD_ROLLUP_PAGE_SIZE) break;
+  }
+
+  return { processed, touchedBoards: [...touchedBoards.values()] };
+}
+
+/**
+ * Rebuild the top-N snapshot of one leaderboard from its entries
+ */
+async function refreshLeaderboardSnapshot({ periodId, cityKey = null, city = null }, { final = false } = {}) {
+  let entriesQuery = db.collection('leaderboardEntries').where('periodId', '==', periodId);
+
+  if (cityKey) {
+    entriesQuery = entriesQuery.where('cityKey', '==', cityKey);
+  }
+
+  const [topSnapshot, participantsSnapshot] = await Promise.all([
+    entriesQuery.orderBy('xp', 'desc').limit(LEADERBOARD_SNAPSHOT_SIZE).get(),
+    entriesQuery.count().get()
+  ]);
+
+  const entries = rankEntries(topSnapshot.docs.map(doc => {
+    const entry = doc.data();
+    return {
+      userId: entry.userId,
+      displayName: entry.displayName,
+      profilePicture: entry.profilePicture || null,
+      level: entry.level || 1,
+      xp: entry.xp || 0
+    };
+  }));
+
+  await db.collection('leaderboards').doc(getLeaderboardDocId(periodId, cityKey)).set({
+    periodId,
+    periodType: periodId.split('_')[0],
+    scope: cityKey ? 'city' : 'global',
+    cityKey,
+    city,
+    entries,
+    participants: participantsSnapshot.data().count,
+    final,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Rank of a user on one leaderboard, counted from the entries (not the users collection)
+ */
+async function getLeaderboardRank(periodId, userId, cityKey = null) {
+  const entryDoc = await db.collection('leaderboardEntries').doc(`${periodId}_${userId}`).get();
+
+  let boardQuery = db.collection('leaderboardEntries').where('periodId', '==', periodId);
+  if (cityKey) {
+    boardQuery = boardQuery.where('cityKey', '==', cityKey);
+  }
+
+  const participantsSnapshot = await boardQuery.count().get();
+  const participants = participantsSnapshot.data().count;
+
+  if (!entryDoc.exists || (cityKey && entryDoc.data().cityKey !== cityKey)) {
+    return { rank: null, xp: 0, participants };
+  }
+
+  const xp = entryDoc.data().xp || 0;
+  const aheadSnapshot = await boardQuery.where('xp', '>', xp).count().get();
+
+  return { rank: aheadSnapshot.data().count + 1, xp, participants };
+}
+
+/**
+ * Friends leaderboard: the user and everyone they follow
+ */
+async function getFriendsLeaderboard(periodId, userId) {
+  const followingSnapshot = await db.collection('users').doc(userId)
+    .collection('following')
+    .limit(LEADERBOARD_MAX_FRIENDS)
+    .get();
+
+  const memberIds = [userId, ...followingSnapshot.docs.map(doc => doc.id)];
+  const entryDocs = await db.getAll(
+    ...memberIds.map(memberId => db.collection('leaderboardEntries').doc(`${periodId}_${memberId}`))
+  );
+
+  const entries = entryDocs
+    .filter(doc => doc.exists)
+    .map(doc => {
+      const entry = doc.data();
+      return {
+        userId: entry.userId,
+        displayName: entry.displayName,
+        profilePicture: entry.profilePicture || null,
+        level: entry.level || 1,
+        xp: entry.xp || 0
+      };
+    })
+    .sort((a, b) => b.xp - a.xp);
+
+  return rankEntries(entries);
+}
+
+/**
+ * Validate the period and scope arguments shared by the leaderboard callables
+ */
+function parseLeaderboardArgs(data = {}) {
+  const { period = 'allTime', scope = 'global' } = data;
+
+  if (!LEADERBOARD_PERIODS.includes(period)) {
+    throw new functions.https.HttpsError('invalid-argument', `period must be one of: ${LEADERBOARD_PERIODS.join(', ')}`);
+  }
+
+  if (!LEADERBOARD_SCOPES.includes(scope)) {
+    throw new functions.https.HttpsError('invalid-argument', `scope must be one of: ${LEADERBOARD_SCOPES.join(', ')}`);
+  }
+
+  return { period, scope, periodId: getPeriodId(period) };
+}
+
+/**
+ * Resolve the city of a city leaderboard request (defaults to the caller's city)
+ */
+async function resolveLeaderboardCity(userId, city) {
+  let cityName = city;
+
+  if (!cityName) {
+    const userDoc = await db.collection('users').doc(userId).get();
+    cityName = userDoc.exists ? userDoc.data().city : null;
+  }
+
+  const cityKey = getCityKey(cityName);
+  if (!cityKey) {
+    throw new functions.https.HttpsError('failed-precondition', 'No city given and your profile has no city');
+  }
+
+  return { city: cityName, cityKey };
+}
+
+/**
+ * Scheduled job: roll new ledger entries into the leaderboards and refresh the current snapshots
+ */
+const rollupLeaderboards = pubsub.schedule('*/10 * * * *').onRun(async () => {
+  try {
+    const { processed, touchedBoards } = await rollUpLeaderboardEntries();
+    const currentPeriodIds = LEADERBOARD_PERIODS.map(period => getPeriodId(period));
+
+    // Late entries for ended periods are picked up when the period is finalized
+    const boards = touchedBoards.filter(board => currentPeriodIds.includes(board.periodId));
+    for (const board of boards) {
+      await refreshLeaderboardSnapshot(board);
+    }
+
+    console.log(`Leaderboard rollup: ${processed} ledger entries, ${boards.length} boards refreshed`);
+    return null;
+  } catch (error) {
+    console.error('Leaderboard rollup failed:', error);
+    return null;
+  }
+});
+
+/**
+ * Scheduled job: close the weekly and monthly leaderboards when their period ends
+ * Writes final snapshots for the ended period and prunes entries past the retention window
+ */
+const rolloverLeaderboards = pubsub.schedule('5 0 * * *').timeZone('UTC').onRun(async () => {
+  try {
+    const now = new Date();
+    const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    const endedPeriods = ['weekly', 'monthly']
+      .filter(period => getPeriodId(period, yesterday) !== getPeriodId(period, now));
+
+    if (endedPeriods.length === 0) {
+      return null;
+    }
+
+    // Count everything up to the end of the period before closing it
+    await rollUpLeaderboardEntries();
+
+    for (const period of endedPeriods) {
+      const endedPeriodId = getPeriodId(period, yesterday);
+
+      const cityKeys = new Map();
+      const entriesSnapshot = await db.collection('leaderboardEntries')
+        .where('periodId', '==', endedPeriodId)
+        .select('cityKey', 'city')
+        .get();
+      entriesSnapshot.forEach(doc => {
+        const { cityKey, city } = doc.data();
+        if (cityKey) cityKeys.set(cityKey, city);
+      });
+
+      await refreshLeaderboardSnapshot({ periodId: endedPeriodId }, { final: true });
+      for (const [cityKey, city] of cityKeys) {
+        await refreshLeaderboardSnapshot({ periodId: endedPeriodId, cityKey, city }, { final: true });
+      }
+
+      // Final snapshots stay as history; per-user entries are dropped after the retention window
+      const expiredPeriodId = getPastPeriodId(period, LEADERBOARD_RETAINED_PERIODS[period] + 1, now);
+      let deleted = 0;
+      let expiredSnapshot;
+      do {
+        expiredSnapshot = await db.collection('leaderboardEntries')
+          .where('periodId', '==', expiredPeriodId)
+          .limit(400)
+          .get();
+
+        const batch = db.batch();
+        expiredSnapshot.forEach(doc => batch.delete(doc.ref));
+        if (!expiredSnapshot.empty) await batch.commit();
+        deleted += expiredSnapshot.size;
+      } while (expiredSnapshot.size === 400);
+
+      console.log(`Closed ${endedPeriodId} (${cityKeys.size} city boards), pruned ${deleted} entries of ${expiredPeriodId}`);
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Leaderboard rollover failed:', error);
+    return null;
+  }
+});
+
+/**
+ * Get a leaderboard: scope global, city or friends over period allTime, monthly or weekly
+ * Includes the caller's own rank on the same board
+ */
+const getLeaderboard = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { period, scope, periodId } = parseLeaderboardArgs(data || {});
+  const limit = Math.min(Math.max(parseInt((data || {}).limit, 10) || 50, 1), LEADERBOARD_SNAPSHOT_SIZE);
+
+  try {
+    if (scope === 'friends') {
+      const entries = await getFriendsLeaderboard(periodId, auth.uid);
+      const me = entries.find(entry => entry.userId === auth.uid) || null;
+
+      return {
+        period,
+        scope,
+        periodId,
+        entries: entries.slice(0, limit),
+        myRank: { rank: me ? me.rank : null, xp: me ? me.xp : 0, participants: entries.length }
+      };
+    }
+
+    const { city = null, cityKey = null } = scope === 'city'
+      ? await resolveLeaderboardCity(auth.uid, (data || {}).city)
+      : {};
+
+    const [snapshotDoc, myRank] = await Promise.all([
+      db.collection('leaderboards').doc(getLeaderboardDocId(periodId, cityKey)).get(),
+      getLeaderboardRank(periodId, auth.uid, cityKey)
+    ]);
+
+    const snapshot = snapshotDoc.exists ? snapshotDoc.data() : null;
+
+    return {
+      period,
+      scope,
+      periodId,
+      city,
+      entries: snapshot ? snapshot.entries.slice(0, limit) : [],
+      participants: snapshot ? snapshot.participants : 0,
+      updatedAt: snapshot && snapshot.updatedAt ? snapshot.updatedAt.toMillis() : null,
+      myRank
+    };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Failed to get leaderboard:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to get leaderboard');
+  }
+});
+
+/**
+ * Get the caller's rank on one leaderboard, or on every period of a scope when period is omitted
+ */
+const getMyLeaderboardRank = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const args = data || {};
+  const { period, scope } = parseLeaderboardArgs(args);
+  const periods = args.period ? [period] : LEADERBOARD_PERIODS;
+
+  try {
+    const { cityKey = null } = scope === 'city' ? await resolveLeaderboardCity(auth.uid, args.city) : {};
+    const ranks = {};
+
+    for (const period of periods) {
+      const periodId = getPeriodId(period);
+
+      if (scope === 'friends') {
+        const entries = await getFriendsLeaderboard(periodId, auth.uid);
+        const me = entries.find(entry => entry.userId === auth.uid);
+        ranks[period] = { periodId, rank: me ? me.rank : null, xp: me ? me.xp : 0, participants: entries.length };
+      } else {
+        ranks[period] = { periodId, ...(await getLeaderboardRank(periodId, auth.uid, cityKey)) };
+      }
+    }
+
+    return { scope, ranks };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Failed to get leaderboard rank:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to get leaderboard rank');
+  }
+});
+
+// ================================
+// BADGES
+// ================================
+
+const BADGE_GRANT_PAGE_SIZE = 100;
+const BADGE_GRANT_CONCURRENCY = 10;
+
+/**
+ * Trigger: an XP ledger entry was written
+ * XP gains re-check XP and level badges; approvals, challenge completions and
+ * redemptions also re-check the badges that count them. Spot shares count towards challenges.
+ */
+const onXPLedgerEntry = onDocumentCreated(`${XP_LEDGER_COLLECTION}/{entryId}`, async (event) => {
+  const entry = event.data.data();
+
+  // Shares are only recorded through their SHARE_SPOT award; each spot counts once per challenge
+  if (entry.action === 'SHARE_SPOT' && entry.userId && entry.entityId) {
+    await countSpotActivityForChallenges(entry.userId, entry.entityId, 'SPOT_SHARED', `share:${entry.entityId}`);
+  }
+
+  const unlockTypes = [
+    ...(entry.delta > 0 ? ['xp', 'level'] : []),
+    ...(LEDGER_ACTION_BADGE_TYPES[entry.action] || [])
+  ];
+
+  if (!entry.userId || unlockTypes.length === 0) {
+    return null;
+  }
+
+  await checkAndUnlockBadges(entry.userId, { unlockTypes });
+  return null;
+});
+
+/**
+ * Trigger: a spot rating was added or removed
+ * Keeps the rater's ratingsGiven counter, checks rating badges and counts new ratings towards challenges
+ */
+const onSpotRatingWritten = onDocumentWritten('spots/{spotId}/ratings/{userId}', async (event) => {
+  const { userId } = event.params;
+  const created = !event.data.before.exists && event.data.after.exists;
+  const deleted = event.data.before.exists && !event.data.after.exists;
+
+  if (!created && !deleted) {
+    return null;
+  }
+
+  try {
+    await db.collection('users').doc(userId).update({
+      ratingsGiven: admin.firestore.FieldValue.increment(created ? 1 : -1)
+    });
+
+    if (created) {
+      await checkAndUnlockBadges(userId, { unlockTypes: ['ratings'] });
+      await countSpotActivityForChallenges(userId, event.params.spotId, 'SPOT_RATED', `rating:${event.params.spotId}`);
+    }
+  } catch (error) {
+    console.error(`Failed to update ratings given for user ${userId}:`, error);
+  }
+
+  return null;
+});
+
+/**
+ * Trigger: a user gained a follower (follower counts are kept by toggleFollow)
+ */
+const onFollowerAdded = onDocumentCreated('users/{userId}/followers/{followerId}', async (event) => {
+  await checkAndUnlockBadges(event.params.userId, { unlockTypes: ['followers'] });
+  return null;
+});
+
+/**
+ * Admin: grant badges retroactively to every user who already meets their requirements
+ * Starts a badgeGrantJobs document that processBadgeGrantJob works through page by page.
+ * Notifications are off by default so a new definition doesn't push to the whole user base.
+ */
+const grantBadgesRetroactively = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const isAdmin = await checkIsAdmin(auth.uid);
+  if (!isAdmin) {
+    throw new functions.https.HttpsError('permission-denied', 'Admin access required');
+  }
+
+  const { badgeIds = null, notify = false } = data || {};
+
+  if (badgeIds !== null && (!Array.isArray(badgeIds) || badgeIds.length === 0 ||
+      badgeIds.some(badgeId => typeof badgeId !== 'string'))) {
+    throw new functions.https.HttpsError('invalid-argument', 'badgeIds must be a non-empty array of badge IDs');
+  }
+
+  try {
+    if (badgeIds) {
+      const badgeDocs = await db.getAll(...badgeIds.map(badgeId => db.collection('badgeDefinitions').doc(badgeId)));
+      const missing = badgeDocs.filter(doc => !doc.exists).map(doc => doc.id);
+
+      if (missing.length > 0) {
+        throw new functions.https.HttpsError('not-found', `Unknown badges: ${missing.join(', ')}`);
+      }
+    }
+
+    const jobRef = await db.collection('badgeGrantJobs').add({
+      badgeIds,
+      notify: notify === true,
+      status: 'PENDING',
+      cursor: null,
+      usersProcessed: 0,
+      badgesGranted: 0,
+      requestedBy: auth.uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    console.log(`Admin ${auth.uid} started retroactive badge grant ${jobRef.id}`);
+
+    return { success: true, jobId: jobRef.id };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Failed to start retroactive badge grant:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to start badge grant');
+  }
+});
+
+/**
+ * Trigger: work through one page of users for a retroactive badge grant
+ * Each page advances the job's cursor, which triggers the next page until all users are done
+ */
+const processBadgeGrantJob = onDocumentWritten('badgeGrantJobs/{jobId}', async (event) => {
+  if (!event.data.after.exists) return null;
+
+  const before = event.data.before.exists ? event.data.before.data() : null;
+  const job = event.data.after.data();
+
+  if (!['PENDING', 'RUNNING'].includes(job.status)) return null;
+
+  // Only react to job creation and cursor advances
+  if (before && before.status === job.status && before.cursor === job.cursor) return null;
+
+  const jobRef = event.data.after.ref;
+
+  try {
+    const definitionsQuery = db.collection('badgeDefinitions');
+    const badgeDocs = job.badgeIds
+      ? await db.getAll(...job.badgeIds.map(badgeId => definitionsQuery.doc(badgeId)))
+      : (await definitionsQuery.get()).docs;
+
+    const definitions = badgeDocs
+      .filter(doc => doc.exists)
+      .map(doc => ({ id: doc.id, ...doc.data() }));
+
+    let usersQuery = db.collection('users')
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(BADGE_GRANT_PAGE_SIZE);
+
+    if (job.cursor) {
+      usersQuery = usersQuery.startAfter(job.cursor);
+    }
+
+    const usersSnapshot = await usersQuery.get();
+    let granted = 0;
+
+    for (let i = 0; i < usersSnapshot.docs.length; i += BADGE_GRANT_CONCURRENCY) {
+      const chunk = usersSnapshot.docs.slice(i, i + BADGE_GRANT_CONCURRENCY);
+
+      const results = await Promise.all(chunk.map(doc => checkAndUnlockBadges(doc.id, {
+        definitions,
+        userData: doc.data(),
+        notify: job.notify
+      })));
+
+      granted += results.reduce((sum, unlocked) => sum + unlocked.length, 0);
+    }
+
+    const done = usersSnapshot.size < BADGE_GRANT_PAGE_SIZE;
+    const lastDoc = usersSnapshot.docs[usersSnapshot.docs.length - 1];
+
+    await jobRef.update({
+      status: done ? 'COMPLETED' : 'RUNNING',
+      cursor: lastDoc ? lastDoc.id : job.cursor,
+      usersProcessed: admin.firestore.FieldValue.increment(usersSnapshot.size),
+      badgesGranted: admin.firestore.FieldValue.increment(granted),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...(done && { completedAt: admin.firestore.FieldValue.serverTimestamp() })
+    });
+
+    if (done) {
+      console.log(`Retroactive badge grant ${event.params.jobId} completed`);
+    }
+  } catch (error) {
+    console.error(`Retroactive badge grant ${event.params.jobId} failed:`, error);
+    await jobRef.update({
+      status: 'FAILED',
+      error: error.message,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  return null;
+});
+
+// ================================
+// CHALLENGE PROGRESS & REWARDS
+// ================================
+
+/**
+ * Count a spot activity towards the user's challenges
+ * Removed or missing spots never count; the spot's category is passed on for category rules
+ */
+async function countSpotActivityForChallenges(userId, spotId, activity, eventId) {
+  if (!userId || !spotId) {
+    return false;
+  }
+
+  const spotDoc = await db.collection('spots').doc(spotId).get();
+  if (!spotDoc.exists || spotDoc.data().removedAt) {
+    return false;
+  }
+
+  return updateUserChallengeProgress(userId, activity, eventId, {
+    spotId,
+    category: spotDoc.data().category || null
+  });
+}
+
+// A check-in only counts this close to the spot
+const SPOT_VISIT_MAX_DISTANCE_METERS = 150;
+
+/**
+ * Callable: check in at a spot from the caller's current location
+ * The first check-in records the discovery (user_spots/{userId}_{spotId}); visits are recorded
+ * once per UTC day (user_visits/{userId}_{spotId}_{date}). Clients can't write either collection,
+ * so challenge progress and VISIT_SPOT XP only follow check-ins made near the spot.
+ */
+const recordSpotVisit = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { spotId, latitude, longitude } = data || {};
+
+  if (typeof spotId !== 'string' || !spotId) {
+    throw new functions.https.HttpsError('invalid-argument', 'spotId is required');
+  }
+
+  if (typeof latitude !== 'number' || latitude < -90 || latitude > 90 ||
+      typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+    throw new functions.https.HttpsError('invalid-argument', 'A valid latitude and longitude are required');
+  }
+
+  try {
+    const spotDoc = await db.collection('spots').doc(spotId).get();
+    const spot = spotDoc.exists ? spotDoc.data() : null;
+
+    if (!spot || spot.removedAt ||
+        !(SPOT_APPROVED_STATUSES.includes(spot.verificationStatus) || spot.isActive === true || spot.active === true)) {
+      throw new functions.https.HttpsError('not-found', 'Spot not found');
+    }
+
+    const distanceMeters = calculateDistance(latitude, longitude, spot.latitude, spot.longitude) * 1000;
+    if (!(distanceMeters <= SPOT_VISIT_MAX_DISTANCE_METERS)) {
+      throw new functions.https.HttpsError('failed-precondition', 'You need to be at the spot to check in');
+    }
+
+    const dateKey = new Date().toISOString().slice(0, 10);
+    const discoveryRef = db.collection('user_spots').doc(`${auth.uid}_${spotId}`);
+    const visitRef = db.collection('user_visits').doc(`${auth.uid}_${spotId}_${dateKey}`);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const [discoveryDoc, visitDoc] = await Promise.all([transaction.get(discoveryRef), transaction.get(visitRef)]);
+      const record = { userId: auth.uid, spotId, distanceMeters: Math.round(distanceMeters) };
+
+      if (!discoveryDoc.exists) {
+        transaction.set(discoveryRef, { ...record, discoveredAt: admin.firestore.FieldValue.serverTimestamp() });
+      }
+
+      if (!visitDoc.exists) {
+        transaction.set(visitRef, { ...record, visitedAt: admin.firestore.FieldValue.serverTimestamp() });
+      }
+
+      return { discovered: !discoveryDoc.exists, visited: !visitDoc.exists };
+    });
+
+    return { success: true, ...result };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error(`Check-in at spot ${spotId} for ${auth.uid} failed:`, error);
+    throw new functions.https.HttpsError('internal', 'Failed to check in');
+  }
+});
+
+/**
+ * Trigger: a user discovered a spot (user_spots/{userId}_{spotId}, written by recordSpotVisit)
+ */
+const onUserSpotDiscovered = onDocumentCreated('user_spots/{discoveryId}', async (event) => {
+  const discovery = event.data.data();
+  await countSpotActivityForChallenges(discovery.userId, discovery.spotId, 'SPOT_DISCOVERED', `discovery:${discovery.spotId}`);
+  return null;
+});
+
+/**
+ * Trigger: a user visited a spot (written by recordSpotVisit)
+ * Repeat visits to the same spot count once per challenge
+ */
+const onUserSpotVisited = onDocumentCreated('user_visits/{visitId}', async (event) => {
+  const visit = event.data.data();
+  await countSpotActivityForChallenges(visit.userId, visit.spotId, 'SPOT_VISITED', `visit:${visit.spotId}`);
+  return null;
+});
+
+/**
+ * Trigger: a user liked a spot (likes are written by toggleLike)
+ * Unliking and liking again does not count twice
+ */
+const onSpotLikedForChallenges = onDocumentCreated('spots/{spotId}/likes/{userId}', async (event) => {
+  const { spotId, userId } = event.params;
+  await countSpotActivityForChallenges(userId, spotId, 'SPOT_LIKED', `like:${spotId}`);
+  return null;
+});
+
+/**
+ * Callable: claim the reward of a completed challenge
+ * Needed for challenges with requiresClaim; also retries a payout that failed after completion
+ */
+const claimChallengeReward = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { challengeId } = data || {};
+  if (typeof challengeId !== 'string' || !challengeId) {
+    throw new functions.https.HttpsError('invalid-argument', 'challengeId is required');
+  }
+
+  try {
+    const progressRef = db.collection('user_challenges').doc(`${auth.uid}_${challengeId}`);
+    const [progressDoc, challengeDoc] = await Promise.all([
+      progressRef.get(),
+      db.collection('challenges').doc(challengeId).get()
+    ]);
+
+    if (!progressDoc.exists || !challengeDoc.exists) {
+      throw new functions.https.HttpsError('not-found', 'Challenge not found');
+    }
+
+    const progress = progressDoc.data();
+
+    if (progress.rewardStatus === 'PAID') {
+      return { success: true, alreadyClaimed: true, xpAwarded: 0 };
+    }
+
+    if (!progress.completed || !['CLAIMABLE', 'PENDING'].includes(progress.rewardStatus)) {
+      throw new functions.https.HttpsError('failed-precondition', 'Challenge is not completed yet');
+    }
+
+    const challenge = { id: challengeDoc.id, ...challengeDoc.data() };
+    const payout = await payoutChallengeReward(auth.uid, challenge, { type: 'user', id: auth.uid });
+
+    return {
+      success: true,
+      alreadyClaimed: !payout.paid,
+      xpAwarded: payout.xpAwarded,
+      sponsorRedemptionId: payout.sponsorRedemptionId,
+      badgeId: payout.badgeId
+    };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error(`Failed to claim challenge ${challengeId} for ${auth.uid}:`, error);
+    throw new functions.https.HttpsError('internal', 'Failed to claim challenge reward');
+  }
+});
+
+// ================================
+// RECURRING CHALLENGES
+// ================================
+
+// Progress of generated challenges is archived this long after they end; unpaid rewards stay claimable
+const CHALLENGE_ARCHIVE_DELAY_DAYS = 7;
+const CHALLENGE_MAINTENANCE_LIMIT = 50;
+const CHALLENGE_ARCHIVE_PAGE_SIZE = 200;
+const CHALLENGE_ARCHIVE_TIME_BUDGET_MS = 40 * 1000; // well inside the default 60s function timeout
+
+/**
+ * Create the current day's and week's challenges from active templates
+ * Instances that already exist are left alone
+ */
+async function generateChallengeInstances(now) {
+  const templatesSnapshot = await db.collection('challengeTemplates')
+    .where('isActive', '==', true)
+    .get();
+
+  let created = 0;
+
+  for (const templateDoc of templatesSnapshot.docs) {
+    const template = templateDoc.data();
+    const instance = buildChallengeInstance(templateDoc.id, template, getRecurrencePeriod(template.recurrence, now));
+
+    if (!instance) {
+      console.error(`Invalid challenge template ${templateDoc.id}, skipping it`);
+      continue;
+    }
+
+    try {
+      await db.collection('challenges').doc(instance.id).create({
+        ...instance.data,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      created++;
+    } catch (error) {
+      // ALREADY_EXISTS: generated by an earlier run
+      if (error.code !== 6) throw error;
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Close generated challenges whose period has ended, so they stop counting progress
+ */
+async function expireChallengeInstances(now) {
+  const expiredSnapshot = await db.collection('challenges')
+    .where('generated', '==', true)
+    .where('isActive', '==', true)
+    .where('endDate', '<=', admin.firestore.Timestamp.fromDate(now))
+    .limit(CHALLENGE_MAINTENANCE_LIMIT)
+    .get();
+
+  if (expiredSnapshot.empty) {
+    return 0;
+  }
+
+  const batch = db.batch();
+  expiredSnapshot.forEach(doc => batch.update(doc.ref, {
+    isActive: false,
+    expiredAt: admin.firestore.FieldValue.serverTimestamp()
+  }));
+  await batch.commit();
+
+  return expiredSnapshot.size;
+}
+
+/**
+ * Move user_challenges progress of generated challenges that ended a while ago
+ * to user_challenges_archive (same document IDs, audit trails stay where they are)
+ * Completed progress whose reward is still unpaid stays in user_challenges so it can be claimed.
+ * Stops when the time budget runs out; jobState/challengeArchive remembers the challenge and
+ * progress document it got to, and the next run continues from there.
+ */
+async function archiveChallengeInstances(now, startedAt) {
+  const cutoff = admin.firestore.Timestamp.fromMillis(now.getTime() - CHALLENGE_ARCHIVE_DELAY_DAYS * 24 * 60 * 60 * 1000);
+  const stateRef = db.collection('jobState').doc('challengeArchive');
+  const stateDoc = await stateRef.get();
+  let { challengeId = null, lastDocId = null } = stateDoc.exists ? stateDoc.data() : {};
+
+  const result = { challenges: 0, progress: 0, keptClaimable: 0, done: false };
+
+  while (Date.now() - startedAt < CHALLENGE_ARCHIVE_TIME_BUDGET_MS) {
+    if (!challengeId) {
+      const challengesSnapshot = await db.collection('challenges')
+        .where('generated', '==', true)
+        .where('archived', '==', false)
+        .where('endDate', '<=', cutoff)
+        .limit(1)
+        .get();
+
+      if (challengesSnapshot.empty) {
+        result.done = true;
+        break;
+      }
+
+      challengeId = challengesSnapshot.docs[0].id;
+      lastDocId = null;
+    }
+
+    let query = db.collection('user_challenges')
+      .where('challengeId', '==', challengeId)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(CHALLENGE_ARCHIVE_PAGE_SIZE);
+
+    if (lastDocId) {
+      query = query.startAfter(lastDocId);
+    }
+
+    const progressSnapshot = await query.get();
+    const batch = db.batch();
+    let hasWrites = false;
+
+    progressSnapshot.forEach(doc => {
+      const progress = doc.data();
+      if (progress.completed && ['CLAIMABLE', 'PENDING'].includes(progress.rewardStatus)) {
+        result.keptClaimable++;
+        return;
+      }
+
+      batch.set(db.collection('user_challenges_archive').doc(doc.id), {
+        ...progress,
+        archivedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      batch.delete(doc.ref);
+      hasWrites = true;
+      result.progress++;
+    });
+
+    if (hasWrites) await batch.commit();
+
+    if (progressSnapshot.size === CHALLENGE_ARCHIVE_PAGE_SIZE) {
+      lastDocId = progressSnapshot.docs[progressSnapshot.docs.length - 1].id;
+      continue;
+    }
+
+    await db.collection('challenges').doc(challengeId).update({
+      archived: true,
+      archivedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    result.challenges++;
+    challengeId = null;
+    lastDocId = null;
+  }
+
+  await stateRef.set({
+    challengeId,
+    lastDocId,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return result;
+}
+
+/**
+ * Scheduled job: expire ended challenge instances, generate today's and this week's
+ * instances from templates, and archive progress of long-ended instances
+ */
+const generateRecurringChallenges = pubsub.schedule('0 0 * * *').timeZone('UTC').onRun(async () => {
+  try {
+    const startedAt = Date.now();
+    const now = new Date();
+
+    const expired = await expireChallengeInstances(now);
+    const created = await generateChallengeInstances(now);
+    const archived = await archiveChallengeInstances(now, startedAt);
+
+    console.log(`Recurring challenges: ${created} created, ${expired} expired, ` +
+      `${archived.challenges} archived (${archived.progress} progress documents, ` +
+      `${archived.keptClaimable} unclaimed kept)${archived.done ? '' : ' (archiving continues next run)'}`);
+  } catch (error) {
+    console.error('Recurring challenge job failed:', error);
+  }
+
+  return null;
+});
+
+// ================================
+// TEAM CHALLENGES
+// ================================
+
+/**
+ * Whether two users follow each other
+ */
+async function areMutualFollowers(userId, otherUserId) {
+  const [following, followedBy] = await db.getAll(
+    db.collection('users').doc(userId).collection('following').doc(otherUserId),
+    db.collection('users').doc(otherUserId).collection('following').doc(userId)
+  );
+
+  return following.exists && followedBy.exists;
+}
+
+/**
+ * Load a team the user belongs to
+ */
+async function getTeamForMember(teamId, userId) {
+  if (typeof teamId !== 'string' || !teamId) {
+    throw new functions.https.HttpsError('invalid-argument', 'teamId is required');
+  }
+
+  const teamDoc = await db.collection('teams').doc(teamId).get();
+  if (!teamDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Team not found');
+  }
+
+  const team = { id: teamDoc.id, ...teamDoc.data() };
+  if (!(team.memberIds || []).includes(userId)) {
+    throw new functions.https.HttpsError('permission-denied', 'You are not a member of this team');
+  }
+
+  return team;
+}
+
+/**
+ * Throw when a user already belongs to the maximum number of teams
+ */
+async function assertTeamCapacityForUser(userId) {
+  const teamsSnapshot = await db.collection('teams')
+    .where('memberIds', 'array-contains', userId)
+    .count()
+    .get();
+
+  if (teamsSnapshot.data().count >= MAX_TEAMS_PER_USER) {
+    throw new functions.https.HttpsError('resource-exhausted', `You can be in at most ${MAX_TEAMS_PER_USER} teams`);
+  }
+}
+
+/**
+ * Count an activity event towards the started challenges of the user's teams
+ * Each member's event counts once per team challenge; streak rules do not apply to teams
+ */
+async function updateTeamChallengeProgress(userId, activity, eventId, data = {}) {
+  const teamsSnapshot = await db.collection('teams')
+    .where('memberIds', 'array-contains', userId)
+    .limit(MAX_TEAMS_PER_USER)
+    .get();
+
+  if (teamsSnapshot.empty) {
+    return;
+  }
+
+  const teamChallengesSnapshot = await db.collection('team_challenges')
+    .where('teamId', 'in', teamsSnapshot.docs.map(doc => doc.id))
+    .where('completed', '==', false)
+    .get();
+
+  if (teamChallengesSnapshot.empty) {
+    return;
+  }
+
+  const challengeIds = [...new Set(teamChallengesSnapshot.docs.map(doc => doc.data().challengeId))];
+  const challengeDocs = await db.getAll(...challengeIds.map(id => db.collection('challenges').doc(id)));
+  const challenges = new Map(challengeDocs
+    .filter(doc => doc.exists)
+    .map(doc => [doc.id, { id: doc.id, ...doc.data() }]));
+
+  for (const teamChallengeDoc of teamChallengesSnapshot.docs) {
+    const challenge = challenges.get(teamChallengeDoc.data().challengeId);
+    if (!challenge || !isChallengeOpen(challenge)) continue;
+
+    const progress = getChallengeProgressForEvent(challenge, activity, data);
+    if (!progress || progress.absolute) continue;
+
+    try {
+      await countTeamChallengeEvent(teamChallengeDoc.ref, challenge, userId, progress.amount, { activity, eventId });
+    } catch (error) {
+      console.error(`Failed to update team challenge ${teamChallengeDoc.id}:`, error);
+    }
+  }
+}
+
+/**
+ * Add one member's event to a team challenge
+ * On completion the XP shares are fixed from the contributions and then paid out
+ */
+async function countTeamChallengeEvent(teamChallengeRef, challenge, userId, amount, { activity, eventId }) {
+  const eventRef = teamChallengeRef.collection('countedEvents').doc(`${userId}_${eventId}`);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const [teamChallengeDoc, eventDoc] = await Promise.all([
+      transaction.get(teamChallengeRef),
+      transaction.get(eventRef)
+    ]);
+
+    if (!teamChallengeDoc.exists || eventDoc.exists) {
+      return { counted: false };
+    }
+
+    const teamChallenge = teamChallengeDoc.data();
+    const teamRef = db.collection('teams').doc(teamChallenge.teamId);
+    const teamDoc = await transaction.get(teamRef);
+    const memberIds = teamDoc.exists ? teamDoc.data().memberIds || [] : [];
+
+    // A team that shrank below the minimum stops making progress until it has enough members again
+    if (teamChallenge.completed || !memberIds.includes(userId) || memberIds.length < MIN_TEAM_MEMBERS) {
+      return { counted: false };
+    }
+
+    const previousProgress = teamChallenge.currentProgress || 0;
+    const newProgress = Math.min(previousProgress + amount, challenge.targetValue);
+    const isCompleted = newProgress >= challenge.targetValue;
+    const contributions = {
+      ...(teamChallenge.contributions || {}),
+      [userId]: ((teamChallenge.contributions || {})[userId] || 0) + amount
+    };
+
+    let payoutShares = null;
+    if (isCompleted) {
+      // Members who left the team, or were already paid for this challenge through another team,
+      // keep their contribution on record but get no share
+      const contributorIds = Object.keys(contributions).filter(memberId => memberIds.includes(memberId));
+      const paidEntries = contributorIds.length > 0
+        ? await transaction.getAll(...contributorIds.map(memberId =>
+          getLedgerEntryRef(getTeamChallengeShareKey(challenge.id, memberId))))
+        : [];
+      const memberContributions = Object.fromEntries(contributorIds
+        .filter((memberId, index) => !paidEntries[index].exists)
+        .map(memberId => [memberId, contributions[memberId]]));
+      payoutShares = splitTeamPayout(challenge.xpReward || 0, memberContributions, teamChallenge.payoutSplit);
+
+      transaction.update(teamRef, {
+        teamXP: admin.firestore.FieldValue.increment(Object.values(payoutShares).reduce((sum, share) => sum + share, 0)),
+        challengesCompleted: admin.firestore.FieldValue.increment(1)
+      });
+    }
+
+    transaction.update(teamChallengeRef, {
+      currentProgress: newProgress,
+      progressPercentage: Math.min((newProgress / challenge.targetValue) * 100, 100),
+      contributions,
+      completed: isCompleted,
+      lastProgressAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...(isCompleted && {
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        payoutShares,
+        rewardStatus: 'PENDING'
+      })
+    });
+
+    transaction.set(eventRef, {
+      userId,
+      eventId,
+      activity,
+      amount,
+      countedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { counted: true, isCompleted };
+  });
+
+  if (result.isCompleted) {
+    await payoutTeamChallenge(teamChallengeRef, challenge);
+  }
+
+  return result.counted;
+}
+
+/**
+ * Pay each member's share of a completed team challenge through the ledger and notify the team
+ * Ledger keys make every member paid at most once per challenge, across all of their teams;
+ * failed shares leave rewardStatus PARTIAL
+ */
+async function payoutTeamChallenge(teamChallengeRef, challenge) {
+  const teamChallengeDoc = await teamChallengeRef.get();
+  const teamChallenge = teamChallengeDoc.data();
+
+  if (!teamChallenge.completed || teamChallenge.rewardStatus === 'PAID') {
+    return;
+  }
+
+  const teamDoc = await db.collection('teams').doc(teamChallenge.teamId).get();
+  const team = teamDoc.exists ? teamDoc.data() : { name: 'Your team', memberIds: [] };
+  const shares = { ...(teamChallenge.payoutShares || {}) };
+  let failed = 0;
+
+  for (const [memberId, share] of Object.entries(shares)) {
+    if (!(share > 0)) continue;
+
+    try {
+      const shareKey = getTeamChallengeShareKey(challenge.id, memberId);
+
+      // Paid by another team that completed the same challenge at the same time
+      const paidEntry = await getLedgerEntryRef(shareKey).get();
+      if (paidEntry.exists && (paidEntry.data().metadata || {}).teamId !== teamChallenge.teamId) {
+        shares[memberId] = 0;
+        continue;
+      }
+
+      await recordXPChange({
+        userId: memberId,
+        delta: share,
+        action: 'TEAM_CHALLENGE_COMPLETED',
+        actor: { type: 'system' },
+        reason: `Team challenge completed: ${challenge.title}`,
+        entityId: challenge.id,
+        idempotencyKey: shareKey,
+        metadata: { teamId: teamChallenge.teamId, contribution: (teamChallenge.contributions || {})[memberId] || 0 }
+      });
+    } catch (error) {
+      failed++;
+      console.error(`Team challenge share for ${memberId} on ${teamChallengeRef.id} failed:`, error);
+    }
+  }
+
+  await teamChallengeRef.update({
+    payoutShares: shares,
+    rewardStatus: failed === 0 ? 'PAID' : 'PARTIAL',
+    rewardPaidAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  for (const memberId of team.memberIds || []) {
+    const share = shares[memberId] || 0;
+
+    try {
+      await sendUserNotificationInternal(memberId, {
+        title: 'Team Challenge Complete! 🏆',
+        body: share > 0
+          ? `${team.name} completed "${challenge.title}". Your share: ${share} XP!`
+          : `${team.name} completed "${challenge.title}"!`,
+        data: {
+          type: 'team_challenge_completed',
+          teamId: teamChallenge.teamId,
+          challengeId: challenge.id,
+          xpReward: String(share)
+        }
+      }, { teamId: teamChallenge.teamId });
+    } catch (error) {
+      console.error(`Team challenge notification to ${memberId} failed:`, error);
+    }
+  }
+}
+
+/**
+ * Callable: create a team with the caller as owner
+ * CITY teams are tied to a city (the caller's own city by default)
+ */
+const createTeam = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { name, type = 'FRIENDS' } = data || {};
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+
+  if (trimmedName.length < 3 || trimmedName.length > 40) {
+    throw new functions.https.HttpsError('invalid-argument', 'Team name must be 3 to 40 characters');
+  }
+
+  if (!TEAM_TYPES.includes(type)) {
+    throw new functions.https.HttpsError('invalid-argument', `type must be one of: ${TEAM_TYPES.join(', ')}`);
+  }
+
+  try {
+    await assertTeamCapacityForUser(auth.uid);
+
+    let city = null;
+    if (type === 'CITY') {
+      const userDoc = await db.collection('users').doc(auth.uid).get();
+      city = (data.city || (userDoc.exists ? userDoc.data().city : null) || '').trim() || null;
+
+      if (!getCityKey(city)) {
+        throw new functions.https.HttpsError('invalid-argument', 'A city is required for city teams');
+      }
+    }
+
+    const teamRef = db.collection('teams').doc();
+    await teamRef.set({
+      name: trimmedName,
+      type,
+      city,
+      cityKey: getCityKey(city),
+      ownerId: auth.uid,
+      memberIds: [auth.uid],
+      memberCount: 1,
+      maxMembers: MAX_TEAM_MEMBERS,
+      teamXP: 0,
+      challengesCompleted: 0,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { success: true, teamId: teamRef.id };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Create team failed:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to create team');
+  }
+});
+
+/**
+ * Callable: invite a friend (someone the caller follows who follows back) to a team
+ * City teams only take people from the same city
+ */
+const inviteToTeam = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { teamId, userId: inviteeId } = data || {};
+
+  if (typeof inviteeId !== 'string' || !inviteeId || inviteeId === auth.uid) {
+    throw new functions.https.HttpsError('invalid-argument', 'A user to invite is required');
+  }
+
+  try {
+    const team = await getTeamForMember(teamId, auth.uid);
+
+    if (team.memberIds.includes(inviteeId)) {
+      throw new functions.https.HttpsError('already-exists', 'User is already in this team');
+    }
+
+    if (team.memberCount >= (team.maxMembers || MAX_TEAM_MEMBERS)) {
+      throw new functions.https.HttpsError('resource-exhausted', 'This team is full');
+    }
+
+    if (!await areMutualFollowers(auth.uid, inviteeId)) {
+      throw new functions.https.HttpsError('failed-precondition', 'You can only invite people who follow you back');
+    }
+
+    if (team.type === 'CITY') {
+      const inviteeDoc = await db.collection('users').doc(inviteeId).get();
+      if (!inviteeDoc.exists || getCityKey(inviteeDoc.data().city) !== team.cityKey) {
+        throw new functions.https.HttpsError('failed-precondition', `Only people from ${team.city} can join this team`);
+      }
+    }
+
+    const inviteRef = db.collection('teamInvites').doc(`${team.id}_${inviteeId}`);
+    const existingInvite = await inviteRef.get();
+
+    if (existingInvite.exists && existingInvite.data().status === 'PENDING') {
+      return { success: true, alreadyInvited: true };
+    }
+
+    await inviteRef.set({
+      teamId: team.id,
+      teamName: team.name,
+      inviterId: auth.uid,
+      inviteeId,
+      status: 'PENDING',
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await sendUserNotificationInternal(inviteeId, {
+      title: 'Team Invite 🤝',
+      body: `You've been invited to join ${team.name}`,
+      data: { type: 'team_invite', teamId: team.id }
+    }, { teamId: team.id });
+
+    return { success: true, alreadyInvited: false };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Team invite failed:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to send team invite');
+  }
+});
+
+/**
+ * Callable: accept or decline a team invite
+ */
+const respondToTeamInvite = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { teamId, accept } = data || {};
+
+  if (typeof teamId !== 'string' || !teamId || typeof accept !== 'boolean') {
+    throw new functions.https.HttpsError('invalid-argument', 'teamId and accept are required');
+  }
+
+  try {
+    if (accept) {
+      await assertTeamCapacityForUser(auth.uid);
+    }
+
+    const inviteRef = db.collection('teamInvites').doc(`${teamId}_${auth.uid}`);
+    const teamRef = db.collection('teams').doc(teamId);
+
+    const team = await db.runTransaction(async (transaction) => {
+      const [inviteDoc, teamDoc] = await Promise.all([transaction.get(inviteRef), transaction.get(teamRef)]);
+
+      if (!inviteDoc.exists || inviteDoc.data().status !== 'PENDING') {
+        throw new functions.https.HttpsError('not-found', 'No pending invite for this team');
+      }
+
+      if (accept) {
+        if (!teamDoc.exists) {
+          throw new functions.https.HttpsError('not-found', 'Team not found');
+        }
+
+        const teamData = teamDoc.data();
+        if (teamData.memberCount >= (teamData.maxMembers || MAX_TEAM_MEMBERS)) {
+          throw new functions.https.HttpsError('resource-exhausted', 'This team is full');
+        }
+
+        if (!(teamData.memberIds || []).includes(auth.uid)) {
+          transaction.update(teamRef, {
+            memberIds: admin.firestore.FieldValue.arrayUnion(auth.uid),
+            memberCount: admin.firestore.FieldValue.increment(1)
+          });
+        }
+      }
+
+      transaction.update(inviteRef, {
+        status: accept ? 'ACCEPTED' : 'DECLINED',
+        respondedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return teamDoc.exists ? { id: teamDoc.id, ...teamDoc.data(), inviterId: inviteDoc.data().inviterId } : null;
+    });
+
+    if (accept && team) {
+      await sendUserNotificationInternal(team.inviterId, {
+        title: 'Team Invite Accepted 🤝',
+        body: `Your invite to ${team.name} was accepted`,
+        data: { type: 'team_member_joined', teamId: team.id, userId: auth.uid }
+      }, { teamId: team.id });
+    }
+
+    return { success: true, joined: accept };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Team invite response failed:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to respond to team invite');
+  }
+});
+
+/**
+ * Callable: leave a team
+ * Ownership passes to the longest-standing member; the last member leaving disbands the team
+ */
+const leaveTeam = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  try {
+    const team = await getTeamForMember((data || {}).teamId, auth.uid);
+    const teamRef = db.collection('teams').doc(team.id);
+
+    await db.runTransaction(async (transaction) => {
+      const teamDoc = await transaction.get(teamRef);
+      const memberIds = (teamDoc.data().memberIds || []).filter(memberId => memberId !== auth.uid);
+
+      transaction.update(teamRef, {
+        memberIds,
+        memberCount: memberIds.length,
+        ownerId: teamDoc.data().ownerId === auth.uid ? memberIds[0] || null : teamDoc.data().ownerId,
+        ...(memberIds.length === 0 && { disbandedAt: admin.firestore.FieldValue.serverTimestamp() })
+      });
+    });
+
+    return { success: true };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Leave team failed:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to leave team');
+  }
+});
+
+/**
+ * Callable: start a team challenge for a team the caller belongs to
+ */
+const startTeamChallenge = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { teamId, challengeId } = data || {};
+
+  if (typeof challengeId !== 'string' || !challengeId) {
+    throw new functions.https.HttpsError('invalid-argument', 'challengeId is required');
+  }
+
+  try {
+    const team = await getTeamForMember(teamId, auth.uid);
+
+    if (team.memberIds.length < MIN_TEAM_MEMBERS) {
+      throw new functions.https.HttpsError('failed-precondition', `Teams need at least ${MIN_TEAM_MEMBERS} members to start a team challenge`);
+    }
+
+    const challengeDoc = await db.collection('challenges').doc(challengeId).get();
+    const challenge = challengeDoc.exists ? { id: challengeDoc.id, ...challengeDoc.data() } : null;
+
+    if (!challenge || !challenge.teamChallenge || !isChallengeOpen(challenge)) {
+      throw new functions.https.HttpsError('failed-precondition', 'This team challenge is not available');
+    }
+
+    const teamChallengeId = `${team.id}_${challenge.id}`;
+
+    try {
+      await db.collection('team_challenges').doc(teamChallengeId).create({
+        teamId: team.id,
+        challengeId: challenge.id,
+        challengeTitle: challenge.title,
+        targetValue: challenge.targetValue,
+        payoutSplit: TEAM_PAYOUT_SPLITS.includes(challenge.payoutSplit) ? challenge.payoutSplit : 'EQUAL',
+        currentProgress: 0,
+        progressPercentage: 0,
+        contributions: {},
+        completed: false,
+        startedBy: auth.uid,
+        startedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (error) {
+      // ALREADY_EXISTS: started by a teammate
+      if (error.code !== 6) throw error;
+      return { success: true, teamChallengeId, alreadyStarted: true };
+    }
+
+    return { success: true, teamChallengeId, alreadyStarted: false };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Start team challenge failed:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to start team challenge');
+  }
+});
+
 /**
- * SPOT VERIFICATION SYSTEM
- * Purpose: Verify spot submissions with anti-cheat and scoring
- * Triggers: Called by admin dashboard or automated systems
- * Collections: spots, verificationLogs, adminActions
- * Transactions: Used for atomic spot status updates
- * Edge cases: Duplicate verification, missing spot, invalid status
+ * Callable: teams ranked by XP earned together, globally or in one city
  */
-const verifySpotSubmission = functions.https.onCall(async (request) => {
+const getTeamLeaderboard = functions.https.onCall(async (request) => {
   const { auth, data } = request;
 
   if (!auth) {
     throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
   }
 
-  const { spotId, approved, reason, score } = data;
-
-  if (!spotId || typeof approved !== 'boolean') {
-    throw new functions.https.HttpsError('invalid-argument', 'spotId and approved status are required');
-  }
+  const { city = null, limit = 50 } = data || {};
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), LEADERBOARD_SNAPSHOT_SIZE);
 
   try {
-    // Check admin permissions
-    const isAdmin = await checkIsAdmin(auth.uid);
-    if (!isAdmin) {
-      throw new functions.https.HttpsError('permission-denied', 'Admin access required');
+    let query = db.collection('teams');
+
+    if (city) {
+      const cityKey = getCityKey(city);
+      if (!cityKey) {
+        throw new functions.https.HttpsError('invalid-argument', 'city must be a non-empty string');
+      }
+      query = query.where('cityKey', '==', cityKey);
     }
 
-    const result = await db.runTransaction(async (transaction) => {
-      const spotRef = db.collection('spots').doc(spotId);
-      const spotDoc = await transaction.get(spotRef);
+    const teamsSnapshot = await query.orderBy('teamXP', 'desc').limit(pageSize).get();
+
+    const entries = rankEntries(teamsSnapshot.docs
+      .filter(doc => doc.data().memberCount > 0)
+      .map(doc => {
+        const team = doc.data();
+        return {
+          teamId: doc.id,
+          name: team.name,
+          type: team.type,
+          city: team.city || null,
+          memberCount: team.memberCount,
+          challengesCompleted: team.challengesCompleted || 0,
+          xp: team.teamXP || 0
+        };
+      }));
 
-      if (!spotDoc.exists) {
-        throw new functions.https.HttpsError('not-found', 'Spot not found');
+    return { success: true, entries };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Team leaderboard failed:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to load team leaderboard');
+  }
+});
+
+// Helper functions for notifications
+async function sendSpotApprovalNotificationInternal(userId, spotTitle) {
+  try {
+    const payload = {
+      title: 'Spot Approved! 🎉',
+      body: `Your spot "${spotTitle}" has been approved! You earned 100 XP!`,
+      data: {
+        type: 'spot_approval',
+        spotTitle,
+        xpAwarded: '100'
       }
+    };
 
-      const spotData = spotDoc.data();
+    const notificationRef = await db.collection('notifications').add({
+      title: payload.title,
+      body: payload.body,
+      type: 'single',
+      targetUserId: userId,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      sent: false
+    });
 
-      // Prevent duplicate verification
-      if (spotData.verificationStatus === 'APPROVED' || spotData.verificationStatus === 'REJECTED') {
-        throw new functions.https.HttpsError('already-exists', 'Spot already verified');
+    return await sendSingleNotificationInternal(notificationRef.id, userId, payload);
+  } catch (error) {
+    console.error('Error sending spot approval notification:', error);
+  }
+}
+
+async function sendSpotRejectionNotificationInternal(userId, spotTitle, reason) {
+  try {
+    const payload = {
+      title: 'Spot Submission Declined 📍',
+      body: `Your spot "${spotTitle}" was not approved.${reason ? ` Reason: ${reason}` : ''}`,
+      data: {
+        type: 'spot_rejection',
+        spotTitle,
+        reason: reason || ''
       }
+    };
 
-      const updateData = {
-        verificationStatus: approved ? 'APPROVED' : 'REJECTED',
-        verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
-        verifiedBy: auth.uid,
-        verificationReason: reason || '',
-        verificationScore: score || null,
-        isActive: approved
+    const notificationRef = await db.collection('notifications').add({
+      title: payload.title,
+      body: payload.body,
+      type: 'single',
+      targetUserId: userId,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      sent: false
+    });
+
+    return await sendSingleNotificationInternal(notificationRef.id, userId, payload);
+  } catch (error) {
+    console.error('Error sending spot rejection notification:', error);
+  }
+}
+
+// ================================
+// TIER 1: QR CODE FUNCTIONS
+// ================================
+
+/**
+ * Build the string signed into a sponsor QR code
+ * Codes issued by a staff member also sign the issuer and location
+ */
+function buildQRSignatureBase(payload) {
+  const base = `${payload.v}|${payload.sid}|${payload.ts}|${payload.nonce}`;
+  return payload.by !== undefined ? `${base}|${payload.by}|${payload.lid || ''}` : base;
+}
+
+/**
+ * A sponsor's QR signing secret, kept in sponsors/{id}/private/qr where clients can't read it
+ * With create, a sponsor without one gets a new secret; returns null otherwise
+ */
+async function getSponsorQRSecret(sponsorId, { create = false } = {}) {
+  const secretRef = db.collection('sponsors').doc(sponsorId).collection('private').doc('qr');
+  const secretDoc = await secretRef.get();
+
+  if (secretDoc.exists && secretDoc.data().secret) {
+    return secretDoc.data().secret;
+  }
+
+  if (!create) {
+    return null;
+  }
+
+  const crypto = require('crypto');
+
+  // Two first-time generations may race; whichever secret is stored first wins
+  return db.runTransaction(async (transaction) => {
+    const latestDoc = await transaction.get(secretRef);
+    if (latestDoc.exists && latestDoc.data().secret) {
+      return latestDoc.data().secret;
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    transaction.set(secretRef, { secret, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+    return secret;
+  });
+}
+
+/**
+ * Generate QR data for sponsor (internal helper)
+ * issuer: { userId, locationId } of the staff member displaying the code
+ */
+async function generateQRDataForSponsor(sponsorId, issuer = {}) {
+  try {
+    const sponsorDoc = await db.collection('sponsors').doc(sponsorId).get();
+
+    if (!sponsorDoc.exists) {
+      return {
+        success: false,
+        error: 'Sponsor account not found. Please ensure you are logged in as a sponsor.'
       };
+    }
 
-      transaction.update(spotRef, updateData);
+    const sponsor = sponsorDoc.data();
+    const qrSecret = await getSponsorQRSecret(sponsorId, { create: true });
 
-      // Log verification action
-      const logRef = db.collection('verificationLogs').doc();
-      transaction.set(logRef, {
-        spotId,
-        action: approved ? 'APPROVE' : 'REJECT',
-        adminId: auth.uid,
-        reason: reason || '',
-        score: score || null,
-        timestamp: admin.firestore.FieldValue.serverTimestamp()
-      });
+    const crypto = require('crypto');
+
+    // Generate QR payload
+    const payload = {
+      v: sponsor.qrVersion || 1,
+      sid: sponsorId,
+      ts: Date.now(),
+      nonce: crypto.randomBytes(16).toString('hex')
+    };
+
+    if (issuer.userId) {
+      payload.by = issuer.userId;
+      payload.lid = issuer.locationId || null;
+    }
+
+    // Create HMAC signature
+    const dataToSign = buildQRSignatureBase(payload);
+    const signature = crypto
+      .createHmac('sha256', qrSecret)
+      .update(dataToSign)
+      .digest('hex');
+
+    const fullPayload = { ...payload, sig: signature };
+
+    // Encode as Base64 for compact QR
+    const qrData = Buffer.from(JSON.stringify(fullPayload)).toString('base64');
+
+    // Update generation timestamp
+    await db.collection('sponsors').doc(sponsorId).update({
+      ...(sponsor.qrVersion === undefined && { qrVersion: 1, qrExpiryMinutes: 5 }),
+      ...(sponsor.qrSecret !== undefined && { qrSecret: admin.firestore.FieldValue.delete() }),
+      qrGeneratedAt: admin.firestore.FieldValue.serverTimestamp(),
+      qrGeneratedBy: issuer.userId || null,
+      qrGeneratedAtLocationId: issuer.locationId || null,
+      lastQrNonce: payload.nonce
+    });
+
+    const expiresIn = (sponsor.qrExpiryMinutes || 5) * 60; // seconds
+
+    return {
+      success: true,
+      qrData,
+      expiresIn,
+      generatedAt: payload.ts,
+      locationId: issuer.locationId || null
+    };
+
+  } catch (error) {
+    console.error(`[Generate QR Data] ERROR:`, error);
+    return {
+      success: false,
+      error: 'Failed to generate QR code. Please try again.'
+    };
+  }
+}
+
+// Tolerated clock drift between the sponsor device and the server
+const QR_CLOCK_SKEW_MS = 60 * 1000;
+
+/**
+ * Decode a signed sponsor QR payload (base64 JSON produced by generateQRDataForSponsor)
+ * Returns null when the code is not in the signed format
+ */
+function decodeSponsorQRPayload(qrCode) {
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(qrCode)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(qrCode, 'base64').toString('utf8'));
+
+    if (!payload || typeof payload !== 'object' || !payload.sig || !payload.sid) {
+      return null;
+    }
+
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verify a signed sponsor QR payload against the sponsor's current QR settings
+ * Checks the HMAC signature (constant-time), QR version and expiry window
+ */
+async function verifySponsorQRPayload(payload) {
+  const { v, sid, ts, nonce, sig, by, lid } = payload;
+
+  if (typeof sid !== 'string' || typeof nonce !== 'string' || typeof sig !== 'string' ||
+      !Number.isInteger(v) || !Number.isInteger(ts) ||
+      (by !== undefined && typeof by !== 'string') ||
+      (lid !== undefined && lid !== null && typeof lid !== 'string')) {
+    throw new functions.https.HttpsError('invalid-argument', 'Invalid QR Code. Please scan a valid sponsor QR code.');
+  }
+
+  const [sponsorDoc, qrSecret] = await Promise.all([
+    db.collection('sponsors').doc(sid).get(),
+    getSponsorQRSecret(sid)
+  ]);
+  const sponsor = sponsorDoc.exists ? sponsorDoc.data() : null;
+
+  if (!sponsor || !qrSecret) {
+    throw new functions.https.HttpsError('invalid-argument', 'Invalid QR Code. Please scan a valid sponsor QR code.');
+  }
+
+  const crypto = require('crypto');
+  const expectedSig = crypto
+    .createHmac('sha256', qrSecret)
+    .update(buildQRSignatureBase(payload))
+    .digest();
+  const providedSig = Buffer.from(sig, 'hex');
+
+  if (providedSig.length !== expectedSig.length || !crypto.timingSafeEqual(providedSig, expectedSig)) {
+    console.warn(`[QR Verify] Signature mismatch for sponsor ${sid}`);
+    throw new functions.https.HttpsError('permission-denied', 'Invalid QR Code. The QR code signature is not valid.');
+  }
+
+  // regenerateSponsorQR bumps qrVersion to invalidate every code issued before it
+  if (v !== (sponsor.qrVersion || 1)) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      'QR Code Outdated. This QR code has been replaced. Please scan the current code at the counter.'
+    );
+  }
+
+  const now = Date.now();
+  const expiryMs = (sponsor.qrExpiryMinutes || 5) * 60 * 1000;
+
+  if (ts > now + QR_CLOCK_SKEW_MS || now - ts > expiryMs) {
+    throw new functions.https.HttpsError(
+      'deadline-exceeded',
+      'QR Code Expired. Please ask the sponsor to show a fresh QR code.'
+    );
+  }
+
+  assertQRRedemption(getEffectivePlan(sponsor));
+
+  return {
+    sponsorId: sid,
+    nonce,
+    issuedBy: by || null,
+    locationId: lid || null,
+    nonceExpiresAt: new Date(ts + expiryMs + QR_CLOCK_SKEW_MS)
+  };
+}
+
+/**
+ * REDEEM REWARD BY SCANNING QR CODE
+ * Instant redemption - no approval needed
+ *
+ * Only the signed sponsor QR is accepted (with the reward picked in the app passed as rewardId);
+ * the unsigned reward deep link, REWARD_... and plain reward ID formats are no longer valid.
+ * Signed codes are single-use: each nonce is claimed in qrNonces inside the redemption transaction.
+ */
+const redeemByQR = functions.https.onCall(async (request) => {
+  try {
+    // Authentication check
+    if (!request.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'Must be authenticated to redeem rewards'
+      );
+    }
+
+    const userId = request.auth.uid;
+    const { qrCode, userLocation, rewardId: selectedRewardId } = request.data;
+
+    // Validate input
+    if (typeof qrCode !== 'string' || qrCode.trim() === '') {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'QR code is required'
+      );
+    }
+
+    // Signed sponsor QR "base64({v, sid, ts, nonce, sig})"
+    const signedPayload = decodeSponsorQRPayload(qrCode.trim());
+    if (!signedPayload) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Invalid QR Code. Please scan the sponsor\'s current QR code.'
+      );
+    }
+
+    // Never log the code itself: until its nonce is used it can be redeemed
+    console.log(`📱 QR redemption request received - User: ${userId}, Sponsor: ${signedPayload.sid}, Nonce: ${signedPayload.nonce}`);
+
+    const signedQR = await verifySponsorQRPayload(signedPayload);
+
+    if (!selectedRewardId || typeof selectedRewardId !== 'string') {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Please select the reward you want to redeem at this sponsor.'
+      );
+    }
 
-      return { spotId, approved, userId: spotData.createdBy };
-    });
+    const rewardId = selectedRewardId;
 
-    console.log(`Spot ${spotId} ${result.approved ? 'approved' : 'rejected'} by admin ${auth.uid}`);
+    // Get reward by ID
+    const rewardDoc = await db.collection('rewards').doc(rewardId).get();
 
-    // Send notification to spot creator
-    if (result.approved) {
-      await sendSpotApprovalNotificationInternal(result.userId, spotData.title);
-    } else {
-      await sendSpotRejectionNotificationInternal(result.userId, spotData.title, reason);
+    if (!rewardDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'Invalid Reward. This reward no longer exists or has been removed.'
+      );
     }
 
-    return { success: true, approved: result.approved };
-
-  } catch (error) {
-    console.error('Spot verification failed:', error);
-    if (error.code) throw error;
-    throw new functions.https.HttpsError('internal', 'Verification failed');
-  }
-});
+    const reward = rewardDoc.data();
+    console.log(`🎁 Found reward: ${reward.title} (${rewardId})`);
 
-/**
- * SPOT VERIFICATION UPDATE HANDLER
- * Purpose: Handle automatic actions when spot verification status changes
- * Triggers: Firestore trigger on spots/{spotId} updates
- * Collections: spots, users, notifications
- * Transactions: Used for XP awards
- */
-const handleSpotVerificationUpdate = onDocumentWritten('spots/{spotId}', async (event) => {
-  const change = event.data;
-  const spotId = event.params.spotId;
+    // A sponsor's QR code can only redeem that sponsor's rewards
+    if (reward.sponsorId !== signedQR.sponsorId) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Wrong Sponsor. This reward cannot be redeemed with this QR code.'
+      );
+    }
 
-  if (!change.after.exists) return null;
+    // Check if reward is active
+    if (!reward.active) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'Reward Inactive. This reward is no longer available for redemption.'
+      );
+    }
 
-  const before = change.before.exists ? change.before.data() : null;
-  const after = change.after.data();
+    // Check if reward has expired
+    if (reward.expiresAt) {
+      let expiryDate;
 
-  // Only process verification status changes
-  if (!before || before.verificationStatus === after.verificationStatus) {
-    return null;
-  }
+      // Handle different date formats
+      if (typeof reward.expiresAt === 'object' && 'toDate' in reward.expiresAt) {
+        expiryDate = reward.expiresAt.toDate();
+      } else if (reward.expiresAt instanceof Date) {
+        expiryDate = reward.expiresAt;
+      } else if (typeof reward.expiresAt === 'string' || typeof reward.expiresAt === 'number') {
+        expiryDate = new Date(reward.expiresAt);
+      } else {
+        expiryDate = new Date(Date.now() + 86400000); // Default to tomorrow (not expired)
+      }
 
-  try {
-    if (after.verificationStatus === 'APPROVED' && before.verificationStatus !== 'APPROVED') {
-      console.log(`Spot ${spotId} approved - awarding XP to creator ${after.createdBy}`);
-
-      // Award XP for approved spot (100 XP)
-      const userRef = db.collection('users').doc(after.createdBy);
-      await db.runTransaction(async (transaction) => {
-        const userDoc = await transaction.get(userRef);
-        if (userDoc.exists) {
-          const userData = userDoc.data();
-          const currentXP = userData.xpPoints || userData.xp || 0;
-          const newXP = currentXP + 100;
-
-          transaction.update(userRef, {
-            xpPoints: newXP,
-            xp: newXP,
-            spotsDiscovered: admin.firestore.FieldValue.increment(1),
-            lastXpUpdate: admin.firestore.FieldValue.serverTimestamp()
-          });
+      if (expiryDate < new Date()) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'Reward Expired. This reward has expired and is no longer valid.'
+        );
+      }
+    }
 
-          // Log XP transaction
-          transaction.create(db.collection('xpTransactions').doc(), {
-            userId: after.createdBy,
-            action: 'SPOT_APPROVED',
-            amount: 100,
-            spotId: spotId,
-            description: 'XP for approved spot submission',
-            previousXP: currentXP,
-            newXP: newXP,
-            timestamp: admin.firestore.FieldValue.serverTimestamp(),
-            type: 'AWARD'
-          });
-        }
-      });
+    // Check if reward has reached max redemptions
+    if (reward.maxRedemptions && reward.currentRedemptions >= reward.maxRedemptions) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'Reward Sold Out. This reward has reached its maximum redemption limit.'
+      );
     }
 
-    return null;
-  } catch (error) {
-    console.error('Error handling spot verification update:', error);
-    return null;
-  }
-});
+    // Check if user has already redeemed this reward
+    const existingRedemption = await db
+      .collection('users')
+      .doc(userId)
+      .collection('redemptions')
+      .where('rewardId', '==', rewardId)
+      .where('used', '==', false)
+      .limit(1)
+      .get();
 
-/**
- * XP ADJUSTMENT SYSTEM
- * Purpose: Adjust user XP for corrections, refunds, or penalties
- * Triggers: Called by admin functions
- * Collections: users, xpTransactions, adminActions
- * Transactions: Used for atomic XP updates
- * Edge cases: Negative XP, missing user, duplicate adjustments
- */
-const adjustUserXP = functions.https.onCall(async (request) => {
-  const { auth, data } = request;
+    if (!existingRedemption.empty) {
+      throw new functions.https.HttpsError(
+        'already-exists',
+        'Already Redeemed. You have already redeemed this reward. Check "My Rewards" to use it.'
+      );
+    }
 
-  if (!auth) {
-    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-  }
+    // Get user document
+    const userDoc = await db.collection('users').doc(userId).get();
 
-  const { userId, xpAmount, reason, type = 'ADJUSTMENT' } = data;
+    if (!userDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'User Profile Not Found. Please complete your profile setup.'
+      );
+    }
 
-  if (!userId || typeof xpAmount !== 'number' || !reason) {
-    throw new functions.https.HttpsError('invalid-argument', 'userId, xpAmount, and reason are required');
-  }
+    const userData = userDoc.data();
+    const currentXP = getXPBalance(userData);
+    const xpCost = reward.xpRequired || 0;
 
-  try {
-    // Check admin permissions
-    const isAdmin = await checkIsAdmin(auth.uid);
-    if (!isAdmin) {
-      throw new functions.https.HttpsError('permission-denied', 'Admin access required');
+    // Check if user has sufficient XP
+    if (currentXP < xpCost) {
+      const needed = xpCost - currentXP;
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        `Insufficient XP. You need ${needed} more XP points to redeem this reward. Current XP: ${currentXP}, Required: ${xpCost}`
+      );
     }
 
+    // Perform atomic transaction for redemption
     const result = await db.runTransaction(async (transaction) => {
-      const userRef = db.collection('users').doc(userId);
-      const userDoc = await transaction.get(userRef);
-
-      if (!userDoc.exists) {
-        throw new functions.https.HttpsError('not-found', 'User not found');
+      // Reject replayed signed QR codes (nonce ledger)
+      const nonceRef = db.collection('qrNonces').doc(`${signedQR.sponsorId}_${signedQR.nonce}`);
+      const nonceDoc = await transaction.get(nonceRef);
+      if (nonceDoc.exists) {
+        throw new functions.https.HttpsError(
+          'already-exists',
+          'QR Code Already Used. Please ask the sponsor to show a fresh QR code.'
+        );
       }
 
-      const userData = userDoc.data();
-      const currentXP = userData.xpPoints || userData.xp || 0;
-      const newXP = Math.max(0, currentXP + xpAmount); // Prevent negative XP
-      const newLevel = calculateXPLevel(newXP);
-
-      transaction.update(userRef, {
-        xpPoints: newXP,
-        xp: newXP,
-        level: newLevel,
-        lastXpUpdate: admin.firestore.FieldValue.serverTimestamp()
-      });
+      // Create redemption record in user's subcollection
+      const redemptionRef = db
+        .collection('users')
+        .doc(userId)
+        .collection('redemptions')
+        .doc();
 
-      // Log adjustment
-      transaction.create(db.collection('xpTransactions').doc(), {
+      // Deduct XP through the ledger (re-checks the balance inside the transaction)
+      const xpChange = await applyXPChange(transaction, {
         userId,
-        action: 'ADMIN_ADJUSTMENT',
-        amount: xpAmount,
-        description: reason,
-        previousXP: currentXP,
-        newXP: newXP,
-        previousLevel: userData.level || 1,
-        newLevel: newLevel,
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        type: type,
-        adminId: auth.uid
+        delta: -xpCost,
+        action: 'REWARD_REDEMPTION',
+        actor: { type: 'user', id: userId },
+        reason: `Redeemed reward: ${reward.title}`,
+        entityId: rewardId,
+        idempotencyKey: `reward-redemption:${redemptionRef.id}`,
+        metadata: { sponsorId: reward.sponsorId || null, redemptionId: redemptionRef.id }
       });
+      const newXP = xpChange.xpAfter;
+      const newLevel = xpChange.levelAfter;
 
-      return { currentXP, newXP, xpAmount };
-    });
+      // Generate unique redemption QR code for sponsor validation
+      // The user ID lets validateRedemption read the redemption directly
+      const redemptionQRCode = `mysteriSpots://redemption/${userId}/${redemptionRef.id}`;
 
-    console.log(`Admin ${auth.uid} adjusted XP for user ${userId}: ${result.xpAmount} (${result.currentXP} -> ${result.newXP})`);
+      const redemptionData = {
+        rewardId,
+        rewardTitle: reward.title,
+        sponsorId: reward.sponsorId,
+        sponsorName: reward.sponsorName || '',
+        xpUsed: xpCost,
+        redeemedAt: admin.firestore.FieldValue.serverTimestamp(),
+        pendingApproval: false, // No approval needed!
+        approved: true, // Auto-approved via QR scan
+        used: false, // Not yet used
+        usedAt: null,
+        redemptionMethod: 'qr', // Counted by getQRStats
+        qrToken: qrCode, // Store the original reward QR code that was scanned
+        qrNonce: signedQR.nonce,
+        qrIssuedBy: signedQR.issuedBy,
+        locationId: signedQR.locationId,
+        redemptionQRCode, // QR code for sponsor to scan when validating
+        userId: userId,
+        location: userLocation || null,
+      };
 
-    return {
-      success: true,
-      previousXP: result.currentXP,
-      newXP: result.newXP,
-      adjustment: result.xpAmount
-    };
+      transaction.set(redemptionRef, redemptionData);
 
-  } catch (error) {
-    console.error('XP adjustment failed:', error);
-    if (error.code) throw error;
-    throw new functions.https.HttpsError('internal', 'XP adjustment failed');
-  }
-});
+      // The TTL policy on expiresAt purges ledger entries once the code could no longer verify anyway
+      transaction.set(nonceRef, {
+        sponsorId: signedQR.sponsorId,
+        nonce: signedQR.nonce,
+        userId,
+        rewardId,
+        redemptionId: redemptionRef.id,
+        usedAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: signedQR.nonceExpiresAt
+      });
 
-// Helper functions for notifications
-async function sendSpotApprovalNotificationInternal(userId, spotTitle) {
-  try {
-    const payload = {
-      title: 'Spot Approved! 🎉',
-      body: `Your spot "${spotTitle}" has been approved! You earned 100 XP!`,
-      data: {
-        type: 'spot_approval',
-        spotTitle,
-        xpAwarded: '100'
-      }
-    };
+      // Increment reward's currentRedemptions counter
+      transaction.update(db.collection('rewards').doc(rewardId), {
+        currentRedemptions: admin.firestore.FieldValue.increment(1),
+      });
 
-    const notificationRef = await db.collection('notifications').add({
-      title: payload.title,
-      body: payload.body,
-      type: 'single',
-      targetUserId: userId,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      sent: false
+      return {
+        redemptionId: redemptionRef.id,
+        newXP,
+        newLevel,
+      };
     });
 
-    return await sendSingleNotificationInternal(notificationRef.id, userId, payload);
-  } catch (error) {
-    console.error('Error sending spot approval notification:', error);
-  }
-}
+    console.log(`🎉 Redemption successful: ${result.redemptionId}`);
 
-async function sendSpotRejectionNotificationInternal(userId, spotTitle, reason) {
-  try {
-    const payload = {
-      title: 'Spot Submission Declined 📍',
-      body: `Your spot "${spotTitle}" was not approved.${reason ? ` Reason: ${reason}` : ''}`,
+    // Create notification for user
+    await db.collection('users').doc(userId).collection('notifications').add({
+      type: 'reward_redeemed',
+      title: 'Reward Redeemed!',
+      message: `You have successfully redeemed ${reward.title}`,
+      read: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
       data: {
-        type: 'spot_rejection',
-        spotTitle,
-        reason: reason || ''
-      }
-    };
-
-    const notificationRef = await db.collection('notifications').add({
-      title: payload.title,
-      body: payload.body,
-      type: 'single',
-      targetUserId: userId,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      sent: false
+        rewardId,
+        redemptionId: result.redemptionId,
+      },
     });
 
-    return await sendSingleNotificationInternal(notificationRef.id, userId, payload);
+    return {
+      success: true,
+      message: `Successfully redeemed ${reward.title}!`,
+      redemptionId: result.redemptionId,
+      rewardTitle: reward.title,
+      xpDeducted: xpCost,
+      newXP: result.newXP,
+      newLevel: result.newLevel,
+    };
   } catch (error) {
-    console.error('Error sending spot rejection notification:', error);
-  }
-}
+    console.error('❌ Error in QR redemption:', error);
 
-// ================================
-// TIER 1: QR CODE FUNCTIONS
-// ================================
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
 
-/**
- * Calculate user level from XP
- */
-function calculateLevel(xp) {
-  return Math.floor(xp / 500) + 1; // Every 500 XP = 1 level
-}
+    // Wrap other unexpected errors
+    throw new functions.https.HttpsError(
+      'internal',
+      'Redemption Failed. An unexpected error occurred. Please try scanning the QR code again.'
+    );
+  }
+});
 
 /**
- * Generate QR data for sponsor (internal helper)
+ * VALIDATE QR CODE (without redeeming)
+ * Allows users to preview reward details before redeeming
  */
-async function generateQRDataForSponsor(sponsorId) {
+const validateQRCode = functions.https.onCall(async (request) => {
   try {
-    const sponsorDoc = await db.collection('sponsors').doc(sponsorId).get();
-
-    if (!sponsorDoc.exists) {
-      return {
-        success: false,
-        error: 'Sponsor account not found. Please ensure you are logged in as a sponsor.'
-      };
+    if (!request.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
     }
 
-    let sponsor = sponsorDoc.data();
-
-    // Initialize QR secret if not present
-    if (!sponsor.qrSecret) {
-      const crypto = require('crypto');
-      const newSecret = crypto.randomBytes(32).toString('hex');
-      await db.collection('sponsors').doc(sponsorId).update({
-        qrSecret: newSecret,
-        qrVersion: 1,
-        qrExpiryMinutes: 5,
-        qrGeneratedAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+    const { qrCode } = request.data;
 
-      sponsor.qrSecret = newSecret;
-      sponsor.qrVersion = 1;
-      sponsor.qrExpiryMinutes = 5;
+    if (!qrCode) {
+      throw new functions.https.HttpsError('invalid-argument', 'QR code is required');
     }
 
-    const crypto = require('crypto');
-
-    // Generate QR payload
-    const payload = {
-      v: sponsor.qrVersion || 1,
-      sid: sponsorId,
-      ts: Date.now(),
-      nonce: crypto.randomBytes(16).toString('hex')
-    };
-
-    // Create HMAC signature
-    const dataToSign = `${payload.v}|${payload.sid}|${payload.ts}|${payload.nonce}`;
-    const signature = crypto
-      .createHmac('sha256', sponsor.qrSecret)
-      .update(dataToSign)
-      .digest('hex');
-
-    const fullPayload = { ...payload, sig: signature };
-
-    // Encode as Base64 for compact QR
-    const qrData = Buffer.from(JSON.stringify(fullPayload)).toString('base64');
+    // Find reward by QR code
+    const rewardsQuery = await db
+      .collection('rewards')
+      .where('qrCode', '==', qrCode)
+      .limit(1)
+      .get();
 
-    // Update generation timestamp
-    await db.collection('sponsors').doc(sponsorId).update({
-      qrGeneratedAt: admin.firestore.FieldValue.serverTimestamp(),
-      lastQrNonce: payload.nonce
-    });
+    if (rewardsQuery.empty) {
+      return {
+        valid: false,
+        message: 'Invalid QR code',
+      };
+    }
 
-    const expiresIn = (sponsor.qrExpiryMinutes || 5) * 60; // seconds
+    const rewardDoc = rewardsQuery.docs[0];
+    const reward = rewardDoc.data();
 
     return {
-      success: true,
-      qrData,
-      expiresIn,
-      generatedAt: payload.ts
+      valid: true,
+      reward: {
+        id: rewardDoc.id,
+        title: reward.title,
+        description: reward.description,
+        xpRequired: reward.xpRequired,
+        imageUrl: reward.imageUrl,
+        active: reward.active,
+        expiresAt: reward.expiresAt,
+        currentRedemptions: reward.currentRedemptions,
+        maxRedemptions: reward.maxRedemptions,
+      },
+      message: 'Valid reward QR code',
     };
-
   } catch (error) {
-    console.error(`[Generate QR Data] ERROR:`, error);
-    return {
-      success: false,
-      error: 'Failed to generate QR code. Please try again.'
-    };
+    console.error('❌ Error validating QR code:', error);
+
+    if (error.code && error.code.startsWith('functions/')) {
+      throw error;
+    }
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to validate QR code'
+    );
   }
-}
+});
 
 /**
- * REDEEM REWARD BY SCANNING QR CODE
- * Instant redemption - no approval needed
+ * SPONSOR: VALIDATE AND USE REDEMPTION
+ * Sponsors scan user's redemption QR code to mark it as used
  */
-const redeemByQR = functions.https.onCall(async (request) => {
+const validateRedemption = functions.https.onCall(async (request) => {
   try {
     // Authentication check
     if (!request.auth) {
       throw new functions.https.HttpsError(
         'unauthenticated',
-        'Must be authenticated to redeem rewards'
+        'Must be authenticated to validate redemptions'
       );
     }
 
-    const userId = request.auth.uid;
-    const { qrCode, userLocation } = request.data;
+    const sponsorUserId = request.auth.uid;
+    const { redemptionQRCode, locationId } = request.data;
 
-    console.log(`📱 QR redemption request received - User: ${userId}, QR: ${qrCode}`);
+    console.log(`🔍 Redemption validation request from sponsor: ${sponsorUserId}`);
+    console.log(`   Redemption QR: ${redemptionQRCode}`);
 
     // Validate input
-    if (!qrCode || qrCode.trim() === '') {
+    if (!redemptionQRCode || redemptionQRCode.trim() === '') {
       throw new functions.https.HttpsError(
         'invalid-argument',
-        'QR code is required'
+        'Redemption QR code is required'
       );
     }
 
-    // Extract reward ID from QR code (supports multiple formats)
-    let extractedRewardId = null;
+    // Extract redemption ID (and user ID when encoded) from QR code
+    let redemptionId = null;
+    let redemptionUserId = null;
+    const trimmedQRCode = redemptionQRCode.trim();
 
-    // Format 1: Deep link format "mysteriSpots://reward/{rewardId}"
-    const deepLinkMatch = qrCode.match(/mysteriSpots:\/\/reward\/([a-zA-Z0-9_-]+)/);
+    // Format 1: Deep link "mysteriSpots://redemption/{userId}/{redemptionId}"
+    // or legacy "mysteriSpots://redemption/{redemptionId}"
+    const deepLinkMatch = trimmedQRCode.match(/^mysteriSpots:\/\/redemption\/(?:([a-zA-Z0-9_-]+)\/)?([a-zA-Z0-9_-]+)$/);
     if (deepLinkMatch) {
-      extractedRewardId = deepLinkMatch[1];
+      redemptionUserId = deepLinkMatch[1] || null;
+      redemptionId = deepLinkMatch[2];
     }
 
-    // Format 2: Legacy format "REWARD_{rewardId}_{timestamp}_{random}"
-    if (!extractedRewardId && qrCode.startsWith('REWARD_')) {
-      const parts = qrCode.split('_');
-      if (parts.length >= 2) {
-        extractedRewardId = parts[1];
+    // Format 2: "{userId}/{redemptionId}"
+    if (!redemptionId && trimmedQRCode.includes('/')) {
+      const parts = trimmedQRCode.split('/');
+      if (parts.length === 2 && parts[0] && parts[1]) {
+        redemptionUserId = parts[0];
+        redemptionId = parts[1];
       }
     }
 
-    // Format 3: Plain reward ID (fallback)
-    if (!extractedRewardId && qrCode.match(/^[a-zA-Z0-9_-]{10,}$/)) {
-      extractedRewardId = qrCode;
-    }
-
-    if (!extractedRewardId) {
+    if (!redemptionId) {
       throw new functions.https.HttpsError(
         'invalid-argument',
-        'Invalid QR Code. Please scan a valid reward QR code.'
+        'Invalid redemption QR code format'
       );
     }
 
-    const rewardId = extractedRewardId;
+    let redemptionRef = null;
 
-    // Get reward by ID
-    const rewardDoc = await db.collection('rewards').doc(rewardId).get();
+    if (redemptionUserId) {
+      redemptionRef = db
+        .collection('users')
+        .doc(redemptionUserId)
+        .collection('redemptions')
+        .doc(redemptionId);
+    } else {
+      // Legacy codes without a user ID: indexed lookup on the stored QR code
+      console.log(`🔍 Looking up legacy redemption QR: ${redemptionId}`);
 
-    if (!rewardDoc.exists) {
+      const redemptionsQuery = await db
+        .collectionGroup('redemptions')
+        .where('redemptionQRCode', '==', trimmedQRCode)
+        .limit(1)
+        .get();
+
+      const legacyDoc = redemptionsQuery.docs.find(doc => doc.id === redemptionId);
+      redemptionRef = legacyDoc ? legacyDoc.ref : null;
+    }
+
+    const redemptionDoc = redemptionRef ? await redemptionRef.get() : null;
+
+    if (!redemptionDoc || !redemptionDoc.exists) {
       throw new functions.https.HttpsError(
         'not-found',
-        'Invalid Reward. This reward no longer exists or has been removed.'
+        'Redemption not found. Invalid QR code.'
+      );
+    }
+
+    const redemption = redemptionDoc.data();
+    redemptionUserId = redemption.userId || redemptionRef.parent.parent.id;
+
+    console.log(`📄 Found redemption for user: ${redemptionUserId}`);
+    console.log(`   Reward: ${redemption.rewardTitle}`);
+    console.log(`   Sponsor: ${redemption.sponsorId}`);
+    console.log(`   Used: ${redemption.used}`);
+
+    // Verify the caller is on the staff of the sponsor that owns this reward
+    const member = await getSponsorStaffMember(redemption.sponsorId, sponsorUserId);
+
+    if (!member) {
+      console.error(`❌ Unauthorized: User ${sponsorUserId} is not staff of sponsor ${redemption.sponsorId}`);
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'You are not authorized to validate this redemption'
       );
     }
 
-    const reward = rewardDoc.data();
-    console.log(`🎁 Found reward: ${reward.title} (${rewardId})`);
+    const validationLocationId = await resolveStaffLocation(member, locationId);
+
+    console.log(`✅ Sponsor staff verified (${member.role}${validationLocationId ? ` @ ${validationLocationId}` : ''})`);
+
+    // Check and flip the used flag atomically so two scanners can't both validate it
+    await db.runTransaction(async (transaction) => {
+      const latestDoc = await transaction.get(redemptionRef);
+      const latest = latestDoc.data();
+
+      if (latest.used) {
+        const usedAt = latest.usedAt ? latest.usedAt.toDate().toLocaleString() : 'unknown time';
+        throw new functions.https.HttpsError(
+          'already-exists',
+          `This redemption has already been used on ${usedAt}`
+        );
+      }
+
+      transaction.update(redemptionRef, {
+        used: true,
+        usedAt: admin.firestore.FieldValue.serverTimestamp(),
+        validatedBy: sponsorUserId,
+        validatedByRole: member.role,
+        validatedAtLocationId: validationLocationId,
+      });
+    });
+
+    console.log(`✅ Redemption marked as used successfully`);
+
+    // Send notification to user
+    await db
+      .collection('users')
+      .doc(redemptionUserId)
+      .collection('notifications')
+      .add({
+        type: 'redemption_used',
+        title: 'Reward Used!',
+        message: `Your reward "${redemption.rewardTitle}" has been validated and used`,
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        data: {
+          redemptionId,
+          rewardId: redemption.rewardId,
+          sponsorId: redemption.sponsorId,
+        },
+      });
+
+    return {
+      success: true,
+      message: 'Redemption validated successfully!',
+      redemption: {
+        id: redemptionId,
+        rewardTitle: redemption.rewardTitle,
+        userName: redemptionUserId,
+        redeemedAt: redemption.redeemedAt,
+        xpUsed: redemption.xpUsed,
+        validatedBy: sponsorUserId,
+        locationId: validationLocationId,
+      },
+    };
+  } catch (error) {
+    console.error('❌ Error validating redemption:', error);
+
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    throw new functions.https.HttpsError(
+      'internal',
+      error.message || 'Failed to validate redemption'
+    );
+  }
+});
+
+/**
+ * Generate a new QR code for sponsor
+ */
+const generateSponsorQR = functions.https.onCall(async (request) => {
+  // Authenticate
+  if (!request.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'You must be logged in to generate QR codes'
+    );
+  }
+
+  // Staff pass the sponsor they work for; sponsor owners default to their own account
+  const { sponsorId = request.auth.uid, locationId } = request.data || {};
+  console.log(`[Generate QR] User ${request.auth.uid} requesting QR code for sponsor ${sponsorId}`);
+
+  const member = await requireSponsorStaff(sponsorId, request.auth.uid);
+  const staffLocationId = await resolveStaffLocation(member, locationId);
+
+  assertQRRedemption(getEffectivePlan(member.sponsorData));
+
+  const result = await generateQRDataForSponsor(sponsorId, {
+    userId: request.auth.uid,
+    locationId: staffLocationId
+  });
+
+  if (result.success) {
+    console.log(`[Generate QR] SUCCESS: Generated QR for sponsor ${sponsorId} (${member.role}), expires in ${result.expiresIn}s`);
+  }
+
+  return result;
+});
+
+/**
+ * Regenerate QR code (invalidates all previous QR codes)
+ */
+const regenerateSponsorQR = functions.https.onCall(async (request) => {
+  if (!request.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'You must be logged in to regenerate QR codes'
+    );
+  }
+
+  const { sponsorId = request.auth.uid, locationId } = request.data || {};
 
-    // Check if reward is active
-    if (!reward.active) {
-      throw new functions.https.HttpsError(
-        'failed-precondition',
-        'Reward Inactive. This reward is no longer available for redemption.'
-      );
-    }
+  console.log(`[Regenerate QR] User ${request.auth.uid} requesting QR regeneration for sponsor ${sponsorId}`);
 
-    // Check if reward has expired
-    if (reward.expiresAt) {
-      let expiryDate;
+  const member = await requireSponsorStaff(sponsorId, request.auth.uid, SPONSOR_STAFF_MANAGER_ROLES);
+  const staffLocationId = await resolveStaffLocation(member, locationId);
 
-      // Handle different date formats
-      if (typeof reward.expiresAt === 'object' && 'toDate' in reward.expiresAt) {
-        expiryDate = reward.expiresAt.toDate();
-      } else if (reward.expiresAt instanceof Date) {
-        expiryDate = reward.expiresAt;
-      } else if (typeof reward.expiresAt === 'string' || typeof reward.expiresAt === 'number') {
-        expiryDate = new Date(reward.expiresAt);
-      } else {
-        expiryDate = new Date(Date.now() + 86400000); // Default to tomorrow (not expired)
-      }
+  assertQRRedemption(getEffectivePlan(member.sponsorData));
 
-      if (expiryDate < new Date()) {
-        throw new functions.https.HttpsError(
-          'failed-precondition',
-          'Reward Expired. This reward has expired and is no longer valid.'
-        );
-      }
-    }
+  try {
+    // Increment qrVersion to invalidate all old QR codes
+    await db.collection('sponsors').doc(sponsorId).update({
+      qrVersion: admin.firestore.FieldValue.increment(1),
+      qrRegeneratedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
 
-    // Check if reward has reached max redemptions
-    if (reward.maxRedemptions && reward.currentRedemptions >= reward.maxRedemptions) {
-      throw new functions.https.HttpsError(
-        'failed-precondition',
-        'Reward Sold Out. This reward has reached its maximum redemption limit.'
-      );
-    }
+    console.log(`[Regenerate QR] Incremented QR version for sponsor ${sponsorId}`);
 
-    // Check if user has already redeemed this reward
-    const existingRedemption = await db
-      .collection('users')
-      .doc(userId)
-      .collection('redemptions')
-      .where('rewardId', '==', rewardId)
-      .where('used', '==', false)
-      .limit(1)
-      .get();
+    // Generate new QR with incremented version
+    return await generateQRDataForSponsor(sponsorId, {
+      userId: request.auth.uid,
+      locationId: staffLocationId
+    });
 
-    if (!existingRedemption.empty) {
-      throw new functions.https.HttpsError(
-        'already-exists',
-        'Already Redeemed. You have already redeemed this reward. Check "My Rewards" to use it.'
-      );
-    }
+  } catch (error) {
+    console.error(`[Regenerate QR] ERROR:`, error);
+    return {
+      success: false,
+      error: 'Failed to regenerate QR code. Please try again.'
+    };
+  }
+});
 
-    // Get user document
-    const userDoc = await db.collection('users').doc(userId).get();
+/**
+ * Update QR expiry settings for sponsor
+ */
+const updateQRSettings = functions.https.onCall(async (request) => {
+  if (!request.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'You must be logged in to update QR settings'
+    );
+  }
 
-    if (!userDoc.exists) {
-      throw new functions.https.HttpsError(
-        'not-found',
-        'User Profile Not Found. Please complete your profile setup.'
-      );
-    }
+  const { sponsorId = request.auth.uid, expiryMinutes } = request.data || {};
 
-    const userData = userDoc.data();
-    const currentXP = userData.xp || 0;
-    const xpCost = reward.xpRequired || 0;
+  await requireSponsorStaff(sponsorId, request.auth.uid, SPONSOR_STAFF_MANAGER_ROLES);
 
-    // Check if user has sufficient XP
-    if (currentXP < xpCost) {
-      const needed = xpCost - currentXP;
-      throw new functions.https.HttpsError(
-        'failed-precondition',
-        `Insufficient XP. You need ${needed} more XP points to redeem this reward. Current XP: ${currentXP}, Required: ${xpCost}`
-      );
-    }
+  // Validate expiry range
+  if (!expiryMinutes || expiryMinutes < 1 || expiryMinutes > 60) {
+    return {
+      success: false,
+      error: 'Expiry must be between 1 and 60 minutes'
+    };
+  }
 
-    // Perform atomic transaction for redemption
-    const result = await db.runTransaction(async (transaction) => {
-      // Re-check user XP within transaction (prevent race conditions)
-      const latestUserDoc = await transaction.get(db.collection('users').doc(userId));
-      const latestUser = latestUserDoc.data();
-      const latestXP = latestUser.xp || 0;
+  try {
+    await db.collection('sponsors').doc(sponsorId).update({
+      qrExpiryMinutes: expiryMinutes,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
 
-      if (latestXP < xpCost) {
-        throw new functions.https.HttpsError(
-          'failed-precondition',
-          'Insufficient XP after revalidation'
-        );
-      }
+    console.log(`[Update QR Settings] Sponsor ${sponsorId} set expiry to ${expiryMinutes} minutes`);
 
-      // Calculate new XP and level
-      const newXP = latestXP - xpCost;
-      const newLevel = calculateLevel(newXP);
+    return { success: true };
 
-      // Create redemption record in user's subcollection
-      const redemptionRef = db
-        .collection('users')
-        .doc(userId)
-        .collection('redemptions')
-        .doc();
+  } catch (error) {
+    console.error(`[Update QR Settings] ERROR:`, error);
+    return {
+      success: false,
+      error: 'Failed to update settings'
+    };
+  }
+});
 
-      // Generate unique redemption QR code for sponsor validation
-      const redemptionQRCode = `mysteriSpots://redemption/${redemptionRef.id}`;
+// Longest history any plan includes
+const QR_STATS_MAX_DAYS = 365;
 
-      const redemptionData = {
-        rewardId,
-        rewardTitle: reward.title,
-        sponsorId: reward.sponsorId,
-        sponsorName: reward.sponsorName || '',
-        xpUsed: xpCost,
-        redeemedAt: admin.firestore.FieldValue.serverTimestamp(),
-        pendingApproval: false, // No approval needed!
-        approved: true, // Auto-approved via QR scan
-        used: false, // Not yet used
-        usedAt: null,
-        qrToken: qrCode, // Store the original reward QR code that was scanned
-        redemptionQRCode, // QR code for sponsor to scan when validating
-        userId: userId,
-        location: userLocation || null,
-      };
+/**
+ * Get QR statistics for sponsor
+ */
+const getQRStats = functions.https.onCall(async (request) => {
+  if (!request.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'You must be logged in to view QR stats'
+    );
+  }
 
-      transaction.set(redemptionRef, redemptionData);
+  const { sponsorId = request.auth.uid, days, level } = request.data || {};
 
-      // Update user's XP and level
-      transaction.update(db.collection('users').doc(userId), {
-        xp: newXP,
-        level: newLevel,
-      });
+  if (days !== undefined && days !== null &&
+      !(Number.isInteger(days) && days > 0 && days <= QR_STATS_MAX_DAYS)) {
+    throw new functions.https.HttpsError('invalid-argument', `days must be a whole number from 1 to ${QR_STATS_MAX_DAYS}`);
+  }
 
-      // Increment reward's currentRedemptions counter
-      transaction.update(db.collection('rewards').doc(rewardId), {
-        currentRedemptions: admin.firestore.FieldValue.increment(1),
-      });
+  const member = await requireSponsorStaff(sponsorId, request.auth.uid, SPONSOR_STAFF_MANAGER_ROLES);
 
-      return {
-        redemptionId: redemptionRef.id,
-        newXP,
-        newLevel,
-      };
-    });
+  // Plan entitlements bound the history window and level of detail
+  const plan = getEffectivePlan(member.sponsorData);
+  const entitlements = getPlanEntitlements(plan);
+  const historyDays = days || entitlements.analyticsHistoryDays;
+  assertAnalyticsAccess(plan, { level: level || 'basic', days: historyDays });
 
-    console.log(`🎉 Redemption successful: ${result.redemptionId}`);
+  try {
+    const historyStart = new Date(Date.now() - historyDays * 24 * 60 * 60 * 1000);
 
-    // Create notification for user
-    await db.collection('users').doc(userId).collection('notifications').add({
-      type: 'reward_redeemed',
-      title: 'Reward Redeemed!',
-      message: `You have successfully redeemed ${reward.title}`,
-      read: false,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      data: {
-        rewardId,
-        redemptionId: result.redemptionId,
-      },
-    });
+    // Query redemptions for this sponsor
+    const redemptionsSnapshot = await db
+      .collectionGroup('redemptions')
+      .where('sponsorId', '==', sponsorId)
+      .where('redemptionMethod', '==', 'qr')
+      .where('redeemedAt', '>=', historyStart)
+      .orderBy('redeemedAt', 'desc')
+      .limit(100)
+      .get();
+
+    const totalRedemptions = redemptionsSnapshot.size;
+
+    // Count redemptions in last 24 hours
+    const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const last24Hours = redemptionsSnapshot.docs.filter(doc => {
+      const redeemedAt = doc.data().redeemedAt && doc.data().redeemedAt.toDate();
+      return redeemedAt && redeemedAt > twentyFourHoursAgo;
+    }).length;
+
+    // Last redemption details are part of detailed analytics
+    const lastRedemption = entitlements.analyticsLevel !== 'basic' &&
+      redemptionsSnapshot.docs[0] && redemptionsSnapshot.docs[0].data();
 
     return {
       success: true,
-      message: `Successfully redeemed ${reward.title}!`,
-      redemptionId: result.redemptionId,
-      rewardTitle: reward.title,
-      xpDeducted: xpCost,
-      newXP: result.newXP,
-      newLevel: result.newLevel,
+      plan,
+      historyDays,
+      stats: {
+        totalRedemptions,
+        last24Hours,
+        lastRedemption: lastRedemption ? {
+          rewardTitle: lastRedemption.rewardTitle,
+          redeemedAt: lastRedemption.redeemedAt,
+          xpUsed: lastRedemption.xpUsed
+        } : undefined
+      }
     };
-  } catch (error) {
-    console.error('❌ Error in QR redemption:', error);
-
-    // Re-throw HttpsError as-is
-    if (error.code && error.code.startsWith('functions/')) {
-      throw error;
-    }
 
-    // Wrap other unexpected errors
-    throw new functions.https.HttpsError(
-      'internal',
-      'Redemption Failed. An unexpected error occurred. Please try scanning the QR code again.'
-    );
+  } catch (error) {
+    console.error(`[QR Stats] ERROR:`, error);
+    return {
+      success: false,
+      error: 'Failed to fetch statistics'
+    };
   }
 });
 
 /**
- * VALIDATE QR CODE (without redeeming)
- * Allows users to preview reward details before redeeming
+ * Initialize sponsor QR secrets (migration function)
+ * Gives every sponsor a secret in sponsors/{id}/private/qr and removes the legacy qrSecret field.
+ * A legacy secret was readable by any signed-in user, so it is replaced rather than moved; codes
+ * only live a few minutes, so the sponsor's next generated code simply uses the new one.
  */
-const validateQRCode = functions.https.onCall(async (request) => {
+const initializeSponsorQRSecrets = functions.https.onCall(async (request) => {
+  // Admin authentication check
+  if (!request.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+  }
+
+  // Check admin permissions
+  const isAdmin = await checkAdminPermissions(request.auth.uid);
+  if (!isAdmin) {
+    throw new functions.https.HttpsError('permission-denied', 'Admin access required');
+  }
+
   try {
-    if (!request.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
-    }
+    const crypto = require('crypto');
+    const sponsorsSnapshot = await db.collection('sponsors').get();
+    const secretDocs = sponsorsSnapshot.empty
+      ? []
+      : await db.getAll(...sponsorsSnapshot.docs.map(doc => doc.ref.collection('private').doc('qr')));
+    let initialized = 0;
+    let migrated = 0;
 
-    const { qrCode } = request.data;
+    // Two writes per sponsor, well under the 500 writes a batch allows
+    for (let i = 0; i < sponsorsSnapshot.docs.length; i += 200) {
+      const batch = db.batch();
+      let hasWrites = false;
 
-    if (!qrCode) {
-      throw new functions.https.HttpsError('invalid-argument', 'QR code is required');
-    }
+      sponsorsSnapshot.docs.slice(i, i + 200).forEach((doc, index) => {
+        const sponsor = doc.data();
+        const secretDoc = secretDocs[i + index];
+        const hasLegacySecret = sponsor.qrSecret !== undefined;
 
-    // Find reward by QR code
-    const rewardsQuery = await db
-      .collection('rewards')
-      .where('qrCode', '==', qrCode)
-      .limit(1)
-      .get();
+        if (!secretDoc.exists || hasLegacySecret) {
+          batch.set(secretDoc.ref, {
+            secret: crypto.randomBytes(32).toString('hex'),
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+          initialized++;
+          hasWrites = true;
+        }
 
-    if (rewardsQuery.empty) {
-      return {
-        valid: false,
-        message: 'Invalid QR code',
-      };
-    }
+        if (hasLegacySecret || sponsor.qrVersion === undefined) {
+          batch.update(doc.ref, {
+            ...(hasLegacySecret && { qrSecret: admin.firestore.FieldValue.delete() }),
+            ...(sponsor.qrVersion === undefined && { qrVersion: 1, qrExpiryMinutes: 5 }),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+          if (hasLegacySecret) migrated++;
+          hasWrites = true;
+        }
+      });
 
-    const rewardDoc = rewardsQuery.docs[0];
-    const reward = rewardDoc.data();
+      if (hasWrites) {
+        await batch.commit();
+      }
+    }
 
     return {
-      valid: true,
-      reward: {
-        id: rewardDoc.id,
-        title: reward.title,
-        description: reward.description,
-        xpRequired: reward.xpRequired,
-        imageUrl: reward.imageUrl,
-        active: reward.active,
-        expiresAt: reward.expiresAt,
-        currentRedemptions: reward.currentRedemptions,
-        maxRedemptions: reward.maxRedemptions,
-      },
-      message: 'Valid reward QR code',
+      success: true,
+      message: `Initialized QR secrets for ${initialized} sponsors (${migrated} legacy secrets removed)`
     };
-  } catch (error) {
-    console.error('❌ Error validating QR code:', error);
-
-    if (error.code && error.code.startsWith('functions/')) {
-      throw error;
-    }
 
-    throw new functions.https.HttpsError(
-      'internal',
-      'Failed to validate QR code'
-    );
+  } catch (error) {
+    console.error('Error initializing sponsor QR secrets:', error);
+    return {
+      success: false,
+      error: error.message
+    };
   }
 });
 
 /**
- * SPONSOR: VALIDATE AND USE REDEMPTION
- * Sponsors scan user's redemption QR code to mark it as used
+ * Check admin permissions
  */
-const validateRedemption = functions.https.onCall(async (request) => {
+async function checkAdminPermissions(userId) {
   try {
-    // Authentication check
-    if (!request.auth) {
-      throw new functions.https.HttpsError(
-        'unauthenticated',
-        'Must be authenticated to validate redemptions'
-      );
-    }
-
-    const sponsorUserId = request.auth.uid;
-    const { redemptionQRCode } = request.data;
+    console.log(`🔍 Checking admin permissions for user: ${userId}`);
 
-    console.log(`🔍 Redemption validation request from sponsor: ${sponsorUserId}`);
-    console.log(`   Redemption QR: ${redemptionQRCode}`);
+    // Check adminUsers collection first
+    const adminUserDoc = await db.doc(`adminUsers/${userId}`).get();
+    if (adminUserDoc.exists) {
+      const adminData = adminUserDoc.data();
+      const isActive = adminData.isActive === true;
+      const hasAdminRole = adminData.role === 'ADMIN' || adminData.role === 'SUPER_ADMIN';
 
-    // Validate input
-    if (!redemptionQRCode || redemptionQRCode.trim() === '') {
-      throw new functions.https.HttpsError(
-        'invalid-argument',
-        'Redemption QR code is required'
-      );
+      if (isActive && hasAdminRole) {
+        console.log(`✓ User ${userId} is admin in adminUsers collection (role: ${adminData.role})`);
+        return true;
+      }
     }
 
-    // Extract redemption ID from QR code
-    let redemptionId = null;
-
-    // Format 1: Deep link "mysteriSpots://redemption/{redemptionId}"
-    const deepLinkMatch = redemptionQRCode.match(/mysteriSpots:\/\/redemption\/([a-zA-Z0-9_-]+)/);
-    if (deepLinkMatch) {
-      redemptionId = deepLinkMatch[1];
-    }
+    // Fallback: Check users collection for admin/superadmin role
+    const userDoc = await db.doc(`users/${userId}`).get();
+    if (userDoc.exists) {
+      const userData = userDoc.data();
+      const isActive = userData.active === true || userData.isActive === true;
+      const role = (userData.role || '').toLowerCase();
+      const hasAdminRole = role === 'admin' || role === 'superadmin';
 
-    // Format 2: "{userId}/{redemptionId}"
-    if (!redemptionId && redemptionQRCode.includes('/')) {
-      const parts = redemptionQRCode.split('/');
-      if (parts.length === 2) {
-        redemptionId = parts[1];
+      if (isActive && hasAdminRole) {
+        console.log(`✓ User ${userId} is admin in users collection (role: ${userData.role})`);
+        return true;
       }
     }
 
-    if (!redemptionId) {
-      throw new functions.https.HttpsError(
-        'invalid-argument',
-        'Invalid redemption QR code format'
-      );
-    }
+    console.log(`⚠️ User ${userId} not found as admin in adminUsers or users collection`);
+    return false;
+  } catch (error) {
+    console.error(`❌ Admin check failed for user ${userId}:`, error);
+    return false;
+  }
+}
 
-    // Find the redemption in all users' subcollections
-    console.log(`🔍 Searching for redemption: ${redemptionId}`);
+// ================================
+// SPONSOR STAFF & LOCATIONS
+// ================================
 
-    const redemptionsQuery = await db
-      .collectionGroup('redemptions')
-      .limit(100)
-      .get();
+// Staff roles in descending order of privilege
+const SPONSOR_STAFF_ROLES = ['owner', 'manager', 'cashier'];
+const SPONSOR_STAFF_MANAGER_ROLES = ['owner', 'manager'];
+const STAFF_INVITATION_TTL_DAYS = 7;
 
-    // Find matching redemption by document ID
-    const redemptionDoc = redemptionsQuery.docs.find(doc => doc.id === redemptionId);
+/**
+ * Resolve a user's staff membership for a sponsor
+ * The sponsor's ownerUserId/userId is always an owner, even without a staff document
+ */
+async function getSponsorStaffMember(sponsorId, uid) {
+  const sponsorRef = db.collection('sponsors').doc(sponsorId);
+  const [sponsorDoc, staffDoc] = await Promise.all([
+    sponsorRef.get(),
+    sponsorRef.collection('staff').doc(uid).get()
+  ]);
 
-    if (!redemptionDoc) {
-      throw new functions.https.HttpsError(
-        'not-found',
-        'Redemption not found. Invalid QR code.'
-      );
-    }
+  if (!sponsorDoc.exists) {
+    return null;
+  }
 
-    const redemption = redemptionDoc.data();
-    const redemptionUserId = redemption.userId;
+  const sponsorData = sponsorDoc.data();
 
-    console.log(`📄 Found redemption for user: ${redemptionUserId}`);
-    console.log(`   Reward: ${redemption.rewardTitle}`);
-    console.log(`   Sponsor: ${redemption.sponsorId}`);
-    console.log(`   Used: ${redemption.used}`);
+  if ((sponsorData.ownerUserId || sponsorData.userId) === uid) {
+    return { sponsorId, sponsorData, userId: uid, role: 'owner', locationIds: [], isPrimaryOwner: true };
+  }
 
-    // Verify sponsor owns this reward
-    const sponsorDoc = await db.collection('sponsors').doc(redemption.sponsorId).get();
+  if (staffDoc.exists && staffDoc.data().status === 'active') {
+    const staff = staffDoc.data();
+    return {
+      sponsorId,
+      sponsorData,
+      userId: uid,
+      role: staff.role,
+      locationIds: staff.locationIds || [],
+      isPrimaryOwner: false
+    };
+  }
 
-    if (!sponsorDoc.exists) {
-      throw new functions.https.HttpsError(
-        'not-found',
-        'Sponsor not found'
-      );
-    }
+  return null;
+}
 
-    const sponsorData = sponsorDoc.data();
-    const sponsorOwnerId = sponsorData.ownerUserId || sponsorData.userId;
+/**
+ * Require an active staff member of the sponsor with one of the allowed roles
+ */
+async function requireSponsorStaff(sponsorId, uid, allowedRoles = SPONSOR_STAFF_ROLES) {
+  const member = sponsorId ? await getSponsorStaffMember(sponsorId, uid) : null;
 
-    if (sponsorOwnerId !== sponsorUserId) {
-      console.error(`❌ Unauthorized: Sponsor ${sponsorUserId} does not own sponsor ${redemption.sponsorId}`);
-      throw new functions.https.HttpsError(
-        'permission-denied',
-        'You are not authorized to validate this redemption'
-      );
-    }
+  if (!member || !allowedRoles.includes(member.role)) {
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      'You are not authorized to perform this action for this sponsor'
+    );
+  }
 
-    console.log(`✅ Sponsor ownership verified`);
+  return member;
+}
 
-    // Check if already used
-    if (redemption.used) {
-      const usedAt = redemption.usedAt ? redemption.usedAt.toDate().toLocaleString() : 'unknown time';
-      throw new functions.https.HttpsError(
-        'already-exists',
-        `This redemption has already been used on ${usedAt}`
-      );
+/**
+ * Resolve the location a staff member is acting for
+ * Staff assigned to specific locations must use one of them; unassigned staff may use any location
+ */
+async function resolveStaffLocation(member, locationId) {
+  if (!locationId) {
+    if (member.locationIds.length === 1) return member.locationIds[0];
+    if (member.locationIds.length > 1) {
+      throw new functions.https.HttpsError('invalid-argument', 'Please select the location you are working at');
     }
+    return null;
+  }
 
-    // Mark redemption as used
-    await db
-      .collection('users')
-      .doc(redemptionUserId)
-      .collection('redemptions')
-      .doc(redemptionId)
-      .update({
-        used: true,
-        usedAt: admin.firestore.FieldValue.serverTimestamp(),
-        validatedBy: sponsorUserId,
-      });
-
-    console.log(`✅ Redemption marked as used successfully`);
-
-    // Send notification to user
-    await db
-      .collection('users')
-      .doc(redemptionUserId)
-      .collection('notifications')
-      .add({
-        type: 'redemption_used',
-        title: 'Reward Used!',
-        message: `Your reward "${redemption.rewardTitle}" has been validated and used`,
-        read: false,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        data: {
-          redemptionId,
-          rewardId: redemption.rewardId,
-          sponsorId: redemption.sponsorId,
-        },
-      });
-
-    return {
-      success: true,
-      message: 'Redemption validated successfully!',
-      redemption: {
-        id: redemptionId,
-        rewardTitle: redemption.rewardTitle,
-        userName: redemptionUserId,
-        redeemedAt: redemption.redeemedAt,
-        xpUsed: redemption.xpUsed,
-      },
-    };
-  } catch (error) {
-    console.error('❌ Error validating redemption:', error);
+  if (member.locationIds.length > 0 && !member.locationIds.includes(locationId)) {
+    throw new functions.https.HttpsError('permission-denied', 'You are not assigned to this location');
+  }
 
-    if (error.code && error.code.startsWith('functions/')) {
-      throw error;
-    }
+  const locationDoc = await db
+    .collection('sponsors')
+    .doc(member.sponsorId)
+    .collection('locations')
+    .doc(locationId)
+    .get();
 
-    throw new functions.https.HttpsError(
-      'internal',
-      error.message || 'Failed to validate redemption'
-    );
+  if (!locationDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Location not found');
   }
-});
+
+  return locationId;
+}
 
 /**
- * Generate a new QR code for sponsor
+ * Validate a staff role / location assignment against the sponsor's locations
  */
-const generateSponsorQR = functions.https.onCall(async (request) => {
-  // Authenticate
-  if (!request.auth) {
-    throw new functions.https.HttpsError(
-      'unauthenticated',
-      'You must be logged in to generate QR codes'
-    );
+async function validateStaffAssignment(sponsorId, role, locationIds) {
+  if (!SPONSOR_STAFF_ROLES.includes(role)) {
+    throw new functions.https.HttpsError('invalid-argument', `Role must be one of: ${SPONSOR_STAFF_ROLES.join(', ')}`);
   }
 
-  const sponsorId = request.auth.uid;
-  console.log(`[Generate QR] Sponsor ${sponsorId} requesting QR code`);
+  if (!Array.isArray(locationIds) || locationIds.some(id => typeof id !== 'string' || !id)) {
+    throw new functions.https.HttpsError('invalid-argument', 'locationIds must be an array of location IDs');
+  }
 
-  const result = await generateQRDataForSponsor(sponsorId);
+  const uniqueLocationIds = [...new Set(locationIds)];
+  const locationsRef = db.collection('sponsors').doc(sponsorId).collection('locations');
+  const locationDocs = await Promise.all(uniqueLocationIds.map(id => locationsRef.doc(id).get()));
+  const missing = locationDocs.filter(doc => !doc.exists).map(doc => doc.id);
 
-  if (result.success) {
-    console.log(`[Generate QR] SUCCESS: Generated QR for sponsor ${sponsorId}, expires in ${result.expiresIn}s`);
+  if (missing.length > 0) {
+    throw new functions.https.HttpsError('not-found', `Unknown locations: ${missing.join(', ')}`);
   }
 
-  return result;
-});
+  return uniqueLocationIds;
+}
 
 /**
- * Regenerate QR code (invalidates all previous QR codes)
+ * Managers can only manage cashiers; owners can manage everyone except the primary owner
  */
-const regenerateSponsorQR = functions.https.onCall(async (request) => {
+function assertCanManageStaffRole(member, targetRole) {
+  if (member.role === 'owner') return;
+
+  if (member.role !== 'manager' || targetRole !== 'cashier') {
+    throw new functions.https.HttpsError('permission-denied', 'Managers can only manage cashiers');
+  }
+}
+
+/**
+ * Invite a user (by email) to join a sponsor's staff
+ */
+const inviteSponsorStaff = functions.https.onCall(async (request) => {
   if (!request.auth) {
-    throw new functions.https.HttpsError(
-      'unauthenticated',
-      'You must be logged in to regenerate QR codes'
-    );
+    throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+  }
+
+  const { sponsorId = request.auth.uid, email, role = 'cashier', locationIds = [] } = request.data || {};
+
+  if (!email || typeof email !== 'string' || !email.includes('@')) {
+    throw new functions.https.HttpsError('invalid-argument', 'A valid email is required');
   }
 
-  const sponsorId = request.auth.uid;
+  const member = await requireSponsorStaff(sponsorId, request.auth.uid, SPONSOR_STAFF_MANAGER_ROLES);
+  assertCanManageStaffRole(member, role);
+  const assignedLocationIds = await validateStaffAssignment(sponsorId, role, locationIds);
+  const normalizedEmail = email.trim().toLowerCase();
+
+  try {
+    const pendingInvitations = await db.collection('sponsorStaffInvitations')
+      .where('sponsorId', '==', sponsorId)
+      .where('email', '==', normalizedEmail)
+      .where('status', '==', 'pending')
+      .limit(1)
+      .get();
 
-  console.log(`[Regenerate QR] Sponsor ${sponsorId} requesting QR regeneration`);
+    if (!pendingInvitations.empty) {
+      throw new functions.https.HttpsError('already-exists', 'This email already has a pending invitation');
+    }
 
-  try {
-    // Increment qrVersion to invalidate all old QR codes
-    await db.collection('sponsors').doc(sponsorId).update({
-      qrVersion: admin.firestore.FieldValue.increment(1),
-      qrRegeneratedAt: admin.firestore.FieldValue.serverTimestamp()
+    const expiresAt = new Date(Date.now() + STAFF_INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+    const invitationRef = await db.collection('sponsorStaffInvitations').add({
+      sponsorId,
+      sponsorName: member.sponsorData.name || '',
+      email: normalizedEmail,
+      role,
+      locationIds: assignedLocationIds,
+      status: 'pending',
+      invitedBy: request.auth.uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromDate(expiresAt)
     });
 
-    console.log(`[Regenerate QR] Incremented QR version for sponsor ${sponsorId}`);
+    // Let existing app users know right away; others see the invitation after signing up
+    try {
+      const invitee = await admin.auth().getUserByEmail(normalizedEmail);
+      await sendUserNotificationInternal(invitee.uid, {
+        title: 'Staff invitation',
+        body: `${member.sponsorData.name || 'A sponsor'} invited you to join as ${role}`,
+        data: { type: 'sponsor_staff_invitation', invitationId: invitationRef.id, sponsorId }
+      }, { sponsorId });
+    } catch (error) {
+      if (error.code !== 'auth/user-not-found') {
+        console.error(`Failed to notify staff invitee ${normalizedEmail}:`, error);
+      }
+    }
 
-    // Generate new QR with incremented version
-    return await generateQRDataForSponsor(sponsorId);
+    console.log(`Sponsor ${sponsorId}: ${request.auth.uid} invited ${normalizedEmail} as ${role}`);
 
-  } catch (error) {
-    console.error(`[Regenerate QR] ERROR:`, error);
     return {
-      success: false,
-      error: 'Failed to regenerate QR code. Please try again.'
+      success: true,
+      invitationId: invitationRef.id,
+      expiresAt: expiresAt.toISOString()
     };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Error inviting sponsor staff:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to send invitation');
   }
 });
 
 /**
- * Update QR expiry settings for sponsor
+ * Accept a staff invitation addressed to the caller's verified email
  */
-const updateQRSettings = functions.https.onCall(async (request) => {
+const acceptSponsorStaffInvitation = functions.https.onCall(async (request) => {
   if (!request.auth) {
-    throw new functions.https.HttpsError(
-      'unauthenticated',
-      'You must be logged in to update QR settings'
-    );
+    throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
   }
 
-  const sponsorId = request.auth.uid;
-  const { expiryMinutes } = request.data;
+  const { invitationId } = request.data || {};
+  const { uid, token } = request.auth;
 
-  // Validate expiry range
-  if (!expiryMinutes || expiryMinutes < 1 || expiryMinutes > 60) {
-    return {
-      success: false,
-      error: 'Expiry must be between 1 and 60 minutes'
-    };
+  if (!invitationId) {
+    throw new functions.https.HttpsError('invalid-argument', 'invitationId is required');
+  }
+
+  if (!token.email || token.email_verified !== true) {
+    throw new functions.https.HttpsError('failed-precondition', 'Please verify your email address first');
   }
 
   try {
-    await db.collection('sponsors').doc(sponsorId).update({
-      qrExpiryMinutes: expiryMinutes,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    const invitationRef = db.collection('sponsorStaffInvitations').doc(invitationId);
+
+    const invitation = await db.runTransaction(async (transaction) => {
+      const invitationDoc = await transaction.get(invitationRef);
+
+      if (!invitationDoc.exists || invitationDoc.data().email !== token.email.toLowerCase()) {
+        throw new functions.https.HttpsError('not-found', 'Invitation not found');
+      }
+
+      const data = invitationDoc.data();
+
+      if (data.status !== 'pending') {
+        throw new functions.https.HttpsError('failed-precondition', `This invitation has been ${data.status}`);
+      }
+
+      if (data.expiresAt.toMillis() < Date.now()) {
+        transaction.update(invitationRef, { status: 'expired' });
+        return { ...data, status: 'expired' };
+      }
+
+      const staffRef = db.collection('sponsors').doc(data.sponsorId).collection('staff').doc(uid);
+
+      transaction.set(staffRef, {
+        userId: uid,
+        email: data.email,
+        displayName: token.name || null,
+        role: data.role,
+        locationIds: data.locationIds || [],
+        status: 'active',
+        invitedBy: data.invitedBy,
+        invitationId,
+        joinedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      transaction.set(db.collection('users').doc(uid), {
+        staffSponsorIds: admin.firestore.FieldValue.arrayUnion(data.sponsorId)
+      }, { merge: true });
+
+      transaction.update(invitationRef, {
+        status: 'accepted',
+        acceptedBy: uid,
+        acceptedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return data;
     });
 
-    console.log(`[Update QR Settings] Sponsor ${sponsorId} set expiry to ${expiryMinutes} minutes`);
+    if (invitation.status === 'expired') {
+      throw new functions.https.HttpsError('deadline-exceeded', 'This invitation has expired');
+    }
 
-    return { success: true };
+    console.log(`Sponsor ${invitation.sponsorId}: ${uid} joined as ${invitation.role}`);
 
-  } catch (error) {
-    console.error(`[Update QR Settings] ERROR:`, error);
     return {
-      success: false,
-      error: 'Failed to update settings'
+      success: true,
+      sponsorId: invitation.sponsorId,
+      role: invitation.role,
+      locationIds: invitation.locationIds || []
     };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Error accepting staff invitation:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to accept invitation');
   }
 });
 
 /**
- * Get QR statistics for sponsor
+ * Revoke a pending staff invitation
  */
-const getQRStats = functions.https.onCall(async (request) => {
+const revokeSponsorStaffInvitation = functions.https.onCall(async (request) => {
   if (!request.auth) {
-    throw new functions.https.HttpsError(
-      'unauthenticated',
-      'You must be logged in to view QR stats'
-    );
+    throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
   }
 
-  const sponsorId = request.auth.uid;
-
-  try {
-    // Query redemptions for this sponsor
-    const redemptionsSnapshot = await db
-      .collectionGroup('redemptions')
-      .where('sponsorId', '==', sponsorId)
-      .where('redemptionMethod', '==', 'qr')
-      .orderBy('redeemedAt', 'desc')
-      .limit(100)
-      .get();
+  const { invitationId } = request.data || {};
 
-    const totalRedemptions = redemptionsSnapshot.size;
+  if (!invitationId) {
+    throw new functions.https.HttpsError('invalid-argument', 'invitationId is required');
+  }
 
-    // Count redemptions in last 24 hours
-    const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    const last24Hours = redemptionsSnapshot.docs.filter(doc => {
-      const redeemedAt = doc.data().redeemedAt && doc.data().redeemedAt.toDate();
-      return redeemedAt && redeemedAt > twentyFourHoursAgo;
-    }).length;
+  const invitationRef = db.collection('sponsorStaffInvitations').doc(invitationId);
+  const invitationDoc = await invitationRef.get();
 
-    // Get last redemption
-    const lastRedemption = redemptionsSnapshot.docs[0] && redemptionsSnapshot.docs[0].data();
+  if (!invitationDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Invitation not found');
+  }
 
-    return {
-      success: true,
-      stats: {
-        totalRedemptions,
-        last24Hours,
-        lastRedemption: lastRedemption ? {
-          rewardTitle: lastRedemption.rewardTitle,
-          redeemedAt: lastRedemption.redeemedAt,
-          xpUsed: lastRedemption.xpUsed
-        } : undefined
-      }
-    };
+  const invitation = invitationDoc.data();
+  const member = await requireSponsorStaff(invitation.sponsorId, request.auth.uid, SPONSOR_STAFF_MANAGER_ROLES);
+  assertCanManageStaffRole(member, invitation.role);
 
-  } catch (error) {
-    console.error(`[QR Stats] ERROR:`, error);
-    return {
-      success: false,
-      error: 'Failed to fetch statistics'
-    };
+  if (invitation.status !== 'pending') {
+    throw new functions.https.HttpsError('failed-precondition', `This invitation has been ${invitation.status}`);
   }
+
+  await invitationRef.update({
+    status: 'revoked',
+    revokedBy: request.auth.uid,
+    revokedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return { success: true };
 });
 
 /**
- * Initialize sponsor QR secrets (migration function)
+ * Change a staff member's role and/or location assignment
  */
-const initializeSponsorQRSecrets = functions.https.onCall(async (request) => {
-  // Admin authentication check
+const updateSponsorStaff = functions.https.onCall(async (request) => {
   if (!request.auth) {
     throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
   }
 
-  // Check admin permissions
-  const isAdmin = await checkAdminPermissions(request.auth.uid);
-  if (!isAdmin) {
-    throw new functions.https.HttpsError('permission-denied', 'Admin access required');
+  const { sponsorId = request.auth.uid, userId, role, locationIds } = request.data || {};
+
+  if (!userId) {
+    throw new functions.https.HttpsError('invalid-argument', 'userId is required');
   }
 
-  try {
-    const crypto = require('crypto');
-    const batch = db.batch();
-    let count = 0;
+  const member = await requireSponsorStaff(sponsorId, request.auth.uid, SPONSOR_STAFF_MANAGER_ROLES);
+  const staffRef = db.collection('sponsors').doc(sponsorId).collection('staff').doc(userId);
+  const staffDoc = await staffRef.get();
 
-    const sponsorsSnapshot = await db.collection('sponsors').get();
+  if (!staffDoc.exists || staffDoc.data().status !== 'active') {
+    throw new functions.https.HttpsError('not-found', 'Staff member not found');
+  }
 
-    sponsorsSnapshot.docs.forEach(doc => {
-      const sponsor = doc.data();
+  const staff = staffDoc.data();
+  const newRole = role || staff.role;
+  assertCanManageStaffRole(member, staff.role);
+  assertCanManageStaffRole(member, newRole);
 
-      // Only initialize if qrSecret doesn't exist
-      if (!sponsor.qrSecret) {
-        const qrSecret = crypto.randomBytes(32).toString('hex');
+  const assignedLocationIds = await validateStaffAssignment(
+    sponsorId,
+    newRole,
+    locationIds !== undefined ? locationIds : staff.locationIds || []
+  );
 
-        batch.update(doc.ref, {
-          qrSecret,
-          qrVersion: 1,
-          qrExpiryMinutes: 5,
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
+  await staffRef.update({
+    role: newRole,
+    locationIds: assignedLocationIds,
+    updatedBy: request.auth.uid,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
 
-        count++;
-      }
-    });
+  return { success: true, role: newRole, locationIds: assignedLocationIds };
+});
 
-    if (count > 0) {
-      await batch.commit();
-    }
+/**
+ * Remove a staff member (staff can also leave on their own)
+ */
+const removeSponsorStaff = functions.https.onCall(async (request) => {
+  if (!request.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+  }
 
-    return {
-      success: true,
-      message: `Initialized QR secrets for ${count} sponsors`
-    };
+  const { sponsorId = request.auth.uid, userId = request.auth.uid } = request.data || {};
+  const staffRef = db.collection('sponsors').doc(sponsorId).collection('staff').doc(userId);
+  const staffDoc = await staffRef.get();
 
-  } catch (error) {
-    console.error('Error initializing sponsor QR secrets:', error);
-    return {
-      success: false,
-      error: error.message
-    };
+  if (!staffDoc.exists || staffDoc.data().status !== 'active') {
+    throw new functions.https.HttpsError('not-found', 'Staff member not found');
   }
-});
 
-/**
- * Check admin permissions
- */
-async function checkAdminPermissions(userId) {
-  try {
-    console.log(`🔍 Checking admin permissions for user: ${userId}`);
+  if (userId !== request.auth.uid) {
+    const member = await requireSponsorStaff(sponsorId, request.auth.uid, SPONSOR_STAFF_MANAGER_ROLES);
+    assertCanManageStaffRole(member, staffDoc.data().role);
+  }
 
-    // Check adminUsers collection first
-    const adminUserDoc = await db.doc(`adminUsers/${userId}`).get();
-    if (adminUserDoc.exists) {
-      const adminData = adminUserDoc.data();
-      const isActive = adminData.isActive === true;
-      const hasAdminRole = adminData.role === 'ADMIN' || adminData.role === 'SUPER_ADMIN';
+  const batch = db.batch();
 
-      if (isActive && hasAdminRole) {
-        console.log(`✓ User ${userId} is admin in adminUsers collection (role: ${adminData.role})`);
-        return true;
-      }
-    }
+  batch.update(staffRef, {
+    status: 'removed',
+    removedBy: request.auth.uid,
+    removedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
 
-    // Fallback: Check users collection for admin/superadmin role
-    const userDoc = await db.doc(`users/${userId}`).get();
-    if (userDoc.exists) {
-      const userData = userDoc.data();
-      const isActive = userData.active === true || userData.isActive === true;
-      const role = (userData.role || '').toLowerCase();
-      const hasAdminRole = role === 'admin' || role === 'superadmin';
+  batch.set(db.collection('users').doc(userId), {
+    staffSponsorIds: admin.firestore.FieldValue.arrayRemove(sponsorId)
+  }, { merge: true });
 
-      if (isActive && hasAdminRole) {
-        console.log(`✓ User ${userId} is admin in users collection (role: ${userData.role})`);
-        return true;
-      }
-    }
+  await batch.commit();
 
-    console.log(`⚠️ User ${userId} not found as admin in adminUsers or users collection`);
-    return false;
-  } catch (error) {
-    console.error(`❌ Admin check failed for user ${userId}:`, error);
-    return false;
-  }
-}
+  console.log(`Sponsor ${sponsorId}: ${request.auth.uid} removed staff member ${userId}`);
+
+  return { success: true };
+});
 
 // ================================
 // TIER 3: MODERATION AND REPORTS FUNCTIONS
@@ -2695,12 +6887,7 @@ async function executeReportAction(spotId, action, notes, adminId) {
 
   switch (action) {
     case "REMOVE_SPOT":
-      await spotRef.update({
-        isActive: false,
-        removedAt: admin.firestore.FieldValue.serverTimestamp(),
-        removedBy: adminId,
-        removalReason: notes || "Removed due to user reports"
-      });
+      await markSpotRemoved(spotId, adminId, notes || "Removed due to user reports");
       break;
 
     case "WARNING":
@@ -2734,6 +6921,72 @@ async function executeReportAction(spotId, action, notes, adminId) {
   }
 }
 
+/**
+ * Take a spot down; handleSpotVerificationUpdate reverses the creator's XP
+ */
+async function markSpotRemoved(spotId, adminId, reason) {
+  await db.doc(`spots/${spotId}`).update({
+    isActive: false,
+    removedAt: admin.firestore.FieldValue.serverTimestamp(),
+    removedBy: adminId,
+    removalReason: reason
+  });
+}
+
+/**
+ * Admin function to remove a spot outside of the report flow
+ */
+const removeSpot = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  // Check admin permissions
+  const isAdmin = await checkAdminPermissions(auth.uid);
+  if (!isAdmin) {
+    throw new functions.https.HttpsError("permission-denied", "Admin access required");
+  }
+
+  const { spotId, reason } = data || {};
+
+  if (!spotId || !reason) {
+    throw new functions.https.HttpsError("invalid-argument", "Spot ID and reason are required");
+  }
+
+  try {
+    const spotDoc = await db.doc(`spots/${spotId}`).get();
+
+    if (!spotDoc.exists) {
+      throw new functions.https.HttpsError("not-found", "Spot not found");
+    }
+
+    if (spotDoc.data().removedAt) {
+      throw new functions.https.HttpsError("already-exists", "Spot already removed");
+    }
+
+    await markSpotRemoved(spotId, auth.uid, reason);
+
+    await db.collection("adminActionLogs").add({
+      type: "SPOT_REMOVED",
+      spotId,
+      notes: reason,
+      adminId: auth.uid,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    console.log(`Admin ${auth.uid} removed spot ${spotId}`);
+
+    return { success: true };
+
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error(`Failed to remove spot ${spotId}:`, error);
+    throw new functions.https.HttpsError("internal", "Failed to remove spot");
+  }
+});
+
 /**
  * Get reports for admin dashboard
  */
@@ -3592,7 +7845,54 @@ function calculateDistance(lat1, lng1, lat2, lng2) {
 }
 
 /**
- * Award XP to user
+ * Whether the caller actually did what they claim XP for
+ * VISIT_SPOT, RATE_SPOT and PHOTO_UPLOAD take the spot ID as entityId and need a check-in from
+ * recordSpotVisit, a rating or a processed photo of the caller's own spot on record; other actions
+ * need no entity
+ */
+async function verifyXPClaimEntity(userId, action, entityId) {
+  if (!['VISIT_SPOT', 'RATE_SPOT', 'PHOTO_UPLOAD'].includes(action)) {
+    return true;
+  }
+
+  if (!entityId) {
+    return false;
+  }
+
+  const spotRef = db.collection('spots').doc(entityId);
+  const spotDoc = await spotRef.get();
+  if (!spotDoc.exists || spotDoc.data().removedAt) {
+    return false;
+  }
+
+  if (action === 'VISIT_SPOT') {
+    // Every check-in writes the discovery; distanceMeters marks it as one recordSpotVisit wrote,
+    // not a document left over from when clients could write user_spots
+    const discoveryDoc = await db.collection('user_spots').doc(`${userId}_${entityId}`).get();
+    return discoveryDoc.exists && typeof discoveryDoc.data().distanceMeters === 'number';
+  }
+
+  if (action === 'RATE_SPOT') {
+    const ratingDoc = await spotRef.collection('ratings').doc(userId).get();
+    return ratingDoc.exists;
+  }
+
+  // PHOTO_UPLOAD
+  if (spotDoc.data().createdBy !== userId) {
+    return false;
+  }
+
+  const photosSnapshot = await db.collection(SPOT_PHOTO_HASHES_COLLECTION)
+    .where('spotId', '==', entityId)
+    .limit(1)
+    .get();
+  return !photosSnapshot.empty;
+}
+
+/**
+ * Award XP to the calling user for an action
+ * The amount, cooldown and daily cap come from the action's xpRules rule, not the client, and
+ * spot actions are checked against the caller's records (verifyXPClaimEntity)
  */
 const awardXP = functions.https.onCall(async (request) => {
   const { auth, data } = request;
@@ -3601,63 +7901,60 @@ const awardXP = functions.https.onCall(async (request) => {
     throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
   }
 
-  const { userId, amount, reason, metadata = {} } = data;
+  const { userId = auth.uid, action, entityId = null, idempotencyKey = null, metadata = {} } = data;
+
+  if (!action || typeof action !== 'string') {
+    throw new functions.https.HttpsError("invalid-argument", "action is required");
+  }
 
-  if (!userId || !amount || !reason) {
-    throw new functions.https.HttpsError("invalid-argument", "userId, amount, and reason are required");
+  if (userId !== auth.uid) {
+    throw new functions.https.HttpsError("permission-denied", "XP can only be claimed for your own account");
   }
 
-  if (typeof amount !== 'number' || amount <= 0) {
-    throw new functions.https.HttpsError("invalid-argument", "Amount must be a positive number");
+  if (entityId !== null && typeof entityId !== 'string') {
+    throw new functions.https.HttpsError("invalid-argument", "entityId must be a string");
   }
 
   try {
-    const result = await db.runTransaction(async (transaction) => {
-      const userRef = db.collection('users').doc(userId);
-      const userDoc = await transaction.get(userRef);
+    const rule = await getXPRule(action);
 
-      if (!userDoc.exists) {
-        throw new Error('User not found');
-      }
+    if (!rule || !rule.enabled || !rule.clientCallable) {
+      throw new functions.https.HttpsError("permission-denied", `XP for ${action} cannot be claimed by clients`);
+    }
 
-      const userData = userDoc.data();
-      const currentXP = userData.xp || 0;
-      const newXP = currentXP + amount;
-      const newLevel = calculateLevel(newXP);
-      const oldLevel = calculateLevel(currentXP);
-
-      // Update user XP
-      transaction.update(userRef, {
-        xp: newXP,
-        level: newLevel,
-        lastXPUpdate: admin.firestore.FieldValue.serverTimestamp()
-      });
+    if (!(await verifyXPClaimEntity(auth.uid, action, entityId))) {
+      throw new functions.https.HttpsError("failed-precondition", `No ${action} by your account found for this entity`);
+    }
 
-      // Create XP history record
-      const xpHistoryRef = db.collection('xpHistory').doc();
-      transaction.set(xpHistoryRef, {
-        userId,
-        amount,
-        reason,
-        metadata,
-        previousXP: currentXP,
-        newXP,
-        awardedBy: auth.uid,
-        timestamp: admin.firestore.FieldValue.serverTimestamp()
-      });
+    const result = await awardXPForRule(auth.uid, action, {
+      entityId,
+      actor: { type: 'user', id: auth.uid },
+      idempotencyKey: idempotencyKey ? `award:${auth.uid}:${action}:${idempotencyKey}` : null,
+      metadata
+    });
 
+    if (!result.awarded) {
       return {
-        success: true,
-        previousXP: currentXP,
-        newXP,
-        awardedAmount: amount,
-        leveledUp: newLevel > oldLevel,
-        newLevel
+        success: false,
+        reason: result.code,
+        message: result.message,
+        awardedAmount: 0,
+        cooldownRemainingSeconds: result.cooldownRemainingSeconds
       };
-    });
+    }
 
-    return result;
+    return {
+      success: true,
+      previousXP: result.previousXP,
+      newXP: result.newXP,
+      awardedAmount: result.amount,
+      leveledUp: result.leveledUp,
+      newLevel: result.newLevel,
+      cooldownRemainingSeconds: result.cooldownRemainingSeconds,
+      dailyRemaining: result.dailyRemaining
+    };
   } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
     console.error('Award XP failed:', error);
     throw new functions.https.HttpsError('internal', 'Failed to award XP');
   }
@@ -3698,9 +7995,10 @@ const createRewardSecure = functions.https.onCall(async (request) => {
     throw new functions.https.HttpsError("invalid-argument", "XP cost must be a positive number");
   }
 
-  try {
-    const sponsorData = sponsorDoc.data();
+  const sponsorData = sponsorDoc.data();
+  const plan = getEffectivePlan(sponsorData);
 
+  try {
     const rewardData = {
       title: title.substring(0, 100),
       description: description.substring(0, 500),
@@ -3717,7 +8015,18 @@ const createRewardSecure = functions.https.onCall(async (request) => {
       expiryDate: expiryDate ? new Date(expiryDate) : null
     };
 
-    const rewardRef = await db.collection('rewards').add(rewardData);
+    const rewardRef = db.collection('rewards').doc();
+
+    // Count and create in one transaction so concurrent requests can't exceed the plan limit
+    await db.runTransaction(async (transaction) => {
+      const existingRewards = await transaction.get(
+        db.collection('rewards').where('sponsorId', '==', auth.uid)
+      );
+
+      assertRewardCapacity(plan, countActiveRewards(existingRewards.docs));
+
+      transaction.set(rewardRef, rewardData);
+    });
 
     return {
       success: true,
@@ -3725,11 +8034,75 @@ const createRewardSecure = functions.https.onCall(async (request) => {
       message: 'Reward created successfully and pending approval'
     };
   } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     console.error('Create reward failed:', error);
     throw new functions.https.HttpsError('internal', 'Failed to create reward');
   }
 });
 
+/**
+ * Activate or deactivate a reward (sponsor owners and managers)
+ * Clients can't write a reward's active flags, so reactivating always goes through the plan's
+ * reward limit here
+ */
+const setRewardActive = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  const { rewardId, active } = data || {};
+
+  if (typeof rewardId !== 'string' || !rewardId || typeof active !== 'boolean') {
+    throw new functions.https.HttpsError("invalid-argument", "rewardId and active are required");
+  }
+
+  const rewardRef = db.collection('rewards').doc(rewardId);
+  const rewardDoc = await rewardRef.get();
+
+  if (!rewardDoc.exists) {
+    throw new functions.https.HttpsError("not-found", "Reward not found");
+  }
+
+  const { sponsorId } = rewardDoc.data();
+  const member = await requireSponsorStaff(sponsorId, auth.uid, SPONSOR_STAFF_MANAGER_ROLES);
+  const plan = getEffectivePlan(member.sponsorData);
+
+  try {
+    await db.runTransaction(async (transaction) => {
+      const [latestDoc, sponsorRewards] = await Promise.all([
+        transaction.get(rewardRef),
+        active ? transaction.get(db.collection('rewards').where('sponsorId', '==', sponsorId)) : null
+      ]);
+
+      if (!latestDoc.exists) {
+        throw new functions.https.HttpsError("not-found", "Reward not found");
+      }
+
+      if (active) {
+        assertRewardCapacity(plan, countActiveRewards(sponsorRewards.docs.filter(doc => doc.id !== rewardId)));
+      }
+
+      transaction.update(rewardRef, {
+        isActive: active,
+        active,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+
+    return { success: true, rewardId, active };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    console.error('Set reward active failed:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to update reward');
+  }
+});
+
 /**
  * Legacy reward redemption function
  */
@@ -3749,23 +8122,13 @@ const redeemRewardLegacy = functions.https.onCall(async (request) => {
   try {
     // Use the existing redemption logic but with legacy handling
     return await db.runTransaction(async (transaction) => {
-      const userRef = db.collection('users').doc(auth.uid);
       const rewardRef = db.collection('rewards').doc(rewardId);
-
-      const [userDoc, rewardDoc] = await Promise.all([
-        transaction.get(userRef),
-        transaction.get(rewardRef)
-      ]);
-
-      if (!userDoc.exists) {
-        throw new Error('User not found');
-      }
+      const rewardDoc = await transaction.get(rewardRef);
 
       if (!rewardDoc.exists) {
         throw new Error('Reward not found');
       }
 
-      const userData = userDoc.data();
       const rewardData = rewardDoc.data();
 
       // Validate reward is active and verified
@@ -3773,12 +8136,6 @@ const redeemRewardLegacy = functions.https.onCall(async (request) => {
         throw new Error('Reward is not available for redemption');
       }
 
-      // Check user has enough XP
-      const userXP = userData.xp || 0;
-      if (userXP < rewardData.xpCost) {
-        throw new Error('Insufficient XP');
-      }
-
       // Check if reward is limited and still available
       if (rewardData.isLimited && rewardData.redeemedCount >= rewardData.limitCount) {
         throw new Error('Reward limit reached');
@@ -3789,8 +8146,20 @@ const redeemRewardLegacy = functions.https.onCall(async (request) => {
         throw new Error('Reward has expired');
       }
 
-      // Create redemption record
+      // Deduct XP through the ledger (rejects insufficient balances)
       const redemptionRef = db.collection('redemptions').doc();
+      await applyXPChange(transaction, {
+        userId: auth.uid,
+        delta: -rewardData.xpCost,
+        action: 'REWARD_REDEMPTION',
+        actor: { type: 'user', id: auth.uid },
+        reason: `Redeemed reward: ${rewardData.title}`,
+        entityId: rewardId,
+        idempotencyKey: `reward-redemption:${redemptionRef.id}`,
+        metadata: { sponsorId: rewardData.sponsorId || null, redemptionId: redemptionRef.id, legacy: true }
+      });
+
+      // Create redemption record
       transaction.set(redemptionRef, {
         userId: auth.uid,
         rewardId,
@@ -3801,11 +8170,6 @@ const redeemRewardLegacy = functions.https.onCall(async (request) => {
         redeemedAt: admin.firestore.FieldValue.serverTimestamp()
       });
 
-      // Deduct XP from user
-      transaction.update(userRef, {
-        xp: admin.firestore.FieldValue.increment(-rewardData.xpCost)
-      });
-
       // Update reward redeemed count
       transaction.update(rewardRef, {
         redeemedCount: admin.firestore.FieldValue.increment(1),
@@ -3942,55 +8306,180 @@ const generateSearchTokensForExistingUsers = functions.https.onCall(async (reque
 // CRITICAL MISSING FUNCTIONS
 // ================================
 
+const CHALLENGE_REMINDER_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+const CHALLENGE_REMINDER_MAX_CHALLENGES = 30; // Firestore 'in' query limit
+const CHALLENGE_REMINDER_PAGE_SIZE = 300;
+const CHALLENGE_REMINDER_TIME_BUDGET_MS = 40 * 1000; // well inside the default 60s function timeout
+const CHALLENGE_REMINDER_QUIET_START_HOUR = 21; // local time
+const CHALLENGE_REMINDER_QUIET_END_HOUR = 9;
+
+/**
+ * "5 hours", "2 days"
+ */
+function formatTimeLeft(ms) {
+  const hours = Math.max(1, Math.round(ms / (60 * 60 * 1000)));
+  if (hours < 36) {
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+
+  const days = Math.round(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * Send a user one digest of their expiring challenges
+ * challengeReminders/{userId} remembers which challenges were already mentioned and the
+ * user's local date of the last digest, so each challenge is mentioned once and a user
+ * gets at most one digest a day. Nothing is sent during the user's quiet hours.
+ * Returns 'sent', 'skipped' or 'quiet'
+ */
+async function sendChallengeReminderDigest(userId, challengeIds, challenges, now) {
+  const stateRef = db.collection('challengeReminders').doc(userId);
+  const [userDoc, stateDoc] = await db.getAll(db.collection('users').doc(userId), stateRef);
+
+  if (!userDoc.exists) {
+    return 'skipped';
+  }
+
+  const userData = userDoc.data();
+  const state = stateDoc.exists ? stateDoc.data() : {};
+  const zone = isValidTimeZone(userData.timeZone) ? userData.timeZone : DEFAULT_TIME_ZONE;
+  const todayKey = getLocalDateKey(now, zone);
+  const reminded = new Set(state.remindedChallengeIds || []);
+
+  const due = challengeIds
+    .filter(challengeId => !reminded.has(challengeId) && challenges.get(challengeId).endsAt > now.getTime())
+    .sort((a, b) => challenges.get(a).endsAt - challenges.get(b).endsAt);
+
+  if (due.length === 0 || state.lastDigestDate === todayKey) {
+    return 'skipped';
+  }
+
+  const hour = getLocalHour(now, zone);
+  if (hour >= CHALLENGE_REMINDER_QUIET_START_HOUR || hour < CHALLENGE_REMINDER_QUIET_END_HOUR) {
+    return 'quiet';
+  }
+
+  const first = challenges.get(due[0]);
+  const totalXP = due.reduce((sum, challengeId) => sum + (challenges.get(challengeId).xpReward || 0), 0);
+
+  await sendUserNotificationInternal(userId, {
+    title: 'Challenges Ending Soon! ⏰',
+    body: due.length === 1
+      ? `"${first.title}" ends in ${formatTimeLeft(first.endsAt - now.getTime())}. Complete it now to earn ${totalXP} XP!`
+      : `"${first.title}" and ${due.length - 1} more challenge${due.length === 2 ? '' : 's'} end soon. ` +
+        `Complete them to earn up to ${totalXP} XP!`,
+    data: {
+      type: 'challenge_reminder',
+      challengeIds: due.join(',')
+    }
+  }, { challengeIds: due });
+
+  await stateRef.set({
+    // Challenges that are no longer expiring need not be remembered
+    remindedChallengeIds: [...reminded].filter(challengeId => challenges.has(challengeId)).concat(due),
+    lastDigestDate: todayKey,
+    lastDigestAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return 'sent';
+}
+
 /**
- * BUSINESS CRITICAL: Send challenge reminder notifications for active challenges
- * Scheduled function that runs daily at 10:00 AM UTC
+ * BUSINESS CRITICAL: Remind users about started challenges ending within 3 days
+ * A pass pages through in-progress user_challenges in document ID order and sends one digest per
+ * user; the cursor in jobState/challengeReminders lets a pass continue in the next run when it
+ * runs out of time. Runs every 3 hours, so users in quiet hours are picked up by a later pass.
  */
-const sendChallengeReminders = pubsub.schedule('0 10 * * *').onRun(async (context) => {
+const sendChallengeReminders = pubsub.schedule('0 */3 * * *').timeZone('UTC').onRun(async () => {
+  const startedAt = Date.now();
+  const now = new Date();
+  const stateRef = db.collection('jobState').doc('challengeReminders');
+  const counts = { sent: 0, skipped: 0, quiet: 0 };
+
   try {
-    console.log('Starting challenge reminder job...');
+    const stateDoc = await stateRef.get();
+    let pass = stateDoc.exists && stateDoc.data().challenges ? stateDoc.data() : null;
+
+    if (!pass) {
+      const challengesSnapshot = await db.collection('challenges')
+        .where('isActive', '==', true)
+        .where('isTimeLimited', '==', true)
+        .where('endDate', '>', admin.firestore.Timestamp.fromDate(now))
+        .where('endDate', '<=', admin.firestore.Timestamp.fromMillis(now.getTime() + CHALLENGE_REMINDER_WINDOW_MS))
+        .orderBy('endDate')
+        .limit(CHALLENGE_REMINDER_MAX_CHALLENGES)
+        .get();
 
-    // Get active challenges that are ending soon (within 3 days)
-    const threeDaysFromNow = admin.firestore.Timestamp.fromMillis(Date.now() + (3 * 24 * 60 * 60 * 1000));
+      if (challengesSnapshot.empty) {
+        console.log('No challenges ending soon');
+        return null;
+      }
 
-    const challengesSnapshot = await db
-      .collection('challenges')
-      .where('isActive', '==', true)
-      .where('isTimeLimited', '==', true)
-      .where('endDate', '<=', threeDaysFromNow)
-      .get();
+      pass = { challenges: {}, lastDocId: null };
+      challengesSnapshot.forEach(doc => {
+        const challenge = doc.data();
+        pass.challenges[doc.id] = {
+          title: challenge.title,
+          xpReward: challenge.xpReward || 0,
+          endsAt: challenge.endDate.toMillis()
+        };
+      });
+    }
 
-    for (const challengeDoc of challengesSnapshot.docs) {
-      const challenge = challengeDoc.data();
+    const challenges = new Map(Object.entries(pass.challenges));
+    let lastDocId = pass.lastDocId;
+    let done = false;
 
-      // Get users with active progress on this challenge
-      const progressSnapshot = await db
-        .collection('user_challenges')
-        .where('challengeId', '==', challengeDoc.id)
+    while (!done && Date.now() - startedAt < CHALLENGE_REMINDER_TIME_BUDGET_MS) {
+      let query = db.collection('user_challenges')
+        .where('challengeId', 'in', [...challenges.keys()])
         .where('started', '==', true)
         .where('completed', '==', false)
-        .get();
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(CHALLENGE_REMINDER_PAGE_SIZE);
 
-      for (const progressDoc of progressSnapshot.docs) {
-        const progress = progressDoc.data();
-        const userId = progress.userId;
-
-        const payload = {
-          title: 'Challenge Ending Soon! ⏰',
-          body: `"${challenge.title}" ends soon. Complete it now to earn ${challenge.xpReward} XP!`,
-          data: {
-            type: 'challenge_reminder',
-            challengeId: challengeDoc.id,
-            challengeTitle: challenge.title
-          }
-        };
+      if (lastDocId) {
+        query = query.startAfter(lastDocId);
+      }
+
+      const pageSnapshot = await query.get();
+      done = pageSnapshot.size < CHALLENGE_REMINDER_PAGE_SIZE;
+
+      // Progress IDs start with the user ID, so each user's documents are adjacent.
+      // A full page may cut off the last user; they are read again with the next page.
+      const byUser = new Map();
+      pageSnapshot.forEach(doc => {
+        const { userId, challengeId } = doc.data();
+        byUser.set(userId, [...(byUser.get(userId) || []), challengeId]);
+      });
+
+      let pageDocs = pageSnapshot.docs;
+      if (!done && byUser.size > 1) {
+        const lastUserId = pageDocs[pageDocs.length - 1].data().userId;
+        byUser.delete(lastUserId);
+        pageDocs = pageDocs.filter(doc => doc.data().userId !== lastUserId);
+      }
+
+      for (const [userId, challengeIds] of byUser) {
+        try {
+          counts[await sendChallengeReminderDigest(userId, challengeIds, challenges, now)]++;
+        } catch (error) {
+          console.error(`Challenge reminder for ${userId} failed:`, error);
+        }
+      }
 
-        // Send individual notification
-        await sendSingleNotificationInternal(`reminder_${challengeDoc.id}_${userId}`, userId, payload);
+      if (pageDocs.length > 0) {
+        lastDocId = pageDocs[pageDocs.length - 1].id;
       }
     }
 
-    console.log(`Sent reminders for ${challengesSnapshot.size} ending challenges`);
+    await stateRef.set(done
+      ? { challenges: null, lastDocId: null, lastPassCompletedAt: admin.firestore.FieldValue.serverTimestamp() }
+      : { challenges: pass.challenges, lastDocId, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+    console.log(`Challenge reminders: ${counts.sent} sent, ${counts.skipped} skipped, ` +
+      `${counts.quiet} in quiet hours${done ? '' : ' (pass continues next run)'}`);
     return null;
   } catch (error) {
     console.error('Error sending challenge reminders:', error);
@@ -4329,6 +8818,11 @@ const onNewChallengeCreated = firestore
 
       console.log(`New challenge created: ${challengeId} - ${challenge.title}`);
 
+      // Recurring instances appear every day; the app lists them without a broadcast
+      if (challenge.generated) {
+        return null;
+      }
+
       // Only notify for active global challenges
       if (!challenge.active || !challenge.global) {
         console.log('Challenge is not active or not global, skipping notification');
@@ -4344,14 +8838,14 @@ const onNewChallengeCreated = firestore
 
       const payload = {
         title: 'New Challenge Available! 🏆',
-        body: `${difficultyEmojis[challenge.difficulty] || '⭐'} "${challenge.title}" - Earn ${challenge.xpReward} XP!`,
+        body: `${difficultyEmojis[challenge.difficulty] || '⭐'} "${challenge.title}" - Earn ${challenge.xpReward || 0} XP!`,
         data: {
           type: 'new_challenge',
           challengeId: challengeId,
           challengeTitle: challenge.title,
           challengeDescription: challenge.description || '',
-          xpReward: challenge.xpReward.toString(),
-          difficulty: challenge.difficulty
+          xpReward: String(challenge.xpReward || 0),
+          difficulty: challenge.difficulty || ''
         }
       };
 
@@ -4374,39 +8868,42 @@ const onNewChallengeCreated = firestore
         return;
       }
 
-      // Extract tokens
-      const tokens = users.map(user => user.fcmToken);
-
-      // Send FCM messages
-      const fcmResult = await sendToMultipleTokens(tokens, payload);
-
-      // Create user notification documents for all users
-      const batch = db.batch();
-
-      users.forEach(user => {
-        const userNotificationRef = db
-          .collection('users')
-          .doc(user.id)
-          .collection('notifications')
-          .doc();
-
-        const userNotificationData = {
-          title: payload.title,
-          body: payload.body,
-          read: false,
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          notificationId: notificationRef.id
-        };
-
-        batch.set(userNotificationRef, userNotificationData);
-      });
+      // Multicast and batched writes both cap at 500, so send and record in chunks
+      let successCount = 0;
+      let failureCount = 0;
+
+      for (let i = 0; i < users.length; i += 500) {
+        const chunk = users.slice(i, i + 500);
+        const fcmResult = await sendToMultipleTokens(chunk.map(user => user.fcmToken), payload);
+        successCount += fcmResult.successCount;
+        failureCount += fcmResult.failureCount;
+
+        // Create user notification documents for this chunk
+        const batch = db.batch();
+
+        chunk.forEach(user => {
+          const userNotificationRef = db
+            .collection('users')
+            .doc(user.id)
+            .collection('notifications')
+            .doc();
+
+          batch.set(userNotificationRef, {
+            title: payload.title,
+            body: payload.body,
+            read: false,
+            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+            notificationId: notificationRef.id
+          });
+        });
 
-      await batch.commit();
+        await batch.commit();
+      }
 
       // Mark as sent
       await notificationRef.update({ sent: true });
 
-      console.log(`New challenge notification sent to ${fcmResult.successCount} users, failed: ${fcmResult.failureCount}`);
+      console.log(`New challenge notification sent to ${successCount} users, failed: ${failureCount}`);
       return null;
 
     } catch (error) {
@@ -4676,8 +9173,20 @@ const getDashboardData = functions.https.onCall(async (request) => {
   }
 });
 
+// ================================
+// DAILY LOGIN STREAKS
+// ================================
+
+const STREAK_FREEZE_XP_COST = 100;
+const MAX_STREAK_FREEZES = 2;
+const STREAK_REMINDER_HOUR = 20; // local time on the day the streak would be lost
+const STREAK_REMINDER_MIN_STREAK = 2;
+const STREAK_REMINDER_PAGE_SIZE = 200;
+
 /**
- * Update user login source (for analytics)
+ * Record a login: keep the login source and update the daily streak in the user's timezone
+ * The first login of a local day awards DAILY_LOGIN XP (xpRules), advances daily and
+ * streak challenges and checks streak badges.
  */
 const updateUserLoginSource = functions.https.onCall(async (request) => {
   const { auth, data } = request;
@@ -4686,20 +9195,88 @@ const updateUserLoginSource = functions.https.onCall(async (request) => {
     throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
   }
 
-  const { loginSource } = data;
+  const { loginSource, timeZone } = data;
 
   if (!loginSource) {
     throw new functions.https.HttpsError('invalid-argument', 'loginSource is required');
   }
 
   try {
-    // Update user document with login source
-    await db.collection('users').doc(auth.uid).update({
-      lastLoginSource: loginSource,
-      lastLoginAt: admin.firestore.FieldValue.serverTimestamp()
+    const userRef = db.collection('users').doc(auth.uid);
+
+    const streak = await db.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+
+      if (!userDoc.exists) {
+        throw new functions.https.HttpsError('not-found', 'User not found');
+      }
+
+      const userData = userDoc.data();
+      const zone = [timeZone, userData.timeZone].find(isValidTimeZone) || DEFAULT_TIME_ZONE;
+      const todayKey = getLocalDateKey(new Date(), zone);
+      const result = applyLoginToStreak(userData, todayKey);
+
+      const updates = {
+        lastLoginSource: loginSource,
+        lastLoginAt: admin.firestore.FieldValue.serverTimestamp(),
+        timeZone: zone
+      };
+
+      if (result.newDay) {
+        Object.assign(updates, {
+          currentStreak: result.currentStreak,
+          longestStreak: result.longestStreak,
+          lastStreakDate: todayKey,
+          streakFreezes: result.streakFreezes,
+          // Remind tomorrow evening if the user hasn't logged in by then
+          streakReminderAt: admin.firestore.Timestamp.fromDate(
+            getZonedInstant(addDays(todayKey, 1), STREAK_REMINDER_HOUR, zone)
+          )
+        });
+
+        if (result.freezesUsed > 0) {
+          updates.streakFreezesUsed = admin.firestore.FieldValue.increment(result.freezesUsed);
+        }
+      }
+
+      transaction.update(userRef, updates);
+      return { ...result, todayKey };
     });
 
-    return { success: true };
+    let xpAwarded = 0;
+
+    if (streak.newDay) {
+      try {
+        // One award per local day, keyed by the date
+        const award = await awardXPForRule(auth.uid, 'DAILY_LOGIN', {
+          entityId: streak.todayKey,
+          actor: { type: 'user', id: auth.uid },
+          reason: 'Daily login',
+          metadata: { streak: streak.currentStreak }
+        });
+        xpAwarded = award.awarded ? award.amount : 0;
+      } catch (error) {
+        console.error(`Daily login XP not awarded to ${auth.uid}:`, error.message);
+      }
+
+      await updateUserChallengeProgress(auth.uid, 'DAILY_LOGIN', `login:${streak.todayKey}`, {
+        streak: streak.currentStreak
+      });
+      await checkAndUnlockBadges(auth.uid, { unlockTypes: ['streak'] });
+    }
+
+    return {
+      success: true,
+      streak: {
+        current: streak.currentStreak,
+        longest: streak.longestStreak,
+        freezes: streak.streakFreezes,
+        freezesUsed: streak.freezesUsed,
+        broken: streak.streakBroken,
+        newDay: streak.newDay
+      },
+      xpAwarded
+    };
 
   } catch (error) {
     console.error('Error updating login source:', error);
@@ -4708,15 +9285,176 @@ const updateUserLoginSource = functions.https.onCall(async (request) => {
   }
 });
 
+/**
+ * Buy a streak freeze with XP; each freeze covers one missed day
+ */
+const purchaseStreakFreeze = functions.https.onCall(async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { requestId = null } = data || {};
+
+  try {
+    const userRef = db.collection('users').doc(auth.uid);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+
+      if (!userDoc.exists) {
+        throw new functions.https.HttpsError('not-found', 'User not found');
+      }
+
+      const freezes = userDoc.data().streakFreezes || 0;
+      if (freezes >= MAX_STREAK_FREEZES) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          `You can hold at most ${MAX_STREAK_FREEZES} streak freezes`,
+          { reason: 'MAX_STREAK_FREEZES', max: MAX_STREAK_FREEZES }
+        );
+      }
+
+      const xpChange = await applyXPChange(transaction, {
+        userId: auth.uid,
+        delta: -STREAK_FREEZE_XP_COST,
+        action: 'STREAK_FREEZE_PURCHASE',
+        actor: { type: 'user', id: auth.uid },
+        reason: 'Bought a streak freeze',
+        idempotencyKey: requestId ? `streak-freeze:${auth.uid}:${requestId}` : null,
+        userUpdates: { streakFreezes: freezes + 1 }
+      });
+
+      return { streakFreezes: xpChange.duplicate ? freezes : freezes + 1, newXP: xpChange.xpAfter };
+    });
+
+    return { success: true, cost: STREAK_FREEZE_XP_COST, ...result };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Streak freeze purchase failed:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to buy streak freeze');
+  }
+});
+
+/**
+ * Scheduled job: remind users in the evening of the day their streak would be lost
+ */
+const sendStreakReminders = pubsub.schedule('0 * * * *').onRun(async () => {
+  let sent = 0;
+  let skipped = 0;
+
+  try {
+    const now = new Date();
+
+    // Each processed user's reminder is cleared, so re-querying picks up the next page
+    for (let page = 0; page < 10; page++) {
+      const dueSnapshot = await db.collection('users')
+        .where('streakReminderAt', '<=', admin.firestore.Timestamp.fromDate(now))
+        .orderBy('streakReminderAt')
+        .limit(STREAK_REMINDER_PAGE_SIZE)
+        .get();
+
+      if (dueSnapshot.empty) break;
+
+      for (const userDoc of dueSnapshot.docs) {
+        const userData = userDoc.data();
+        const zone = isValidTimeZone(userData.timeZone) ? userData.timeZone : DEFAULT_TIME_ZONE;
+        const todayKey = getLocalDateKey(now, zone);
+
+        // Still at risk only on the day after the last counted login
+        const atRisk = userData.lastStreakDate && addDays(userData.lastStreakDate, 1) === todayKey &&
+          (userData.currentStreak || 0) >= STREAK_REMINDER_MIN_STREAK;
+
+        if (atRisk) {
+          const freezes = userData.streakFreezes || 0;
+          await sendUserNotificationInternal(userDoc.id, {
+            title: `Don't lose your ${userData.currentStreak}-day streak! 🔥`,
+            body: freezes > 0
+              ? `Open the app before midnight. You have ${freezes} streak freeze${freezes === 1 ? '' : 's'} as backup.`
+              : 'Open the app before midnight to keep it going.',
+            data: {
+              type: 'streak_reminder',
+              streak: String(userData.currentStreak)
+            }
+          });
+          sent++;
+        } else {
+          skipped++;
+        }
+
+        await userDoc.ref.update({
+          streakReminderAt: admin.firestore.FieldValue.delete(),
+          ...(atRisk && { streakRemindedAt: admin.firestore.FieldValue.serverTimestamp() })
+        });
+      }
+
+      if (dueSnapshot.size < STREAK_REMINDER_PAGE_SIZE) break;
+    }
+
+    console.log(`Streak reminders: ${sent} sent, ${skipped} skipped`);
+    return null;
+  } catch (error) {
+    console.error('Error sending streak reminders:', error);
+    return null;
+  }
+});
+
 // Export all functions to make them deployable
 module.exports = {
   ...socialFunctions,
   migrateSponsorCategories,
   // API
   api,
+  // Billing Scheduled Jobs
+  processTrialExpirations,
+  sendTrialWarnings,
   // TIER 1: Critical Functions
   verifySpotSubmission,
   adjustUserXP,
+  // XP Ledger
+  reconcileXPLedger,
+  reconcileXPBalances,
+  // Verification Policy
+  scoreSpotSubmission,
+  getVerificationPolicyConfig,
+  updateVerificationPolicy,
+  simulateVerificationPolicy,
+  onSpotPhotoUploaded,
+  // Levels
+  updateLevelCurve,
+  backfillUserLevels,
+  onLevelUp,
+  // Leaderboards
+  rollupLeaderboards,
+  rolloverLeaderboards,
+  getLeaderboard,
+  getMyLeaderboardRank,
+  // Badges
+  onXPLedgerEntry,
+  onSpotRatingWritten,
+  onFollowerAdded,
+  grantBadgesRetroactively,
+  processBadgeGrantJob,
+  // Challenges
+  recordSpotVisit,
+  onUserSpotDiscovered,
+  onUserSpotVisited,
+  onSpotLikedForChallenges,
+  claimChallengeReward,
+  generateRecurringChallenges,
+  sendChallengeReminders,
+  onNewChallengeCreated,
+  // Teams
+  createTeam,
+  inviteToTeam,
+  respondToTeamInvite,
+  leaveTeam,
+  startTeamChallenge,
+  getTeamLeaderboard,
+  // Streaks
+  purchaseStreakFreeze,
+  sendStreakReminders,
   // QR Code Functions
   redeemByQR,
   validateQRCode,
@@ -4726,11 +9464,18 @@ module.exports = {
   updateQRSettings,
   getQRStats,
   initializeSponsorQRSecrets,
+  // Sponsor Staff
+  inviteSponsorStaff,
+  acceptSponsorStaffInvitation,
+  revokeSponsorStaffInvitation,
+  updateSponsorStaff,
+  removeSponsorStaff,
   // TIER 3: Moderation and Reports Functions
   reportSpot,
   processSpotReport,
   resolveSpotReport,
   getSpotReports,
+  removeSpot,
   // Notifications
   sendBroadcastNotification,
   sendCityNotification,
@@ -4745,6 +9490,7 @@ module.exports = {
   // Triggers
   onRewardRedeemed,
   onSpotWrite,
+  handleSpotVerificationUpdate,
   // Geolocation
   migrateSpotGeohashes,
   getNearbySpots,
@@ -4753,6 +9499,7 @@ module.exports = {
   adminGrantXP,
   // Rewards
   createRewardSecure,
+  setRewardActive,
   redeemRewardLegacy,
   // Search
   searchUsers,
@@ -0,0 +1,140 @@
+/**
+ * LEADERBOARDS
+ *
+ * Leaderboards rank users by XP earned in a period, rolled up from the XP ledger:
+ *
+ *   leaderboardEntries/{periodId}_{userId}   one user's XP in one period
+ *   leaderboards/{periodId}_global           top users of a period (snapshot)
+ *   leaderboards/{periodId}_city_{cityKey}   top users of a period in one city (snapshot)
+ *
+ * A periodId names the window: `allTime_all`, `monthly_2026-10`, `weekly_2026-W42`.
+ * Weeks are ISO weeks (Monday to Sunday, UTC), months are calendar months in UTC,
+ * so a new weekly or monthly leaderboard starts empty when its period begins.
+ *
+ * Spending XP (reward redemptions, streak freezes) does not lower a user's rank, and opening
+ * balances carried over from before the ledger only count towards the all-time board.
+ */
+
+const LEADERBOARD_PERIODS = ['allTime', 'monthly', 'weekly'];
+const LEADERBOARD_SCOPES = ['global', 'city', 'friends'];
+
+const LEADERBOARD_EXCLUDED_ACTIONS = ['REWARD_REDEMPTION', 'STREAK_FREEZE_PURCHASE'];
+const ALL_TIME_ONLY_ACTIONS = ['OPENING_BALANCE'];
+
+/**
+ * ISO week key (e.g. 2026-W42) of a date in UTC
+ */
+function getISOWeekKey(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const dayOfWeek = day.getUTCDay() || 7;
+
+  // The Thursday of the week decides which year the week belongs to
+  day.setUTCDate(day.getUTCDate() + 4 - dayOfWeek);
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((day.getTime() - yearStart) / 86400000 + 1) / 7);
+
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Period ID of the window containing a date
+ */
+function getPeriodId(periodType, date = new Date()) {
+  if (periodType === 'weekly') {
+    return `weekly_${getISOWeekKey(date)}`;
+  }
+
+  if (periodType === 'monthly') {
+    return `monthly_${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+  }
+
+  return 'allTime_all';
+}
+
+/**
+ * Period ID of the window `count` periods before the one containing a date
+ */
+function getPastPeriodId(periodType, count, date = new Date()) {
+  if (periodType === 'weekly') {
+    return getPeriodId('weekly', new Date(date.getTime() - count * 7 * 24 * 60 * 60 * 1000));
+  }
+
+  if (periodType === 'monthly') {
+    return getPeriodId('monthly', new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - count, 1)));
+  }
+
+  return 'allTime_all';
+}
+
+/**
+ * Normalized city key, so "Paris" and " paris" share a leaderboard
+ */
+function getCityKey(city) {
+  if (typeof city !== 'string' || !city.trim()) {
+    return null;
+  }
+
+  return encodeURIComponent(city.trim().toLowerCase());
+}
+
+/**
+ * Snapshot document ID for a period and scope
+ */
+function getLeaderboardDocId(periodId, cityKey = null) {
+  return cityKey ? `${periodId}_city_${cityKey}` : `${periodId}_global`;
+}
+
+/**
+ * Sum ledger entries into per-user, per-period XP deltas
+ * Returns a Map of leaderboardEntries document ID -> { userId, periodType, periodId, delta }
+ */
+function aggregateLedgerEntries(entries) {
+  const totals = new Map();
+
+  for (const entry of entries) {
+    if (!entry.userId || typeof entry.delta !== 'number' || entry.delta === 0) continue;
+    if (LEADERBOARD_EXCLUDED_ACTIONS.includes(entry.action)) continue;
+
+    const timestamp = entry.timestamp && typeof entry.timestamp.toDate === 'function'
+      ? entry.timestamp.toDate()
+      : new Date();
+
+    const periodTypes = ALL_TIME_ONLY_ACTIONS.includes(entry.action) ? ['allTime'] : LEADERBOARD_PERIODS;
+
+    for (const periodType of periodTypes) {
+      const periodId = getPeriodId(periodType, timestamp);
+      const key = `${periodId}_${entry.userId}`;
+      const total = totals.get(key) || { userId: entry.userId, periodType, periodId, delta: 0 };
+
+      total.delta += entry.delta;
+      totals.set(key, total);
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Assign competition ranks (equal XP shares a rank) to entries sorted by XP descending
+ */
+function rankEntries(entries) {
+  let previous = null;
+
+  return entries.map((entry, index) => {
+    const rank = previous && previous.xp === entry.xp ? previous.rank : index + 1;
+    previous = { ...entry, rank };
+    return previous;
+  });
+}
+
+module.exports = {
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_SCOPES,
+  getISOWeekKey,
+  getPeriodId,
+  getPastPeriodId,
+  getCityKey,
+  getLeaderboardDocId,
+  aggregateLedgerEntries,
+  rankEntries
+};
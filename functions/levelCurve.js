@@ -0,0 +1,167 @@
+const admin = require('firebase-admin');
+
+/**
+ * LEVEL CURVE
+ *
+ * The single definition of how XP maps to levels, stored in `config/levelCurve`:
+ *
+ *   { type: 'linear', xpPerLevel: 500 }            level = floor(xp / xpPerLevel) + 1
+ *   { type: 'quadratic', xpBase: 100 }             level = floor(sqrt(xp / xpBase)) + 1
+ *   { type: 'thresholds', thresholds: [0, 100, 400, ...] }
+ *                                                   thresholds[i] = XP needed for level i + 1
+ *
+ * Optional `maxLevel` caps the level. `version` increments on every change so users can be
+ * backfilled (see backfillUserLevels). Without a config document the default curve applies.
+ */
+
+const LEVEL_CURVE_DOC_PATH = 'config/levelCurve';
+const LEVEL_CURVE_TYPES = ['linear', 'quadratic', 'thresholds'];
+const LEVEL_CURVE_CACHE_MS = 60 * 1000;
+
+// Matches the level formula used before the curve was configurable
+const DEFAULT_LEVEL_CURVE = {
+  version: 0,
+  type: 'linear',
+  xpPerLevel: 500,
+  maxLevel: null
+};
+
+let cachedCurve = null;
+let cachedAt = 0;
+
+/**
+ * Validate a level curve definition
+ * Returns { curve } with the normalized curve, or { errors } listing what is wrong
+ */
+function validateLevelCurve(data) {
+  const errors = [];
+
+  if (!data || !LEVEL_CURVE_TYPES.includes(data.type)) {
+    return { errors: [`type must be one of: ${LEVEL_CURVE_TYPES.join(', ')}`] };
+  }
+
+  const curve = { type: data.type, maxLevel: null };
+
+  if (data.type === 'linear') {
+    if (!Number.isFinite(data.xpPerLevel) || data.xpPerLevel <= 0) {
+      errors.push('xpPerLevel must be a positive number');
+    }
+    curve.xpPerLevel = data.xpPerLevel;
+  } else if (data.type === 'quadratic') {
+    if (!Number.isFinite(data.xpBase) || data.xpBase <= 0) {
+      errors.push('xpBase must be a positive number');
+    }
+    curve.xpBase = data.xpBase;
+  } else {
+    const thresholds = data.thresholds;
+    if (!Array.isArray(thresholds) || thresholds.length < 2 || thresholds[0] !== 0) {
+      errors.push('thresholds must be an array starting at 0 with at least two levels');
+    } else if (thresholds.some((xp, i) => !Number.isFinite(xp) || (i > 0 && xp <= thresholds[i - 1]))) {
+      errors.push('thresholds must be strictly increasing numbers');
+    }
+    curve.thresholds = thresholds;
+  }
+
+  if (data.maxLevel !== undefined && data.maxLevel !== null) {
+    if (!Number.isInteger(data.maxLevel) || data.maxLevel < 1) {
+      errors.push('maxLevel must be a positive integer');
+    }
+    curve.maxLevel = data.maxLevel;
+  }
+
+  return errors.length > 0 ? { errors } : { curve };
+}
+
+/**
+ * Calculate the level for an XP balance on a curve
+ */
+function calculateLevelForCurve(xp, curve = DEFAULT_LEVEL_CURVE) {
+  const safeXP = Math.max(0, xp || 0);
+  let level;
+
+  if (curve.type === 'quadratic') {
+    level = Math.floor(Math.sqrt(safeXP / curve.xpBase)) + 1;
+  } else if (curve.type === 'thresholds') {
+    level = curve.thresholds.filter(threshold => safeXP >= threshold).length;
+  } else {
+    level = Math.floor(safeXP / curve.xpPerLevel) + 1;
+  }
+
+  return curve.maxLevel ? Math.min(level, curve.maxLevel) : level;
+}
+
+/**
+ * Minimum XP needed to reach a level (null when the level is beyond the curve)
+ */
+function getXPForLevel(level, curve = DEFAULT_LEVEL_CURVE) {
+  if (level <= 1) return 0;
+  if (curve.maxLevel && level > curve.maxLevel) return null;
+
+  if (curve.type === 'quadratic') {
+    return Math.pow(level - 1, 2) * curve.xpBase;
+  }
+
+  if (curve.type === 'thresholds') {
+    return level <= curve.thresholds.length ? curve.thresholds[level - 1] : null;
+  }
+
+  return (level - 1) * curve.xpPerLevel;
+}
+
+/**
+ * Progress of an XP balance within its current level
+ */
+function getLevelProgress(xp, curve = DEFAULT_LEVEL_CURVE) {
+  const level = calculateLevelForCurve(xp, curve);
+  const currentLevelXP = getXPForLevel(level, curve);
+  const nextLevelXP = getXPForLevel(level + 1, curve);
+
+  if (nextLevelXP === null) {
+    return { level, currentLevelXP, nextLevelXP: null, xpNeededForNext: 0, progressPercentage: 100 };
+  }
+
+  return {
+    level,
+    currentLevelXP,
+    nextLevelXP,
+    xpNeededForNext: Math.max(0, nextLevelXP - xp),
+    progressPercentage: Math.min(100, ((xp - currentLevelXP) / (nextLevelXP - currentLevelXP)) * 100)
+  };
+}
+
+/**
+ * Load the configured level curve (cached per instance for a minute)
+ * Invalid or missing configuration falls back to the default curve
+ */
+async function getLevelCurve({ fresh = false } = {}) {
+  if (!fresh && cachedCurve && Date.now() - cachedAt < LEVEL_CURVE_CACHE_MS) {
+    return cachedCurve;
+  }
+
+  const curveDoc = await admin.firestore().doc(LEVEL_CURVE_DOC_PATH).get();
+  let curve = DEFAULT_LEVEL_CURVE;
+
+  if (curveDoc.exists) {
+    const { curve: configured, errors } = validateLevelCurve(curveDoc.data());
+
+    if (errors) {
+      console.error(`Invalid level curve config, using default: ${errors.join('; ')}`);
+    } else {
+      curve = { ...configured, version: curveDoc.data().version || 0 };
+    }
+  }
+
+  cachedCurve = curve;
+  cachedAt = Date.now();
+  return curve;
+}
+
+module.exports = {
+  LEVEL_CURVE_DOC_PATH,
+  DEFAULT_LEVEL_CURVE,
+  validateLevelCurve,
+  calculateLevelForCurve,
+  getXPForLevel,
+  getLevelProgress,
+  getLevelCurve
+};
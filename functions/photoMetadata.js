@@ -0,0 +1,169 @@
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+
+/**
+ * SPOT PHOTO METADATA
+ *
+ * EXIF sent by clients can't be trusted, so the Storage trigger reads it from the uploaded
+ * file itself and keeps only what verification needs:
+ *
+ *   capturedAt           Date the photo was taken (DateTimeOriginal)
+ *   captureOffsetKnown   false when the camera did not record its UTC offset, in which case
+ *                        capturedAt is the camera's local time read as UTC
+ *   gpsLatitude/Longitude
+ *   cameraMake/Model
+ *
+ * The public copy is then re-encoded without any metadata (GPS, serial numbers, owner names)
+ * and resized thumbnails are written next to it under `thumbs/`.
+ */
+
+// Longest edge in pixels
+const THUMBNAIL_SIZES = {
+  small: 200,
+  medium: 800
+};
+
+const THUMBNAIL_DIR = 'thumbs';
+
+// Custom Storage metadata marking a file the pipeline wrote, so its upload isn't processed again
+const PROCESSED_METADATA_KEY = 'exifStripped';
+
+// Custom Storage metadata holding the uploader's uid (required by storage.rules)
+const UPLOADER_METADATA_KEY = 'uploadedBy';
+
+/**
+ * Degrees, minutes, seconds -> signed decimal degrees
+ */
+function toDecimalDegrees(dms, ref, max) {
+  if (!Array.isArray(dms) || dms.length < 3 || dms.some(value => !Number.isFinite(value))) {
+    return null;
+  }
+
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  if (degrees > max) {
+    return null;
+  }
+
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+/**
+ * "+02:00" -> minutes east of UTC
+ */
+function parseOffsetMinutes(offset) {
+  const match = /^([+-])(\d{2}):(\d{2})$/.exec(typeof offset === 'string' ? offset.trim() : '');
+  if (!match) {
+    return null;
+  }
+
+  const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Trusted EXIF fields of an image; null when it has no EXIF
+ */
+async function readPhotoExif(buffer) {
+  const { exif } = await sharp(buffer).metadata();
+  if (!exif) {
+    return null;
+  }
+
+  let tags;
+  try {
+    tags = exifReader(exif);
+  } catch (error) {
+    return null;
+  }
+
+  const image = tags.Image || {};
+  const photo = tags.Photo || {};
+  const gps = tags.GPSInfo || {};
+
+  let capturedAt = photo.DateTimeOriginal instanceof Date && !isNaN(photo.DateTimeOriginal)
+    ? photo.DateTimeOriginal
+    : null;
+  const offsetMinutes = parseOffsetMinutes(photo.OffsetTimeOriginal);
+  if (capturedAt && offsetMinutes !== null) {
+    capturedAt = new Date(capturedAt.getTime() - offsetMinutes * 60 * 1000);
+  }
+
+  const gpsLatitude = toDecimalDegrees(gps.GPSLatitude, gps.GPSLatitudeRef, 90);
+  const gpsLongitude = toDecimalDegrees(gps.GPSLongitude, gps.GPSLongitudeRef, 180);
+  const hasLocation = gpsLatitude !== null && gpsLongitude !== null;
+
+  return {
+    capturedAt,
+    captureOffsetKnown: Boolean(capturedAt) && offsetMinutes !== null,
+    gpsLatitude: hasLocation ? gpsLatitude : null,
+    gpsLongitude: hasLocation ? gpsLongitude : null,
+    cameraMake: typeof image.Make === 'string' ? image.Make.trim() : null,
+    cameraModel: typeof image.Model === 'string' ? image.Model.trim() : null
+  };
+}
+
+/**
+ * Re-encode an image in its own format without metadata (orientation is applied to the pixels)
+ */
+async function stripPhotoMetadata(buffer) {
+  const { format } = await sharp(buffer).metadata();
+  const image = sharp(buffer).rotate().keepIccProfile();
+
+  if (format === 'jpeg') {
+    return image.jpeg({ quality: 90, mozjpeg: true }).toBuffer();
+  }
+  if (format === 'webp') {
+    return image.webp({ quality: 90 }).toBuffer();
+  }
+  return image.png().toBuffer();
+}
+
+/**
+ * JPEG thumbnails of an image, one per THUMBNAIL_SIZES entry
+ * Returns [{ name, buffer }]
+ */
+function createThumbnails(buffer) {
+  return Promise.all(Object.entries(THUMBNAIL_SIZES).map(async ([name, size]) => ({
+    name,
+    buffer: await sharp(buffer)
+      .rotate()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80, mozjpeg: true })
+      .toBuffer()
+  })));
+}
+
+/**
+ * Storage path of a photo's thumbnail: spots/{spotId}/thumbs/{file}_{name}.jpg
+ */
+function getThumbnailPath(path, name) {
+  const slash = path.lastIndexOf('/');
+  const fileName = path.slice(slash + 1).replace(/\.[^.]+$/, '');
+  return `${path.slice(0, slash)}/${THUMBNAIL_DIR}/${fileName}_${name}.jpg`;
+}
+
+/**
+ * uid of the user who uploaded a Storage object; null when it was not uploaded through the rules
+ */
+function getPhotoUploader(object) {
+  return (object.metadata || {})[UPLOADER_METADATA_KEY] || null;
+}
+
+/**
+ * Whether a Storage object was written by this pipeline
+ */
+function isProcessedPhoto(object) {
+  return (object.metadata || {})[PROCESSED_METADATA_KEY] === 'true' ||
+    (object.name || '').split('/').includes(THUMBNAIL_DIR);
+}
+
+module.exports = {
+  THUMBNAIL_SIZES,
+  PROCESSED_METADATA_KEY,
+  readPhotoExif,
+  stripPhotoMetadata,
+  createThumbnails,
+  getThumbnailPath,
+  getPhotoUploader,
+  isProcessedPhoto
+};
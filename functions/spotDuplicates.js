@@ -0,0 +1,216 @@
+const admin = require('firebase-admin');
+const geohash = require('ngeohash');
+
+/**
+ * DUPLICATE SPOT DETECTION
+ *
+ * Nearby spots are found through the `geohash` field (precision 7, ~150m cells, recomputed from
+ * the coordinates on every spot write): the cell of the new spot and the neighbouring cells
+ * covering NEARBY_SPOT_RADIUS_METERS are queried by prefix, then filtered on real distance.
+ *
+ * A nearby spot is a possible duplicate when it is within DUPLICATE_MAX_DISTANCE_METERS and its
+ * title is similar. Titles are normalized first (case, accents, Cyrillic and Greek letters
+ * transliterated, punctuation and filler words dropped), then compared both as a whole and
+ * token by token, so "Café de Flore" matches "Flore Cafe" and "Кафе Пушкин" matches "Cafe Pushkin".
+ */
+
+const SPOT_GEOHASH_PRECISION = 7;
+const NEARBY_SPOT_RADIUS_METERS = 100;
+const DUPLICATE_MAX_DISTANCE_METERS = 50;
+const DUPLICATE_MIN_TITLE_SIMILARITY = 0.8;
+const NEARBY_CELL_QUERY_LIMIT = 100;
+
+// Letters that don't decompose into a latin base letter plus accents
+const TRANSLITERATIONS = {
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i',
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y',
+  к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+  х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+  і: 'i', ї: 'yi', є: 'ye', ґ: 'g',
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k', λ: 'l',
+  μ: 'm', ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't', υ: 'y', φ: 'f',
+  χ: 'ch', ψ: 'ps', ω: 'o'
+};
+
+// Words that say nothing about which place a title names
+const TITLE_STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'of', 'at', 'in', 'on',
+  'de', 'du', 'des', 'la', 'le', 'les', 'el', 'los', 'las', 'der', 'die', 'das', 'di', 'del', 'da'
+]);
+
+/**
+ * "Café de l'Église & Co." -> "cafe de l eglise and co"
+ */
+function normalizeTitle(title) {
+  return (title || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(/./gu, char => (TRANSLITERATIONS[char] !== undefined ? TRANSLITERATIONS[char] : char))
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Meaningful words of a normalized title
+ */
+function getTitleTokens(normalized) {
+  return [...new Set(normalized.split(' ').filter(token => token && !TITLE_STOPWORDS.has(token)))];
+}
+
+function levenshteinDistance(str1, str2) {
+  let previous = Array.from({ length: str2.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= str1.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= str2.length; j++) {
+      current[j] = str1[i - 1] === str2[j - 1]
+        ? previous[j - 1]
+        : Math.min(previous[j - 1], previous[j], current[j - 1]) + 1;
+    }
+    previous = current;
+  }
+
+  return previous[str2.length];
+}
+
+/**
+ * 1 for equal strings, 0 for nothing in common
+ */
+function editSimilarity(str1, str2) {
+  if (str1 === str2) return 1;
+  if (str1.length === 0 || str2.length === 0) return 0;
+
+  return 1 - levenshteinDistance(str1, str2) / Math.max(str1.length, str2.length);
+}
+
+/**
+ * Similarity (0-1) of two spot titles: the better of whole-title edit similarity and
+ * token overlap (Dice coefficient, where longer words with a typo still match)
+ */
+function calculateTitleSimilarity(titleA, titleB) {
+  const normalizedA = normalizeTitle(titleA);
+  const normalizedB = normalizeTitle(titleB);
+  const wholeTitle = editSimilarity(normalizedA, normalizedB);
+
+  const tokensA = getTitleTokens(normalizedA);
+  const tokensB = getTitleTokens(normalizedB);
+  if (tokensA.length === 0 || tokensB.length === 0) {
+    return wholeTitle;
+  }
+
+  const unmatched = [...tokensB];
+  let matched = 0;
+
+  for (const token of tokensA) {
+    const index = unmatched.findIndex(other =>
+      other === token || (Math.min(token.length, other.length) >= 4 && editSimilarity(token, other) >= 0.8)
+    );
+    if (index !== -1) {
+      unmatched.splice(index, 1);
+      matched++;
+    }
+  }
+
+  return Math.max(wholeTitle, (2 * matched) / (tokensA.length + tokensB.length));
+}
+
+/**
+ * Distance between two points in meters (Haversine)
+ */
+function getDistanceMeters(lat1, lng1, lat2, lng2) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const a = Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(toRadians(lng2 - lng1) / 2) ** 2;
+
+  return 2 * 6371e3 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+const hasValidCoordinates = spotData =>
+  typeof spotData.latitude === 'number' && typeof spotData.longitude === 'number' &&
+  spotData.latitude >= -90 && spotData.latitude <= 90 &&
+  spotData.longitude >= -180 && spotData.longitude <= 180;
+
+/**
+ * Geohash a spot should be stored with; null without valid coordinates
+ */
+function getSpotGeohash(spotData) {
+  return hasValidCoordinates(spotData)
+    ? geohash.encode(spotData.latitude, spotData.longitude, SPOT_GEOHASH_PRECISION)
+    : null;
+}
+
+/**
+ * Spots within NEARBY_SPOT_RADIUS_METERS of a spot, closest first
+ * Returns [{ spotId, title, distance, titleSimilarity, possibleDuplicate }]; removed spots are
+ * skipped and `asOf` (ms) ignores spots created at or after that time
+ */
+async function findNearbySpots(spotId, spotData, { asOf = null } = {}) {
+  if (!hasValidCoordinates(spotData)) {
+    return [];
+  }
+
+  const { latitude, longitude } = spotData;
+  const latDelta = NEARBY_SPOT_RADIUS_METERS / 111320;
+  const lngDelta = latDelta / Math.max(Math.cos(latitude * Math.PI / 180), 0.01);
+  const cells = geohash.bboxes(
+    latitude - latDelta, longitude - lngDelta,
+    latitude + latDelta, longitude + lngDelta,
+    SPOT_GEOHASH_PRECISION
+  );
+
+  const snapshots = await Promise.all(cells.map(cell =>
+    admin.firestore().collection('spots')
+      .where('geohash', '>=', cell)
+      .where('geohash', '<', cell + '~')
+      .limit(NEARBY_CELL_QUERY_LIMIT)
+      .get()
+  ));
+
+  const nearby = new Map();
+
+  for (const doc of snapshots.flatMap(snapshot => snapshot.docs)) {
+    const existing = doc.data();
+    if (doc.id === spotId || nearby.has(doc.id) || existing.removedAt || !hasValidCoordinates(existing)) continue;
+    if (asOf && !(existing.createdAt < asOf)) continue; // Submitted later
+
+    const distance = getDistanceMeters(latitude, longitude, existing.latitude, existing.longitude);
+    if (distance >= NEARBY_SPOT_RADIUS_METERS) continue;
+
+    const titleSimilarity = calculateTitleSimilarity(spotData.title, existing.title);
+    nearby.set(doc.id, {
+      spotId: doc.id,
+      title: existing.title || '',
+      distance,
+      titleSimilarity,
+      possibleDuplicate: distance < DUPLICATE_MAX_DISTANCE_METERS && titleSimilarity >= DUPLICATE_MIN_TITLE_SIMILARITY
+    });
+  }
+
+  return [...nearby.values()].sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * "Possible duplicate of" links stored on a spot for reviewers, most similar first
+ */
+function getPossibleDuplicateLinks(nearbySpots) {
+  return nearbySpots
+    .filter(spot => spot.possibleDuplicate)
+    .sort((a, b) => b.titleSimilarity - a.titleSimilarity || a.distance - b.distance)
+    .map(spot => ({
+      spotId: spot.spotId,
+      title: spot.title,
+      distanceMeters: Math.round(spot.distance),
+      titleSimilarity: Math.round(spot.titleSimilarity * 100) / 100
+    }));
+}
+
+module.exports = {
+  SPOT_GEOHASH_PRECISION,
+  normalizeTitle,
+  calculateTitleSimilarity,
+  getSpotGeohash,
+  findNearbySpots,
+  getPossibleDuplicateLinks
+};
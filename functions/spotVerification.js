@@ -1,6 +1,9 @@
 const { getFirestore, FieldValue } = require("firebase-admin/firestore");
 const { logger } = require("firebase-functions");
 const { onDocumentCreated } = require("firebase-functions/v2/firestore");
+const { getVerificationPolicy } = require("./verificationPolicy");
+const { getSpotPhotoHashes, findNearDuplicatePhotos } = require("./imageHash");
+const { findNearbySpots, getPossibleDuplicateLinks } = require("./spotDuplicates");
 
 /**
  * ADVANCED SPOT VERIFICATION SYSTEM
@@ -8,48 +11,12 @@ const { onDocumentCreated } = require("firebase-functions/v2/firestore");
  * This Cloud Function automatically verifies submitted spots using a confidence scoring system.
  * It calculates a verification score (0-100) and decides whether to auto-approve, flag for review,
  * or reject the spot based on multiple signals.
+ *
+ * index.js deploys the trigger as scoreSpotSubmission (its own verifySpotSubmission is the admin callable).
  */
 
-/**
- * Configuration constants for verification scoring
- */
-const VERIFICATION_CONFIG = {
-  // Decision thresholds
-  AUTO_APPROVE_THRESHOLD: 80,
-  MANUAL_REVIEW_THRESHOLD: 50,
-
-  // Score weights (must total 100)
-  WEIGHTS: {
-    LOCATION_ACCURACY: 30,
-    PHOTO_VERIFICATION: 20,
-    DUPLICATE_DETECTION: 20,
-    USER_TRUST: 20,
-    CONTENT_QUALITY: 10
-  },
-
-  // Location accuracy parameters
-  LOCATION: {
-    EXCELLENT_ACCURACY: 20, // meters
-    GOOD_ACCURACY: 50,      // meters
-    POOR_ACCURACY: 100,     // meters
-    MAX_SPEED_MPS: 50,      // 180 km/h (unrealistic for normal travel)
-    TELEPORT_DISTANCE: 10000 // 10km instant movement
-  },
-
-  // Rate limiting
-  RATE_LIMITS: {
-    MAX_SUBMISSIONS_PER_DAY: 3,
-    MIN_DISTANCE_BETWEEN_SPOTS: 100, // meters
-    MIN_TIME_BETWEEN_SUBMISSIONS: 300000 // 5 minutes in milliseconds
-  },
-
-  // Trust score parameters
-  TRUST: {
-    NEW_USER_GRACE_PERIOD: 7 * 24 * 60 * 60 * 1000, // 7 days
-    MIN_SUBMISSIONS_FOR_TRUST: 5,
-    SHADOW_BAN_REJECTION_THRESHOLD: 0.7 // 70% rejection rate
-  }
-};
+// Thresholds, weights, limits and valid categories come from the verification policy
+// (config/verificationPolicy, see verificationPolicy.js) so they can change without a redeploy
 
 /**
  * Main verification function - triggered when a new spot is created
@@ -68,8 +35,8 @@ exports.verifySpotSubmission = onDocumentCreated(
       return;
     }
 
-    // Skip verification for spots that are already processed
-    if (spotData.verificationStatus !== "PENDING") {
+    // Skip verification for spots that are already processed (spots without a status are new)
+    if (spotData.verificationStatus && spotData.verificationStatus !== "PENDING") {
       logger.info(`Spot ${spotId} already processed with status: ${spotData.verificationStatus}`);
       return;
     }
@@ -78,7 +45,8 @@ exports.verifySpotSubmission = onDocumentCreated(
       logger.info(`Starting verification for spot ${spotId} by user ${spotData.createdBy}`);
 
       const db = getFirestore();
-      const verificationResult = await performSpotVerification(db, spotId, spotData);
+      const policy = await getVerificationPolicy();
+      const verificationResult = await performSpotVerification(db, spotId, spotData, policy);
 
       // Update spot with verification results
       await updateSpotVerification(db, spotId, verificationResult);
@@ -109,8 +77,10 @@ exports.verifySpotSubmission = onDocumentCreated(
 
 /**
  * Performs comprehensive spot verification analysis
+ * Only reads; pass `asOf` (ms) to evaluate a historical spot as of that time, ignoring
+ * anything submitted after it
  */
-async function performSpotVerification(db, spotId, spotData) {
+async function performSpotVerification(db, spotId, spotData, policy, { asOf = null } = {}) {
   const scores = {
     locationAccuracy: 0,
     photoVerification: 0,
@@ -123,51 +93,51 @@ async function performSpotVerification(db, spotId, spotData) {
   let flags = [];
 
   // 1. Check Location Accuracy (30 points)
-  const locationScore = await checkLocationAccuracy(db, spotData);
+  const locationScore = await checkLocationAccuracy(db, spotData, policy, asOf);
   scores.locationAccuracy = locationScore.score;
   reasons.push(...locationScore.reasons);
   flags.push(...locationScore.flags);
 
   // 2. Photo Verification (20 points)
-  const photoScore = await checkPhotoVerification(db, spotData);
+  const photoScore = await checkPhotoVerification(db, spotId, spotData, asOf);
   scores.photoVerification = photoScore.score;
   reasons.push(...photoScore.reasons);
   flags.push(...photoScore.flags);
 
   // 3. Duplicate Detection (20 points)
-  const duplicateScore = await checkDuplicateSpots(db, spotData);
+  const duplicateScore = await checkDuplicateSpots(spotId, spotData, asOf);
   scores.duplicateDetection = duplicateScore.score;
   reasons.push(...duplicateScore.reasons);
   flags.push(...duplicateScore.flags);
 
   // 4. User Trust Score (20 points)
-  const trustScore = await checkUserTrust(db, spotData.createdBy);
+  const trustScore = await checkUserTrust(db, spotData.createdBy, policy, asOf);
   scores.userTrust = trustScore.score;
   reasons.push(...trustScore.reasons);
   flags.push(...trustScore.flags);
 
   // 5. Content Quality (10 points)
-  const contentScore = checkContentQuality(spotData);
+  const contentScore = checkContentQuality(spotData, policy);
   scores.contentQuality = contentScore.score;
   reasons.push(...contentScore.reasons);
   flags.push(...contentScore.flags);
 
   // Calculate weighted total score
   const totalScore = Math.round(
-    (scores.locationAccuracy * VERIFICATION_CONFIG.WEIGHTS.LOCATION_ACCURACY +
-     scores.photoVerification * VERIFICATION_CONFIG.WEIGHTS.PHOTO_VERIFICATION +
-     scores.duplicateDetection * VERIFICATION_CONFIG.WEIGHTS.DUPLICATE_DETECTION +
-     scores.userTrust * VERIFICATION_CONFIG.WEIGHTS.USER_TRUST +
-     scores.contentQuality * VERIFICATION_CONFIG.WEIGHTS.CONTENT_QUALITY) / 100
+    (scores.locationAccuracy * policy.weights.locationAccuracy +
+     scores.photoVerification * policy.weights.photoVerification +
+     scores.duplicateDetection * policy.weights.duplicateDetection +
+     scores.userTrust * policy.weights.userTrust +
+     scores.contentQuality * policy.weights.contentQuality) / 100
   );
 
   // Determine verification status
   let status = "PENDING";
   if (flags.length > 0) {
     status = "FLAGGED";
-  } else if (totalScore >= VERIFICATION_CONFIG.AUTO_APPROVE_THRESHOLD) {
+  } else if (totalScore >= policy.autoApproveThreshold) {
     status = "AUTO_APPROVED";
-  } else if (totalScore < VERIFICATION_CONFIG.MANUAL_REVIEW_THRESHOLD) {
+  } else if (totalScore < policy.manualReviewThreshold) {
     status = "PENDING"; // Requires manual review
   } else {
     status = "PENDING"; // Borderline - manual review recommended
@@ -178,30 +148,37 @@ async function performSpotVerification(db, spotId, spotData) {
     score: totalScore,
     reasons: reasons.filter(r => r), // Remove empty reasons
     flags,
-    detailedScores: scores
+    detailedScores: scores,
+    duplicateImageOf: photoScore.duplicateSpotIds || [],
+    possibleDuplicateOf: duplicateScore.possibleDuplicateOf || [],
+    policyVersion: policy.version
   };
 }
 
 /**
  * Check location accuracy and movement patterns
  */
-async function checkLocationAccuracy(db, spotData) {
+async function checkLocationAccuracy(db, spotData, policy, asOf = null) {
   let score = 0;
   const reasons = [];
   const flags = [];
 
   try {
     // Check if user's recent submissions show realistic movement
-    const recentSubmissions = await db.collection("spots")
+    let recentQuery = db.collection("spots")
       .where("createdBy", "==", spotData.createdBy)
-      .where("createdAt", ">", Date.now() - 24 * 60 * 60 * 1000) // Last 24 hours
+      .where("createdAt", ">", (asOf || Date.now()) - 24 * 60 * 60 * 1000); // Last 24 hours
+    if (asOf) {
+      recentQuery = recentQuery.where("createdAt", "<", asOf);
+    }
+    const recentSubmissions = await recentQuery
       .orderBy("createdAt", "desc")
       .limit(5)
       .get();
 
     if (!recentSubmissions.empty) {
       const submissions = recentSubmissions.docs.map(doc => doc.data());
-      const movementAnalysis = analyzeMovementPattern(submissions, spotData);
+      const movementAnalysis = analyzeMovementPattern(submissions, spotData, policy);
 
       if (movementAnalysis.suspicious) {
         flags.push("suspicious_movement");
@@ -225,13 +202,13 @@ async function checkLocationAccuracy(db, spotData) {
 
     // Check GPS accuracy
     const accuracy = spotData.locationMetadata?.accuracy || 999;
-    if (accuracy <= VERIFICATION_CONFIG.LOCATION.EXCELLENT_ACCURACY) {
+    if (accuracy <= policy.location.excellentAccuracy) {
       score = Math.min(100, score + 20);
       reasons.push("excellent_gps_accuracy");
-    } else if (accuracy <= VERIFICATION_CONFIG.LOCATION.GOOD_ACCURACY) {
+    } else if (accuracy <= policy.location.goodAccuracy) {
       score = Math.min(100, score + 10);
       reasons.push("good_gps_accuracy");
-    } else if (accuracy > VERIFICATION_CONFIG.LOCATION.POOR_ACCURACY) {
+    } else if (accuracy > policy.location.poorAccuracy) {
       score = Math.max(0, score - 20);
       reasons.push("poor_gps_accuracy");
     }
@@ -248,7 +225,7 @@ async function checkLocationAccuracy(db, spotData) {
 /**
  * Analyze movement patterns to detect teleportation/unrealistic travel
  */
-function analyzeMovementPattern(submissions, newSpot) {
+function analyzeMovementPattern(submissions, newSpot, policy) {
   if (submissions.length === 0) return { suspicious: false };
 
   const lastSubmission = submissions[0];
@@ -265,13 +242,13 @@ function analyzeMovementPattern(submissions, newSpot) {
   );
 
   // Check for teleportation (>10km in <5 minutes)
-  if (distance > VERIFICATION_CONFIG.LOCATION.TELEPORT_DISTANCE && timeDiff < 300000) {
+  if (distance > policy.location.teleportDistance && timeDiff < 300000) {
     return { suspicious: true, reason: "teleportation_detected" };
   }
 
   // Check for unrealistic speed
   const speedMPS = (distance / (timeDiff / 1000));
-  if (speedMPS > VERIFICATION_CONFIG.LOCATION.MAX_SPEED_MPS) {
+  if (speedMPS > policy.location.maxSpeedMps) {
     return { suspicious: true, reason: "unrealistic_speed" };
   }
 
@@ -280,8 +257,9 @@ function analyzeMovementPattern(submissions, newSpot) {
 
 /**
  * Check photo verification and metadata
+ * Hashes and EXIF come from the uploaded files (onSpotPhotoUploaded), never from the client
  */
-async function checkPhotoVerification(db, spotData) {
+async function checkPhotoVerification(db, spotId, spotData, asOf = null) {
   let score = 0;
   const reasons = [];
   const flags = [];
@@ -297,44 +275,52 @@ async function checkPhotoVerification(db, spotData) {
     score = 60; // Base score for having a photo
     reasons.push("photo_provided");
 
-    // Check for duplicate images (simplified - would need image hashing in production)
-    const imageHash = spotData.photoMetadata?.hash;
-    if (imageHash) {
-      const duplicateImages = await db.collection("spots")
-        .where("photoMetadata.hash", "==", imageHash)
-        .where("id", "!=", spotData.id)
-        .limit(1)
-        .get();
+    // Check for near-duplicate images (photos may still be hashing when a spot is created;
+    // the Storage trigger flags the spot if a late hash matches)
+    const photoHashes = await getSpotPhotoHashes(spotId, { uploadedBy: spotData.createdBy });
+    if (photoHashes.length > 0) {
+      const duplicates = await findNearDuplicatePhotos(spotId, photoHashes, { before: asOf });
 
-      if (!duplicateImages.empty) {
+      if (duplicates.length > 0) {
         flags.push("duplicate_image");
         score = 0;
         reasons.push("duplicate_image_detected");
-        return { score, reasons, flags };
+        return { score, reasons, flags, duplicateSpotIds: duplicates.map(duplicate => duplicate.spotId) };
       }
 
       score += 20;
       reasons.push("unique_image");
+    } else {
+      reasons.push("photo_hash_pending");
     }
 
     // Check EXIF data if available
-    const exifData = spotData.photoMetadata?.exif;
-    if (exifData) {
+    const exifPhotos = photoHashes.map(photo => photo.exif).filter(Boolean);
+    if (exifPhotos.length > 0) {
       // Check photo timestamp vs submission time
-      const photoTime = exifData.dateTimeOriginal;
       const submissionTime = spotData.createdAt;
+      const isRecent = exifPhotos.some(exifData => {
+        const photoTime = exifData.capturedAt?.toMillis();
+        // Without a recorded UTC offset the capture time can be off by up to 14 hours
+        const window = exifData.captureOffsetKnown ? 3600000 : 15 * 3600000;
+        return photoTime && Math.abs(photoTime - submissionTime) < window;
+      });
 
-      if (photoTime && Math.abs(photoTime - submissionTime) < 3600000) { // Within 1 hour
+      if (isRecent) {
         score += 10;
         reasons.push("recent_photo");
       }
 
-      // Check GPS coordinates in EXIF vs spot location
-      if (exifData.gpsLatitude && exifData.gpsLongitude) {
-        const exifDistance = getDistance(
+      // Check GPS coordinates in EXIF vs spot location (closest photo)
+      const exifDistances = exifPhotos
+        .filter(exifData => Number.isFinite(exifData.gpsLatitude) && Number.isFinite(exifData.gpsLongitude))
+        .map(exifData => getDistance(
           exifData.gpsLatitude, exifData.gpsLongitude,
           spotData.latitude, spotData.longitude
-        );
+        ));
+
+      if (exifDistances.length > 0) {
+        const exifDistance = Math.min(...exifDistances);
 
         if (exifDistance < 100) { // Within 100m
           score += 10;
@@ -357,57 +343,36 @@ async function checkPhotoVerification(db, spotData) {
 
 /**
  * Check for duplicate spots in the same area
+ * Nearby spots come from geohash cells, titles are compared normalized (spotDuplicates.js)
  */
-async function checkDuplicateSpots(db, spotData) {
+async function checkDuplicateSpots(spotId, spotData, asOf = null) {
   let score = 80; // Default good score
   const reasons = [];
   const flags = [];
+  let possibleDuplicateOf = [];
 
   try {
     // Check for nearby spots (within 100m)
-    const nearbySpots = await db.collection("spots")
-      .where("latitude", ">=", spotData.latitude - 0.001) // ~111m
-      .where("latitude", "<=", spotData.latitude + 0.001)
-      .where("longitude", ">=", spotData.longitude - 0.001)
-      .where("longitude", "<=", spotData.longitude + 0.001)
-      .get();
-
-    let duplicatesFound = 0;
-
-    for (const doc of nearbySpots.docs) {
-      if (doc.id === spotData.id) continue; // Skip self
-
-      const existingSpot = doc.data();
-      const distance = getDistance(
-        existingSpot.latitude, existingSpot.longitude,
-        spotData.latitude, spotData.longitude
-      );
+    const nearbySpots = await findNearbySpots(spotId, spotData, { asOf });
+    possibleDuplicateOf = getPossibleDuplicateLinks(nearbySpots);
 
-      if (distance < 50) { // Very close spots
-        duplicatesFound++;
-
-        // Check title similarity
-        const titleSimilarity = calculateTextSimilarity(
-          spotData.title.toLowerCase(),
-          existingSpot.title.toLowerCase()
-        );
-
-        if (titleSimilarity > 0.8) { // 80% similar titles
-          flags.push("potential_duplicate");
-          score = 0;
-          reasons.push("duplicate_spot_detected");
-          break;
-        } else if (distance < 25) {
+    if (possibleDuplicateOf.length > 0) {
+      flags.push("potential_duplicate");
+      score = 0;
+      reasons.push("duplicate_spot_detected");
+    } else {
+      for (const nearby of nearbySpots) {
+        if (nearby.distance < 25) {
           score -= 30;
           reasons.push("very_close_spot_exists");
+        } else if (nearby.distance >= 50) {
+          score -= 10;
+          reasons.push("nearby_spot_exists");
         }
-      } else if (distance < 100) {
-        score -= 10;
-        reasons.push("nearby_spot_exists");
       }
     }
 
-    if (duplicatesFound === 0) {
+    if (!nearbySpots.some(nearby => nearby.distance < 50)) {
       reasons.push("no_nearby_duplicates");
     }
 
@@ -417,13 +382,13 @@ async function checkDuplicateSpots(db, spotData) {
     reasons.push("duplicate_check_error");
   }
 
-  return { score: Math.max(0, Math.min(100, score)), reasons, flags };
+  return { score: Math.max(0, Math.min(100, score)), reasons, flags, possibleDuplicateOf };
 }
 
 /**
  * Check user trust score and submission history
  */
-async function checkUserTrust(db, userId) {
+async function checkUserTrust(db, userId, policy, asOf = null) {
   let score = 50; // Default neutral score
   const reasons = [];
   const flags = [];
@@ -452,8 +417,8 @@ async function checkUserTrust(db, userId) {
     score = Math.round(trustScore * 100);
 
     // Account age bonus
-    const accountAge = Date.now() - userData.createdAt;
-    if (accountAge > VERIFICATION_CONFIG.TRUST.NEW_USER_GRACE_PERIOD) {
+    const accountAge = (asOf || Date.now()) - userData.createdAt;
+    if (accountAge > policy.trust.newUserGracePeriod) {
       score += 10;
       reasons.push("established_account");
     }
@@ -474,22 +439,26 @@ async function checkUserTrust(db, userId) {
         reasons.push("low_approval_rate");
 
         // Check for shadow ban threshold
-        if (approvalRate < VERIFICATION_CONFIG.TRUST.SHADOW_BAN_REJECTION_THRESHOLD && totalSubmissions >= 5) {
+        if (approvalRate < policy.trust.shadowBanRejectionThreshold &&
+            totalSubmissions >= policy.trust.minSubmissionsForTrust) {
           flags.push("shadow_ban_candidate");
         }
       }
     }
 
     // Rate limiting check
-    const todayStart = new Date();
+    const todayStart = new Date(asOf || Date.now());
     todayStart.setHours(0, 0, 0, 0);
 
-    const todaySubmissions = await db.collection("spots")
+    let todayQuery = db.collection("spots")
       .where("createdBy", "==", userId)
-      .where("createdAt", ">=", todayStart.getTime())
-      .get();
+      .where("createdAt", ">=", todayStart.getTime());
+    if (asOf) {
+      todayQuery = todayQuery.where("createdAt", "<=", asOf); // Counts the spot itself, as a live run does
+    }
+    const todaySubmissions = await todayQuery.get();
 
-    if (todaySubmissions.size >= VERIFICATION_CONFIG.RATE_LIMITS.MAX_SUBMISSIONS_PER_DAY) {
+    if (todaySubmissions.size >= policy.rateLimits.maxSubmissionsPerDay) {
       flags.push("rate_limit_exceeded");
       score = Math.min(score, 20);
       reasons.push("too_many_submissions_today");
@@ -507,7 +476,7 @@ async function checkUserTrust(db, userId) {
 /**
  * Check content quality (title, description, category appropriateness)
  */
-function checkContentQuality(spotData) {
+function checkContentQuality(spotData, policy) {
   let score = 70; // Default good score
   const reasons = [];
   const flags = [];
@@ -566,8 +535,7 @@ function checkContentQuality(spotData) {
   }
 
   // Category validation
-  const validCategories = ["CAFE", "VIEWPOINT", "ART", "PARK", "HISTORICAL", "HIDDEN_GEM"];
-  if (!validCategories.includes(spotData.category)) {
+  if (!policy.validCategories.includes(spotData.category)) {
     score -= 10;
     reasons.push("invalid_category");
   }
@@ -584,15 +552,21 @@ async function updateSpotVerification(db, spotId, verificationResult) {
     verificationScore: verificationResult.score,
     verificationReasons: verificationResult.reasons,
     verificationFlags: verificationResult.flags || [],
+    verificationPolicyVersion: verificationResult.policyVersion,
     verificationTimestamp: FieldValue.serverTimestamp(),
     updatedAt: FieldValue.serverTimestamp()
   };
 
-  // If auto-approved, release XP
-  if (verificationResult.status === "AUTO_APPROVED") {
-    updateData.xpReleased = true;
+  if (verificationResult.duplicateImageOf?.length > 0) {
+    updateData.possibleDuplicateImageOf = FieldValue.arrayUnion(...verificationResult.duplicateImageOf);
+  }
+
+  if (verificationResult.possibleDuplicateOf?.length > 0) {
+    updateData.possibleDuplicateOf = verificationResult.possibleDuplicateOf;
   }
 
+  // XP for auto-approved spots is paid by handleSpotVerificationUpdate in index.js, which sets xpReleased
+
   await db.doc(`spots/${spotId}`).update(updateData);
 
   // Log verification for audit
@@ -603,17 +577,21 @@ async function updateSpotVerification(db, spotId, verificationResult) {
     reasons: verificationResult.reasons,
     flags: verificationResult.flags || [],
     detailedScores: verificationResult.detailedScores,
+    policyVersion: verificationResult.policyVersion,
     timestamp: FieldValue.serverTimestamp()
   });
 }
 
 /**
  * Update user trust score based on verification result
+ * A REMOVED result (approved spot taken down later) reverses the approval and costs the most trust
  */
 async function updateUserTrustScore(db, userId, verificationResult) {
   const userRef = db.doc(`users/${userId}`);
 
   try {
+    const policy = await getVerificationPolicy();
+
     await db.runTransaction(async (transaction) => {
       const userDoc = await transaction.get(userRef);
 
@@ -627,9 +605,12 @@ async function updateUserTrustScore(db, userId, verificationResult) {
       const submissions = userData.spotSubmissions || 0;
       const approved = userData.spotApprovedCount || 0;
       const rejected = userData.spotRejectedCount || 0;
+      const removed = userData.spotRemovedCount || 0;
 
       let newApproved = approved;
       let newRejected = rejected;
+      let newRemoved = removed;
+      let newSubmissions = submissions + 1;
       let newTrust = currentTrust;
 
       // Update counts based on verification result
@@ -639,22 +620,29 @@ async function updateUserTrustScore(db, userId, verificationResult) {
       } else if (verificationResult.status === "REJECTED") {
         newRejected += 1;
         newTrust = Math.max(0.0, currentTrust - 0.05); // Larger penalty
+      } else if (verificationResult.status === "REMOVED") {
+        // Not a new submission: the spot was counted when it was verified
+        newSubmissions = submissions;
+        newApproved = Math.max(0, approved - 1);
+        newRemoved += 1;
+        newTrust = Math.max(0.0, currentTrust - 0.1); // Content had to be taken down
       }
       // PENDING doesn't immediately affect trust score
 
       const updates = {
-        spotSubmissions: submissions + 1,
+        spotSubmissions: newSubmissions,
         spotApprovedCount: newApproved,
         spotRejectedCount: newRejected,
+        spotRemovedCount: newRemoved,
         trustScore: newTrust,
         lastActiveAt: FieldValue.serverTimestamp()
       };
 
-      // Check for shadow ban condition
-      const totalAfterUpdate = submissions + 1;
-      if (totalAfterUpdate >= 5) {
-        const rejectionRate = newRejected / totalAfterUpdate;
-        if (rejectionRate >= VERIFICATION_CONFIG.TRUST.SHADOW_BAN_REJECTION_THRESHOLD) {
+      // Check for shadow ban condition (removed spots count as rejections)
+      const totalAfterUpdate = newSubmissions;
+      if (totalAfterUpdate >= policy.trust.minSubmissionsForTrust) {
+        const rejectionRate = (newRejected + newRemoved) / totalAfterUpdate;
+        if (rejectionRate >= policy.trust.shadowBanRejectionThreshold) {
           updates.isShadowBanned = true;
           logger.info(`User ${userId} shadow banned due to high rejection rate: ${rejectionRate}`);
         }
@@ -715,47 +703,5 @@ function getDistance(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
-/**
- * Calculate text similarity using simple character-based comparison
- */
-function calculateTextSimilarity(str1, str2) {
-  if (str1 === str2) return 1;
-  if (str1.length === 0 || str2.length === 0) return 0;
-
-  const longer = str1.length > str2.length ? str1 : str2;
-  const shorter = str1.length > str2.length ? str2 : str1;
-
-  const editDistance = levenshteinDistance(longer, shorter);
-  return (longer.length - editDistance) / longer.length;
-}
-
-/**
- * Calculate Levenshtein distance between two strings
- */
-function levenshteinDistance(str1, str2) {
-  const matrix = [];
-
-  for (let i = 0; i <= str2.length; i++) {
-    matrix[i] = [i];
-  }
-
-  for (let j = 0; j <= str1.length; j++) {
-    matrix[0][j] = j;
-  }
-
-  for (let i = 1; i <= str2.length; i++) {
-    for (let j = 1; j <= str1.length; j++) {
-      if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-        matrix[i][j] = matrix[i - 1][j - 1];
-      } else {
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j - 1] + 1,
-          matrix[i][j - 1] + 1,
-          matrix[i - 1][j] + 1
-        );
-      }
-    }
-  }
-
-  return matrix[str2.length][str1.length];
-}
\ No newline at end of file
+exports.updateUserTrustScore = updateUserTrustScore;
+exports.performSpotVerification = performSpotVerification;
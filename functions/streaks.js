@@ -0,0 +1,161 @@
+/**
+ * DAILY LOGIN STREAKS
+ *
+ * A streak counts consecutive calendar days with a login, in the user's own timezone:
+ *
+ *   users/{uid}.currentStreak    consecutive days up to lastStreakDate
+ *   users/{uid}.longestStreak    best streak so far
+ *   users/{uid}.lastStreakDate   local date (YYYY-MM-DD) of the last counted login
+ *   users/{uid}.streakFreezes    freezes held; each one covers one missed day
+ *   users/{uid}.timeZone         IANA timezone reported by the app
+ *
+ * Missed days are covered by freezes when the user holds enough of them; otherwise the
+ * streak starts again at 1. Freezes are bought with XP (purchaseStreakFreeze).
+ */
+
+const DEFAULT_TIME_ZONE = 'UTC';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a string is a timezone this runtime understands
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Date parts of an instant as seen in a timezone
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = {};
+  for (const part of parts) {
+    if (part.type !== 'literal') values[part.type] = parseInt(part.value, 10);
+  }
+
+  return values;
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an instant in a timezone
+ */
+function getLocalDateKey(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Local hour (0-23) of an instant in a timezone
+ */
+function getLocalHour(date, timeZone) {
+  return getZonedParts(date, timeZone).hour;
+}
+
+/**
+ * Whole days from one local date key to another
+ */
+function daysBetween(fromDateKey, toDateKey) {
+  const toUTC = dateKey => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+
+  return Math.round((toUTC(toDateKey) - toUTC(fromDateKey)) / DAY_MS);
+}
+
+/**
+ * Local date key a number of days after another
+ */
+function addDays(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * The instant a local wall-clock time (date key + hour) occurs in a timezone
+ */
+function getZonedInstant(dateKey, hour, timeZone) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClockAsUTC = Date.UTC(year, month - 1, day, hour);
+
+  // Correct by the zone offset, twice so a DST change between guess and result is honored
+  let instant = wallClockAsUTC;
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    const zonedAsUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    instant += wallClockAsUTC - zonedAsUTC;
+  }
+
+  return new Date(instant);
+}
+
+/**
+ * Apply a login on a local date to a user's streak state
+ * Returns the new state and whether this login counted for a new day
+ */
+function applyLoginToStreak({ currentStreak = 0, longestStreak = 0, lastStreakDate = null, streakFreezes = 0 }, todayKey) {
+  if (lastStreakDate && daysBetween(lastStreakDate, todayKey) <= 0) {
+    return {
+      newDay: false,
+      currentStreak,
+      longestStreak,
+      streakFreezes,
+      freezesUsed: 0,
+      streakBroken: false
+    };
+  }
+
+  const missedDays = lastStreakDate ? daysBetween(lastStreakDate, todayKey) - 1 : 0;
+  let nextStreak = 1;
+  let freezesUsed = 0;
+  let streakBroken = false;
+
+  if (lastStreakDate && currentStreak > 0) {
+    if (missedDays === 0) {
+      nextStreak = currentStreak + 1;
+    } else if (missedDays <= streakFreezes) {
+      freezesUsed = missedDays;
+      nextStreak = currentStreak + 1;
+    } else {
+      streakBroken = true;
+    }
+  }
+
+  return {
+    newDay: true,
+    currentStreak: nextStreak,
+    longestStreak: Math.max(longestStreak, nextStreak),
+    streakFreezes: streakFreezes - freezesUsed,
+    freezesUsed,
+    streakBroken
+  };
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getLocalDateKey,
+  getLocalHour,
+  addDays,
+  getZonedInstant,
+  applyLoginToStreak
+};
@@ -0,0 +1,122 @@
+const Stripe = require('stripe');
+
+/**
+ * STRIPE CLIENT
+ *
+ * Shared Stripe client for the billing API.
+ *
+ * Configuration (functions/.env):
+ * - STRIPE_SECRET_KEY: Secret API key (sk_test_... / sk_live_...)
+ * - STRIPE_WEBHOOK_SECRET: Signing secret of the /billing/webhook endpoint (whsec_...)
+ * - STRIPE_PRICE_BASIC / STRIPE_PRICE_PRO / STRIPE_PRICE_PREMIUM: Recurring price IDs per plan
+ * - STRIPE_API_HOST / STRIPE_API_PORT / STRIPE_API_PROTOCOL: Optional API endpoint override,
+ *   used to point the client at a local stripe-mock instance (e.g. localhost / 12111 / http)
+ */
+
+// Plans that can be purchased through Stripe Checkout (free and trial are handled internally)
+const PLAN_PRICE_ENV_KEYS = {
+  basic: 'STRIPE_PRICE_BASIC',
+  pro: 'STRIPE_PRICE_PRO',
+  premium: 'STRIPE_PRICE_PREMIUM'
+};
+
+let stripeClient = null;
+
+/**
+ * Get the lazily-initialized Stripe client
+ */
+function getStripe() {
+  if (stripeClient) {
+    return stripeClient;
+  }
+
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+  if (!secretKey) {
+    throw new Error('STRIPE_SECRET_KEY is not configured');
+  }
+
+  const config = {
+    appInfo: { name: 'spotshunt-functions' }
+  };
+
+  // Allow pointing at a local stripe-mock instance
+  if (process.env.STRIPE_API_HOST) {
+    config.host = process.env.STRIPE_API_HOST;
+    config.port = process.env.STRIPE_API_PORT || 443;
+    config.protocol = process.env.STRIPE_API_PROTOCOL || 'https';
+  }
+
+  stripeClient = new Stripe(secretKey, config);
+  return stripeClient;
+}
+
+/**
+ * Get the Stripe price ID for a subscription plan
+ * Returns null for plans that are not sold through Stripe
+ */
+function getPriceIdForPlan(plan) {
+  const envKey = PLAN_PRICE_ENV_KEYS[plan];
+  return envKey ? process.env[envKey] || null : null;
+}
+
+/**
+ * Resolve a subscription plan from a Stripe price ID
+ */
+function getPlanForPriceId(priceId) {
+  if (!priceId) return null;
+
+  const plan = Object.keys(PLAN_PRICE_ENV_KEYS).find(
+    key => process.env[PLAN_PRICE_ENV_KEYS[key]] === priceId
+  );
+
+  return plan || null;
+}
+
+/**
+ * Verify a webhook signature and parse the event
+ * Throws a StripeSignatureVerificationError when the signature does not match
+ */
+function constructWebhookEvent(payload, signature) {
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!webhookSecret) {
+    throw new Error('STRIPE_WEBHOOK_SECRET is not configured');
+  }
+
+  return getStripe().webhooks.constructEvent(payload, signature, webhookSecret);
+}
+
+/**
+ * Check whether a plan can be purchased through Stripe
+ */
+function isPurchasablePlan(plan) {
+  return Object.prototype.hasOwnProperty.call(PLAN_PRICE_ENV_KEYS, plan);
+}
+
+/**
+ * Map a Stripe subscription status to the sponsor subscriptionStatus
+ */
+function mapStripeSubscriptionStatus(stripeStatus) {
+  switch (stripeStatus) {
+    case 'active':
+    case 'trialing':
+      return 'active';
+    case 'past_due':
+    case 'unpaid':
+      return 'past_due';
+    case 'canceled':
+    case 'incomplete_expired':
+      return 'canceled';
+    default:
+      // incomplete (first payment not made yet), paused and anything new carry no entitlements
+      return 'inactive';
+  }
+}
+
+module.exports = {
+  getStripe,
+  getPriceIdForPlan,
+  getPlanForPriceId,
+  isPurchasablePlan,
+  mapStripeSubscriptionStatus,
+  constructWebhookEvent
+};
@@ -0,0 +1,72 @@
+/**
+ * TEAMS
+ *
+ * Friends or a city squad pool their progress on team challenges:
+ *
+ *   teams/{teamId}                            name, type, ownerId, memberIds, teamXP
+ *   teamInvites/{teamId}_{inviteeId}          PENDING, ACCEPTED or DECLINED
+ *   team_challenges/{teamId}_{challengeId}    shared progress, contributions per member
+ *
+ * A challenge is a team challenge when it has `teamChallenge: true`. Its xpReward is the
+ * team's pot, shared out on completion according to `payoutSplit`:
+ *
+ *   EQUAL          every member who contributed gets the same share
+ *   PROPORTIONAL   shares follow each member's contribution
+ *
+ * Only people who are still in the team when it completes a challenge get a share, and each
+ * person is paid at most once per challenge, by whichever of their teams completes it first.
+ * Teams need MIN_TEAM_MEMBERS members to start a team challenge and to make progress on it.
+ */
+
+const TEAM_TYPES = ['FRIENDS', 'CITY'];
+const TEAM_PAYOUT_SPLITS = ['EQUAL', 'PROPORTIONAL'];
+const MIN_TEAM_MEMBERS = 2;
+const MAX_TEAM_MEMBERS = 10;
+const MAX_TEAMS_PER_USER = 5;
+
+/**
+ * Ledger idempotency key of a user's team challenge share, the same for all of their teams
+ */
+function getTeamChallengeShareKey(challengeId, userId) {
+  return `team-challenge:${challengeId}:${userId}`;
+}
+
+/**
+ * Share a team challenge's XP between its contributors
+ * Returns { userId: xp }; rounding leftovers go to the biggest contributors
+ */
+function splitTeamPayout(totalXP, contributions, split = 'EQUAL') {
+  const contributors = Object.entries(contributions || {})
+    .filter(([, amount]) => amount > 0)
+    .sort(([userA, amountA], [userB, amountB]) => amountB - amountA || userA.localeCompare(userB));
+
+  const shares = {};
+  if (contributors.length === 0 || !(totalXP > 0)) {
+    return shares;
+  }
+
+  const totalContribution = contributors.reduce((sum, [, amount]) => sum + amount, 0);
+
+  for (const [userId, amount] of contributors) {
+    shares[userId] = split === 'PROPORTIONAL'
+      ? Math.floor(totalXP * amount / totalContribution)
+      : Math.floor(totalXP / contributors.length);
+  }
+
+  let leftover = totalXP - Object.values(shares).reduce((sum, share) => sum + share, 0);
+  for (let i = 0; leftover > 0; i = (i + 1) % contributors.length, leftover--) {
+    shares[contributors[i][0]] += 1;
+  }
+
+  return shares;
+}
+
+module.exports = {
+  TEAM_TYPES,
+  TEAM_PAYOUT_SPLITS,
+  MIN_TEAM_MEMBERS,
+  MAX_TEAM_MEMBERS,
+  MAX_TEAMS_PER_USER,
+  getTeamChallengeShareKey,
+  splitTeamPayout
+};
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getChallengeProgressRules,
+  getChallengeProgressForEvent
+} = require('../challengeProgress');
+
+test('getChallengeProgressRules drops unusable rules', () => {
+  const rules = getChallengeProgressRules({
+    progressRules: [
+      { activity: 'SPOT_DISCOVERED', categories: ['CAFE', '', 7] },
+      { activity: 'SPOT_RATED', weight: 0 },
+      { activity: 'DAILY_LOGIN', categories: ['CAFE'] },
+      { activity: 'SPOT_LIKED', mode: 'streak' },
+      { activity: 'SPOT_PAINTED' },
+      null
+    ]
+  });
+
+  assert.deepEqual(rules, [{ activity: 'SPOT_DISCOVERED', mode: 'count', weight: 1, categories: ['CAFE'] }]);
+});
+
+test('getChallengeProgressRules derives rules from legacy challenge types', () => {
+  assert.deepEqual(getChallengeProgressRules({ type: 'CATEGORY_DISCOVERY', requiredCategories: ['PARK'] }), [
+    { activity: 'SPOT_DISCOVERED', mode: 'count', weight: 1, categories: ['PARK'] }
+  ]);
+  assert.deepEqual(getChallengeProgressRules({ type: 'STREAK' }), [
+    { activity: 'DAILY_LOGIN', mode: 'streak', weight: 1, categories: [] }
+  ]);
+  assert.deepEqual(getChallengeProgressRules({ type: 'UNKNOWN' }), []);
+  assert.deepEqual(getChallengeProgressRules({}), []);
+});
+
+test('getChallengeProgressForEvent filters spot events by category', () => {
+  const challenge = { progressRules: [{ activity: 'SPOT_DISCOVERED', categories: ['CAFE', 'BAKERY'] }] };
+
+  assert.deepEqual(getChallengeProgressForEvent(challenge, 'SPOT_DISCOVERED', { category: 'CAFE' }), { amount: 1, absolute: false });
+  assert.equal(getChallengeProgressForEvent(challenge, 'SPOT_DISCOVERED', { category: 'PARK' }), null);
+  assert.equal(getChallengeProgressForEvent(challenge, 'SPOT_VISITED', { category: 'CAFE' }), null);
+});
+
+test('getChallengeProgressForEvent counts the largest matching weight once', () => {
+  const challenge = {
+    progressRules: [
+      { activity: 'SPOT_RATED', weight: 1 },
+      { activity: 'SPOT_RATED', categories: ['MUSEUM'], weight: 3 }
+    ]
+  };
+
+  assert.deepEqual(getChallengeProgressForEvent(challenge, 'SPOT_RATED', { category: 'MUSEUM' }), { amount: 3, absolute: false });
+  assert.deepEqual(getChallengeProgressForEvent(challenge, 'SPOT_RATED', { category: 'CAFE' }), { amount: 1, absolute: false });
+});
+
+test('getChallengeProgressForEvent sets streak progress to the current streak', () => {
+  const challenge = { progressRules: [{ activity: 'DAILY_LOGIN', mode: 'streak' }] };
+
+  assert.deepEqual(getChallengeProgressForEvent(challenge, 'DAILY_LOGIN', { streak: 4 }), { amount: 4, absolute: true });
+  assert.equal(getChallengeProgressForEvent(challenge, 'DAILY_LOGIN', { streak: 0 }), null);
+  assert.equal(getChallengeProgressForEvent(challenge, 'DAILY_LOGIN', {}), null);
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getRecurrencePeriod, buildChallengeInstance } = require('../challengeTemplates');
+
+const template = {
+  title: 'Discover {target} {category} spots',
+  description: 'Find {target} new {category} spots this week',
+  recurrence: 'weekly',
+  difficulty: 'MEDIUM',
+  baseTarget: 2,
+  baseXPReward: 100,
+  progressRules: [{ activity: 'SPOT_DISCOVERED' }, { activity: 'SPOT_RATED', categories: ['MUSEUM'] }],
+  categories: ['CAFE', 'PARK', 'COFFEE_SHOP']
+};
+
+test('getRecurrencePeriod covers the UTC day or ISO week of a date', () => {
+  const day = getRecurrencePeriod('daily', new Date('2026-10-21T23:30:00Z'));
+  assert.equal(day.periodKey, '2026-10-21');
+  assert.equal(day.startDate.toISOString(), '2026-10-21T00:00:00.000Z');
+  assert.equal(day.endDate.toISOString(), '2026-10-22T00:00:00.000Z');
+
+  const week = getRecurrencePeriod('weekly', new Date('2026-10-21T12:00:00Z'));
+  assert.equal(week.periodKey, '2026-W43');
+  assert.equal(week.startDate.toISOString(), '2026-10-19T00:00:00.000Z');
+  assert.equal(week.endDate.toISOString(), '2026-10-26T00:00:00.000Z');
+
+  const nextWeek = getRecurrencePeriod('weekly', new Date('2026-10-26T00:00:00Z'));
+  assert.equal(nextWeek.index, week.index + 1);
+});
+
+test('buildChallengeInstance rotates categories one per period', () => {
+  const periods = [0, 7, 14, 21].map(days =>
+    getRecurrencePeriod('weekly', new Date(Date.UTC(2026, 9, 21 + days)))
+  );
+  const categories = periods.map(period => buildChallengeInstance('cafe-hunt', template, period).data.category);
+
+  assert.equal(new Set(categories.slice(0, 3)).size, 3);
+  assert.equal(categories[3], categories[0]);
+});
+
+test('buildChallengeInstance scales the template and fills in its text', () => {
+  const period = { periodKey: '2026-W43', index: 2, startDate: new Date(0), endDate: new Date(1) };
+  const { id, data } = buildChallengeInstance('cafe-hunt', template, period);
+
+  assert.equal(id, 'cafe-hunt_2026-W43');
+  assert.equal(data.category, 'COFFEE_SHOP');
+  assert.equal(data.title, 'Discover 4 Coffee Shop spots');
+  assert.equal(data.targetValue, 4);
+  assert.equal(data.xpReward, 200);
+  assert.deepEqual(data.progressRules, [
+    { activity: 'SPOT_DISCOVERED', categories: ['COFFEE_SHOP'] },
+    { activity: 'SPOT_RATED', categories: ['MUSEUM'] }
+  ]);
+  assert.equal(data.generated, true);
+});
+
+test('buildChallengeInstance drops the category placeholder when there is no rotation', () => {
+  const period = { periodKey: '2026-10-21', index: 5, startDate: new Date(0), endDate: new Date(1) };
+  const { data } = buildChallengeInstance('daily-hunt', { ...template, recurrence: 'daily', categories: [] }, period);
+
+  assert.equal(data.category, null);
+  assert.equal(data.title, 'Discover 4 spots');
+  assert.equal(data.isDailyChallenge, true);
+});
+
+test('buildChallengeInstance rejects unusable templates', () => {
+  const period = { periodKey: '2026-10-21', index: 0 };
+
+  assert.equal(buildChallengeInstance('t', { ...template, recurrence: 'monthly' }, period), null);
+  assert.equal(buildChallengeInstance('t', { ...template, difficulty: 'LEGENDARY' }, period), null);
+  assert.equal(buildChallengeInstance('t', { ...template, baseTarget: 0 }, period), null);
+  assert.equal(buildChallengeInstance('t', { ...template, progressRules: [{ activity: 'SPOT_PAINTED' }] }, period), null);
+  assert.equal(buildChallengeInstance('t', null, period), null);
+});
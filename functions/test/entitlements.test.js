@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getEffectivePlan,
+  countActiveRewards,
+  assertRewardCapacity,
+  assertQRRedemption,
+  assertAnalyticsAccess,
+  describePlanLimits
+} = require('../entitlements');
+
+const timestamp = millis => ({ toMillis: () => millis });
+const rewardDoc = data => ({ data: () => data });
+
+test('getEffectivePlan keeps paid plans only for entitled statuses', () => {
+  assert.equal(getEffectivePlan({ subscriptionPlan: 'pro', subscriptionStatus: 'active' }), 'pro');
+  assert.equal(getEffectivePlan({ subscriptionPlan: 'pro', subscriptionStatus: 'past_due' }), 'pro');
+  assert.equal(getEffectivePlan({ subscriptionPlan: 'trial', subscriptionStatus: 'trial' }), 'trial');
+
+  assert.equal(getEffectivePlan({ subscriptionPlan: 'pro', subscriptionStatus: 'inactive' }), 'free');
+  assert.equal(getEffectivePlan({ subscriptionPlan: 'pro', subscriptionStatus: 'incomplete' }), 'free');
+  assert.equal(getEffectivePlan({ subscriptionPlan: 'premium', subscriptionStatus: 'canceled' }), 'free');
+  assert.equal(getEffectivePlan({ subscriptionPlan: 'pro' }), 'free');
+  assert.equal(getEffectivePlan({ subscriptionPlan: 'gold', subscriptionStatus: 'active' }), 'free');
+  assert.equal(getEffectivePlan(null), 'free');
+});
+
+test('getEffectivePlan drops trials that already ended', () => {
+  assert.equal(getEffectivePlan({
+    subscriptionPlan: 'trial',
+    subscriptionStatus: 'trial',
+    trialEndsAt: timestamp(Date.now() - 1000)
+  }), 'free');
+});
+
+test('countActiveRewards skips inactive, rejected and expired rewards', () => {
+  const rewards = [
+    rewardDoc({ isActive: true }),
+    rewardDoc({ isActive: false }),
+    rewardDoc({ verificationStatus: 'REJECTED' }),
+    rewardDoc({ expiryDate: timestamp(Date.now() - 1000) }),
+    rewardDoc({ expiresAt: timestamp(Date.now() + 60000) })
+  ];
+
+  assert.equal(countActiveRewards(rewards), 2);
+});
+
+test('assertRewardCapacity rejects over-limit plans with upgrade details', () => {
+  assert.doesNotThrow(() => assertRewardCapacity('pro', 2));
+  assert.doesNotThrow(() => assertRewardCapacity('premium', 1000));
+
+  assert.throws(() => assertRewardCapacity('basic', 1), error => {
+    assert.equal(error.code, 'resource-exhausted');
+    assert.deepEqual(error.details, {
+      reason: 'PLAN_LIMIT',
+      entitlement: 'maxActiveRewards',
+      plan: 'basic',
+      allowed: 1,
+      current: 1,
+      upgradeTo: 'pro'
+    });
+    return true;
+  });
+});
+
+test('assertQRRedemption requires a paid plan or trial', () => {
+  assert.doesNotThrow(() => assertQRRedemption('trial'));
+  assert.throws(() => assertQRRedemption('free'), error => error.details.upgradeTo === 'basic');
+});
+
+test('assertAnalyticsAccess checks level and history window', () => {
+  assert.doesNotThrow(() => assertAnalyticsAccess('pro', { level: 'detailed', days: 90 }));
+  assert.throws(() => assertAnalyticsAccess('basic', { level: 'full' }),
+    error => error.details.entitlement === 'analyticsLevel' && error.details.upgradeTo === 'premium');
+  assert.throws(() => assertAnalyticsAccess('pro', { days: 180 }),
+    error => error.details.entitlement === 'analyticsHistoryDays' && error.details.upgradeTo === 'premium');
+});
+
+test('describePlanLimits serializes unlimited rewards as null', () => {
+  assert.equal(describePlanLimits('premium').maxActiveRewards, null);
+  assert.equal(describePlanLimits('basic').maxActiveRewards, 1);
+});
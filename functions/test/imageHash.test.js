@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+const {
+  PHASH_MAX_DISTANCE,
+  DHASH_MAX_DISTANCE,
+  computeImageHashes,
+  hammingDistance,
+  getHashBuckets
+} = require('../imageHash');
+
+// A PNG whose grayscale value at (x, y) is shade(x, y)
+const image = (width, height, shade) => {
+  const pixels = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels[y * width + x] = shade(x / width, y / height);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+};
+
+const waves = (x, y) => Math.round(127 + 120 * Math.sin(x * 7) * Math.cos(y * 5));
+const rings = (x, y) => Math.round(127 + 120 * Math.cos(Math.hypot(x - 0.3, y - 0.6) * 25));
+
+// Flip the given bit positions (0 = most significant) of a 16 hex character hash
+const flipBits = (hash, positions) => {
+  let value = BigInt(`0x${hash}`);
+  for (const position of positions) {
+    value ^= 1n << BigInt(63 - position);
+  }
+  return value.toString(16).padStart(16, '0');
+};
+
+test('hammingDistance counts differing bits', () => {
+  assert.equal(hammingDistance('0000000000000000', '0000000000000000'), 0);
+  assert.equal(hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+  assert.equal(hammingDistance('8000000000000001', '0000000000000000'), 2);
+  assert.equal(hammingDistance('f0f0f0f0f0f0f0f0', '0f0f0f0f0f0f0f0f'), 64);
+});
+
+test('getHashBuckets cuts each hash into 8 prefixed bands', () => {
+  const buckets = getHashBuckets({ pHash: '0123456789abcdef', dHash: 'fedcba9876543210' });
+
+  assert.equal(buckets.length, 16);
+  assert.deepEqual(buckets.slice(0, 3), ['p0:01', 'p1:23', 'p2:45']);
+  assert.deepEqual(buckets.slice(-2), ['d6:32', 'd7:10']);
+});
+
+test('hashes within the match distance always share a bucket', () => {
+  const pHash = '3c5a96e1f00dbeef';
+  const dHash = 'a5a5a5a5a5a5a5a5';
+  const own = new Set(getHashBuckets({ pHash, dHash }));
+
+  // The worst case: every differing bit in a different band
+  const spread = [0, 8, 16, 24, 32, 40, 48].slice(0, PHASH_MAX_DISTANCE);
+  const near = { pHash: flipBits(pHash, spread), dHash: flipBits(dHash, spread.slice(0, DHASH_MAX_DISTANCE)) };
+
+  assert.equal(hammingDistance(pHash, near.pHash), PHASH_MAX_DISTANCE);
+  assert.ok(getHashBuckets(near).some(bucket => own.has(bucket)));
+});
+
+test('computeImageHashes matches resized copies and tells different pictures apart', async () => {
+  const [original, resized, other] = await Promise.all([
+    image(256, 192, waves),
+    image(180, 135, waves),
+    image(256, 192, rings)
+  ]);
+
+  const [originalHashes, resizedHashes, otherHashes] = await Promise.all(
+    [original, resized, other].map(computeImageHashes)
+  );
+
+  assert.match(originalHashes.pHash, /^[0-9a-f]{16}$/);
+  assert.match(originalHashes.dHash, /^[0-9a-f]{16}$/);
+
+  assert.ok(hammingDistance(originalHashes.pHash, resizedHashes.pHash) <= PHASH_MAX_DISTANCE);
+  assert.ok(hammingDistance(originalHashes.dHash, resizedHashes.dHash) <= DHASH_MAX_DISTANCE);
+
+  assert.ok(hammingDistance(originalHashes.pHash, otherHashes.pHash) > PHASH_MAX_DISTANCE);
+  assert.ok(hammingDistance(originalHashes.dHash, otherHashes.dHash) > DHASH_MAX_DISTANCE);
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  isValidTimeZone,
+  getLocalDateKey,
+  getLocalHour,
+  addDays,
+  getZonedInstant,
+  applyLoginToStreak
+} = require('../streaks');
+
+test('applyLoginToStreak starts a first streak at 1', () => {
+  const result = applyLoginToStreak({}, '2026-03-10');
+
+  assert.equal(result.newDay, true);
+  assert.equal(result.currentStreak, 1);
+  assert.equal(result.longestStreak, 1);
+  assert.equal(result.streakBroken, false);
+});
+
+test('applyLoginToStreak counts a login once per local day', () => {
+  const state = { currentStreak: 4, longestStreak: 6, lastStreakDate: '2026-03-10', streakFreezes: 1 };
+  const result = applyLoginToStreak(state, '2026-03-10');
+
+  assert.equal(result.newDay, false);
+  assert.equal(result.currentStreak, 4);
+  assert.equal(result.streakFreezes, 1);
+  assert.equal(result.freezesUsed, 0);
+});
+
+test('applyLoginToStreak extends the streak on the next day', () => {
+  const result = applyLoginToStreak(
+    { currentStreak: 6, longestStreak: 6, lastStreakDate: '2026-02-28', streakFreezes: 0 },
+    '2026-03-01'
+  );
+
+  assert.equal(result.currentStreak, 7);
+  assert.equal(result.longestStreak, 7);
+  assert.equal(result.freezesUsed, 0);
+});
+
+test('applyLoginToStreak spends one freeze per missed day', () => {
+  const result = applyLoginToStreak(
+    { currentStreak: 5, longestStreak: 9, lastStreakDate: '2026-03-10', streakFreezes: 3 },
+    '2026-03-13'
+  );
+
+  assert.equal(result.currentStreak, 6);
+  assert.equal(result.longestStreak, 9);
+  assert.equal(result.freezesUsed, 2);
+  assert.equal(result.streakFreezes, 1);
+  assert.equal(result.streakBroken, false);
+});
+
+test('applyLoginToStreak breaks the streak and keeps freezes when there are too few', () => {
+  const result = applyLoginToStreak(
+    { currentStreak: 5, longestStreak: 5, lastStreakDate: '2026-03-10', streakFreezes: 1 },
+    '2026-03-13'
+  );
+
+  assert.equal(result.currentStreak, 1);
+  assert.equal(result.longestStreak, 5);
+  assert.equal(result.freezesUsed, 0);
+  assert.equal(result.streakFreezes, 1);
+  assert.equal(result.streakBroken, true);
+});
+
+test('local dates and hours follow the timezone', () => {
+  const instant = new Date('2026-03-10T02:30:00Z');
+
+  assert.equal(getLocalDateKey(instant, 'UTC'), '2026-03-10');
+  assert.equal(getLocalDateKey(instant, 'America/New_York'), '2026-03-09');
+  assert.equal(getLocalHour(instant, 'Asia/Tokyo'), 11);
+  assert.equal(addDays('2026-02-28', 1), '2026-03-01');
+  assert.equal(addDays('2026-01-01', -1), '2025-12-31');
+});
+
+test('isValidTimeZone rejects unknown zones', () => {
+  assert.equal(isValidTimeZone('Europe/Paris'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+  assert.equal(isValidTimeZone(''), false);
+  assert.equal(isValidTimeZone(null), false);
+});
+
+test('getZonedInstant honors the offset on both sides of a DST change', () => {
+  // New York springs forward on 2026-03-08 and falls back on 2026-11-01
+  assert.equal(getZonedInstant('2026-03-07', 20, 'America/New_York').toISOString(), '2026-03-08T01:00:00.000Z');
+  assert.equal(getZonedInstant('2026-03-08', 20, 'America/New_York').toISOString(), '2026-03-09T00:00:00.000Z');
+  assert.equal(getZonedInstant('2026-11-01', 20, 'America/New_York').toISOString(), '2026-11-02T01:00:00.000Z');
+  assert.equal(getZonedInstant('2026-06-15', 9, 'UTC').toISOString(), '2026-06-15T09:00:00.000Z');
+});
@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+/**
+ * Billing against a local stand-in for stripe-mock: the client is pointed at it through
+ * STRIPE_API_HOST / STRIPE_API_PORT / STRIPE_API_PROTOCOL, exactly as with a real stripe-mock.
+ */
+
+const requests = [];
+let server;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: new URLSearchParams(body) });
+
+      res.setHeader('Content-Type', 'application/json');
+      if (req.method === 'POST' && req.url === '/v1/customers') {
+        res.end(JSON.stringify({ id: 'cus_test', object: 'customer', email: new URLSearchParams(body).get('email') }));
+      } else if (req.method === 'GET' && req.url.startsWith('/v1/subscriptions/sub_test')) {
+        res.end(JSON.stringify({
+          id: 'sub_test',
+          object: 'subscription',
+          status: 'incomplete',
+          items: { object: 'list', data: [{ id: 'si_test', price: { id: 'price_pro' } }] }
+        }));
+      } else {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ error: { type: 'invalid_request_error', message: 'Unrecognized request URL' } }));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  process.env.STRIPE_SECRET_KEY = 'sk_test_123';
+  process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+  process.env.STRIPE_API_HOST = '127.0.0.1';
+  process.env.STRIPE_API_PORT = String(server.address().port);
+  process.env.STRIPE_API_PROTOCOL = 'http';
+  process.env.STRIPE_PRICE_BASIC = 'price_basic';
+  process.env.STRIPE_PRICE_PRO = 'price_pro';
+  process.env.STRIPE_PRICE_PREMIUM = 'price_premium';
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const stripeClient = require('../stripeClient');
+
+test('getStripe talks to the configured API host', async () => {
+  const customer = await stripeClient.getStripe().customers.create({ email: 'sponsor@example.com' });
+
+  assert.equal(customer.id, 'cus_test');
+  const request = requests.find(r => r.url === '/v1/customers');
+  assert.equal(request.method, 'POST');
+  assert.equal(request.headers.authorization, 'Bearer sk_test_123');
+  assert.equal(request.body.get('email'), 'sponsor@example.com');
+});
+
+test('an incomplete subscription maps to a status without entitlements', async () => {
+  const subscription = await stripeClient.getStripe().subscriptions.retrieve('sub_test');
+
+  assert.equal(stripeClient.mapStripeSubscriptionStatus(subscription.status), 'inactive');
+  assert.equal(stripeClient.getPlanForPriceId(subscription.items.data[0].price.id), 'pro');
+});
+
+test('mapStripeSubscriptionStatus', () => {
+  assert.equal(stripeClient.mapStripeSubscriptionStatus('active'), 'active');
+  assert.equal(stripeClient.mapStripeSubscriptionStatus('trialing'), 'active');
+  assert.equal(stripeClient.mapStripeSubscriptionStatus('past_due'), 'past_due');
+  assert.equal(stripeClient.mapStripeSubscriptionStatus('unpaid'), 'past_due');
+  assert.equal(stripeClient.mapStripeSubscriptionStatus('canceled'), 'canceled');
+  assert.equal(stripeClient.mapStripeSubscriptionStatus('incomplete_expired'), 'canceled');
+  assert.equal(stripeClient.mapStripeSubscriptionStatus('incomplete'), 'inactive');
+  assert.equal(stripeClient.mapStripeSubscriptionStatus('paused'), 'inactive');
+  assert.equal(stripeClient.mapStripeSubscriptionStatus(undefined), 'inactive');
+});
+
+test('plan and price lookups', () => {
+  assert.equal(stripeClient.getPriceIdForPlan('basic'), 'price_basic');
+  assert.equal(stripeClient.getPriceIdForPlan('trial'), null);
+  assert.equal(stripeClient.getPlanForPriceId('price_premium'), 'premium');
+  assert.equal(stripeClient.getPlanForPriceId('price_unknown'), null);
+  assert.equal(stripeClient.isPurchasablePlan('pro'), true);
+  assert.equal(stripeClient.isPurchasablePlan('free'), false);
+});
+
+test('constructWebhookEvent verifies the signature', () => {
+  const payload = JSON.stringify({ id: 'evt_test', object: 'event', type: 'invoice.paid' });
+  const webhooks = stripeClient.getStripe().webhooks;
+
+  const signature = webhooks.generateTestHeaderString({ payload, secret: 'whsec_test' });
+  assert.equal(stripeClient.constructWebhookEvent(payload, signature).id, 'evt_test');
+
+  const forged = webhooks.generateTestHeaderString({ payload, secret: 'whsec_other' });
+  assert.throws(() => stripeClient.constructWebhookEvent(payload, forged), { type: 'StripeSignatureVerificationError' });
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getTeamChallengeShareKey, splitTeamPayout } = require('../teams');
+
+const total = shares => Object.values(shares).reduce((sum, share) => sum + share, 0);
+
+test('splitTeamPayout shares equally between contributors only', () => {
+  const shares = splitTeamPayout(90, { alice: 5, bob: 1, carol: 0 }, 'EQUAL');
+
+  assert.deepEqual(shares, { alice: 45, bob: 45 });
+});
+
+test('splitTeamPayout gives equal rounding leftovers to the biggest contributors', () => {
+  const shares = splitTeamPayout(100, { alice: 1, bob: 3, carol: 2 }, 'EQUAL');
+
+  assert.deepEqual(shares, { bob: 34, carol: 33, alice: 33 });
+  assert.equal(total(shares), 100);
+});
+
+test('splitTeamPayout follows contributions and never loses XP to rounding', () => {
+  const shares = splitTeamPayout(100, { alice: 1, bob: 1, carol: 1 }, 'PROPORTIONAL');
+  assert.equal(total(shares), 100);
+  assert.deepEqual(Object.values(shares).sort(), [33, 33, 34]);
+
+  const weighted = splitTeamPayout(10, { alice: 7, bob: 2, carol: 1 }, 'PROPORTIONAL');
+  assert.deepEqual(weighted, { alice: 7, bob: 2, carol: 1 });
+});
+
+test('splitTeamPayout breaks ties by user id so the result is stable', () => {
+  assert.deepEqual(splitTeamPayout(5, { bob: 1, alice: 1 }, 'EQUAL'), { alice: 3, bob: 2 });
+});
+
+test('splitTeamPayout pays nothing without XP or contributors', () => {
+  assert.deepEqual(splitTeamPayout(0, { alice: 3 }), {});
+  assert.deepEqual(splitTeamPayout(100, {}), {});
+  assert.deepEqual(splitTeamPayout(100, null), {});
+});
+
+test('getTeamChallengeShareKey is the same whichever team pays', () => {
+  assert.equal(getTeamChallengeShareKey('weekly_2026-W43', 'alice'), 'team-challenge:weekly_2026-W43:alice');
+});
@@ -0,0 +1,221 @@
+const admin = require('firebase-admin');
+
+/**
+ * SPOT VERIFICATION POLICY
+ *
+ * Thresholds, weights and limits used to score spot submissions, stored in
+ * `config/verificationPolicy`:
+ *
+ *   {
+ *     autoApproveThreshold: 80,      // score at or above which a spot is auto-approved
+ *     manualReviewThreshold: 50,     // score below which a spot needs manual review
+ *     weights: { locationAccuracy: 30, photoVerification: 20, duplicateDetection: 20,
+ *                userTrust: 20, contentQuality: 10 },            // must total 100
+ *     location: { excellentAccuracy, goodAccuracy, poorAccuracy,  // meters
+ *                 maxSpeedMps, teleportDistance },
+ *     rateLimits: { maxSubmissionsPerDay, minDistanceBetweenSpots, minTimeBetweenSubmissions },
+ *     trust: { newUserGracePeriod, minSubmissionsForTrust, shadowBanRejectionThreshold },
+ *     validCategories: ['CAFE', ...],
+ *     version: 3
+ *   }
+ *
+ * `version` increments on every change and each version is kept in
+ * `config/verificationPolicy/versions/{version}`, so a score can be traced to the policy
+ * that produced it. Without a config document the default policy (version 0) applies.
+ */
+
+const VERIFICATION_POLICY_DOC_PATH = 'config/verificationPolicy';
+const VERIFICATION_POLICY_CACHE_MS = 60 * 1000;
+
+const VERIFICATION_WEIGHT_KEYS = [
+  'locationAccuracy',
+  'photoVerification',
+  'duplicateDetection',
+  'userTrust',
+  'contentQuality'
+];
+
+// The values that were hardcoded in spotVerification.js before the policy was configurable
+const DEFAULT_VERIFICATION_POLICY = {
+  version: 0,
+  autoApproveThreshold: 80,
+  manualReviewThreshold: 50,
+  weights: {
+    locationAccuracy: 30,
+    photoVerification: 20,
+    duplicateDetection: 20,
+    userTrust: 20,
+    contentQuality: 10
+  },
+  location: {
+    excellentAccuracy: 20,
+    goodAccuracy: 50,
+    poorAccuracy: 100,
+    maxSpeedMps: 50, // 180 km/h (unrealistic for normal travel)
+    teleportDistance: 10000
+  },
+  rateLimits: {
+    maxSubmissionsPerDay: 3,
+    minDistanceBetweenSpots: 100, // meters
+    minTimeBetweenSubmissions: 300000 // 5 minutes in milliseconds
+  },
+  trust: {
+    newUserGracePeriod: 7 * 24 * 60 * 60 * 1000, // 7 days
+    minSubmissionsForTrust: 5,
+    shadowBanRejectionThreshold: 0.7 // 70% rejection rate
+  },
+  validCategories: ['CAFE', 'VIEWPOINT', 'ART', 'PARK', 'HISTORICAL', 'HIDDEN_GEM']
+};
+
+let cachedPolicy = null;
+let cachedAt = 0;
+
+const isPositive = value => Number.isFinite(value) && value > 0;
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+/**
+ * Validate a verification policy
+ * Returns { policy } with the normalized policy, or { errors } listing what is wrong
+ */
+function validateVerificationPolicy(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return { errors: ['policy must be an object'] };
+  }
+
+  const { autoApproveThreshold, manualReviewThreshold } = data;
+  const weights = data.weights || {};
+  const location = data.location || {};
+  const rateLimits = data.rateLimits || {};
+  const trust = data.trust || {};
+
+  if (!Number.isFinite(autoApproveThreshold) || autoApproveThreshold < 0 || autoApproveThreshold > 100) {
+    errors.push('autoApproveThreshold must be between 0 and 100');
+  }
+  if (!Number.isFinite(manualReviewThreshold) || manualReviewThreshold < 0 || manualReviewThreshold > 100) {
+    errors.push('manualReviewThreshold must be between 0 and 100');
+  } else if (manualReviewThreshold > autoApproveThreshold) {
+    errors.push('manualReviewThreshold must not be above autoApproveThreshold');
+  }
+
+  const unknownWeights = Object.keys(weights).filter(key => !VERIFICATION_WEIGHT_KEYS.includes(key));
+  if (unknownWeights.length > 0) {
+    errors.push(`unknown weights: ${unknownWeights.join(', ')}`);
+  }
+  if (VERIFICATION_WEIGHT_KEYS.some(key => !Number.isFinite(weights[key]) || weights[key] < 0)) {
+    errors.push(`weights must give a non-negative number for each of: ${VERIFICATION_WEIGHT_KEYS.join(', ')}`);
+  } else {
+    const total = VERIFICATION_WEIGHT_KEYS.reduce((sum, key) => sum + weights[key], 0);
+    if (Math.abs(total - 100) > 1e-9) {
+      errors.push(`weights must total 100 (got ${total})`);
+    }
+  }
+
+  if (!['excellentAccuracy', 'goodAccuracy', 'poorAccuracy', 'maxSpeedMps', 'teleportDistance']
+    .every(key => isPositive(location[key]))) {
+    errors.push('location values must be positive numbers');
+  } else if (!(location.excellentAccuracy <= location.goodAccuracy && location.goodAccuracy <= location.poorAccuracy)) {
+    errors.push('location accuracies must satisfy excellentAccuracy <= goodAccuracy <= poorAccuracy');
+  }
+
+  if (!isPositiveInteger(rateLimits.maxSubmissionsPerDay) ||
+      !isPositive(rateLimits.minDistanceBetweenSpots) ||
+      !isPositive(rateLimits.minTimeBetweenSubmissions)) {
+    errors.push('rateLimits must have a positive integer maxSubmissionsPerDay and positive distance and time');
+  }
+
+  if (!isPositive(trust.newUserGracePeriod) || !isPositiveInteger(trust.minSubmissionsForTrust)) {
+    errors.push('trust.newUserGracePeriod and trust.minSubmissionsForTrust must be positive');
+  }
+  if (!Number.isFinite(trust.shadowBanRejectionThreshold) ||
+      trust.shadowBanRejectionThreshold <= 0 || trust.shadowBanRejectionThreshold > 1) {
+    errors.push('trust.shadowBanRejectionThreshold must be a rate above 0 and at most 1');
+  }
+
+  const validCategories = data.validCategories;
+  if (!Array.isArray(validCategories) || validCategories.length === 0 ||
+      validCategories.some(category => typeof category !== 'string' || !category)) {
+    errors.push('validCategories must be a non-empty list of category names');
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    policy: {
+      autoApproveThreshold,
+      manualReviewThreshold,
+      weights: Object.fromEntries(VERIFICATION_WEIGHT_KEYS.map(key => [key, weights[key]])),
+      location: {
+        excellentAccuracy: location.excellentAccuracy,
+        goodAccuracy: location.goodAccuracy,
+        poorAccuracy: location.poorAccuracy,
+        maxSpeedMps: location.maxSpeedMps,
+        teleportDistance: location.teleportDistance
+      },
+      rateLimits: {
+        maxSubmissionsPerDay: rateLimits.maxSubmissionsPerDay,
+        minDistanceBetweenSpots: rateLimits.minDistanceBetweenSpots,
+        minTimeBetweenSubmissions: rateLimits.minTimeBetweenSubmissions
+      },
+      trust: {
+        newUserGracePeriod: trust.newUserGracePeriod,
+        minSubmissionsForTrust: trust.minSubmissionsForTrust,
+        shadowBanRejectionThreshold: trust.shadowBanRejectionThreshold
+      },
+      validCategories: [...new Set(validCategories)]
+    }
+  };
+}
+
+/**
+ * Apply a partial update to a policy; nested sections are merged key by key
+ */
+function mergeVerificationPolicy(current, changes) {
+  const merged = { ...current };
+
+  for (const [key, value] of Object.entries(changes || {})) {
+    const isSection = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isSection ? { ...(current[key] || {}), ...value } : value;
+  }
+
+  return merged;
+}
+
+/**
+ * Load the configured verification policy (cached per instance for a minute)
+ * Invalid or missing configuration falls back to the default policy
+ */
+async function getVerificationPolicy({ fresh = false } = {}) {
+  if (!fresh && cachedPolicy && Date.now() - cachedAt < VERIFICATION_POLICY_CACHE_MS) {
+    return cachedPolicy;
+  }
+
+  const policyDoc = await admin.firestore().doc(VERIFICATION_POLICY_DOC_PATH).get();
+  let policy = DEFAULT_VERIFICATION_POLICY;
+
+  if (policyDoc.exists) {
+    const { policy: configured, errors } = validateVerificationPolicy(policyDoc.data());
+
+    if (errors) {
+      console.error(`Invalid verification policy config, using default: ${errors.join('; ')}`);
+    } else {
+      policy = { ...configured, version: policyDoc.data().version || 0 };
+    }
+  }
+
+  cachedPolicy = policy;
+  cachedAt = Date.now();
+  return policy;
+}
+
+module.exports = {
+  VERIFICATION_POLICY_DOC_PATH,
+  VERIFICATION_WEIGHT_KEYS,
+  DEFAULT_VERIFICATION_POLICY,
+  validateVerificationPolicy,
+  mergeVerificationPolicy,
+  getVerificationPolicy
+};
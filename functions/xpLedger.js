@@ -0,0 +1,303 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { calculateLevelForCurve, getLevelCurve } = require('./levelCurve');
+
+/**
+ * XP LEDGER
+ *
+ * Every XP change goes through this module. A change is one transaction that:
+ * - updates the canonical balance field `users/{uid}.xp` (and `level`) exactly once
+ * - writes one immutable entry to `xpTransactions` with action, delta, before/after,
+ *   actor and idempotency key
+ *
+ * Entries written with an idempotency key use a deterministic document ID, so a retried
+ * request finds the existing entry and becomes a no-op instead of paying out twice.
+ *
+ * Levels come from the configured level curve (levelCurve.js). A change that raises the
+ * level also writes a `levelUpEvents` document, which drives the level-up notification
+ * (onLevelUp).
+ *
+ * Held XP (e.g. for spots awaiting verification) lives in `users/{uid}.xpPending`. It moves
+ * through the same entries via `pendingDelta`: holding XP writes a pending-only entry, paying it
+ * out credits the balance and clears the hold in one entry, and voiding the hold clears it alone.
+ *
+ * `xpPoints` is the legacy balance field. Until a user's balance is opened in the ledger (see
+ * reconcileUserXP) either field may hold the current value, so the higher of the two counts.
+ */
+
+const XP_LEDGER_COLLECTION = 'xpTransactions';
+const LEVEL_UP_EVENTS_COLLECTION = 'levelUpEvents';
+
+const ACTOR_TYPES = ['user', 'admin', 'system'];
+
+function getDb() {
+  return admin.firestore();
+}
+
+/**
+ * Read a user's XP balance
+ * Before the ledger is opened, legacy code may have written only xpPoints or only xp, so a
+ * stale value in one field must not hide XP recorded in the other
+ */
+function getXPBalance(userData) {
+  if (!userData) return 0;
+
+  const xp = typeof userData.xp === 'number' ? userData.xp : 0;
+  if (userData.xpLedgerOpenedAt) return xp;
+
+  const xpPoints = typeof userData.xpPoints === 'number' ? userData.xpPoints : 0;
+  return Math.max(xp, xpPoints);
+}
+
+/**
+ * Ledger entry reference; idempotent entries get a deterministic ID
+ */
+function getLedgerEntryRef(idempotencyKey) {
+  const collection = getDb().collection(XP_LEDGER_COLLECTION);
+
+  if (!idempotencyKey) {
+    return collection.doc();
+  }
+
+  const entryId = crypto.createHash('sha256').update(String(idempotencyKey)).digest('hex');
+  return collection.doc(entryId);
+}
+
+/**
+ * Apply an XP change inside an existing transaction
+ *
+ * Performs its reads first, so it must be called before the caller's own transaction writes.
+ * Options:
+ * - insufficientBalance: 'reject' (default) throws when the balance would go negative,
+ *   'clamp' stops the balance at zero and records the delta actually applied
+ * - pendingDelta: change to the held (pending) XP, recorded alongside the balance change
+ * - userUpdates: extra fields (e.g. counters) written in the same user document update
+ */
+async function applyXPChange(transaction, {
+  userId,
+  delta,
+  action,
+  actor,
+  reason = '',
+  entityId = null,
+  idempotencyKey = null,
+  metadata = {},
+  insufficientBalance = 'reject',
+  pendingDelta = 0,
+  userUpdates = {}
+}) {
+  if (!userId || !action || typeof delta !== 'number' || !Number.isFinite(delta)) {
+    throw new Error('applyXPChange requires userId, action and a numeric delta');
+  }
+
+  if (typeof pendingDelta !== 'number' || !Number.isFinite(pendingDelta)) {
+    throw new Error('applyXPChange requires a numeric pendingDelta');
+  }
+
+  if (!actor || !ACTOR_TYPES.includes(actor.type)) {
+    throw new Error(`applyXPChange requires an actor of type ${ACTOR_TYPES.join(', ')}`);
+  }
+
+  const db = getDb();
+  const userRef = db.collection('users').doc(userId);
+  const entryRef = getLedgerEntryRef(idempotencyKey);
+  const levelCurve = await getLevelCurve();
+
+  const [userDoc, existingEntry] = await Promise.all([
+    transaction.get(userRef),
+    idempotencyKey ? transaction.get(entryRef) : Promise.resolve(null)
+  ]);
+
+  if (!userDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'User not found');
+  }
+
+  // Already applied: report the original outcome without touching the balance
+  if (existingEntry && existingEntry.exists) {
+    const entry = existingEntry.data();
+    return {
+      duplicate: true,
+      entryId: entryRef.id,
+      delta: entry.delta,
+      xpBefore: entry.xpBefore,
+      xpAfter: entry.xpAfter,
+      levelBefore: entry.levelBefore,
+      levelAfter: entry.levelAfter,
+      leveledUp: entry.levelAfter > entry.levelBefore,
+      pendingDelta: entry.pendingDelta || 0,
+      pendingAfter: entry.pendingAfter ?? null
+    };
+  }
+
+  const xpBefore = getXPBalance(userDoc.data());
+  let xpAfter = xpBefore + delta;
+
+  if (xpAfter < 0) {
+    if (insufficientBalance !== 'clamp') {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        `Insufficient XP. Current XP: ${xpBefore}, Required: ${-delta}`,
+        { reason: 'INSUFFICIENT_XP', balance: xpBefore, required: -delta }
+      );
+    }
+    xpAfter = 0;
+  }
+
+  const appliedDelta = xpAfter - xpBefore;
+  const pendingBefore = userDoc.data().xpPending || 0;
+  const pendingAfter = Math.max(0, pendingBefore + pendingDelta);
+  const levelBefore = calculateLevelForCurve(xpBefore, levelCurve);
+  const levelAfter = calculateLevelForCurve(xpAfter, levelCurve);
+
+  transaction.update(userRef, {
+    ...userUpdates,
+    ...(pendingDelta !== 0 ? { xpPending: pendingAfter } : {}),
+    xp: xpAfter,
+    level: levelAfter,
+    levelCurveVersion: levelCurve.version,
+    lastXpUpdate: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  // One event per level reached; re-reaching a level after losing XP doesn't notify again
+  if (levelAfter > levelBefore) {
+    transaction.set(db.collection(LEVEL_UP_EVENTS_COLLECTION).doc(`${userId}_${levelAfter}`), {
+      userId,
+      fromLevel: levelBefore,
+      toLevel: levelAfter,
+      xp: xpAfter,
+      action,
+      ledgerEntryId: entryRef.id,
+      levelCurveVersion: levelCurve.version,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  transaction.set(entryRef, {
+    userId,
+    action,
+    delta: appliedDelta,
+    requestedDelta: delta,
+    xpBefore,
+    xpAfter,
+    levelBefore,
+    levelAfter,
+    pendingDelta: pendingAfter - pendingBefore,
+    pendingBefore,
+    pendingAfter,
+    actorType: actor.type,
+    actorId: actor.id || null,
+    idempotencyKey: idempotencyKey || null,
+    reason,
+    entityId,
+    metadata,
+    timestamp: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return {
+    duplicate: false,
+    entryId: entryRef.id,
+    delta: appliedDelta,
+    xpBefore,
+    xpAfter,
+    levelBefore,
+    levelAfter,
+    leveledUp: levelAfter > levelBefore,
+    pendingDelta: pendingAfter - pendingBefore,
+    pendingAfter
+  };
+}
+
+/**
+ * Apply an XP change in its own transaction
+ */
+async function recordXPChange(change) {
+  return getDb().runTransaction(transaction => applyXPChange(transaction, change));
+}
+
+/**
+ * Rebuild one user's balance from the ledger and report drift
+ *
+ * The first reconciliation of a user opens the ledger with an OPENING_BALANCE entry for
+ * XP earned before the ledger existed (the higher of xp and xpPoints, both kept in the entry)
+ * and drops the legacy xpPoints field.
+ * With repair, drifted balances are reset to the ledger total.
+ */
+async function reconcileUserXP(userId, { repair = false } = {}) {
+  const db = getDb();
+  const userRef = db.collection('users').doc(userId);
+  const levelCurve = await getLevelCurve();
+  const calculateLevel = xp => calculateLevelForCurve(xp, levelCurve);
+
+  return db.runTransaction(async (transaction) => {
+    const [userDoc, entriesSnapshot] = await Promise.all([
+      transaction.get(userRef),
+      transaction.get(db.collection(XP_LEDGER_COLLECTION).where('userId', '==', userId))
+    ]);
+
+    if (!userDoc.exists) {
+      return { userId, skipped: true };
+    }
+
+    const userData = userDoc.data();
+    const balance = getXPBalance(userData);
+
+    // Entries from before the ledger have no delta and are not part of the balance
+    const ledgerTotal = entriesSnapshot.docs.reduce((sum, doc) => {
+      const delta = doc.data().delta;
+      return typeof delta === 'number' ? sum + delta : sum;
+    }, 0);
+
+    if (!userData.xpLedgerOpenedAt) {
+      const openingDelta = balance - ledgerTotal;
+
+      transaction.set(getLedgerEntryRef(`opening:${userId}`), {
+        userId,
+        action: 'OPENING_BALANCE',
+        delta: openingDelta,
+        requestedDelta: openingDelta,
+        xpBefore: ledgerTotal,
+        xpAfter: balance,
+        levelBefore: calculateLevel(ledgerTotal),
+        levelAfter: calculateLevel(balance),
+        actorType: 'system',
+        actorId: 'xp-reconciliation',
+        idempotencyKey: `opening:${userId}`,
+        reason: 'Balance carried over from before the XP ledger',
+        entityId: null,
+        metadata: { legacyXP: userData.xp ?? null, legacyXPPoints: userData.xpPoints ?? null },
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      transaction.update(userRef, {
+        xp: balance,
+        level: calculateLevel(balance),
+        xpPoints: admin.firestore.FieldValue.delete(),
+        xpLedgerOpenedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return { userId, opened: true, balance, ledgerTotal: balance, drift: 0 };
+    }
+
+    const drift = balance - ledgerTotal;
+
+    if (drift !== 0 && repair) {
+      transaction.update(userRef, {
+        xp: ledgerTotal,
+        level: calculateLevel(ledgerTotal),
+        lastXpReconciledAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    return { userId, opened: false, balance, ledgerTotal, drift, repaired: drift !== 0 && repair };
+  });
+}
+
+module.exports = {
+  XP_LEDGER_COLLECTION,
+  getXPBalance,
+  getLedgerEntryRef,
+  applyXPChange,
+  recordXPChange,
+  reconcileUserXP
+};
@@ -0,0 +1,86 @@
+const admin = require('firebase-admin');
+
+/**
+ * XP RULES
+ *
+ * The server decides how much XP an action is worth. Rules live in `xpRules/{action}`:
+ *
+ *   {
+ *     amount: 50,             // XP awarded per occurrence
+ *     cooldown: 5,            // minutes between awards (per entity when an entityId is given)
+ *     maxDaily: 10,           // awards per day, 0 = unlimited
+ *     uniquePerEntity: true,  // only once per user and entityId (e.g. once per spot)
+ *     clientCallable: true,   // may be claimed through the awardXP callable
+ *     enabled: true
+ *   }
+ *
+ * Actions without a rule document fall back to DEFAULT_XP_RULES.
+ */
+
+const XP_RULES_COLLECTION = 'xpRules';
+const XP_RULES_CACHE_MS = 60 * 1000;
+
+const DEFAULT_XP_RULES = {
+  VISIT_SPOT: { amount: 50, cooldown: 0, maxDaily: 20, uniquePerEntity: true, clientCallable: true },
+  RATE_SPOT: { amount: 25, cooldown: 1, maxDaily: 20, uniquePerEntity: true, clientCallable: true },
+  SHARE_SPOT: { amount: 15, cooldown: 5, maxDaily: 5, uniquePerEntity: false, clientCallable: true },
+  PHOTO_UPLOAD: { amount: 30, cooldown: 1, maxDaily: 10, uniquePerEntity: true, clientCallable: true },
+  // Awarded by updateUserLoginSource once per local day (the entity is the user's local date)
+  DAILY_LOGIN: { amount: 10, cooldown: 0, maxDaily: 0, uniquePerEntity: true, clientCallable: false },
+  COMPLETE_CHALLENGE: { amount: 200, cooldown: 0, maxDaily: 0, uniquePerEntity: true, clientCallable: false },
+  // Upper bound for a spot's xpReward, held on submission and paid out on approval
+  SPOT_APPROVED: { amount: 100, cooldown: 0, maxDaily: 0, uniquePerEntity: true, clientCallable: false }
+};
+
+const ruleCache = new Map();
+
+/**
+ * Normalize a rule document, returning null when it is unusable
+ */
+function normalizeXPRule(action, data) {
+  if (!data || !Number.isFinite(data.amount) || data.amount <= 0) {
+    return null;
+  }
+
+  return {
+    action,
+    amount: data.amount,
+    cooldown: Number.isFinite(data.cooldown) && data.cooldown > 0 ? data.cooldown : 0,
+    maxDaily: Number.isInteger(data.maxDaily) && data.maxDaily > 0 ? data.maxDaily : 0,
+    uniquePerEntity: data.uniquePerEntity === true,
+    clientCallable: data.clientCallable === true,
+    enabled: data.enabled !== false
+  };
+}
+
+/**
+ * Load the rule for an action (cached per instance for a minute)
+ * Returns null when the action has no usable rule
+ */
+async function getXPRule(action) {
+  const cached = ruleCache.get(action);
+  if (cached && Date.now() - cached.loadedAt < XP_RULES_CACHE_MS) {
+    return cached.rule;
+  }
+
+  const ruleDoc = await admin.firestore().collection(XP_RULES_COLLECTION).doc(action).get();
+  let rule;
+
+  if (ruleDoc.exists) {
+    rule = normalizeXPRule(action, ruleDoc.data());
+    if (!rule) {
+      console.error(`Invalid xpRules/${action} document, ignoring it`);
+    }
+  } else {
+    rule = normalizeXPRule(action, DEFAULT_XP_RULES[action]);
+  }
+
+  ruleCache.set(action, { rule, loadedAt: Date.now() });
+  return rule;
+}
+
+module.exports = {
+  XP_RULES_COLLECTION,
+  DEFAULT_XP_RULES,
+  getXPRule
+};